@@ -1,10 +1,15 @@
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
 import { clamp } from '../../../shared/utils/math-utils.js';
 
+const { log, warn } = createLogger('input');
+
 const MOUSE_SENSITIVITY = 0.002;
 const MIN_PITCH = -Math.PI / 2 + 0.01; // Limite para olhar para baixo (quase reto)
 const MAX_PITCH = Math.PI / 2 - 0.01;  // Limite para olhar para cima (quase reto)
 
+// Teclas cujo pressionamento é lembrado até o próximo input enviado (ações de disparo/lançamento)
+const LATCHED_ACTION_KEYS = { 'F': 'Fire', '1': 'Cast1', '2': 'Cast2', '3': 'Cast3' };
+
 /**
  * Captura e processa a entrada do usuário (teclado e mouse) para controle do jogo.
  */
@@ -58,6 +63,13 @@ export class InputController {
      */
     mouseButton2 = false;
 
+    /**
+     * Ações pressionadas desde o último getInputState() (ex: 'Fire', 'Cast1').
+     * Garante que um clique ou toque de tecla mais curto que um frame ainda seja enviado ao servidor.
+     * @type {Set<string>}
+     */
+    pressedSinceLastInput = new Set();
+
     // Handlers de eventos vinculados (para remover listeners corretamente)
     boundOnMouseMove;
     boundOnKeyDown;
@@ -135,6 +147,8 @@ export class InputController {
     onKeyDown(event) {
         const key = event.key.toUpperCase();
         this.keys[key] = true;
+        const latchedAction = LATCHED_ACTION_KEYS[key];
+        if (latchedAction) this.pressedSinceLastInput.add(latchedAction);
 
         // Lógica para tecla do painel de atributos (Etapa 22)
         if (key === 'P' || key === 'TAB') { // Usar 'P' ou 'Tab' para o painel
@@ -145,7 +159,7 @@ export class InputController {
             event.preventDefault(); // Evita comportamento padrão do Tab
         }
         // Prevenir comportamento padrão para teclas de jogo (como Espaço rolar a página)
-         if (['W', 'A', 'S', 'D', ' ', 'SHIFT', 'F', '1', '2'].includes(key)) {
+         if (['W', 'A', 'S', 'D', ' ', 'SHIFT', 'C', 'F', '1', '2', '3'].includes(key)) {
              event.preventDefault();
          }
     }
@@ -194,6 +208,7 @@ export class InputController {
         if (!this.isPointerLocked) return; // Só processa cliques se o ponteiro estiver travado
         if (event.button === 0) { // Botão esquerdo
             this.mouseButton0 = true;
+            this.pressedSinceLastInput.add('Fire');
         } else if (event.button === 2) { // Botão direito
             this.mouseButton2 = true;
         }
@@ -290,7 +305,7 @@ export class InputController {
     /**
      * Retorna um objeto com o estado atual das teclas de movimento e ação.
      * Útil para enviar ao servidor (Etapa 10).
-     * @returns {{W: boolean, A: boolean, S: boolean, D: boolean, Shift: boolean, Space: boolean, Fire: boolean, Aim: boolean, Cast1: boolean, Cast2: boolean}}
+     * @returns {{W: boolean, A: boolean, S: boolean, D: boolean, Shift: boolean, Space: boolean, Crouch: boolean, Fire: boolean, Aim: boolean, Cast1: boolean, Cast2: boolean, Cast3: boolean}}
      */
     getActionKeysState() {
         return {
@@ -300,10 +315,12 @@ export class InputController {
             D: this.isKeyPressed('D'),
             Shift: this.isKeyPressed('SHIFT'),
             Space: this.isKeyPressed(' '), // Barra de espaço
-            Fire: this.mouseButton0 || this.isKeyPressed('F'), // Modificado para incluir clique do mouse
+            Crouch: this.isKeyPressed('C'), // Tecla C para agachar
+            Fire: this.mouseButton0 || this.isKeyPressed('F') || this.pressedSinceLastInput.has('Fire'), // Inclui clique do mouse
             Aim: this.mouseButton2, // Estado do botão direito para mirar
-            Cast1: this.isKeyPressed('1'), // Tecla 1 para magia 1
-            Cast2: this.isKeyPressed('2'), // Tecla 2 para magia 2
+            Cast1: this.isKeyPressed('1') || this.pressedSinceLastInput.has('Cast1'), // Tecla 1 para magia 1
+            Cast2: this.isKeyPressed('2') || this.pressedSinceLastInput.has('Cast2'), // Tecla 2 para magia 2
+            Cast3: this.isKeyPressed('3') || this.pressedSinceLastInput.has('Cast3'), // Tecla 3 para magia 3
             // Adicionar mais teclas de ação conforme necessário
         };
     }
@@ -325,9 +342,11 @@ export class InputController {
      * Coleta o estado atual completo do input para envio ao servidor.
      * Incrementa o número de sequência.
      * @param {number} deltaTime - O deltaTime do frame atual do cliente.
+     * @param {number | null} viewTime - Instante (relógio do servidor) em que os jogadores remotos estão sendo
+     *        exibidos (ClientWorld.getRenderTime()); null antes do primeiro snapshot.
      * @returns {import('../../../shared/models/player-input.js').PlayerInput} Objeto de input do jogador.
      */
-    getInputState(deltaTime) {
+    getInputState(deltaTime, viewTime) {
         this.inputSequenceNumber++; // Incrementa a sequência
 
         const inputState = {
@@ -337,6 +356,8 @@ export class InputController {
             lookYaw: this.getYaw(),
             lookPitch: this.getPitch(),
         };
+        if (viewTime !== null) inputState.viewTime = viewTime;
+        this.pressedSinceLastInput.clear(); // Pressionamentos já incluídos neste input
 
         return inputState;
     }
@@ -1,10 +1,10 @@
 import * as THREE from 'three';
-import { log, warn } from '../../../shared/utils/logger.js';
-import gameMap from '../../../shared/gameplay/world/map.js'; // Importar para pegar limites
-import { PLAYER_EYE_HEIGHT } from '../../../shared/constants/game-settings.js'; // Importar a constante unificada
+import { createLogger } from '../../../shared/utils/logger.js';
 import { createWeaponMesh } from '../generation/weapon-model-generator.js';
 import { NetworkManager } from '../network/network-manager.js'; // Importar para obter ID local
 
+const { log, warn } = createLogger('render');
+
 const IMPACT_EFFECT_DURATION_MS = 500; // Duração do efeito em milissegundos
 const IMPACT_EFFECT_SIZE = 0.3;
 // Cores para diferentes tipos de superfície
@@ -64,10 +64,12 @@ export class Renderer {
      * Cria uma instância do Renderer.
      * @param {HTMLElement} containerElement - Elemento DOM para renderização.
      * @param {import('../gameplay/client-world.js').ClientWorld} clientWorldInstance - Instância do mundo cliente.
+     * @param {{min: import('../../../shared/physics/vector.js').Vector3, max: import('../../../shared/physics/vector.js').Vector3}} mapBounds - Limites do mapa (ajustam a câmera de sombra).
      */
-    constructor(containerElement, clientWorldInstance) {
+    constructor(containerElement, clientWorldInstance, mapBounds) {
         if (!containerElement) throw new Error("Renderer requires a valid container element.");
         if (!clientWorldInstance) throw new Error("Renderer requires a ClientWorld instance.");
+        if (!mapBounds) throw new Error("Renderer requires the map bounds.");
         
         this.container = containerElement;
         this.clientWorld = clientWorldInstance;
@@ -76,7 +78,7 @@ export class Renderer {
         this.initializeScene();
         this.initializeCamera();
         this.initializeRenderer();
-        this.initializeLights();
+        this.initializeLights(mapBounds);
         this.setupResizeListener();
         
         log('[CLIENT] Renderer initialized with ClientWorld.');
@@ -107,7 +109,10 @@ export class Renderer {
         this.container.appendChild(this.webGLRenderer.domElement);
     }
 
-    initializeLights() {
+    /**
+     * @param {{min: import('../../../shared/physics/vector.js').Vector3, max: import('../../../shared/physics/vector.js').Vector3}} bounds - Limites do mapa.
+     */
+    initializeLights(bounds) {
         const ambientLight = new THREE.AmbientLight(0x606060, 1.5); // Aumenta um pouco a ambiente
         this.scene.add(ambientLight);
 
@@ -121,9 +126,19 @@ export class Renderer {
         this.directionalLight.shadow.camera.near = 10; // Ajusta near/far
         this.directionalLight.shadow.camera.far = 200;
 
+        this.setMapBounds(bounds);
+
+        this.scene.add(this.directionalLight);
+        this.scene.add(this.directionalLight.target);
+    }
+
+    /**
+     * Ajusta a câmera de sombra da luz direcional para cobrir os limites do mapa (inclusive após trocas de mapa).
+     * @param {{min: import('../../../shared/physics/vector.js').Vector3, max: import('../../../shared/physics/vector.js').Vector3}} bounds
+     */
+    setMapBounds(bounds) {
         // *** AJUSTE CRÍTICO PARA MAPA MAIOR ***
         // Calcula o frustum da câmera de sombra para cobrir os limites do mapa
-        const bounds = gameMap.getBounds();
         const shadowCamSizeX = (bounds.max.x - bounds.min.x) / 2 + 10; // Metade da largura + margem
         const shadowCamSizeZ = (bounds.max.z - bounds.min.z) / 2 + 10; // Metade da profundidade + margem
         this.directionalLight.shadow.camera.left = -shadowCamSizeX;
@@ -133,9 +148,6 @@ export class Renderer {
         // Atualiza a matriz de projeção da câmera de sombra
         this.directionalLight.shadow.camera.updateProjectionMatrix();
         // *** FIM DO AJUSTE ***
-
-        this.scene.add(this.directionalLight);
-        this.scene.add(this.directionalLight.target);
     }
 
     /**
@@ -361,8 +373,8 @@ export class Renderer {
         const cameraBasePosition = new THREE.Vector3();
         if (localPlayer) {
             // Posição dos "olhos" do jogador
-            cameraBasePosition.copy(localPlayer.position);
-            cameraBasePosition.y += PLAYER_EYE_HEIGHT;
+            cameraBasePosition.copy(localPlayer.getRenderPosition()); // Inclui a suavização da reconciliação
+            cameraBasePosition.y += localPlayer.getEyeHeight(); // Acompanha o agachamento
             
             // Adicionar offset para frente (estilo CS)
             const forwardVector = new THREE.Vector3(0, 0, -CAMERA_FORWARD_OFFSET);
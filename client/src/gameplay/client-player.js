@@ -1,31 +1,35 @@
 // client/src/gameplay/client-player.js
 import { Player } from '../../../shared/entities/player.js';
 import { Vector3 } from '../../../shared/physics/vector.js';
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
 import { clamp } from '../../../shared/utils/math-utils.js';
-import { createPlayerMesh } from '../generation/character-model-generator.js';
+import { createPlayerMesh, applyTeamColors } from '../generation/character-model-generator.js';
 // Import Singletons ou referências globais (MELHORAR COM DI NO FUTURO)
 import { NetworkManager } from '../network/network-manager.js';
-import {
-    SERVER_TICK_INTERVAL_MS,
-    BASE_PLAYER_SPEED,
-    PLAYER_ACCELERATION, // <-- NOVO
-    PLAYER_FRICTION,     // <-- NOVO
-    MIN_SPEED_THRESHOLD,  // <-- NOVO
-    GRAVITY // <-- Importar GRAVITY
-} from '../../../shared/constants/game-settings.js';
+import { MIN_SPEED_THRESHOLD } from '../../../shared/constants/game-settings.js';
+// Intervalo do tick e passo fixo em vigor (o servidor envia os seus valores na conexão)
+import { getTickIntervalMs, getFixedTimeStep } from '../../../shared/config/game-config.js';
+import { PLAYER_HEIGHT } from '../../../shared/base/collidable.js';
 import * as THREE from 'three';
 
+const { log, warn } = createLogger('player');
+
 // Tipos para JSDoc (melhora autocomplete e verificação)
 /** @typedef {import('../core/input-controller.js').InputController} InputController */
 /** @typedef {import('../../../shared/physics/collision-system.js').CollisionSystem} CollisionSystem */
 /** @typedef {import('../../../shared/gameplay/world/map.js').GameMap} GameMap */
+/** @typedef {import('../../../shared/physics/movement-system.js').MovementSystem} MovementSystem */
 /** @typedef {import('../../../shared/models/player-state.js').PlayerState} PlayerState */
 
-// Tempo (em ms) que tentamos renderizar 'atrás' do último estado recebido.
-const RENDER_DELAY = SERVER_TICK_INTERVAL_MS * 1.5;
-// --- AUMENTAR THRESHOLD: Tolerância de ~20cm antes de corrigir posição ---
-const RECONCILIATION_THRESHOLD_SQ = 0.2 * 0.2; // Era 0.05 * 0.05
+// --- Reconciliação por re-simulação de inputs ---
+// Erros acima desta distância (teleporte, respawn) são aplicados de imediato, sem suavização.
+const RECONCILIATION_SNAP_DISTANCE = 3.0;
+// Taxa (1/s) de decaimento exponencial do erro visual após uma correção.
+const VISUAL_ERROR_CORRECTION_RATE = 10;
+// Erros visuais menores que isto são descartados.
+const VISUAL_ERROR_EPSILON = 0.001;
+// Limite de inputs aguardando confirmação (evita crescimento sem servidor respondendo).
+const MAX_PENDING_INPUTS = 120;
 
 const ARM_AIM_UPPER_ROTATION = -Math.PI/6; // Ajuste do braço superior ao mirar
 const ARM_AIM_LOWER_ROTATION = -Math.PI/3; // Ajuste do antebraço ao mirar
@@ -54,17 +58,21 @@ let _inputController = null;
 let _collisionSystem = null;
 /** @type {GameMap | null} */
 let _gameMap = null;
+/** @type {MovementSystem | null} */
+let _movementSystem = null;
 
 /**
  * Configura dependências globais para ClientPlayer (SOLUÇÃO TEMPORÁRIA).
  * @param {InputController} inputCtrl
  * @param {CollisionSystem} collisionSys
  * @param {GameMap} gameMp
+ * @param {MovementSystem} movementSys - Mesmo sistema de movimento do servidor, usado na predição.
  */
-export function setClientPlayerDependencies(inputCtrl, collisionSys, gameMp) {
+export function setClientPlayerDependencies(inputCtrl, collisionSys, gameMp, movementSys) {
     _inputController = inputCtrl;
     _collisionSystem = collisionSys;
     _gameMap = gameMp;
+    _movementSystem = movementSys;
     log('[CLIENT] ClientPlayer dependencies injected (temporary solution).');
 }
 // --- Fim Injeção Temporária ---
@@ -88,6 +96,41 @@ export class ClientPlayer extends Player {
 
     /** @type {import('three').Mesh | import('three').Group | null} */
     mesh = null;
+    /**
+     * Time cuja cor está aplicada no mesh (para repintar quando o time muda).
+     * @type {string | null}
+     */
+    appliedTeam = null;
+
+    /**
+     * Se o jogador está no snapshot atual (área de interesse). Jogadores fora dela ficam ocultos.
+     * @type {boolean}
+     */
+    isRelevant = true;
+
+    // --- Reconciliação (jogador local) ---
+    /**
+     * Inputs já aplicados pela predição local e ainda não confirmados pelo servidor.
+     * @type {Array<import('../../../shared/models/player-input.js').PlayerInput>}
+     */
+    pendingInputs = [];
+    /**
+     * Diferença entre a posição exibida e a posição simulada, reduzida gradualmente
+     * para que correções do servidor não causem "saltos" visuais.
+     * @type {Vector3}
+     */
+    visualErrorOffset = new Vector3();
+    /**
+     * Posição simulada antes do último passo predito. A predição avança em passos fixos
+     * (getFixedTimeStep()), e a renderização interpola entre este ponto e a posição atual.
+     * @type {Vector3}
+     */
+    previousPredictedPosition = new Vector3();
+    /**
+     * Fração (0 a 1) do próximo passo fixo já decorrida no frame atual; definida pelo loop do cliente.
+     * @type {number}
+     */
+    simulationAlpha = 1;
 
     // --- Propriedades de Animação ---
     animationTime = 0;
@@ -121,11 +164,12 @@ export class ClientPlayer extends Player {
         this.previousState = { ...initialState }; // Clona
         // Usa timestamp do servidor ou estima se não vier no estado inicial
         this.targetStateTimestamp = initialState.timestamp || Date.now();
-        this.lastStateTimestamp = this.targetStateTimestamp - SERVER_TICK_INTERVAL_MS; // Estima timestamp anterior
+        this.lastStateTimestamp = this.targetStateTimestamp - getTickIntervalMs(); // Estima timestamp anterior
 
         // Criação do Mesh 3D (modelo de terceira pessoa)
         try {
-            this.mesh = createPlayerMesh();
+            this.mesh = createPlayerMesh({ team: this.team });
+            this.appliedTeam = this.team;
             // Associar ID da entidade ao UUID do mesh pode ajudar a encontrá-lo na cena
             this.mesh.uuid = this.id;
             // Guardar referência da entidade no mesh pode ser útil
@@ -141,6 +185,21 @@ export class ClientPlayer extends Player {
         log(`[CLIENT] ClientPlayer created: ${this.id} (${this.name}) at ${this.position.toString()}`);
     }
 
+    /**
+     * Marca o jogador como dentro ou fora da área de interesse deste cliente.
+     * Ao sair, os estados de interpolação são descartados para que, ao voltar, ele apareça
+     * direto na nova posição em vez de deslizar desde a última posição conhecida.
+     * @param {boolean} relevant
+     */
+    setRelevant(relevant) {
+        this.isRelevant = relevant;
+        if (!relevant) {
+            this.previousState = null;
+            this.targetState = null;
+            this.velocity.zero();
+        }
+    }
+
     /**
      * Atualiza os estados (para interpolação/reconciliação) com base nos dados do servidor.
      * @param {PlayerState} newState - O novo estado recebido do servidor.
@@ -157,7 +216,7 @@ export class ClientPlayer extends Player {
         } else {
              // Se targetState é nulo (primeira atualização?), usa newState como previous também
              this.previousState = { ...newState };
-             this.lastStateTimestamp = serverTimestamp - SERVER_TICK_INTERVAL_MS;
+             this.lastStateTimestamp = serverTimestamp - getTickIntervalMs();
         }
         this.targetState = newState;
         this.targetStateTimestamp = serverTimestamp;
@@ -171,8 +230,21 @@ export class ClientPlayer extends Player {
             if (newState.health !== undefined) this.health = newState.health;
             if (newState.maxHealth !== undefined) this.maxHealth = newState.maxHealth;
             if (newState.score !== undefined) this.score = newState.score;
+            if (newState.kills !== undefined) this.kills = newState.kills;
+            if (newState.deaths !== undefined) this.deaths = newState.deaths;
+            if (newState.assists !== undefined) this.assists = newState.assists;
+            if (newState.stamina !== undefined) this.stamina = newState.stamina;
+            if (newState.maxStamina !== undefined) this.maxStamina = newState.maxStamina;
+            if (newState.mana !== undefined) this.mana = newState.mana;
+            if (newState.maxMana !== undefined) this.maxMana = newState.maxMana;
+            if (newState.spellCooldowns !== undefined) this.spellCooldowns = newState.spellCooldowns;
+            // Efeitos (ex: haste) alteram a velocidade usada na predição
+            if (newState.statusEffects !== undefined) {
+                this.statusEffects = new Map(newState.statusEffects.map(({ type, ...effect }) => [type, effect]));
+            }
             if (newState.isAlive !== undefined) this.isAlive = newState.isAlive;
-            // Futuro: Aplicar mana, atributos, etc.
+            if (newState.team !== undefined) this.team = newState.team || null;
+            // Futuro: Aplicar atributos, etc.
 
             if (previousIsAlive !== this.isAlive) {
                 log(`[CLIENT] Local player ${this.id} isAlive changed: ${this.isAlive}`);
@@ -185,25 +257,17 @@ export class ClientPlayer extends Player {
 
             // Reconciliação de Posição
             if (newState.position && this.isAlive) { // Só reconcilia posição se estiver vivo
-                const serverPos = new Vector3(newState.position.x, newState.position.y, newState.position.z);
-                const discrepancySq = this.position.distanceToSq(serverPos);
-
-                if (discrepancySq > RECONCILIATION_THRESHOLD_SQ) {
-                    warn(`[CLIENT] Reconciling local player ${this.id} position. Error: ${Math.sqrt(discrepancySq).toFixed(3)}m`);
-                    this.position.copy(serverPos); // Correção abrupta ("snap")
-                    this.velocity.zero(); // Zera velocidade após correção para evitar continuar no erro
-                    // Para correção suave: re-simular inputs desde o último estado acked
-                }
+                this.reconcileWithServerState(newState);
             } else if (!this.isAlive) {
                  // Se o servidor diz que estamos mortos, garante que a posição local corresponda
-                 // (Embora a predição já deva parar, isso garante consistência)
                  if(newState.position) {
                      this.position.set(newState.position.x, newState.position.y, newState.position.z);
                  }
                  this.velocity.zero();
+                 this.previousPredictedPosition.copy(this.position);
+                 this.pendingInputs = [];
+                 this.visualErrorOffset.zero();
             }
-            // Limpeza de inputs pendentes (se reconciliação avançada)
-            // if (newState.lastAckedInputSequence !== undefined) { ... }
 
         } else {
             // --- Aplicação de Estado para Jogadores Remotos ---
@@ -211,13 +275,20 @@ export class ClientPlayer extends Player {
             // A posição será tratada pela interpolação no método update().
             super.setState(newState); // Usa o setState da classe base Player
         }
+
+        if (this.mesh && this.team !== this.appliedTeam) {
+            applyTeamColors(this.mesh, this.team);
+            this.appliedTeam = this.team;
+        }
     }
 
     /**
      * Atualização por frame no cliente: Executa predição ou interpolação.
      * @param {number} deltaTime - Tempo desde o último frame.
+     * @param {number | null} renderTime - Instante (relógio do servidor) exibido para as entidades remotas
+     *        (ClientWorld.getRenderTime()); null antes do primeiro snapshot.
      */
-    update(deltaTime) {
+    update(deltaTime, renderTime) {
         const isLocalPlayer = this.id === NetworkManager.getLocalPlayerId();
         let isMovingHorizontally = false;
 
@@ -225,44 +296,12 @@ export class ClientPlayer extends Player {
         this.isAiming = isLocalPlayer && currentKeys ? currentKeys.Aim : false;
 
         if (isLocalPlayer) {
-            // --- Predição de Movimento (Jogador Local) ---
-            if (this.isAlive && _inputController && _collisionSystem && _gameMap) {
-                // 1. Obter input atual
-                const currentKeys = _inputController.getActionKeysState();
-                const currentYaw = _inputController.getYaw();
-
-                // 2. Calcular/Atualizar velocidade local com aceleração/atrito
-                this.applyInputLocally(currentKeys, currentYaw, deltaTime);
-
-                // --- APLICAR GRAVIDADE NA PREDIÇÃO ---
-                // Somente se não estivermos "no chão" (simples: verifica se Y > 0)
-                // Uma checagem mais robusta usaria raycast para baixo ou estado isGrounded
-                if (this.position.y > _gameMap.getBounds().min.y + 0.01) { // Se não está exatamente no chão
-                    this.velocity.y -= GRAVITY * deltaTime;
-                }
-                // --- FIM GRAVIDADE PREDIÇÃO ---
-
-                // 3. Calcular deslocamento e posição prevista
-                const deltaPosition = this.velocity.clone().multiplyScalar(deltaTime);
-                const predictedPosition = this.position.clone().add(deltaPosition);
-
-                // 4. Resolver colisão com limites do mundo localmente
-                const finalPosition = _collisionSystem.resolveWorldBoundsCollision(
-                    this,
-                    predictedPosition,
-                    _gameMap.getBounds()
-                );
-
-                // 5. Aplicar posição final predita
-                this.position.copy(finalPosition);
-
-                // Zera velocidade Y local se colidiu com chão
-                const GROUND_Y = _gameMap.getBounds().min.y;
-                const IS_ON_GROUND = finalPosition.y <= GROUND_Y + 0.01;
-                if (IS_ON_GROUND && this.velocity.y < 0) {
-                    this.velocity.y = 0;
-                }
+            // --- Jogador Local ---
+            // A predição acontece em predictInput(), chamado com o mesmo input enviado ao servidor.
+            // Aqui apenas reduzimos o erro visual deixado pela última reconciliação.
+            this.decayVisualError(deltaTime);
 
+            if (this.isAlive) {
                 // --- Verifica se está movendo para animação ---
                 const horizontalVelocitySq = this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z;
                 isMovingHorizontally = horizontalVelocitySq > MIN_SPEED_THRESHOLD * MIN_SPEED_THRESHOLD;
@@ -274,13 +313,11 @@ export class ClientPlayer extends Player {
             }
         } else {
             // --- Interpolação (Jogadores Remotos) ---
-            if (this.isAlive && this.previousState && this.targetState && this.targetStateTimestamp > this.lastStateTimestamp) {
-                const now = Date.now();
-                const renderTimestamp = now - RENDER_DELAY; // O tempo que queremos visualizar
-
+            if (this.isAlive && this.previousState && this.targetState && renderTime !== null
+                && this.targetStateTimestamp > this.lastStateTimestamp) {
                 const timeRatio = (this.targetStateTimestamp - this.lastStateTimestamp);
                 let alpha = (timeRatio > 0)
-                    ? (renderTimestamp - this.lastStateTimestamp) / timeRatio
+                    ? (renderTime - this.lastStateTimestamp) / timeRatio
                     : 1; // Evita divisão por zero se timestamps iguais
 
                 alpha = clamp(alpha, 0, 1); // Garante que alpha esteja entre 0 e 1
@@ -310,7 +347,9 @@ export class ClientPlayer extends Player {
         // ou como este jogador se vê em uma hipotética visão de terceira pessoa.
         // O mesh do jogador local é OCULTADO pelo Renderer na visão em primeira pessoa.
         if (this.mesh) {
-            this.mesh.position.copy(this.position);
+            this.mesh.position.copy(this.getRenderPosition());
+            // Agachamento: achata o modelo proporcionalmente à altura atual
+            this.mesh.scale.y = THREE.MathUtils.lerp(this.mesh.scale.y, this.height / PLAYER_HEIGHT, Math.min(1, deltaTime * 15));
 
             // Atualiza rotação visual do jogador local para corresponder à câmera
             if (isLocalPlayer && _inputController) {
@@ -441,78 +480,116 @@ export class ClientPlayer extends Player {
     }
 
     /**
-     * Calcula a velocidade local baseada no input, com aceleração/atrito (para predição).
-     * @param {object} keys - Estado das teclas {W, A, S, D, ...}.
-     * @param {number} lookYaw - Rotação horizontal.
-     * @param {number} clientDeltaTime - Delta time do frame do cliente.
+     * Prediz localmente o resultado de um input já enviado ao servidor e o guarda
+     * até ser confirmado (lastProcessedInputSequence), para re-simulação na reconciliação.
+     * @param {import('../../../shared/models/player-input.js').PlayerInput} input
      */
-    applyInputLocally(keys, lookYaw, clientDeltaTime) {
-        // 1. Calcula vetor de input local
-        let inputDirection = Vector3.ZERO.clone();
-        let hasMovementInput = false;
-        if (keys.W) inputDirection.z -= 1; // Z- é para frente
-        if (keys.S) inputDirection.z += 1; // Z+ é para trás
-        if (keys.A) inputDirection.x -= 1; // X- é para esquerda
-        if (keys.D) inputDirection.x += 1; // X+ é para direita
-
-        // 2. Calcula direção e velocidade alvo no mundo
-        let targetVelocity = Vector3.ZERO.clone();
-        if (inputDirection.magnitudeSq() > 0) {
-            hasMovementInput = true;
-            inputDirection.normalize();
-            
-            // CORREÇÃO da rotação baseada na câmera
-            const angle = lookYaw;
-            const cosYaw = Math.cos(angle);
-            const sinYaw = Math.sin(angle);
-            
-            // A orientação padrão no three.js é Z- sendo "para frente"
-            const worldX = inputDirection.x * cosYaw + inputDirection.z * sinYaw;
-            const worldZ = -inputDirection.x * sinYaw + inputDirection.z * cosYaw;
-            
-            const worldDirection = new Vector3(worldX, 0, worldZ).normalize();
-            targetVelocity = worldDirection.multiplyScalar(BASE_PLAYER_SPEED);
+    predictInput(input) {
+        if (!this.isAlive || !_movementSystem || !input) return;
+
+        this.previousPredictedPosition.copy(this.position);
+        this.simulateInput(input);
+        this.pendingInputs.push(input);
+        if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+            this.pendingInputs.shift();
         }
+    }
 
-        // 3. Aplica Aceleração ou Atrito (espelhando servidor)
-        if (hasMovementInput) {
-            const accelFactor = clamp(PLAYER_ACCELERATION * clientDeltaTime, 0, 1);
-            this.velocity.lerp(targetVelocity, accelFactor);
-        } else {
-            const currentSpeedSq = this.velocity.magnitudeSq();
-            if (currentSpeedSq > MIN_SPEED_THRESHOLD * MIN_SPEED_THRESHOLD) {
-                const frictionMagnitude = PLAYER_FRICTION * clientDeltaTime;
-                const currentSpeed = Math.sqrt(currentSpeedSq);
-                const newSpeed = Math.max(0, currentSpeed - frictionMagnitude);
-                if (currentSpeed > 0) { // Evita divisão por zero
-                    this.velocity.multiplyScalar(newSpeed / currentSpeed);
-                } else {
-                     this.velocity.zero();
-                }
-            } else {
-                this.velocity.zero();
+    /**
+     * Aplica um input ao estado de movimento atual: velocidade (mesma lógica do servidor) seguida de
+     * gravidade, integração, colisões, postura e chão pelo mesmo MovementSystem usado no servidor.
+     * Usa o passo fixo exato (e não o deltaTime quantizado do input), como o servidor.
+     * @param {import('../../../shared/models/player-input.js').PlayerInput} input
+     */
+    simulateInput(input) {
+        const fixedTimeStep = getFixedTimeStep();
+        this.applyInputLocally(input.keys || {}, input.lookYaw, fixedTimeStep);
+        _movementSystem.update([this], fixedTimeStep, []);
+    }
+
+    /**
+     * Reconciliação do jogador local: parte do estado autoritativo do servidor, descarta os inputs
+     * já confirmados e re-simula os pendentes. A diferença para a posição exibida vira um erro
+     * visual que é reduzido gradualmente em vez de um "snap".
+     * @param {PlayerState} serverState
+     */
+    reconcileWithServerState(serverState) {
+        const ackedSequence = serverState.lastProcessedInputSequence;
+        if (typeof ackedSequence === 'number') {
+            this.pendingInputs = this.pendingInputs.filter(input => input.sequence > ackedSequence);
+        }
+
+        const displayedPosition = this.getRenderPosition();
+        const predictedPosition = this.position.clone();
+
+        // 1. Estado autoritativo
+        this.position.set(serverState.position.x, serverState.position.y, serverState.position.z);
+        if (serverState.velocity) {
+            this.velocity.set(serverState.velocity.x, serverState.velocity.y, serverState.velocity.z);
+        }
+        if (serverState.isGrounded !== undefined) this.isGrounded = serverState.isGrounded;
+        if (serverState.isCrouching !== undefined && serverState.isCrouching !== this.isCrouching) {
+            this.setCrouching(serverState.isCrouching);
+        }
+
+        // 2. Re-simula os inputs que o servidor ainda não processou
+        if (_movementSystem) {
+            for (const input of this.pendingInputs) {
+                this.simulateInput(input);
             }
         }
 
-        // --- Aplicação de Aceleração e Atrito (Exponencial - ESPELHANDO SERVIDOR) ---
-        const K_ACCEL = PLAYER_ACCELERATION;
-        const K_FRICTION = PLAYER_FRICTION;
+        // O passo interpolado na tela recebe a mesma correção que a posição simulada
+        this.previousPredictedPosition.add(Vector3.subtract(this.position, predictedPosition));
 
-        if (hasMovementInput) {
-            // Interpola exponencialmente para a velocidade alvo
-            const alpha = 1 - Math.exp(-K_ACCEL * clientDeltaTime);
-            this.velocity.lerp(targetVelocity, alpha);
+        // 3. Erro visual: o que estava na tela menos o novo resultado simulado
+        const error = displayedPosition.subtract(this.getInterpolatedPosition());
+        const errorDistance = error.magnitude();
+        if (errorDistance > RECONCILIATION_SNAP_DISTANCE) {
+            warn(`[CLIENT] Local player ${this.id} diverged ${errorDistance.toFixed(3)}m from server; snapping.`);
+            this.visualErrorOffset.zero();
         } else {
-            // Interpola exponencialmente para velocidade zero (atrito)
-            const alpha = 1 - Math.exp(-K_FRICTION * clientDeltaTime);
-            this.velocity.lerp(Vector3.ZERO, alpha);
+            this.visualErrorOffset.copy(error);
+        }
+    }
 
-            // Se a velocidade ficar muito pequena, zera completamente
-            if (this.velocity.magnitudeSq() < MIN_SPEED_THRESHOLD * MIN_SPEED_THRESHOLD) {
-                this.velocity.zero();
-            }
+    /**
+     * Reduz exponencialmente o erro visual da reconciliação.
+     * @param {number} deltaTime
+     */
+    decayVisualError(deltaTime) {
+        if (this.visualErrorOffset.magnitudeSq() < VISUAL_ERROR_EPSILON * VISUAL_ERROR_EPSILON) {
+            this.visualErrorOffset.zero();
+            return;
         }
-         // --- Fim Aceleração/Atrito ---
+        this.visualErrorOffset.multiplyScalar(Math.exp(-VISUAL_ERROR_CORRECTION_RATE * deltaTime));
+    }
+
+    /**
+     * Posição simulada interpolada entre os dois últimos passos preditos (ver simulationAlpha).
+     * @returns {Vector3}
+     */
+    getInterpolatedPosition() {
+        return Vector3.lerp(this.previousPredictedPosition, this.position, this.simulationAlpha);
+    }
+
+    /**
+     * Posição usada para renderização (mesh e câmera): a posição simulada interpolada mais o erro visual restante.
+     * @returns {Vector3}
+     */
+    getRenderPosition() {
+        return this.getInterpolatedPosition().add(this.visualErrorOffset);
+    }
+
+    /**
+     * Calcula a velocidade local baseada no input (para predição).
+     * Delega para Player.applyMovementInput, o mesmo código executado pelo servidor.
+     * @param {object} keys - Estado das teclas {W, A, S, D, Shift, Space, Crouch, ...}.
+     * @param {number} lookYaw - Rotação horizontal.
+     * @param {number} clientDeltaTime - Delta time do frame do cliente.
+     */
+    applyInputLocally(keys, lookYaw, clientDeltaTime) {
+        this.applyMovementInput(keys, lookYaw, clientDeltaTime);
     }
 
     // --- Métodos de Cena ---
@@ -1,11 +1,11 @@
 import { Projectile } from '../../../shared/entities/projectile.js';
 import { Vector3 } from '../../../shared/physics/vector.js';
 import { createProjectileMesh } from '../generation/projectile-model-generator.js'; // <-- Importar generator
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
 import { clamp } from '../../../shared/utils/math-utils.js';
-import { SERVER_TICK_INTERVAL_MS } from '../../../shared/constants/game-settings.js';
+import { getTickIntervalMs } from '../../../shared/config/game-config.js';
 
-const RENDER_DELAY_PROJ = SERVER_TICK_INTERVAL_MS * 1.5; // Delay similar ao do jogador
+const { log, warn } = createLogger('world');
 
 /**
  * Representa a instância de um projétil no lado do cliente.
@@ -38,7 +38,7 @@ export class ClientProjectile extends Projectile {
     this.targetState = { ...initialState };
     this.previousState = { ...initialState };
     this.targetStateTimestamp = initialState.timestamp || Date.now(); // Usa timestamp do gameState
-    this.lastStateTimestamp = this.targetStateTimestamp - SERVER_TICK_INTERVAL_MS;
+    this.lastStateTimestamp = this.targetStateTimestamp - getTickIntervalMs();
 
     // Aplica o estado inicial completo (incluindo posição)
     this.setState(initialState);
@@ -80,14 +80,13 @@ export class ClientProjectile extends Projectile {
   /**
    * Atualiza a posição do projétil via interpolação.
    * @param {number} deltaTime
+   * @param {number | null} renderTime - Instante (relógio do servidor) exibido, o mesmo dos jogadores remotos.
    */
-  update(deltaTime) {
+  update(deltaTime, renderTime) {
     // Interpolação de Posição (similar ao ClientPlayer remoto)
-    if (this.previousState && this.targetState) {
-        const now = Date.now();
-        const interpolationTime = now - RENDER_DELAY_PROJ;
+    if (this.previousState && this.targetState && renderTime !== null) {
         const timeDiff = this.targetStateTimestamp - this.lastStateTimestamp;
-        let alpha = (timeDiff > 0) ? (interpolationTime - this.lastStateTimestamp) / timeDiff : 1;
+        let alpha = (timeDiff > 0) ? (renderTime - this.lastStateTimestamp) / timeDiff : 1;
         alpha = clamp(alpha, 0, 1);
 
         if (this.previousState.position && this.targetState.position) {
@@ -1,11 +1,19 @@
 import { ClientPlayer } from './client-player.js';
 import { ClientProjectile } from './client-projectile.js';
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+import { ServerClockEstimate } from '../../../shared/utils/clock.js';
+import { getInterpolationDelayMs } from '../../../shared/config/game-config.js';
+
+const { log, warn } = createLogger('world');
+
 // Importar tipos para JSDoc
 // import type { InputController } from '../core/input-controller.js';
 // import type { CollisionSystem } from '../../../shared/physics/collision-system.js';
 // import type { GameMap } from '../../../shared/gameplay/world/map.js';
 
+// Quantidade máxima de abates mantidos no kill feed
+const KILL_FEED_MAX_ENTRIES = 5;
+
 /**
  * Gerencia a representação do mundo do jogo no cliente, incluindo todos os jogadores
  * e outras entidades, com base nos dados recebidos do servidor.
@@ -29,6 +37,24 @@ export class ClientWorld {
    */
   impactEvents;
 
+  /**
+   * Abates mais recentes recebidos do servidor (kill feed), do mais antigo ao mais novo.
+   * @type {Array<object>}
+   */
+  killFeed;
+
+  /**
+   * Placar dos times no último snapshot (vazio fora do modo em equipe).
+   * @type {Array<import('../../../shared/models/game-state.js').TeamScore>}
+   */
+  teamScores;
+
+  /**
+   * Relógio do servidor estimado a partir dos snapshots (alimentado pelo StateSynchronizer).
+   * @type {ServerClockEstimate}
+   */
+  serverClock;
+
   /**
    * Cria uma instância do ClientWorld.
    */
@@ -36,6 +62,9 @@ export class ClientWorld {
     this.players = new Map();
     this.projectiles = new Map();
     this.impactEvents = [];
+    this.killFeed = [];
+    this.teamScores = [];
+    this.serverClock = new ServerClockEstimate();
     log('[CLIENT] ClientWorld initialized.');
   }
   
@@ -69,9 +98,25 @@ export class ClientWorld {
     return events;
   }
 
+  /**
+   * Registra um abate no kill feed, descartando as entradas mais antigas.
+   * @param {{victimId: string, victimName: string|null, killerId: string|null, killerName: string|null, weaponType: string|null, hitboxKey: string, distance: number|null}} killData
+   */
+  addKillEvent(killData) {
+    this.killFeed.push({ ...killData, timeAdded: Date.now() });
+    if (this.killFeed.length > KILL_FEED_MAX_ENTRIES) {
+      this.killFeed.splice(0, this.killFeed.length - KILL_FEED_MAX_ENTRIES);
+    }
+    const victimLabel = killData.victimName ?? killData.victimId;
+    const killerLabel = killData.suicide ? victimLabel : killData.killerName ?? killData.killerId ?? 'world';
+    log(`[CLIENT] ${killerLabel} ${killData.suicide ? 'killed themselves' : `killed ${killData.teamKill ? 'teammate ' : ''}${victimLabel}`} (${killData.weaponType ?? 'unknown'}, ${killData.hitboxKey}${killData.distance !== null && killData.distance !== undefined ? `, ${killData.distance}m` : ''})`);
+  }
+
   /**
    * Atualiza o estado do mundo do cliente com base em um snapshot recebido do servidor.
-   * Cria, atualiza ou remove entidades conforme necessário.
+   * Cria ou atualiza entidades conforme necessário. O servidor envia apenas as entidades relevantes
+   * para este cliente: jogadores ausentes do snapshot ficam ocultos (não removidos) até voltarem
+   * ou até o servidor avisar a desconexão; projéteis ausentes são removidos.
    * @param {import('../../../shared/models/game-state.js').GameState} gameState - O snapshot do estado do jogo vindo do servidor.
    */
   updateFromState(gameState) {
@@ -89,7 +134,8 @@ export class ClientWorld {
       const existingPlayer = this.players.get(playerState.id);
 
       if (existingPlayer) {
-        // Jogador já existe, atualiza seu estado
+        // Jogador já existe, atualiza seu estado (voltando a ser relevante, se estava oculto)
+        if (!existingPlayer.isRelevant) existingPlayer.setRelevant(true);
         existingPlayer.updateState(playerState, serverTimestamp);
       } else {
         // Novo jogador, cria e adiciona ao mapa
@@ -105,14 +151,10 @@ export class ClientWorld {
       }
     }
 
-    // 2. Remover jogadores locais que não estão mais no snapshot (desconectaram)
+    // 2. Jogadores fora do snapshot saíram da área de interesse: ficam ocultos até voltarem
     for (const [playerId, player] of this.players.entries()) {
-      if (!incomingPlayerIds.has(playerId)) {
-        log(`[CLIENT] Removing player ${playerId} (not in snapshot).`);
-        // Evento/callback para notificar SceneManager para remover o mesh (Etapa 8)
-        // this.emit('playerRemoved', player);
-        this.players.delete(playerId);
-        // A remoção do mesh da cena será feita pelo SceneManager
+      if (!incomingPlayerIds.has(playerId) && player.isRelevant) {
+        player.setRelevant(false);
       }
     }
 
@@ -150,6 +192,43 @@ export class ClientWorld {
             this.projectiles.delete(projectileId);
         }
     }
+
+    this.teamScores = gameState.teamScores ?? [];
+  }
+
+  /**
+   * Remove todas as entidades e eventos (ex: ao trocar de sala).
+   * A remoção dos meshes da cena é feita pelo SceneManager.
+   */
+  clear() {
+    this.players.clear();
+    this.projectiles.clear();
+    this.impactEvents = [];
+    this.killFeed = [];
+    this.teamScores = [];
+    this.serverClock.reset();
+  }
+
+  /**
+   * Instante, no relógio do servidor, em que as entidades remotas são exibidas (atrasado pela interpolação).
+   * É enviado nos inputs (viewTime) para a compensação de latência.
+   * @param {number} [localTime=Date.now()]
+   * @returns {number | null} null antes do primeiro snapshot.
+   */
+  getRenderTime(localTime = Date.now()) {
+    const serverTime = this.serverClock.toServerTime(localTime);
+    return serverTime === null ? null : serverTime - getInterpolationDelayMs();
+  }
+
+  /**
+   * Remove um jogador do mundo (desconexão informada pelo servidor).
+   * A remoção do mesh da cena é feita pelo SceneManager.
+   * @param {string} playerId
+   */
+  removePlayer(playerId) {
+    if (this.players.delete(playerId)) {
+      log(`[CLIENT] Removing player ${playerId} (disconnected).`);
+    }
   }
 
   /**
@@ -160,14 +239,16 @@ export class ClientWorld {
    * @param {import('../../../shared/gameplay/world/map.js').GameMap | null} gameMap - Necessário para a predição local.
    */
   update(deltaTime, inputController, collisionSystem, gameMap) {
+    const renderTime = this.getRenderTime();
+
     // Atualiza todos os jogadores
     for (const player of this.players.values()) {
-      player.update(deltaTime, inputController, collisionSystem, gameMap);
+      player.update(deltaTime, renderTime);
     }
 
     // Atualiza projéteis (Tarefa 3)
     for (const projectile of this.projectiles.values()) {
-      projectile.update(deltaTime); // Passa deltaTime para interpolação
+      projectile.update(deltaTime, renderTime); // Passa deltaTime para interpolação
     }
   }
 
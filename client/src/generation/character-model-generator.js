@@ -2,7 +2,10 @@ import * as THREE from 'three';
 import { PLAYER_HEIGHT, PLAYER_WIDTH, PLAYER_DEPTH } from '../../../shared/base/collidable.js';
 // Importar gerador de arma
 import { createWeaponMesh } from './weapon-model-generator.js';
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+import { TEAM_COLORS } from '../../../shared/constants/team-settings.js';
+
+const { log, warn } = createLogger('models');
 
 // Cache de Materiais
 const materialCache = {
@@ -14,13 +17,45 @@ const materialCache = {
     backpack: new THREE.MeshStandardMaterial({ color: 0x705030, roughness: 0.8, name: 'BackpackMat'}) // Mochila
 };
 
+// Camisas nas cores dos times, criadas sob demanda
+const teamShirtCache = new Map();
+
+/**
+ * Material da camisa (torso e mangas) de um time.
+ * @param {string | null} team - null (ou time sem cor) usa a camisa padrão.
+ * @returns {THREE.MeshStandardMaterial}
+ */
+function getShirtMaterial(team) {
+    const color = team ? TEAM_COLORS[team] : undefined;
+    if (color === undefined) return materialCache.shirt;
+    let material = teamShirtCache.get(team);
+    if (!material) {
+        material = new THREE.MeshStandardMaterial({ color, roughness: 0.7, name: `ShirtMat_${team}` });
+        teamShirtCache.set(team, material);
+    }
+    return material;
+}
+
+/**
+ * Pinta a camisa (torso e mangas) do modelo com a cor do time.
+ * @param {THREE.Group} playerGroup - Modelo criado por createStylizedPlayerModel.
+ * @param {string | null} team - null volta à camisa padrão.
+ */
+export function applyTeamColors(playerGroup, team) {
+    const material = getShirtMaterial(team);
+    playerGroup.traverse(child => {
+        if (child.userData.teamColored) child.material = material;
+    });
+}
+
 /**
  * Cria um modelo 3D low-poly estilizado para o jogador.
  * O modelo é construído com a frente voltada para -Z (padrão Three.js).
  * A origem do grupo é na base (Y=0), centro (X=0, Z=0).
+ * @param {{team?: string | null}} [options] - `team`: a camisa usa a cor do time (ver TEAM_COLORS).
  * @returns {THREE.Group} O grupo contendo as partes do corpo do jogador.
  */
-export function createStylizedPlayerModel() {
+export function createStylizedPlayerModel({ team = null } = {}) {
     const playerGroup = new THREE.Group();
     playerGroup.name = "StylizedPlayerModel";
 
@@ -102,10 +137,11 @@ export function createStylizedPlayerModel() {
     playerGroup.add(neckMesh);
 
     // Torso
-    const torsoMesh = new THREE.Mesh(torsoGeo, materialCache.shirt);
+    const torsoMesh = new THREE.Mesh(torsoGeo, getShirtMaterial(team));
     torsoMesh.position.y = torsoY;
     torsoMesh.castShadow = true; torsoMesh.receiveShadow = true;
     torsoMesh.userData.bodyPart = 'torso'; // Marcação para visibilidade em primeira pessoa
+    torsoMesh.userData.teamColored = true; // Recebe a cor do time (applyTeamColors)
     playerGroup.add(torsoMesh);
 
     // Mochila (Anexada ao Grupo Principal, posicionada atrás do Torso)
@@ -126,11 +162,12 @@ export function createStylizedPlayerModel() {
         armGroup.position.set(armOffsetX * sideMultiplier, armY, 0); // Posição do ombro
 
         // Braço Superior
-        const upperArmMesh = new THREE.Mesh(upperArmGeo, materialCache.shirt); // Manga da camisa
+        const upperArmMesh = new THREE.Mesh(upperArmGeo, getShirtMaterial(team)); // Manga da camisa
         upperArmMesh.position.y = -upperArmLength / 2; // Pivô no topo
         upperArmMesh.rotation.x = Math.PI / 2; // Alinhar cilindro com eixo Y
         upperArmMesh.castShadow = true; upperArmMesh.receiveShadow = true;
         upperArmMesh.userData.bodyPart = `arm_upper_${side[0]}`; // Marcação para animação
+        upperArmMesh.userData.teamColored = true;
         armGroup.add(upperArmMesh);
 
         // Antebraço (relativo ao fim do braço superior)
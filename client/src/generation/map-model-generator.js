@@ -1,7 +1,9 @@
 import * as THREE from 'three';
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
 import { Vector3 } from '../../../shared/physics/vector.js'; // Importar Vector3
 
+const { log, warn } = createLogger('models');
+
 // --- Cache de Materiais (Opcional mas recomendado) ---
 const materialCache = new Map();
 function getMaterial(type) {
@@ -14,8 +16,15 @@ function getMaterial(type) {
             material = new THREE.MeshStandardMaterial({ color: 0x55aa55, roughness: 0.9, metalness: 0.0 }); // Verde Grama
             break;
         case 'box':
+        case 'wood':
             material = new THREE.MeshStandardMaterial({ color: 0x9d6a3f, roughness: 0.8, metalness: 0.1 }); // Marrom Madeira/Caixa
             break;
+        case 'stone':
+            material = new THREE.MeshStandardMaterial({ color: 0x8a8a85, roughness: 0.95, metalness: 0.0 }); // Cinza Pedra
+            break;
+        case 'metal':
+            material = new THREE.MeshStandardMaterial({ color: 0x7d8790, roughness: 0.4, metalness: 0.8 }); // Aço
+            break;
         case 'tree_trunk':
             material = new THREE.MeshStandardMaterial({ color: 0x654321, roughness: 0.9 }); // Marrom Tronco
             break;
@@ -23,6 +32,7 @@ function getMaterial(type) {
             material = new THREE.MeshStandardMaterial({ color: 0x44aa44, roughness: 0.8 }); // Verde Copa
             break;
         default:
+            warn(`[CLIENT] Unknown material '${type}'. Using placeholder.`);
             material = new THREE.MeshStandardMaterial({ color: 0xff00ff }); // Magenta para erro/desconhecido
     }
     materialCache.set(type, material);
@@ -55,7 +65,8 @@ export function createMapMesh(gameMap) {
         const floorGeometry = new THREE.PlaneGeometry(mapWidth, mapDepth, 10, 10); // Adiciona segmentos para possível deformação futura
         const floorMaterial = getMaterial('ground');
         const floorMesh = new THREE.Mesh(floorGeometry, floorMaterial);
-        floorMesh.position.set(0, floorY, 0);
+        // Centro dos limites (os mapas não precisam ser centrados na origem)
+        floorMesh.position.set((bounds.min.x + bounds.max.x) / 2, floorY, (bounds.min.z + bounds.max.z) / 2);
         floorMesh.rotation.x = -Math.PI / 2;
         floorMesh.name = "MapFloor";
         floorMesh.receiveShadow = true;
@@ -77,20 +88,37 @@ export function createMapMesh(gameMap) {
                 switch (obstacle.type) {
                     case 'box': {
                         const boxGeo = new THREE.BoxGeometry(obstacle.size.x, obstacle.size.y, obstacle.size.z);
-                        const boxMat = getMaterial('box');
+                        // Material definido no arquivo do mapa (padrão: caixa de madeira)
+                        const boxMat = getMaterial(obstacle.material ?? 'box');
                         elementMesh = new THREE.Mesh(boxGeo, boxMat);
                         // Posição: Centro da base + metade da altura
                         elementMesh.position.copy(obstacle.position);
                         elementMesh.position.y += obstacle.size.y / 2;
-                        // Aplica rotação visual se definida
-                        if (obstacle.rotationY) {
-                             elementMesh.rotation.y = obstacle.rotationY;
-                        }
+                        // Mesma rotação (em torno do centro da base) usada na colisão como caixa orientada
+                        elementMesh.rotation.y = obstacle.rotationY ?? 0;
+                        break;
+                    }
+                    case 'ramp': {
+                        // Perfil triangular (comprimento x altura) extrudado na largura; depois girado e
+                        // centrado para que a rampa suba ao longo do Z local, como na colisão
+                        const halfLength = obstacle.size.z / 2;
+                        const profile = new THREE.Shape();
+                        profile.moveTo(-halfLength, 0);
+                        profile.lineTo(halfLength, 0);
+                        profile.lineTo(halfLength, obstacle.size.y);
+                        profile.closePath();
+                        const rampGeo = new THREE.ExtrudeGeometry(profile, { depth: obstacle.size.x, bevelEnabled: false });
+                        rampGeo.rotateY(-Math.PI / 2);
+                        rampGeo.translate(obstacle.size.x / 2, 0, 0);
+                        elementMesh = new THREE.Mesh(rampGeo, getMaterial(obstacle.material ?? 'stone'));
+                        elementMesh.position.copy(obstacle.position);
+                        elementMesh.rotation.y = obstacle.rotationY ?? 0;
                         break;
                     }
                     case 'tree': {
                         const treeGroup = new THREE.Group();
                         treeGroup.position.copy(obstacle.position);
+                        treeGroup.rotation.y = obstacle.rotationY ?? 0;
 
                         // --- Dimensões Visuais ---
                         // Usar dimensões que façam sentido visualmente,
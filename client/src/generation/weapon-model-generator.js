@@ -1,6 +1,8 @@
 // client/src/generation/weapon-model-generator.js
 import * as THREE from 'three';
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+
+const { log, warn } = createLogger('models');
 
 // Cache de Materiais (similar aos outros geradores)
 const materialCache = new Map();
@@ -1,5 +1,5 @@
 // client/src/main.js
-import * as logger from '../../shared/utils/logger.js';
+import { createLogger } from '../../shared/utils/logger.js';
 import { NetworkManager } from './network/network-manager.js';
 import { ClientWorld } from './gameplay/client-world.js';
 import { StateSynchronizer } from './network/state-synchronizer.js';
@@ -7,8 +7,11 @@ import { Renderer } from './core/renderer.js';
 import { SceneManager } from './managers/scene-manager.js';
 import { InputController } from './core/input-controller.js';
 import { ResourcesManager } from './managers/resources-manager.js';
-import gameMap from '../../shared/gameplay/world/map.js';
+import { DEFAULT_MAP_ID } from '../../shared/constants/map-settings.js';
 import { CollisionSystem } from '../../shared/physics/collision-system.js';
+import { MovementSystem } from '../../shared/physics/movement-system.js';
+import { MAX_INPUT_DELTA_TIME, MAX_CATCH_UP_STEPS } from '../../shared/constants/game-settings.js';
+import { getFixedTimeStep } from '../../shared/config/game-config.js';
 // Importa a função de injeção de dependência
 import { setClientPlayerDependencies } from './gameplay/client-player.js';
 // import { UIManager } from './ui/ui-manager.js';
@@ -25,11 +28,29 @@ class GameClient {
     sceneManager;
     inputController;
     resourcesManager;
+    /** @type {import('../../shared/gameplay/world/map.js').GameMap | null} */
+    gameMap = null;
+    /**
+     * Mesh do mapa atual na cena (substituído nas trocas de mapa).
+     * @type {import('three').Group | null}
+     */
+    mapMesh = null;
+    /**
+     * Incrementado a cada troca de mapa pedida, para descartar carregamentos que ficaram obsoletos.
+     * @type {number}
+     */
+    mapRequestId = 0;
     collisionSystem;
+    movementSystem;
     // uiManager;
 
     lastFrameTime = 0;
     animationFrameId = null;
+    /**
+     * Tempo (segundos) acumulado e ainda não consumido por passos fixos de input/predição.
+     * @type {number}
+     */
+    simulationAccumulator = 0;
 
     // --- NOVO: Referências aos elementos da mira ---
     crosshairHorizontalEl = null;
@@ -51,9 +72,28 @@ class GameClient {
         }
         // --- FIM NOVO ---
 
+        this.start(gameContainer);
+    }
+
+    /**
+     * Carrega o mapa e, em seguida, inicializa os sistemas e o loop do jogo.
+     * O mapa é o da sala atual, se o servidor já informou; senão o padrão, trocado assim que a sala for conhecida.
+     * @param {HTMLElement} gameContainer - O elemento DOM para renderização.
+     */
+    async start(gameContainer) {
         try {
+            this.resourcesManager = new ResourcesManager();
+            const room = NetworkManager.currentRoom;
+            this.gameMap = await this.resourcesManager.loadMap(room?.mapId ?? DEFAULT_MAP_ID, room?.mapHash ?? null);
             this.initialize(gameContainer);
             this.startGameLoop();
+
+            // O servidor define o mapa: ao entrar em uma sala e ao fim de cada partida
+            this.networkManager.on('roomJoined', (joinedRoom) => this.changeMap(joinedRoom.mapId, joinedRoom.mapHash));
+            this.networkManager.on('mapChange', (mapChange) => this.changeMap(mapChange.mapId, mapChange.hash));
+            if (this.networkManager.currentRoom) {
+                this.changeMap(this.networkManager.currentRoom.mapId, this.networkManager.currentRoom.mapHash);
+            }
         } catch (error) {
             this.logger.error("Failed to initialize Game Client:", error);
             const body = document.querySelector('body');
@@ -64,16 +104,11 @@ class GameClient {
     }
 
     createClientLogger() {
-        const prefix = "[CLIENT]";
-        return {
-            log: (...args) => logger.log(prefix, ...args),
-            warn: (...args) => logger.warn(prefix, ...args),
-            error: (...args) => logger.error(prefix, ...args),
-        };
+        return createLogger('client');
     }
 
     /**
-     * Inicializa os sistemas principais do cliente.
+     * Inicializa os sistemas principais do cliente (o mapa já deve estar carregado).
      * @param {HTMLElement} gameContainer - O elemento DOM para renderização.
      */
     initialize(gameContainer) {
@@ -87,13 +122,17 @@ class GameClient {
         // 2. Input
         this.inputController = new InputController(gameContainer);
 
-        // 3. Recursos e Física (necessários para predição e renderização)
-        this.resourcesManager = new ResourcesManager();
+        // 3. Física (necessária para predição e renderização)
         this.collisionSystem = new CollisionSystem(); // Instância do cliente para predição
+        this.movementSystem = new MovementSystem(
+            this.collisionSystem,
+            this.gameMap.getBounds(),
+            this.gameMap.getStaticObstacles()
+        );
 
         // 4. Renderização
         // MODIFICAÇÃO: Passar clientWorld para o Renderer
-        this.renderer = new Renderer(gameContainer, this.clientWorld);
+        this.renderer = new Renderer(gameContainer, this.clientWorld, this.gameMap.getBounds());
         this.sceneManager = new SceneManager(this.clientWorld, this.renderer);
 
         // --- Injeção de Dependência para ClientPlayer (TEMPORÁRIO) ---
@@ -101,7 +140,8 @@ class GameClient {
         setClientPlayerDependencies(
             this.inputController,
             this.collisionSystem,
-            gameMap // Passa a instância importada do mapa compartilhado
+            this.gameMap, // Mapa carregado do arquivo JSON
+            this.movementSystem
         );
         // --- Fim da Injeção ---
 
@@ -117,15 +157,54 @@ class GameClient {
         });
 
         // Carregar e adicionar o mesh do mapa
-        const mapMesh = this.resourcesManager.loadMapMesh(gameMap);
-        if (mapMesh && this.renderer) {
-            this.renderer.scene.add(mapMesh);
-            this.logger.log('Map mesh added to the scene.');
-        } else {
+        this.replaceMapMesh();
+
+        this.logger.log('Client application initialized.');
+    }
+
+    /**
+     * Substitui o mesh do mapa na cena pelo do mapa atual.
+     * @returns {boolean} true se o mesh foi montado e adicionado.
+     */
+    replaceMapMesh() {
+        if (this.mapMesh) {
+            this.renderer.scene.remove(this.mapMesh);
+            this.mapMesh = null;
+        }
+        const mapMesh = this.resourcesManager.loadMapMesh(this.gameMap);
+        if (!mapMesh) {
             this.logger.warn('Could not add map mesh to the scene.');
+            return false;
         }
+        this.mapMesh = mapMesh;
+        this.renderer.scene.add(mapMesh);
+        this.logger.log(`Map mesh for ${this.gameMap.id} added to the scene.`);
+        return true;
+    }
 
-        this.logger.log('Client application initialized.');
+    /**
+     * Passa para o mapa pedido pelo servidor (se ainda não for o atual) e confirma com 'mapReady'
+     * depois que o mesh foi montado. A partida no servidor fica pausada até todos confirmarem.
+     * @param {string} mapId
+     * @param {string | null} hash
+     */
+    async changeMap(mapId, hash) {
+        const requestId = ++this.mapRequestId;
+        try {
+            if (this.gameMap.id !== mapId || this.gameMap.hash !== hash) {
+                const gameMap = await this.resourcesManager.loadMap(mapId, hash);
+                if (requestId !== this.mapRequestId) return; // Outra troca foi pedida enquanto este mapa carregava
+
+                this.gameMap = gameMap;
+                this.movementSystem.setMap(gameMap.getBounds(), gameMap.getStaticObstacles());
+                setClientPlayerDependencies(this.inputController, this.collisionSystem, gameMap, this.movementSystem);
+                this.renderer.setMapBounds(gameMap.getBounds());
+                if (!this.replaceMapMesh()) return;
+            }
+            this.networkManager.sendMapReady(mapId, hash);
+        } catch (error) {
+            this.logger.error(`Failed to change to map ${mapId}:`, error);
+        }
     }
 
     startGameLoop() {
@@ -157,7 +236,7 @@ class GameClient {
         this.lastFrameTime = currentTime;
 
         // Limita o deltaTime para evitar "espiral da morte" se houver lag extremo
-        const clampedDeltaTime = Math.min(deltaTime, 0.1); // Max 100ms por frame
+        const clampedDeltaTime = Math.min(deltaTime, MAX_INPUT_DELTA_TIME); // Max 100ms por frame
 
         this.update(clampedDeltaTime);
         this.render();
@@ -169,16 +248,33 @@ class GameClient {
      * @param {number} deltaTime Tempo decorrido desde o último frame em segundos.
      */
     update(deltaTime) {
-        // 1. Enviar Input para o Servidor
+        // 1. Enviar Input para o Servidor: um input por passo fixo (getFixedTimeStep()), o mesmo passo
+        //    com que o servidor o simula, independente da taxa de frames
         if (this.inputController && this.networkManager.socket?.connected) {
-            const inputState = this.inputController.getInputState(deltaTime);
-            this.networkManager.sendInput(inputState);
+            const localPlayer = this.clientWorld?.getPlayer(this.networkManager.getLocalPlayerId());
+            const fixedTimeStep = getFixedTimeStep();
+            this.simulationAccumulator += deltaTime;
+            let steps = 0;
+            while (this.simulationAccumulator >= fixedTimeStep && steps < MAX_CATCH_UP_STEPS) {
+                const inputState = this.inputController.getInputState(fixedTimeStep, this.clientWorld?.getRenderTime() ?? null);
+                const sentInput = this.networkManager.sendInput(inputState);
+
+                // Predição local com o mesmo input enviado, já quantizado (guardado até o servidor confirmar)
+                localPlayer?.predictInput(sentInput);
+                this.simulationAccumulator -= fixedTimeStep;
+                steps++;
+            }
+            // Atraso além do limite de passos é descartado
+            this.simulationAccumulator = Math.min(this.simulationAccumulator, fixedTimeStep);
+            if (localPlayer) {
+                localPlayer.simulationAlpha = this.simulationAccumulator / fixedTimeStep;
+            }
         }
 
         // 2. Atualizar Entidades no Mundo (inclui predição/interpolação)
         // Passa as dependências necessárias (já injetadas via setClientPlayerDependencies)
         if (this.clientWorld) {
-            this.clientWorld.update(deltaTime, this.inputController, this.collisionSystem, gameMap);
+            this.clientWorld.update(deltaTime, this.inputController, this.collisionSystem, this.gameMap);
        }
 
         // 3. Atualizar Gerenciador de Cena (adicionar/remover meshes, visibilidade)
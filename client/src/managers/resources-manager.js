@@ -1,5 +1,9 @@
 import { createMapMesh } from '../generation/map-model-generator.js';
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+import { parseGameMap } from '../../../shared/gameplay/world/map-loader.js';
+import { MAPS_URL_PATH } from '../../../shared/constants/map-settings.js';
+
+const { log, warn } = createLogger('resources');
 
 /**
  * Gerencia o carregamento e/ou geração de recursos do jogo, como modelos, texturas, etc.
@@ -20,14 +24,44 @@ export class ResourcesManager {
         log('[CLIENT] ResourcesManager initialized.');
     }
 
+    /**
+     * Baixa o arquivo do mapa do servidor e constrói o GameMap (com cache por ID).
+     * @param {string} mapId - ID do mapa (nome do arquivo em MAPS_URL_PATH, sem .json).
+     * @param {string | null} [expectedHash=null] - Hash anunciado pelo servidor; o arquivo baixado deve ter o mesmo.
+     * @returns {Promise<import('../../../shared/gameplay/world/map.js').GameMap>}
+     * @throws {Error} Se o download falhar, o mapa for inválido ou o hash não bater.
+     */
+    async loadMap(mapId, expectedHash = null) {
+        const cacheKey = `map:${mapId}`;
+        const cachedMap = this.cache.get(cacheKey);
+        if (cachedMap && (!expectedHash || cachedMap.hash === expectedHash)) {
+            return cachedMap;
+        }
+
+        // O hash na URL evita reaproveitar uma versão antiga do arquivo do cache HTTP do navegador
+        const url = `${MAPS_URL_PATH}/${encodeURIComponent(mapId)}.json${expectedHash ? `?v=${expectedHash}` : ''}`;
+        log(`[CLIENT] Loading map ${mapId} from ${url}...`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load map ${mapId}: HTTP ${response.status}`);
+        }
+        const gameMap = parseGameMap(await response.text(), `${mapId}.json`);
+        if (expectedHash && gameMap.hash !== expectedHash) {
+            throw new Error(`Map ${mapId} does not match the server's (hash ${gameMap.hash}, expected ${expectedHash}).`);
+        }
+        this.cache.set(cacheKey, gameMap);
+        log(`[CLIENT] Map ${mapId} ("${gameMap.name}") loaded.`);
+        return gameMap;
+    }
+
     /**
      * Carrega (ou gera neste caso) o mesh do mapa.
-     * Usa um cache simples para evitar regeneração.
-     * @param {import('../../../shared/gameplay/world/map.js').GameMap} gameMap - A instância do mapa.
+     * Usa um cache por ID do mapa para evitar regeneração.
+     * @param {import('../../../shared/gameplay/world/map.js').GameMap} gameMap - O mapa carregado por loadMap().
      * @returns {import('three').Group | null} O mesh do mapa ou null se falhar.
      */
     loadMapMesh(gameMap) {
-        const cacheKey = 'mapMesh'; // Chave simples para o cache do mapa
+        const cacheKey = `mapMesh:${gameMap?.id}:${gameMap?.hash}`;
 
         if (this.cache.has(cacheKey)) {
             log('[CLIENT] Returning cached map mesh.');
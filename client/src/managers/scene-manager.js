@@ -1,5 +1,7 @@
 // client/src/managers/scene-manager.js
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+
+const { log, warn } = createLogger('scene');
 
 // Tipos para JSDoc
 /** @typedef {import('../gameplay/client-world.js').ClientWorld} ClientWorld */
@@ -82,8 +84,8 @@ export class SceneManager {
 
                 // Gerencia visibilidade (específico para jogadores)
                 if (manageVisibility && 'isAlive' in entity) {
-                    // Verifica se a propriedade isAlive existe e a usa
-                     entity.mesh.visible = (entity).isAlive;
+                    // Verifica se a propriedade isAlive existe e a usa (fora da área de interesse, fica oculto)
+                     entity.mesh.visible = (entity).isAlive && (entity).isRelevant !== false;
                 } else if (manageVisibility) {
                      // Se manageVisibility é true mas isAlive não existe, assume visível
                      entity.mesh.visible = true;
@@ -1,4 +1,9 @@
-import { log, warn, error as logError } from '../../shared/utils/logger.js';
+import { createLogger } from '../../shared/utils/logger.js';
+import { PROTOCOL_VERSION } from '../../shared/constants/network-settings.js';
+import { encodePlayerInput, decodePlayerInput } from '../../shared/models/wire-format.js';
+import { applyGameConfig } from '../../shared/config/game-config.js';
+
+const { log, warn, error: logError } = createLogger('network');
 
 /**
  * Gerencia a conexão Socket.IO com o servidor e a comunicação de rede básica.
@@ -16,6 +21,21 @@ class NetworkManager {
      * @private // Indica uso interno, mas acessível via getLocalPlayerId
      */
     _localPlayerId = null;
+    /**
+     * Sala em que o jogador local está (resumo enviado pelo servidor em 'roomJoined').
+     * @type {{id: string, name: string, playerCount: number, maxPlayers: number, mapId: string, mapHash: string | null} | null}
+     */
+    currentRoom = null;
+    /**
+     * Estado da partida da sala atual ('roomJoined' e 'matchState').
+     * @type {import('../../shared/events/world-events.js').MatchStatus | null}
+     */
+    matchStatus = null;
+    /**
+     * Resultados da última partida encerrada ('matchResults').
+     * @type {import('../../shared/events/world-events.js').MatchResults | null}
+     */
+    lastMatchResults = null;
 
     /**
      * O construtor é privado para forçar o uso do getInstance (Singleton).
@@ -44,7 +64,10 @@ class NetworkManager {
      */
     initializeConnection() {
         try {
-            this.socket = io();
+            // A versão do protocolo é verificada pelo servidor no handshake.
+            // ?room=<id> na URL pede uma sala específica (senão o servidor escolhe uma com vaga).
+            const requestedRoomId = new URLSearchParams(window.location.search).get('room');
+            this.socket = io({ auth: { protocolVersion: PROTOCOL_VERSION, roomId: requestedRoomId ?? undefined } });
             log('[CLIENT] Attempting to connect to the server...');
             this.setupEventListeners(); // Os listeners SÃO registrados aqui
         } catch (err) {
@@ -71,9 +94,79 @@ class NetworkManager {
         });
 
         this.socket.on('connect_error', (err) => {
+            if (err.data?.serverProtocolVersion !== undefined) {
+                // Rejeitado no handshake: cliente desatualizado (o servidor não tenta reconectar)
+                logError(`[CLIENT] Server rejected connection: ${err.message}`);
+                return;
+            }
             logError(`[CLIENT] Connection error: ${err.message}`);
         });
 
+        // Medição de RTT pelo servidor: basta confirmar o recebimento
+        this.socket.on('latencyProbe', (acknowledge) => {
+            acknowledge?.();
+        });
+
+        // Valores de gameplay do servidor (chegam antes da entrada na sala): a predição usa os mesmos números
+        this.socket.on('gameConfig', (config) => {
+            try {
+                applyGameConfig(config, 'server game config');
+                log(`[CLIENT] Game config received (tick rate ${config.simulation?.tickRate}).`);
+            } catch (err) {
+                logError(`[CLIENT] Ignoring game config from server: ${err.message}`);
+            }
+        });
+
+        this.socket.on('roomJoined', (room) => {
+            this.currentRoom = room;
+            this.matchStatus = room.match ?? null;
+            log(`[CLIENT] Joined room ${room.id} ("${room.name}", ${room.playerCount}/${room.maxPlayers} players, map ${room.mapId}).`);
+        });
+
+        // Troca de mapa: o GameClient carrega o mapa e responde com sendMapReady()
+        this.socket.on('mapChange', (mapChange) => {
+            if (this.currentRoom) {
+                this.currentRoom.mapId = mapChange.mapId;
+                this.currentRoom.mapHash = mapChange.hash;
+            }
+            log(`[CLIENT] Server changed map to ${mapChange.mapId} (${mapChange.hash}).`);
+        });
+
+        this.socket.on('mapStarted', (mapStarted) => {
+            log(`[CLIENT] Match started on map ${mapStarted?.mapId}.`);
+        });
+
+        this.socket.on('matchState', (status) => {
+            this.matchStatus = status;
+            const remaining = status.remainingMs !== null ? ` (${Math.ceil(status.remainingMs / 1000)}s)` : '';
+            log(`[CLIENT] Match ${status.state}${remaining}.`);
+        });
+
+        this.socket.on('matchResults', (results) => {
+            this.lastMatchResults = results;
+            const standings = results.players
+                .map((player, index) => `${index + 1}. ${player.name} ${player.kills}/${player.deaths} (${Math.round(player.accuracy * 100)}%)`)
+                .join(', ');
+            const teams = results.teamScores?.length > 0
+                ? ` Teams: ${results.teamScores.map(({ team, score }) => `${team} ${score}`).join(', ')} (${results.winningTeam ? `${results.winningTeam} wins` : 'draw'}).`
+                : '';
+            log(`[CLIENT] Match over (${results.reason}): ${standings || 'no players'}.${teams}`);
+        });
+
+        this.socket.on('roomLeft', (room) => {
+            this.currentRoom = null;
+            this.matchStatus = null;
+            log(`[CLIENT] Left room ${room?.id}.`);
+        });
+
+        this.socket.on('roomError', (roomError) => {
+            warn(`[CLIENT] Room request failed: ${roomError?.message}`);
+        });
+
+        this.socket.on('roomList', (rooms) => {
+            log('[CLIENT] Rooms:', rooms.map(room => `${room.id} ("${room.name}") ${room.playerCount}/${room.maxPlayers}`).join(', '));
+        });
+
         // O listener ainda existe aqui, mas o StateSynchronizer também o registrará
         // e será o responsável por chamar clientWorld.updateFromState.
         // O log direto foi removido/comentado.
@@ -117,13 +210,56 @@ class NetworkManager {
          }
      }
 
+    /**
+     * Pede ao servidor a lista de salas (resposta em 'roomList').
+     */
+    listRooms() {
+        this.emit('listRooms');
+    }
+
+    /**
+     * Cria uma sala e entra nela (resposta em 'roomJoined' ou 'roomError').
+     * @param {{name?: string, maxPlayers?: number, mapId?: string}} [options]
+     */
+    createRoom(options = {}) {
+        this.emit('createRoom', options);
+    }
+
+    /**
+     * Entra em outra sala (resposta em 'roomJoined' ou 'roomError').
+     * @param {string} roomId
+     */
+    joinRoom(roomId) {
+        this.emit('joinRoom', { roomId });
+    }
+
+    /**
+     * Sai da sala atual sem desconectar (resposta em 'roomLeft').
+     */
+    leaveRoom() {
+        this.emit('leaveRoom');
+    }
+
+    /**
+     * Confirma ao servidor que o mapa pedido em 'mapChange'/'roomJoined' foi carregado e o seu mesh montado.
+     * @param {string} mapId
+     * @param {string | null} hash
+     */
+    sendMapReady(mapId, hash) {
+        this.emit('mapReady', { mapId, hash });
+    }
+
      /**
-     * Envia o estado de input do jogador para o servidor. (Tarefa 3)
+     * Envia o estado de input do jogador para o servidor no formato binário. (Tarefa 3)
      * @param {import('../../../shared/models/player-input.js').PlayerInput} inputState - O objeto de input a ser enviado.
+     * @returns {import('../../../shared/models/player-input.js').PlayerInput} O input exatamente como o servidor o
+     *          decodificará (valores quantizados), para que a predição local simule o mesmo que o servidor.
      */
     sendInput(inputState) {
-        this.emit('playerInput', inputState);
+        const encodedInput = encodePlayerInput(inputState);
+        this.emit('playerInput', encodedInput);
         // log('[CLIENT] Sent input state:', inputState.sequence); // Log pode ser verboso
+        return decodePlayerInput(encodedInput);
     }
 }
 
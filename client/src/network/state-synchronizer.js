@@ -1,4 +1,9 @@
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+import { applySnapshotMessage } from '../../../shared/models/snapshot-delta.js';
+import { readSnapshotHeader, decodeSnapshotMessage } from '../../../shared/models/wire-format.js';
+import { SNAPSHOT_HISTORY_SIZE } from '../../../shared/constants/network-settings.js';
+
+const { log, warn } = createLogger('sync');
 
 /**
  * Responsável por ouvir as atualizações de estado do servidor vindas do NetworkManager
@@ -10,6 +15,27 @@ export class StateSynchronizer {
   /** @type {import('../gameplay/client-world.js').ClientWorld} */
   clientWorld;
 
+  /**
+   * Snapshots reconstruídos recentes, por sequência (baselines dos deltas seguintes).
+   * @type {Map<number, import('../../../shared/models/game-state.js').GameState>}
+   */
+  receivedSnapshots = new Map();
+  /**
+   * Sequência do snapshot mais recente aplicado.
+   * @type {number}
+   */
+  latestSeq = -1;
+  /**
+   * Passo da simulação do servidor (tick) do snapshot mais recente aplicado.
+   * @type {number}
+   */
+  latestServerTick = 0;
+  /**
+   * Indica que um resync já foi pedido e ainda não chegou um keyframe.
+   * @type {boolean}
+   */
+  awaitingKeyframe = false;
+
   /**
    * Cria uma instância do StateSynchronizer.
    * @param {import('./network-manager.js').NetworkManager} networkManager - O gerenciador de rede.
@@ -39,15 +65,61 @@ export class StateSynchronizer {
     // ---- NOVO: Ouvir eventos de impacto ----
     this.networkManager.on('projectileImpact', this.handleProjectileImpact.bind(this));
     // --------------------------------------
+
+    this.networkManager.on('playerKilled', this.handlePlayerKilled.bind(this));
+
+    this.networkManager.on('playerDisconnected', this.handlePlayerDisconnected.bind(this));
+
+    // Cada sala tem a sua própria sequência de snapshots e as suas entidades
+    this.networkManager.on('roomJoined', this.handleRoomChanged.bind(this));
+    this.networkManager.on('roomLeft', this.handleRoomChanged.bind(this));
+  }
+
+  /**
+   * Descarta os snapshots e as entidades da sala anterior ao entrar ou sair de uma sala.
+   */
+  handleRoomChanged() {
+    this.receivedSnapshots.clear();
+    this.latestSeq = -1;
+    this.latestServerTick = 0;
+    this.awaitingKeyframe = false;
+    this.clientWorld.clear();
   }
 
   /**
-   * Manipula o recebimento de um snapshot de estado do jogo do servidor.
-   * @param {import('../../../shared/models/game-state.js').GameState} gameState - O snapshot do estado do jogo.
+   * Manipula o recebimento de um snapshot binário (keyframe ou delta) do servidor:
+   * reconstrói o estado completo, confirma a sequência ao servidor e o aplica ao ClientWorld.
+   * Se a baseline de um delta não estiver disponível, pede um keyframe ao servidor.
+   * @param {ArrayBuffer} data - O snapshot no formato binário (ver wire-format.js).
    */
-  handleGameStateUpdate(gameState) {
-    // log('[CLIENT] StateSynchronizer received gameStateUpdate:', gameState.timestamp);
+  handleGameStateUpdate(data) {
     try {
+        const header = readSnapshotHeader(data);
+        // log('[CLIENT] StateSynchronizer received gameStateUpdate:', header.seq);
+        if (header.seq <= this.latestSeq) return; // Mensagem atrasada/duplicada
+        this.clientWorld.serverClock.addSample(header.timestamp, Date.now());
+
+        const baseline = header.keyframe ? null : this.receivedSnapshots.get(header.baseSeq);
+        if (!header.keyframe && !baseline) {
+            if (!this.awaitingKeyframe) {
+                warn(`[CLIENT] Missing baseline ${header.baseSeq} for snapshot ${header.seq}. Requesting resync.`);
+                this.awaitingKeyframe = true;
+                this.networkManager.emit('snapshotResync', { seq: header.seq });
+            }
+            return;
+        }
+
+        const message = decodeSnapshotMessage(data, baseline);
+        const gameState = applySnapshotMessage(message, baseline);
+        this.awaitingKeyframe = false;
+        this.latestSeq = message.seq;
+        this.latestServerTick = message.tick;
+        this.receivedSnapshots.set(message.seq, gameState);
+        for (const seq of this.receivedSnapshots.keys()) {
+            if (seq <= message.seq - SNAPSHOT_HISTORY_SIZE) this.receivedSnapshots.delete(seq);
+        }
+        this.networkManager.emit('snapshotAck', { seq: message.seq });
+
         this.clientWorld.updateFromState(gameState);
     } catch (error) {
          warn('[CLIENT] Error applying game state update:', error);
@@ -74,4 +146,33 @@ export class StateSynchronizer {
           warn('[CLIENT] Error handling projectile impact event:', error);
      }
   }
+
+  /**
+   * Manipula a desconexão de outro jogador: só agora ele é removido do mundo
+   * (sair do snapshot significa apenas que deixou de ser relevante).
+   * @param {{playerId: string}} disconnectData
+   */
+  handlePlayerDisconnected(disconnectData) {
+     if (disconnectData?.playerId) {
+         this.clientWorld.removePlayer(disconnectData.playerId);
+     } else {
+         warn('[CLIENT] Received invalid playerDisconnected data:', disconnectData);
+     }
+  }
+
+  /**
+   * Manipula o recebimento de um evento de abate (kill feed).
+   * @param {object} killData - Dados do abate (killer, vítima, arma, hitbox, distância).
+   */
+  handlePlayerKilled(killData) {
+     try {
+         if (killData && killData.victimId) {
+             this.clientWorld.addKillEvent(killData);
+         } else {
+             warn('[CLIENT] Received invalid playerKilled data:', killData);
+         }
+     } catch (error) {
+          warn('[CLIENT] Error handling player killed event:', error);
+     }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,159 @@
+// server/benchmarks/tick-benchmark.js
+//
+// Mede o custo de um tick do servidor (GameStateManager.update) e das consultas de linha de visão
+// do InterestManager com muitos jogadores e projéteis, com e sem a broad-phase (grades espaciais).
+//
+// Uso: npm run benchmark -- [--players=32] [--projectiles=300] [--ticks=300] [--map=default] [opções do servidor]
+// As demais opções (ex: --simulation.tickRate=60, --config=arquivo) são as do servidor: a medição usa a configuração em vigor.
+
+import { performance } from 'node:perf_hooks';
+import { SessionManager } from '../src/managers/session-manager.js';
+import { SpawnManager } from '../src/gameplay/spawn-manager.js';
+import { GameStateManager } from '../src/managers/game-state-manager.js';
+import { InterestManager } from '../src/network/interest-manager.js';
+import { loadMapFile } from '../src/gameplay/map-file-loader.js';
+import { createWorldEventBus } from '../../shared/events/world-events.js';
+import { getTickIntervalMs } from '../../shared/config/game-config.js';
+import { loadServerConfig } from '../src/config/server-config.js';
+import { configureLogging } from '../../shared/utils/logger.js';
+
+const DEFAULT_OPTIONS = { players: 32, projectiles: 300, ticks: 300, map: 'default' };
+const PROJECTILE_SPEED = 40;
+
+/**
+ * Separa as opções do benchmark (--nome=valor) das do servidor, repassadas a loadServerConfig.
+ * @param {Array<string>} args
+ * @returns {{options: {players: number, projectiles: number, ticks: number, map: string}, configArgs: Array<string>}}
+ */
+function parseOptions(args) {
+  const options = { ...DEFAULT_OPTIONS };
+  const configArgs = [];
+  for (const arg of args) {
+    const match = /^--(\w+)=(.+)$/.exec(arg);
+    if (!match || !(match[1] in options)) {
+      configArgs.push(arg);
+      continue;
+    }
+    options[match[1]] = typeof options[match[1]] === 'number' ? Number(match[2]) : match[2];
+  }
+  return { options, configArgs };
+}
+
+/**
+ * Gerador pseudoaleatório determinístico (mesma sequência em todos os modos).
+ * @param {number} seed
+ * @returns {() => number} Valores em [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Executa a simulação e mede cada tick.
+ * @param {{players: number, projectiles: number, ticks: number, map: string}} options
+ * @param {boolean} useBroadPhase - false substitui as grades pelas listas completas.
+ * @returns {{tick: Array<number>, interest: Array<number>}} Duração (ms) de cada tick e das consultas de interesse.
+ */
+function run(options, useBroadPhase) {
+  const random = createRandom(12345);
+  const gameMap = loadMapFile(options.map);
+  const sessionManager = new SessionManager(new SpawnManager(gameMap), createWorldEventBus({ validatePayloads: false }));
+  const gameStateManager = new GameStateManager(sessionManager, gameMap);
+  const interestManager = new InterestManager(gameStateManager.collisionSystem, gameMap.getStaticObstacles());
+
+  if (!useBroadPhase) {
+    const movementSystem = gameStateManager.movementSystem;
+    const update = movementSystem.update.bind(movementSystem);
+    movementSystem.obstacles = gameMap.getStaticObstacles();
+    movementSystem.update = (entities, deltaTime, players) => update(entities, deltaTime, players.items ?? players);
+    interestManager.obstacles = gameMap.getStaticObstacles();
+  }
+
+  const players = [];
+  const headings = [];
+  for (let i = 0; i < options.players; i++) {
+    const socket = { id: `bench-${String(i).padStart(4, '0')}`, emit() {}, on() {} };
+    players.push(sessionManager.addPlayer(socket));
+    headings.push(0);
+  }
+
+  const deltaTime = getTickIntervalMs() / 1000;
+  const bounds = gameMap.getBounds();
+  const timings = { tick: [], interest: [] };
+  let sequence = 0;
+
+  for (let tick = 0; tick < options.ticks; tick++) {
+    // Jogadores andam em direções aleatórias (trocadas a cada 2 segundos)
+    players.forEach((player, index) => {
+      if (tick % 60 === 0) headings[index] = random() * Math.PI * 2;
+      player.processInput({
+        sequence: ++sequence,
+        deltaTime,
+        keys: { W: true, Shift: tick % 90 < 45 },
+        lookYaw: headings[index],
+        lookPitch: 0,
+      });
+    });
+    // Mantém a quantidade de projéteis, disparados de jogadores aleatórios em direções aleatórias
+    while (gameStateManager.projectiles.size < options.projectiles) {
+      const owner = players[Math.floor(random() * players.length)];
+      const yaw = random() * Math.PI * 2;
+      gameStateManager.addProjectile({
+        ownerId: owner.id,
+        origin: { x: owner.position.x, y: owner.position.y + 1.5, z: owner.position.z },
+        velocity: { x: Math.sin(yaw) * PROJECTILE_SPEED, y: (random() - 0.6) * 4, z: Math.cos(yaw) * PROJECTILE_SPEED },
+        damage: 0,
+        speed: PROJECTILE_SPEED,
+        range: Math.max(bounds.max.x - bounds.min.x, bounds.max.z - bounds.min.z),
+      });
+    }
+
+    let start = performance.now();
+    gameStateManager.update(deltaTime);
+    timings.tick.push(performance.now() - start);
+
+    start = performance.now();
+    const projectiles = Array.from(gameStateManager.projectiles.values());
+    for (const viewer of players) {
+      interestManager.getRelevantEntityIds(viewer, players, projectiles, tick * getTickIntervalMs());
+    }
+    timings.interest.push(performance.now() - start);
+  }
+
+  gameStateManager.dispose();
+  return timings;
+}
+
+/**
+ * @param {Array<number>} samples
+ * @returns {string}
+ */
+function summarize(samples) {
+  // Descarta o primeiro décimo (aquecimento do JIT)
+  const sorted = samples.slice(Math.floor(samples.length / 10)).sort((a, b) => a - b);
+  const average = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+  return `avg ${average.toFixed(3)}ms  p95 ${p95.toFixed(3)}ms  max ${sorted[sorted.length - 1].toFixed(3)}ms`;
+}
+
+const { options, configArgs } = parseOptions(process.argv.slice(2));
+try {
+  loadServerConfig({ argv: configArgs });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+// A simulação registra cada acerto; o log deixaria a medição presa ao terminal
+configureLogging({ levels: 'warn' });
+
+const results = [
+  ['linear lists', run(options, false)],
+  ['broad-phase grids', run(options, true)],
+];
+
+console.log(`Map ${options.map}, ${options.players} players, ${options.projectiles} projectiles, ${options.ticks} ticks (budget ${getTickIntervalMs().toFixed(1)}ms/tick)`);
+for (const [label, timings] of results) {
+  console.log(`${label.padEnd(18)} tick:     ${summarize(timings.tick)}`);
+  console.log(`${''.padEnd(18)} interest: ${summarize(timings.interest)}`);
+}
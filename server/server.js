@@ -5,19 +5,28 @@ import { Server } from 'socket.io';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-import { log, error as logError } from '../shared/utils/logger.js';
+import { createLogger } from '../shared/utils/logger.js';
 import { ConnectionManager } from './src/network/connection-manager.js';
 import { initializeServerApp } from './src/main.js'; // Ponto de entrada lógico
-import { SessionManager } from './src/managers/session-manager.js';
-import { SpawnManager } from './src/gameplay/spawn-manager.js'; // <-- Importar SpawnManager
-import gameMapInstance from '../shared/gameplay/world/map.js'; // <-- Importar mapa
+import { registerMetricsRoutes } from './src/network/metrics-routes.js';
+import { loadServerConfig, serverConfig } from './src/config/server-config.js';
+
+const { log, error: logError } = createLogger('server');
+
+// --- Configuração: arquivo (--config ou CONFIG_FILE) < ambiente < linha de comando, validada antes de tudo ---
+try {
+  loadServerConfig();
+} catch (err) {
+  logError(err.message);
+  process.exit(1);
+}
 
 // --- Configuração de Caminhos ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // --- Constantes ---
-const PORT = process.env.PORT || 3000;
+const PORT = serverConfig.server.port;
 const CLIENT_PUBLIC_PATH = path.join(__dirname, '../client/public');
 const CLIENT_SRC_PATH = path.join(__dirname, '../client/src');
 const SHARED_PATH = path.join(__dirname, '../shared');
@@ -57,21 +66,19 @@ app.get('/', (req, res) => {
 });
 
 
-// --- Instanciação de Managers Core e Injeção de Dependência ---
-log('Instantiating core managers...');
-// 1. SpawnManager precisa do mapa
-const spawnManager = new SpawnManager(gameMapInstance);
-// 2. SessionManager precisa do SpawnManager
-const sessionManager = new SessionManager(spawnManager);
-// 3. ConnectionManager precisa do io e SessionManager
-const connectionManager = new ConnectionManager(io, sessionManager);
-log('Core managers instantiated.');
-
 // --- Inicialização da Lógica do Jogo (via main.js) ---
-// Passa as dependências que o main.js precisa para orquestrar o restante
-const serverAppContext = initializeServerApp(io, sessionManager);
+// Cria o RoomManager e a sala padrão (cada sala tem os seus próprios managers e loop)
+const serverAppContext = initializeServerApp(io);
 log('Server application logic initialized.');
 
+// --- Conexões: o ConnectionManager delega a escolha da sala ao RoomManager ---
+const connectionManager = new ConnectionManager(io, serverAppContext.roomManager);
+log('Core managers instantiated.');
+
+// --- Métricas: /metrics (Prometheus) e /status (resumo em JSON) ---
+registerMetricsRoutes(app, serverAppContext.roomManager);
+log('Metrics available at /metrics and /status.');
+
 // --- Iniciar Servidor HTTP ---
 server.listen(PORT, () => {
   log(`Server listening on http://localhost:${PORT}`);
@@ -0,0 +1,258 @@
+// server/src/config/server-config.js
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { createLogger, configureLogging, parseLogLevels, LOG_FORMATS } from '../../../shared/utils/logger.js';
+import {
+  createConfigDefaults,
+  validateConfigValues,
+  getConfigValue,
+  setConfigValue,
+  parseConfigText,
+} from '../../../shared/config/config-schema.js';
+import { GAME_CONFIG_FIELDS, applyGameConfig } from '../../../shared/config/game-config.js';
+import { INTEREST_MANAGEMENT_ENABLED } from '../../../shared/constants/network-settings.js';
+import { LAG_COMPENSATION_ENABLED } from '../../../shared/constants/combat-settings.js';
+import { BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY } from '../../../shared/constants/bot-settings.js';
+import { MAX_ROOM_PLAYERS } from '../../../shared/constants/room-settings.js';
+
+const { log } = createLogger('config');
+
+/**
+ * Campo de configuração do servidor; `env` substitui o nome de variável de ambiente derivado do caminho.
+ * @typedef {import('../../../shared/config/config-schema.js').ConfigField & {env?: string}} ServerConfigField
+ */
+
+/**
+ * Configuração exclusiva do servidor (não é enviada aos clientes).
+ * @typedef {object} ServerConfig
+ * @property {{port: number, interestManagement: boolean, lagCompensation: boolean}} server
+ * @property {{level: string, format: string}} logging
+ * @property {{minPlayers: number, difficulty: string}} bots
+ */
+
+/**
+ * Campos exclusivos do servidor; mantêm as variáveis de ambiente que já existiam antes do arquivo de configuração.
+ * @type {ReadonlyArray<ServerConfigField>}
+ */
+export const SERVER_CONFIG_FIELDS = Object.freeze([
+  { path: 'server.port', type: 'integer', min: 0, max: 65535, defaultValue: 3000, env: 'PORT',
+    description: 'HTTP port the server listens on.' },
+  { path: 'server.interestManagement', type: 'boolean', defaultValue: INTEREST_MANAGEMENT_ENABLED, env: 'INTEREST_MANAGEMENT',
+    description: 'Send each client only the entities relevant to it.' },
+  { path: 'server.lagCompensation', type: 'boolean', defaultValue: LAG_COMPENSATION_ENABLED, env: 'LAG_COMPENSATION',
+    description: 'Rewind hitboxes to what the shooter saw when resolving hits.' },
+  { path: 'logging.level', type: 'string', defaultValue: 'info', env: 'LOG_LEVEL',
+    description: 'Log levels, e.g. "info" or "info,collision=warn,session=debug".',
+    validate: (value) => {
+      try {
+        parseLogLevels(value);
+        return null;
+      } catch (err) {
+        return err.message;
+      }
+    } },
+  { path: 'logging.format', type: 'string', values: LOG_FORMATS, defaultValue: 'json', env: 'LOG_FORMAT',
+    description: 'Log output format.' },
+  { path: 'bots.minPlayers', type: 'integer', min: 0, max: MAX_ROOM_PLAYERS, defaultValue: 0,
+    description: 'Fill rooms with bots up to this many players while someone is connected (0 disables bots).' },
+  { path: 'bots.difficulty', type: 'string', values: Object.keys(BOT_DIFFICULTIES), defaultValue: DEFAULT_BOT_DIFFICULTY,
+    description: 'Bot reaction time, aim error and sight range preset.' },
+]);
+
+/**
+ * Todos os campos aceitos no arquivo, no ambiente e na linha de comando.
+ * @type {ReadonlyArray<ServerConfigField>}
+ */
+export const ALL_CONFIG_FIELDS = Object.freeze([...SERVER_CONFIG_FIELDS, ...GAME_CONFIG_FIELDS]);
+
+/** Prefixo das variáveis de ambiente derivadas dos caminhos (ex: FPS_MOVEMENT_BASE_SPEED). */
+const ENV_PREFIX = 'FPS_';
+
+/**
+ * Configuração do servidor em vigor (alterada apenas por loadServerConfig).
+ * @type {ServerConfig}
+ */
+export const serverConfig = /** @type {ServerConfig} */ (createConfigDefaults(SERVER_CONFIG_FIELDS));
+
+/**
+ * @param {ServerConfigField} field
+ * @returns {string} Variável de ambiente que sobrescreve o campo.
+ */
+export function getConfigEnvName(field) {
+  if (field.env) return field.env;
+  return ENV_PREFIX + field.path.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase();
+}
+
+/**
+ * Lê um arquivo de configuração JSON ou YAML (pela extensão: .json, .yaml ou .yml).
+ * @param {string} filePath
+ * @returns {any} Conteúdo interpretado (ainda não validado).
+ * @throws {Error} Se o arquivo não puder ser lido ou interpretado.
+ */
+export function readConfigFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!['.json', '.yaml', '.yml'].includes(extension)) {
+    throw new Error(`Unsupported config file '${filePath}' (expected .json, .yaml or .yml).`);
+  }
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read config file '${filePath}': ${err.message}`);
+  }
+  try {
+    // Um arquivo YAML vazio equivale a nenhuma configuração
+    return extension === '.json' ? JSON.parse(text) : (YAML.parse(text) ?? {});
+  } catch (err) {
+    throw new Error(`Cannot parse config file '${filePath}': ${err.message}`);
+  }
+}
+
+/**
+ * Interpreta as opções de linha de comando: `--config <arquivo>` e `--<caminho>=<valor>` (ou `--<caminho> <valor>`),
+ * ex: `--movement.baseSpeed=7`. Um booleano sem valor (`--server.lagCompensation`) vale true.
+ * @param {Array<string>} argv
+ * @returns {{configFile: string | null, entries: Array<[string, string]>, errors: Array<string>}}
+ *          Pares (caminho, texto) na ordem em que aparecem.
+ */
+function parseCommandLine(argv) {
+  const fieldsByPath = new Map(ALL_CONFIG_FIELDS.map(field => [field.path, field]));
+  const result = { configFile: null, entries: [], errors: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      result.errors.push(`command line: unexpected argument '${arg}'`);
+      continue;
+    }
+    const separator = arg.indexOf('=');
+    const name = separator >= 0 ? arg.slice(2, separator) : arg.slice(2);
+    let value = separator >= 0 ? arg.slice(separator + 1) : undefined;
+
+    const field = fieldsByPath.get(name);
+    if (name !== 'config' && !field) {
+      result.errors.push(`command line: --${name}: unknown setting`);
+      continue;
+    }
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        value = next;
+        i++;
+      } else if (field?.type === 'boolean') {
+        value = 'true';
+      } else {
+        result.errors.push(`command line: --${name}: missing value`);
+        continue;
+      }
+    }
+    if (name === 'config') {
+      result.configFile = value;
+    } else {
+      result.entries.push([name, value]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Carrega, valida e aplica a configuração do servidor. Precedência (do menor para o maior):
+ * padrões < arquivo (`--config` ou CONFIG_FILE) < variáveis de ambiente < linha de comando.
+ * Os valores de gameplay são aplicados em `gameConfig` (e enviados aos clientes na conexão);
+ * os do servidor, em `serverConfig`; o logging é reconfigurado.
+ * Deve ser chamada na inicialização, antes de criar as salas.
+ * @param {{argv?: Array<string>, env?: Record<string, string | undefined>}} [options]
+ * @returns {{server: ServerConfig, game: import('../../../shared/config/game-config.js').GameConfig}}
+ * @throws {Error} Listando todos os problemas encontrados, se algum valor for inválido (nada é aplicado).
+ */
+export function loadServerConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const commandLine = parseCommandLine(argv);
+  const errors = [...commandLine.errors];
+  const values = {};
+  /** @type {Map<string, 'file' | 'environment' | 'command line'>} Origem de cada valor que não é o padrão. */
+  const sources = new Map();
+
+  const configFile = commandLine.configFile ?? env.CONFIG_FILE ?? null;
+  if (configFile) {
+    try {
+      const fileValues = readConfigFile(configFile);
+      const fileErrors = validateConfigValues(fileValues, ALL_CONFIG_FIELDS, configFile);
+      if (fileErrors.length > 0) {
+        errors.push(...fileErrors);
+      } else {
+        for (const field of ALL_CONFIG_FIELDS) {
+          const value = getConfigValue(fileValues, field.path);
+          if (value === undefined) continue;
+          setConfigValue(values, field.path, value);
+          sources.set(field.path, 'file');
+        }
+      }
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  /**
+   * @param {ServerConfigField} field
+   * @param {string} text
+   * @param {'environment' | 'command line'} kind
+   * @param {string} source - Origem detalhada, usada nas mensagens de erro.
+   */
+  const applyText = (field, text, kind, source) => {
+    const value = parseConfigText(field, text);
+    const single = {};
+    setConfigValue(single, field.path, value);
+    const fieldErrors = validateConfigValues(single, ALL_CONFIG_FIELDS, source);
+    if (fieldErrors.length > 0) {
+      errors.push(...fieldErrors);
+      return;
+    }
+    setConfigValue(values, field.path, value);
+    sources.set(field.path, kind);
+  };
+
+  const envNames = new Set();
+  for (const field of ALL_CONFIG_FIELDS) {
+    const envName = getConfigEnvName(field);
+    envNames.add(envName);
+    if (env[envName] !== undefined && env[envName] !== '') {
+      applyText(field, env[envName], 'environment', `environment ${envName}`);
+    }
+  }
+  // Variáveis com o prefixo que não correspondem a nenhum campo são, normalmente, erros de digitação
+  for (const name of Object.keys(env)) {
+    if (name.startsWith(ENV_PREFIX) && !envNames.has(name)) {
+      errors.push(`environment ${name}: unknown setting`);
+    }
+  }
+
+  const fieldsByPath = new Map(ALL_CONFIG_FIELDS.map(field => [field.path, field]));
+  for (const [fieldPath, text] of commandLine.entries) {
+    applyText(fieldsByPath.get(fieldPath), text, 'command line', 'command line');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid server configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const gameValues = {};
+  for (const field of ALL_CONFIG_FIELDS) {
+    const value = getConfigValue(values, field.path);
+    if (value === undefined) continue;
+    setConfigValue(GAME_CONFIG_FIELDS.includes(field) ? gameValues : serverConfig, field.path, value);
+  }
+  const game = applyGameConfig(gameValues, 'server configuration');
+  configureLogging({ levels: serverConfig.logging.level, format: serverConfig.logging.format });
+
+  const pathsFrom = (kind) => [...sources].filter(([, source]) => source === kind).map(([fieldPath]) => fieldPath);
+  const summary = [];
+  if (configFile) summary.push(`${pathsFrom('file').length} settings from ${configFile}`);
+  for (const kind of ['environment', 'command line']) {
+    const paths = pathsFrom(kind);
+    if (paths.length > 0) summary.push(`${kind}: ${paths.join(', ')}`);
+  }
+  log(`Configuration loaded (${summary.length > 0 ? summary.join('; ') : 'defaults'}).`);
+  return { server: serverConfig, game };
+}
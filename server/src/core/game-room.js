@@ -0,0 +1,380 @@
+// server/src/core/game-room.js
+
+import { createLogger } from '../../../shared/utils/logger.js';
+import { getCurrentTime } from '../../../shared/utils/clock.js';
+import { SpawnManager } from '../gameplay/spawn-manager.js';
+import { SessionManager } from '../managers/session-manager.js';
+import { GameStateManager } from '../managers/game-state-manager.js';
+import { BotManager } from '../managers/bot-manager.js';
+import { MatchManager } from '../managers/match-manager.js';
+import { StateBroadcaster } from '../network/state-broadcaster.js';
+import { PersistentGameLoop } from './persistent-game-loop.js';
+import { createWorldEventBus } from '../../../shared/events/world-events.js';
+import { MapRotation } from '../gameplay/map-rotation.js';
+import { loadMapFile } from '../gameplay/map-file-loader.js';
+import { MAP_CHANGE_READY_TIMEOUT_MS } from '../../../shared/constants/map-settings.js';
+import { MATCH_STATES } from '../../../shared/constants/match-settings.js';
+import { gameConfig } from '../../../shared/config/game-config.js';
+
+const { log, warn } = createLogger('rooms');
+
+/**
+ * Resumo público de uma sala (enviado na listagem de salas).
+ * @typedef {object} RoomSummary
+ * @property {string} id
+ * @property {string} name
+ * @property {number} playerCount - Jogadores conectados.
+ * @property {number} maxPlayers
+ * @property {string} mapId
+ * @property {string | null} mapHash
+ * @property {number} botCount - Bots na partida (cedem a vaga a quem entra).
+ * @property {import('../../../shared/events/world-events.js').MatchStatus} match - Estado atual da partida.
+ */
+
+/**
+ * Métricas de desempenho de uma sala (expostas pelas rotas /metrics e /status).
+ * @typedef {object} RoomMetrics
+ * @property {string} id
+ * @property {string} name
+ * @property {string} mapId
+ * @property {number} playerCount
+ * @property {number} botCount
+ * @property {string} matchState
+ * @property {number} maxPlayers
+ * @property {number} projectileCount
+ * @property {import('./persistent-game-loop.js').GameLoopStats} loop
+ * @property {Array<import('../network/state-broadcaster.js').ClientSyncMetrics & {inputQueueLength: number}>} clients -
+ *           Métricas de envio de cada cliente e a quantidade de inputs aguardando simulação.
+ */
+
+/**
+ * Troca de mapa em andamento: a partida fica pausada até todos confirmarem o novo mapa ou o prazo acabar.
+ * @typedef {object} PendingMapChange
+ * @property {Set<string>} awaitingSocketIds - Clientes que ainda não enviaram 'mapReady'.
+ * @property {number} deadline - Timestamp (ms) a partir do qual a partida recomeça sem esperar os demais.
+ */
+
+/**
+ * Uma partida isolada: mapa, jogadores, estado do jogo, broadcaster e loop próprios,
+ * com os clientes agrupados em uma sala do Socket.IO de mesmo ID.
+ *
+ * O ciclo de cada partida fica com o MatchManager; os clientes recebem 'matchState' (MatchStatus) a cada troca
+ * de estado e 'matchResults' (MatchResults) ao fim da partida.
+ *
+ * Depois dos resultados a sala passa para o próximo mapa da rotação: avisa os clientes com
+ * 'mapChange' {mapId, hash}, espera cada um responder 'mapReady' {mapId, hash} depois de montar
+ * o mesh do mapa e então reinicia a partida pelo MatchManager ('mapStarted').
+ */
+export class GameRoom {
+  /** @type {string} */
+  id;
+  /** @type {string} */
+  name;
+  /** @type {number} */
+  maxPlayers;
+  /** @type {import('socket.io').Server} */
+  io;
+  /** @type {import('../../../shared/gameplay/world/map.js').GameMap} */
+  gameMap;
+  /** @type {MapRotation} */
+  mapRotation;
+  /** @type {SpawnManager} */
+  spawnManager;
+  /**
+   * Barramento dos eventos internos desta partida (disparos, impactos, dano, mortes, respawns).
+   * @type {import('../../../shared/events/event-bus.js').EventBus}
+   */
+  eventBus;
+  /** @type {SessionManager} */
+  sessionManager;
+  /** @type {GameStateManager} */
+  gameStateManager;
+  /** @type {StateBroadcaster} */
+  stateBroadcaster;
+  /** @type {BotManager} */
+  botManager;
+  /**
+   * Inscrições da sala no barramento do mundo, canceladas em dispose().
+   * @type {Array<import('../../../shared/events/event-bus.js').EventSubscription>}
+   */
+  subscriptions = [];
+  /** @type {PersistentGameLoop} */
+  gameLoop;
+  /** @type {MatchManager} */
+  matchManager;
+  /** @type {PendingMapChange | null} */
+  pendingMapChange = null;
+
+  /**
+   * Cria uma instância do GameRoom (o loop só começa em start()).
+   * @param {import('socket.io').Server} io - A instância do servidor Socket.IO.
+   * @param {{id: string, name: string, maxPlayers: number, gameMap: import('../../../shared/gameplay/world/map.js').GameMap,
+   *          random?: () => number, bots?: {minPlayers?: number, difficulty?: string},
+   *          match?: Partial<import('../managers/match-manager.js').MatchSettings>}} options - `random` é o gerador dos
+   *          sorteios de spawn, dos bots e dos IDs dos projéteis (padrão: Math.random); `bots` substitui `serverConfig.bots`
+   *          e `match`, `gameConfig.match` (o modo de jogo, `match.mode`, vale para toda a vida da sala).
+   */
+  constructor(io, { id, name, maxPlayers, gameMap, random = Math.random, bots = {}, match = {} }) {
+    if (!io) {
+      throw new Error("GameRoom requires a Socket.IO server instance.");
+    }
+    if (!id || !gameMap || !(maxPlayers > 0)) {
+      throw new Error("GameRoom requires an id, a map and a positive player cap.");
+    }
+    this.io = io;
+    this.id = id;
+    this.name = name || id;
+    this.maxPlayers = maxPlayers;
+    this.gameMap = gameMap;
+
+    this.mapRotation = new MapRotation(gameMap.id);
+    this.spawnManager = new SpawnManager(gameMap, random);
+    this.eventBus = createWorldEventBus();
+    this.sessionManager = new SessionManager(this.spawnManager, this.eventBus);
+    this.gameStateManager = new GameStateManager(this.sessionManager, gameMap, { mode: match.mode ?? gameConfig.match.mode, random });
+    this.stateBroadcaster = new StateBroadcaster(io, this.gameStateManager, id);
+    this.botManager = new BotManager(this.sessionManager, this.gameStateManager, { ...bots, random });
+    this.matchManager = new MatchManager(this.sessionManager, this.gameStateManager, this.spawnManager, match);
+    // Os snapshots são filtrados por relevância, então a ausência de um jogador não indica que ele saiu:
+    // os clientes são avisados explicitamente (jogadores e bots)
+    this.subscriptions = [
+      this.eventBus.on('playerLeft', ({ playerId }) => this.io.to(this.id).emit('playerDisconnected', { playerId })),
+      this.eventBus.on('matchState', (status) => this.io.to(this.id).emit('matchState', status)),
+      this.eventBus.on('matchEnded', (results) => this.io.to(this.id).emit('matchResults', results)),
+    ];
+    // O loop transmite o estado uma vez depois dos passos de cada execução
+    this.gameLoop = new PersistentGameLoop(this.tick.bind(this), this.stateBroadcaster);
+
+    log(`GameRoom ${this.id} ("${this.name}") created on map ${gameMap.id} (max ${this.maxPlayers} players).`);
+  }
+
+  /**
+   * Executa um passo fixo da partida (os snapshots são enviados pelo loop depois dos passos).
+   * Nos resultados e durante uma troca de mapa a simulação fica pausada (os inputs recebidos são descartados).
+   * @param {number} deltaTime - Passo fixo da simulação em segundos (getFixedTimeStep()).
+   * @param {number} tick - Número do passo, enviado nos snapshots.
+   */
+  tick(deltaTime, tick) {
+    try {
+      const now = getCurrentTime();
+      if (!this.pendingMapChange) {
+        const previousState = this.matchManager.state;
+        this.matchManager.update(now);
+        if (previousState === MATCH_STATES.POST_GAME && this.matchManager.state !== MATCH_STATES.POST_GAME) {
+          this.advanceMapRotation();
+        }
+      }
+
+      // Atualiza o estado do jogo (ou aguarda os clientes carregarem o novo mapa)
+      if (this.pendingMapChange) {
+        this.updatePendingMapChange(now);
+      } else if (this.matchManager.state === MATCH_STATES.POST_GAME) {
+        this.discardPendingInputs();
+      } else {
+        this.botManager.update(this.maxPlayers);
+        this.gameStateManager.update(deltaTime, tick);
+      }
+    } catch (error) {
+      warn(`GameRoom ${this.id}: Error during game loop update:`, error);
+    }
+  }
+
+  /**
+   * Passa para o próximo mapa da rotação depois dos resultados da partida.
+   */
+  advanceMapRotation() {
+    const nextMapId = this.mapRotation.advance();
+    log(`GameRoom ${this.id}: match over, next map is ${nextMapId}.`);
+    if (!this.changeMap(nextMapId)) {
+      // A sala continua no mapa atual, mas a próxima partida começa do zero
+      this.matchManager.reset();
+    }
+  }
+
+  /**
+   * Troca o mapa da sala e pausa a partida até os clientes confirmarem que o carregaram.
+   * @param {string} mapId
+   * @returns {boolean} false se o mapa não pôde ser carregado (a sala continua no mapa atual).
+   */
+  changeMap(mapId) {
+    let gameMap;
+    try {
+      gameMap = loadMapFile(mapId);
+    } catch (err) {
+      warn(`GameRoom ${this.id}: cannot change to map ${mapId}: ${err.message}`);
+      return false;
+    }
+
+    this.gameMap = gameMap;
+    this.spawnManager.setMap(gameMap);
+    this.gameStateManager.setMap(gameMap);
+    this.botManager.setMap(gameMap);
+    this.stateBroadcaster.interestManager.setObstacles(gameMap.getStaticObstacles());
+
+    this.pendingMapChange = {
+      awaitingSocketIds: new Set(this.sessionManager.getAllPlayersArray().filter(player => !player.isBot).map(player => player.id)),
+      deadline: getCurrentTime() + MAP_CHANGE_READY_TIMEOUT_MS,
+    };
+    this.io.to(this.id).emit('mapChange', { mapId: gameMap.id, hash: gameMap.hash });
+    log(`GameRoom ${this.id}: changing to map ${gameMap.id} (${gameMap.hash}), waiting for ${this.pendingMapChange.awaitingSocketIds.size} clients.`);
+    return true;
+  }
+
+  /**
+   * Registra a confirmação 'mapReady' de um cliente. Confirmações de outro mapa (ou de outra versão
+   * do arquivo) são ignoradas.
+   * @param {string} socketId
+   * @param {{mapId?: string, hash?: string}} [ready]
+   */
+  handleMapReady(socketId, ready) {
+    if (!this.pendingMapChange?.awaitingSocketIds.has(socketId)) return;
+    if (ready?.mapId !== this.gameMap.id || ready?.hash !== this.gameMap.hash) {
+      warn(`GameRoom ${this.id}: ${socketId} confirmed map ${ready?.mapId} (${ready?.hash}), expected ${this.gameMap.id} (${this.gameMap.hash}).`);
+      return;
+    }
+    this.pendingMapChange.awaitingSocketIds.delete(socketId);
+  }
+
+  /**
+   * Mantém a partida pausada até todos confirmarem o novo mapa (ou o prazo acabar) e então a reinicia.
+   * @param {number} now - Timestamp atual (ms).
+   * @private
+   */
+  updatePendingMapChange(now) {
+    this.discardPendingInputs();
+
+    const { awaitingSocketIds, deadline } = this.pendingMapChange;
+    if (awaitingSocketIds.size > 0 && now < deadline) return;
+    if (awaitingSocketIds.size > 0) {
+      warn(`GameRoom ${this.id}: map ${this.gameMap.id} not confirmed by ${Array.from(awaitingSocketIds).join(', ')}; starting anyway.`);
+    }
+
+    this.pendingMapChange = null;
+    this.matchManager.reset();
+    this.io.to(this.id).emit('mapStarted', { mapId: this.gameMap.id });
+    log(`GameRoom ${this.id}: map ${this.gameMap.id} started.`);
+  }
+
+  /**
+   * Descarta os inputs pendentes de todos os jogadores (simulação pausada).
+   * @private
+   */
+  discardPendingInputs() {
+    for (const player of this.sessionManager.players.values()) {
+      player.discardPendingInputs();
+    }
+  }
+
+  /**
+   * Inicia o loop de jogo da sala.
+   */
+  start() {
+    this.gameLoop.start();
+  }
+
+  /**
+   * Encerra a sala: para o loop e remove os listeners. Os jogadores devem ter saído antes.
+   */
+  dispose() {
+    if (this.gameLoop.isRunning) this.gameLoop.stop();
+    this.botManager.dispose();
+    this.matchManager.dispose();
+    for (const subscription of this.subscriptions) subscription.dispose();
+    this.subscriptions = [];
+    this.stateBroadcaster.dispose();
+    this.gameStateManager.dispose();
+    this.eventBus.dispose();
+    log(`GameRoom ${this.id} closed.`);
+  }
+
+  /**
+   * @returns {number} Jogadores conectados (os bots não ocupam vaga: saem quando alguém entra).
+   */
+  getPlayerCount() {
+    return this.sessionManager.getHumanCount();
+  }
+
+  /**
+   * @returns {number}
+   */
+  getBotCount() {
+    return this.sessionManager.players.size - this.sessionManager.getHumanCount();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isFull() {
+    return this.getPlayerCount() >= this.maxPlayers;
+  }
+
+  /**
+   * Cria o jogador do socket nesta partida e passa a enviar snapshots a ele.
+   * @param {import('socket.io').Socket} socket
+   * @returns {import('../gameplay/server-player.js').ServerPlayer | null} O jogador, ou null se a sala está cheia.
+   */
+  addPlayer(socket) {
+    if (this.isFull()) {
+      return null;
+    }
+    if (this.sessionManager.players.size >= this.maxPlayers) {
+      this.botManager.releaseSlot();
+    }
+    const player = this.sessionManager.addPlayer(socket);
+    // Quem entra durante uma troca de mapa também precisa confirmá-lo
+    this.pendingMapChange?.awaitingSocketIds.add(socket.id);
+    socket.join(this.id);
+    this.stateBroadcaster.addClient(socket);
+    log(`Player ${player.name} joined room ${this.id} (${this.getPlayerCount()}/${this.maxPlayers}).`);
+    return player;
+  }
+
+  /**
+   * Remove o jogador do socket desta partida e avisa os demais clientes da sala.
+   * @param {import('socket.io').Socket} socket
+   */
+  removePlayer(socket) {
+    this.stateBroadcaster.removeClient(socket.id);
+    socket.leave(this.id);
+    this.sessionManager.removePlayer(socket.id); // Os demais clientes recebem 'playerDisconnected' (ver 'playerLeft')
+    this.pendingMapChange?.awaitingSocketIds.delete(socket.id);
+    log(`Player ${socket.id} left room ${this.id} (${this.getPlayerCount()}/${this.maxPlayers}).`);
+  }
+
+  /**
+   * @returns {RoomMetrics}
+   */
+  getMetrics() {
+    return {
+      id: this.id,
+      name: this.name,
+      mapId: this.gameMap.id,
+      playerCount: this.getPlayerCount(),
+      botCount: this.getBotCount(),
+      matchState: this.matchManager.state,
+      maxPlayers: this.maxPlayers,
+      projectileCount: this.gameStateManager.projectiles.size,
+      loop: this.gameLoop.getStats(),
+      clients: this.stateBroadcaster.getClientMetrics().map(clientMetrics => ({
+        ...clientMetrics,
+        inputQueueLength: this.sessionManager.getPlayer(clientMetrics.socketId)?.pendingInputs.length ?? 0,
+      })),
+    };
+  }
+
+  /**
+   * @returns {RoomSummary}
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      name: this.name,
+      playerCount: this.getPlayerCount(),
+      maxPlayers: this.maxPlayers,
+      mapId: this.gameMap.id,
+      mapHash: this.gameMap.hash,
+      botCount: this.getBotCount(),
+      match: this.matchManager.getStatus(),
+    };
+  }
+}
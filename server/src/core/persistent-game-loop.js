@@ -1,14 +1,37 @@
-import { log, error as logError } from '../../../shared/utils/logger.js';
-import { SERVER_TICK_INTERVAL_MS } from '../../../shared/constants/game-settings.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+import { MAX_CATCH_UP_STEPS, METRICS_SAMPLE_WINDOW } from '../../../shared/constants/game-settings.js';
+import { getTickIntervalMs, getFixedTimeStep } from '../../../shared/config/game-config.js';
+import { SampleWindow } from './sample-window.js';
+
+const { log, warn, error: logError } = createLogger('loop');
+
 // Importar tipo para JSDoc
 // import type { StateBroadcaster } from '../network/state-broadcaster.js';
 
 /**
- * Implementa um loop de jogo persistente no servidor com cálculo de deltaTime.
+ * Medições do loop, para diagnóstico de desempenho.
+ * @typedef {object} GameLoopStats
+ * @property {number} tick - Número do último passo executado.
+ * @property {number} overrunCount - Passos cuja atualização demorou mais que o próprio passo (tickIntervalMs).
+ * @property {number} catchUpStepCount - Passos extras executados para recuperar atraso.
+ * @property {number} droppedStepCount - Passos descartados por excederem MAX_CATCH_UP_STEPS.
+ * @property {number} lastStepDurationMs - Duração da atualização do último passo.
+ * @property {number} maxStepDurationMs - Maior duração de atualização de um passo.
+ * @property {import('./sample-window.js').SamplePercentiles} stepDurationPercentiles - Percentis da duração
+ *           dos últimos METRICS_SAMPLE_WINDOW passos (ms).
+ * @property {number} stepDurationSumMs - Soma da duração de todos os passos executados.
+ * @property {number} stepDurationCount - Quantidade de passos medidos.
+ */
+
+/**
+ * Implementa um loop de jogo persistente no servidor com passo fixo (getFixedTimeStep(), lido da
+ * configuração em vigor quando o loop é criado).
+ * O tempo real decorrido é acumulado e consumido em passos fixos numerados; se o processo atrasar,
+ * até MAX_CATCH_UP_STEPS passos são executados de uma vez e o restante do atraso é descartado.
  * Usa setTimeout recursivo para maior precisão em relação a setInterval.
  */
 export class PersistentGameLoop {
-  /** @type {(deltaTime: number) => void} */
+  /** @type {(deltaTime: number, tick: number) => void} */
   updateCallback;
   /** @type {NodeJS.Timeout | null} */
   timerId = null;
@@ -16,17 +39,51 @@ export class PersistentGameLoop {
   isRunning = false;
   /** @type {number} */
   lastTickTime = 0;
+  /**
+   * Duração (ms) de um passo.
+   * @type {number}
+   */
+  tickIntervalMs = getTickIntervalMs();
+  /**
+   * Duração (s) de um passo, passada a updateCallback.
+   * @type {number}
+   */
+  fixedTimeStep = getFixedTimeStep();
+  /**
+   * Tempo real (ms) acumulado e ainda não simulado.
+   * @type {number}
+   */
+  accumulator = 0;
+  /**
+   * Número do último passo executado (o primeiro é 1).
+   * @type {number}
+   */
+  currentTick = 0;
+  /**
+   * Duração (ms) da atualização dos passos recentes.
+   * @type {SampleWindow}
+   */
+  stepDurations = new SampleWindow(METRICS_SAMPLE_WINDOW);
+  /** @type {Omit<GameLoopStats, 'tick' | 'stepDurationPercentiles' | 'stepDurationSumMs' | 'stepDurationCount'>} */
+  stats = {
+    overrunCount: 0,
+    catchUpStepCount: 0,
+    droppedStepCount: 0,
+    lastStepDurationMs: 0,
+    maxStepDurationMs: 0,
+  };
 
   /**
-   * Referência ao StateBroadcaster para transmitir o estado após cada update.
+   * Referência ao StateBroadcaster para transmitir o estado após os passos de cada execução do loop.
    * @type {import('../network/state-broadcaster.js').StateBroadcaster | null} // Ajustado JSDoc e tipo
    */
   stateBroadcaster = null; // Modificado: inicializa como null
 
   /**
    * Cria uma instância do PersistentGameLoop.
-   * @param {(deltaTime: number) => void} updateCallback - A função a ser executada a cada tick.
-   * @param {import('../network/state-broadcaster.js').StateBroadcaster} [stateBroadcaster] - (Opcional, mas usado nesta etapa) Instância do StateBroadcaster. // Ajustado JSDoc
+   * @param {(deltaTime: number, tick: number) => void} updateCallback - Executada a cada passo, com o passo fixo (s) e o número do passo.
+   * @param {import('../network/state-broadcaster.js').StateBroadcaster} [stateBroadcaster] - (Opcional) Transmite o estado uma vez
+   *        depois dos passos de cada execução do loop (e não a cada passo de recuperação).
    */
   constructor(updateCallback, stateBroadcaster = null) { // Modificado: stateBroadcaster opcional
     if (typeof updateCallback !== 'function') {
@@ -51,6 +108,7 @@ export class PersistentGameLoop {
     }
     this.isRunning = true;
     this.lastTickTime = performance.now();
+    this.accumulator = 0;
     log('Starting persistent game loop...');
     this.scheduleNextTick();
   }
@@ -72,32 +130,63 @@ export class PersistentGameLoop {
   }
 
   /**
-   * Agenda a próxima execução do tick do loop.
+   * @returns {GameLoopStats}
+   */
+  getStats() {
+    return {
+      tick: this.currentTick,
+      ...this.stats,
+      stepDurationPercentiles: this.stepDurations.getPercentiles(),
+      stepDurationSumMs: this.stepDurations.total,
+      stepDurationCount: this.stepDurations.totalCount,
+    };
+  }
+
+  /**
+   * Agenda a próxima execução do loop para quando o acumulador completar um passo.
    */
   scheduleNextTick() {
-    const now = performance.now();
-    const nextTickTime = this.lastTickTime + SERVER_TICK_INTERVAL_MS;
-    const delay = Math.max(0, nextTickTime - now);
+    const elapsed = performance.now() - this.lastTickTime;
+    const delay = Math.max(0, this.tickIntervalMs - this.accumulator - elapsed);
 
     this.timerId = setTimeout(() => this.tick(), delay);
   }
 
   /**
-   * Executa um único tick do loop de jogo.
+   * Executa os passos fixos que couberem no tempo acumulado e transmite o estado resultante.
    */
   tick() {
     if (!this.isRunning) return;
 
     const now = performance.now();
-    const deltaTime = (now - this.lastTickTime) / 1000;
+    this.accumulator += now - this.lastTickTime;
     this.lastTickTime = now;
 
+    let steps = Math.floor(this.accumulator / this.tickIntervalMs);
+    if (steps > MAX_CATCH_UP_STEPS) {
+      const droppedSteps = steps - MAX_CATCH_UP_STEPS;
+      this.accumulator -= droppedSteps * this.tickIntervalMs;
+      this.stats.droppedStepCount += droppedSteps;
+      steps = MAX_CATCH_UP_STEPS;
+      warn(`Game loop fell ${droppedSteps + steps} steps behind; dropping ${droppedSteps}.`);
+    }
+    if (steps > 1) {
+      this.stats.catchUpStepCount += steps - 1;
+    }
+
     try {
-      // Chama a função de atualização principal
-      this.updateCallback(deltaTime);
+      for (let step = 0; step < steps; step++) {
+        this.accumulator -= this.tickIntervalMs;
+        this.currentTick++;
+
+        // Chama a função de atualização principal
+        const stepStart = performance.now();
+        this.updateCallback(this.fixedTimeStep, this.currentTick);
+        this.recordStepDuration(performance.now() - stepStart);
+      }
 
       // Transmite o estado do jogo DEPOIS da atualização
-      if (this.stateBroadcaster) { // Modificado: Verifica se existe
+      if (steps > 0 && this.stateBroadcaster) { // Modificado: Verifica se existe
         this.stateBroadcaster.broadcastGameState(); // Modificado: Chama o método
       }
 
@@ -109,4 +198,17 @@ export class PersistentGameLoop {
 
     this.scheduleNextTick();
   }
-}
\ No newline at end of file
+
+  /**
+   * @param {number} durationMs - Duração da atualização de um passo.
+   * @private
+   */
+  recordStepDuration(durationMs) {
+    this.stats.lastStepDurationMs = durationMs;
+    this.stepDurations.add(durationMs);
+    this.stats.maxStepDurationMs = Math.max(this.stats.maxStepDurationMs, durationMs);
+    if (durationMs > this.tickIntervalMs) {
+      this.stats.overrunCount++;
+    }
+  }
+}
@@ -0,0 +1,102 @@
+// server/src/core/sample-window.js
+
+/**
+ * Percentis mais usados nas métricas do servidor.
+ * @typedef {object} SamplePercentiles
+ * @property {number} p50
+ * @property {number} p95
+ * @property {number} p99
+ */
+
+/**
+ * Janela circular com as últimas amostras de uma medição (ex: duração dos passos do loop),
+ * usada para calcular média e percentis recentes sem guardar o histórico inteiro.
+ * Registrar uma amostra não aloca; os percentis são calculados apenas quando consultados.
+ */
+export class SampleWindow {
+  /** @type {Float64Array} */
+  samples;
+  /**
+   * Cópia ordenada das amostras, reaproveitada entre consultas de percentis.
+   * @type {Float64Array}
+   */
+  sortedSamples;
+  /**
+   * Quantidade de amostras válidas na janela (até a capacidade).
+   * @type {number}
+   */
+  count = 0;
+  /**
+   * Posição onde a próxima amostra será gravada.
+   * @type {number}
+   */
+  nextIndex = 0;
+  /**
+   * Soma de todas as amostras já registradas, inclusive as que saíram da janela.
+   * @type {number}
+   */
+  total = 0;
+  /**
+   * Quantidade de amostras já registradas, inclusive as que saíram da janela.
+   * @type {number}
+   */
+  totalCount = 0;
+
+  /**
+   * Cria uma janela vazia.
+   * @param {number} capacity - Quantidade de amostras recentes mantidas.
+   */
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error("SampleWindow requires a positive integer capacity.");
+    }
+    this.samples = new Float64Array(capacity);
+    this.sortedSamples = new Float64Array(capacity);
+  }
+
+  /**
+   * Registra uma amostra, descartando a mais antiga se a janela estiver cheia.
+   * @param {number} value
+   */
+  add(value) {
+    this.samples[this.nextIndex] = value;
+    this.nextIndex = (this.nextIndex + 1) % this.samples.length;
+    this.count = Math.min(this.count + 1, this.samples.length);
+    this.total += value;
+    this.totalCount++;
+  }
+
+  /**
+   * @returns {number} A amostra mais recente (0 se vazia).
+   */
+  getLatest() {
+    if (this.count === 0) return 0;
+    return this.samples[(this.nextIndex + this.samples.length - 1) % this.samples.length];
+  }
+
+  /**
+   * @returns {number} Média das amostras na janela (0 se vazia).
+   */
+  getAverage() {
+    let sum = 0;
+    for (let i = 0; i < this.count; i++) {
+      sum += this.samples[i];
+    }
+    return this.count > 0 ? sum / this.count : 0;
+  }
+
+  /**
+   * Percentis das amostras na janela (método do posto mais próximo; todos 0 se vazia).
+   * @returns {SamplePercentiles}
+   */
+  getPercentiles() {
+    if (this.count === 0) {
+      return { p50: 0, p95: 0, p99: 0 };
+    }
+    const sorted = this.sortedSamples.subarray(0, this.count);
+    sorted.set(this.samples.subarray(0, this.count));
+    sorted.sort();
+    const at = (quantile) => sorted[Math.min(this.count - 1, Math.ceil(quantile * this.count) - 1)];
+    return { p50: at(0.5), p95: at(0.95), p99: at(0.99) };
+  }
+}
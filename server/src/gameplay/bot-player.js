@@ -0,0 +1,368 @@
+// server/src/gameplay/bot-player.js
+
+import { ServerPlayer } from './server-player.js';
+import { Vector3 } from '../../../shared/physics/vector.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+import { clamp, normalizeAngle } from '../../../shared/utils/math-utils.js';
+import { getFixedTimeStep } from '../../../shared/config/game-config.js';
+import { areTeammates } from '../../../shared/gameplay/teams/friendly-fire.js';
+import {
+    BOT_DIFFICULTIES,
+    DEFAULT_BOT_DIFFICULTY,
+    BOT_AIM_ERROR_INTERVAL_MS,
+    BOT_FIRE_ANGLE_TOLERANCE,
+    BOT_TARGET_MEMORY_MS,
+    BOT_PREFERRED_COMBAT_DISTANCE,
+    BOT_STRAFE_MIN_MS,
+    BOT_STRAFE_MAX_MS,
+    BOT_REPATH_INTERVAL_MS,
+    BOT_WAYPOINT_RADIUS,
+    BOT_STUCK_DISTANCE,
+    BOT_STUCK_CHECK_MS,
+} from '../../../shared/constants/bot-settings.js';
+
+const { debug } = createLogger('bots');
+
+/** Componente mínimo (no espaço local do bot) para uma direção de movimento virar tecla pressionada. */
+const MOVE_KEY_THRESHOLD = 0.38;
+
+// Temporários de think()
+const scratchEye = new Vector3();
+const scratchTargetPoint = new Vector3();
+const scratchDirection = new Vector3();
+
+/**
+ * O que o bot sabe do mundo a cada tick (montado pelo BotManager).
+ * @typedef {object} BotWorldView
+ * @property {Array<ServerPlayer>} players - Todos os jogadores da partida (inclusive o próprio bot).
+ * @property {import('../../../shared/physics/collision-system.js').CollisionSystem} collisionSystem
+ * @property {import('../../../shared/physics/collision-system.js').ObstacleCollection} obstacles - Obstáculos que bloqueiam a visão.
+ * @property {import('./navigation-grid.js').NavigationGrid} navigationGrid
+ * @property {() => number} random
+ * @property {number} now - Timestamp atual (ms).
+ */
+
+/**
+ * Jogador controlado pelo servidor. Não tem socket: a cada tick, think() decide o que fazer e enfileira
+ * um PlayerInput sintético, que é simulado pelo mesmo caminho dos inputs dos clientes (applyInputs).
+ * Escolhe como alvo o inimigo visível mais próximo (linha de visão contra os obstáculos), mira com o
+ * erro e a velocidade de giro da sua dificuldade e só atira depois do tempo de reação; sem alvo, segue
+ * pela grade de navegação até a última posição conhecida do alvo ou até um ponto sorteado do mapa.
+ */
+export class BotPlayer extends ServerPlayer {
+    /** @type {string} */
+    difficulty;
+    /** @type {import('../../../shared/constants/bot-settings.js').BotDifficulty} */
+    settings;
+    /** @type {number} */
+    inputSequence = 0;
+    /** @type {string | null} */
+    targetId = null;
+    /**
+     * Instante (ms) em que o alvo atual foi avistado (conta para o tempo de reação).
+     * @type {number}
+     */
+    targetVisibleSince = 0;
+    /** @type {Vector3 | null} */
+    lastSeenTargetPosition = null;
+    /** @type {number} */
+    lastSeenTargetTime = 0;
+    /**
+     * Erro de mira atual (radianos), somado ao yaw e ao pitch desejados.
+     * @type {{yaw: number, pitch: number}}
+     */
+    aimOffset = { yaw: 0, pitch: 0 };
+    /** @type {number} */
+    nextAimErrorTime = 0;
+    /** @type {1 | -1} */
+    strafeDirection = 1;
+    /** @type {number} */
+    nextStrafeChangeTime = 0;
+    /**
+     * Caminho atual (pontos a seguir, em ordem) e o destino para o qual foi calculado.
+     * @type {Array<Vector3>}
+     */
+    path = [];
+    /** @type {Vector3 | null} */
+    pathGoal = null;
+    /** @type {number} */
+    nextRepathTime = 0;
+    /** @type {Vector3} */
+    stuckCheckPosition = new Vector3();
+    /** @type {number} */
+    nextStuckCheckTime = 0;
+    /** @type {boolean} */
+    jumpRequested = false;
+
+    /**
+     * @param {string} id
+     * @param {import('./spawn-manager.js').SpawnManager} spawnManager
+     * @param {import('../../../shared/events/event-bus.js').EventBus} eventBus
+     * @param {{name: string, position: Vector3, difficulty?: string}} options - `difficulty` é uma chave de BOT_DIFFICULTIES.
+     */
+    constructor(id, spawnManager, eventBus, { name, position, difficulty = DEFAULT_BOT_DIFFICULTY }) {
+        super(id, null, spawnManager, eventBus, name, position);
+        if (!BOT_DIFFICULTIES[difficulty]) {
+            throw new Error(`BotPlayer requires a known difficulty (${Object.keys(BOT_DIFFICULTIES).join(', ')}).`);
+        }
+        this.difficulty = difficulty;
+        this.settings = BOT_DIFFICULTIES[difficulty];
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isBot() {
+        return true;
+    }
+
+    /**
+     * Restaura o bot e esquece o alvo e o caminho da vida anterior.
+     * @param {Vector3} position
+     */
+    respawn(position) {
+        super.respawn(position);
+        this.targetId = null;
+        this.lastSeenTargetPosition = null;
+        this.path = [];
+        this.pathGoal = null;
+    }
+
+    /**
+     * Decide as ações deste tick e enfileira o input correspondente.
+     * @param {BotWorldView} view
+     */
+    think(view) {
+        if (!this.isAlive) return;
+        const deltaTime = getFixedTimeStep();
+        const eye = scratchEye.copy(this.position);
+        eye.y += this.getEyeHeight();
+
+        const target = this.findTarget(view, eye);
+        const keys = { W: false, A: false, S: false, D: false, Shift: false, Space: false, Crouch: false, Fire: false, Cast1: false, Cast2: false, Cast3: false };
+        const moveDirection = scratchDirection.set(0, 0, 0);
+
+        if (target) {
+            if (target.id !== this.targetId) {
+                this.targetId = target.id;
+                this.targetVisibleSince = view.now;
+                this.nextAimErrorTime = 0;
+                debug(`Bot ${this.id} acquired target ${target.id}.`);
+            }
+            this.lastSeenTargetPosition = target.position.clone();
+            this.lastSeenTargetTime = view.now;
+            this.path = [];
+
+            keys.Fire = this.aimAt(target, eye, view, deltaTime);
+            this.getCombatMovement(target, view, moveDirection);
+        } else {
+            this.targetId = null;
+            const remembersTarget = this.lastSeenTargetPosition !== null && view.now - this.lastSeenTargetTime <= BOT_TARGET_MEMORY_MS;
+            if (!remembersTarget) this.lastSeenTargetPosition = null;
+            const goal = remembersTarget ? this.lastSeenTargetPosition : this.getRoamGoal(view);
+            this.followPath(goal, view, moveDirection);
+            keys.Shift = remembersTarget;
+            this.turnTowards(moveDirection.x !== 0 || moveDirection.z !== 0 ? Math.atan2(-moveDirection.x, -moveDirection.z) : this.lookYaw, 0, deltaTime);
+        }
+
+        this.updateStuckCheck(moveDirection, view);
+        this.setMovementKeys(keys, moveDirection);
+        keys.Space = this.jumpRequested;
+        this.jumpRequested = false;
+
+        this.processInput({
+            sequence: ++this.inputSequence,
+            deltaTime: deltaTime,
+            keys: keys,
+            lookYaw: this.lookYaw,
+            lookPitch: this.lookPitch,
+        });
+    }
+
+    /**
+     * Inimigo vivo (de outro time, no modo em equipe) mais próximo dentro do alcance de visão e com linha de visão livre.
+     * @param {BotWorldView} view
+     * @param {Vector3} eye
+     * @returns {ServerPlayer | null}
+     * @private
+     */
+    findTarget(view, eye) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (const player of view.players) {
+            if (player === this || !player.isAlive || areTeammates(this.team, player.team)) continue;
+            const distance = this.position.distanceTo(player.position);
+            if (distance > this.settings.sightRange || distance >= bestDistance) continue;
+            if (!this.canSee(player, eye, view)) continue;
+            best = player;
+            bestDistance = distance;
+        }
+        return best;
+    }
+
+    /**
+     * @param {ServerPlayer} player
+     * @param {Vector3} eye
+     * @param {BotWorldView} view
+     * @returns {boolean} true se a cabeça ou o tronco do jogador estão à vista.
+     * @private
+     */
+    canSee(player, eye, view) {
+        const point = scratchTargetPoint.copy(player.position);
+        point.y += player.getEyeHeight();
+        if (view.collisionSystem.hasLineOfSight(eye, point, view.obstacles)) return true;
+        point.y = player.position.y + player.height * 0.5;
+        return view.collisionSystem.hasLineOfSight(eye, point, view.obstacles);
+    }
+
+    /**
+     * Gira a mira em direção ao tronco do alvo (mais o erro de mira).
+     * @param {ServerPlayer} target
+     * @param {Vector3} eye
+     * @param {BotWorldView} view
+     * @param {number} deltaTime
+     * @returns {boolean} true se o bot deve atirar neste tick.
+     * @private
+     */
+    aimAt(target, eye, view, deltaTime) {
+        if (view.now >= this.nextAimErrorTime) {
+            const aimError = this.settings.aimError;
+            this.aimOffset.yaw = (view.random() * 2 - 1) * aimError;
+            this.aimOffset.pitch = (view.random() * 2 - 1) * aimError;
+            this.nextAimErrorTime = view.now + BOT_AIM_ERROR_INTERVAL_MS;
+        }
+
+        const dx = target.position.x - eye.x;
+        const dy = target.position.y + target.height * 0.5 - eye.y;
+        const dz = target.position.z - eye.z;
+        const horizontal = Math.sqrt(dx * dx + dz * dz);
+        const desiredYaw = Math.atan2(-dx, -dz) + this.aimOffset.yaw;
+        const desiredPitch = Math.atan2(dy, horizontal) + this.aimOffset.pitch;
+        this.turnTowards(desiredYaw, desiredPitch, deltaTime);
+
+        const reacted = view.now - this.targetVisibleSince >= this.settings.reactionTimeMs;
+        const onTarget = Math.abs(normalizeAngle(desiredYaw - this.lookYaw)) <= BOT_FIRE_ANGLE_TOLERANCE
+            && Math.abs(desiredPitch - this.lookPitch) <= BOT_FIRE_ANGLE_TOLERANCE;
+        return reacted && onTarget;
+    }
+
+    /**
+     * Gira a mira em direção aos ângulos desejados, limitado pela velocidade de giro.
+     * @param {number} yaw
+     * @param {number} pitch
+     * @param {number} deltaTime
+     * @private
+     */
+    turnTowards(yaw, pitch, deltaTime) {
+        const maxTurn = this.settings.turnSpeed * deltaTime;
+        this.lookYaw = normalizeAngle(this.lookYaw + clamp(normalizeAngle(yaw - this.lookYaw), -maxTurn, maxTurn));
+        this.lookPitch = clamp(this.lookPitch + clamp(pitch - this.lookPitch, -maxTurn, maxTurn), -Math.PI / 2, Math.PI / 2);
+    }
+
+    /**
+     * Em combate o bot anda de lado (trocando de sentido de tempos em tempos) e se aproxima
+     * ou se afasta para ficar perto de BOT_PREFERRED_COMBAT_DISTANCE.
+     * @param {ServerPlayer} target
+     * @param {BotWorldView} view
+     * @param {Vector3} out - Recebe a direção horizontal de movimento (não normalizada).
+     * @private
+     */
+    getCombatMovement(target, view, out) {
+        if (view.now >= this.nextStrafeChangeTime) {
+            this.strafeDirection = view.random() < 0.5 ? 1 : -1;
+            this.nextStrafeChangeTime = view.now + BOT_STRAFE_MIN_MS + view.random() * (BOT_STRAFE_MAX_MS - BOT_STRAFE_MIN_MS);
+        }
+        const dx = target.position.x - this.position.x;
+        const dz = target.position.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz) || 1;
+        const forwardX = dx / distance;
+        const forwardZ = dz / distance;
+        const approach = clamp((distance - BOT_PREFERRED_COMBAT_DISTANCE) / BOT_PREFERRED_COMBAT_DISTANCE, -1, 1);
+        // Lateral: perpendicular à direção do alvo
+        out.set(forwardX * approach - forwardZ * this.strafeDirection, 0, forwardZ * approach + forwardX * this.strafeDirection);
+
+        // Não anda de lado para dentro de obstáculos
+        const probe = scratchTargetPoint.set(this.position.x + out.x, this.position.y, this.position.z + out.z);
+        if (!view.navigationGrid.isWalkable(probe)) {
+            this.strafeDirection = /** @type {1 | -1} */ (-this.strafeDirection);
+            out.set(forwardX * approach, 0, forwardZ * approach);
+        }
+    }
+
+    /**
+     * Destino de patrulha: mantém o destino atual até alcançá-lo, depois sorteia outro.
+     * @param {BotWorldView} view
+     * @returns {Vector3 | null}
+     * @private
+     */
+    getRoamGoal(view) {
+        // Um destino inalcançável só é trocado depois do intervalo de recálculo
+        if (this.pathGoal && (this.path.length > 0 || view.now < this.nextRepathTime)) return this.pathGoal;
+        return view.navigationGrid.getRandomWalkablePosition(view.random);
+    }
+
+    /**
+     * Segue (recalculando quando necessário) o caminho até o destino.
+     * @param {Vector3 | null} goal
+     * @param {BotWorldView} view
+     * @param {Vector3} out - Recebe a direção horizontal de movimento (zero se não houver caminho).
+     * @private
+     */
+    followPath(goal, view, out) {
+        out.set(0, 0, 0);
+        if (!goal) return;
+        const goalMoved = !this.pathGoal || Math.hypot(goal.x - this.pathGoal.x, goal.z - this.pathGoal.z) > BOT_WAYPOINT_RADIUS;
+        if (goalMoved || (this.path.length === 0 && view.now >= this.nextRepathTime)) {
+            this.pathGoal = goal.clone();
+            this.path = view.navigationGrid.findPath(this.position, goal) ?? [];
+            this.nextRepathTime = view.now + BOT_REPATH_INTERVAL_MS;
+        }
+
+        while (this.path.length > 0) {
+            const waypoint = this.path[0];
+            const dx = waypoint.x - this.position.x;
+            const dz = waypoint.z - this.position.z;
+            if (Math.sqrt(dx * dx + dz * dz) > BOT_WAYPOINT_RADIUS) {
+                out.set(dx, 0, dz);
+                return;
+            }
+            this.path.shift();
+        }
+    }
+
+    /**
+     * Se o bot quase não saiu do lugar querendo se mover, pula e descarta o caminho atual.
+     * @param {Vector3} moveDirection
+     * @param {BotWorldView} view
+     * @private
+     */
+    updateStuckCheck(moveDirection, view) {
+        if (view.now < this.nextStuckCheckTime) return;
+        const wantsToMove = moveDirection.x !== 0 || moveDirection.z !== 0;
+        const moved = Math.hypot(this.position.x - this.stuckCheckPosition.x, this.position.z - this.stuckCheckPosition.z);
+        if (wantsToMove && moved < BOT_STUCK_DISTANCE) {
+            this.jumpRequested = true;
+            this.path = [];
+            this.pathGoal = null;
+        }
+        this.stuckCheckPosition.copy(this.position);
+        this.nextStuckCheckTime = view.now + BOT_STUCK_CHECK_MS;
+    }
+
+    /**
+     * Converte a direção de movimento no mundo em teclas WASD relativas ao yaw atual.
+     * @param {Record<string, boolean>} keys
+     * @param {Vector3} moveDirection
+     * @private
+     */
+    setMovementKeys(keys, moveDirection) {
+        const length = Math.sqrt(moveDirection.x * moveDirection.x + moveDirection.z * moveDirection.z);
+        if (length < 1e-6) return;
+        // Inverso da rotação aplicada por Player.applyMovementInput
+        const local = scratchTargetPoint.set(moveDirection.x / length, 0, moveDirection.z / length).applyYaw(-this.lookYaw);
+        keys.W = local.z < -MOVE_KEY_THRESHOLD;
+        keys.S = local.z > MOVE_KEY_THRESHOLD;
+        keys.A = local.x < -MOVE_KEY_THRESHOLD;
+        keys.D = local.x > MOVE_KEY_THRESHOLD;
+    }
+}
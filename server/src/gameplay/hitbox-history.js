@@ -0,0 +1,198 @@
+// server/src/gameplay/hitbox-history.js
+
+import { Vector3 } from '../../../shared/physics/vector.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+
+const { log } = createLogger('lagcomp');
+
+/**
+ * Hitboxes de um jogador em um instante.
+ * `hitboxes` é null quando o jogador estava morto (não pode ser atingido nesse instante).
+ * @typedef {object} HitboxRecord
+ * @property {number} timestamp - Timestamp do servidor (ms) em que o registro foi feito.
+ * @property {Object.<string, {min: Vector3, max: Vector3}> | null} hitboxes
+ * @property {{min: Vector3, max: Vector3} | null} bounds - AABB que envolve todas as hitboxes do registro.
+ */
+
+/**
+ * Resultado reaproveitado de interpolateHitboxes (consumido pelo raycast antes da próxima consulta).
+ * @type {Object.<string, {min: Vector3, max: Vector3}>}
+ */
+const interpolatedHitboxes = {};
+
+/**
+ * Histórico circular das hitboxes de cada jogador, registrado uma vez por tick.
+ * Permite ao servidor "voltar no tempo" os alvos até o instante que o atirador via
+ * (compensação de latência), limitado à janela de tempo coberta pelo buffer.
+ * Os registros do buffer são reaproveitados: as hitboxes retornadas só valem até o próximo record().
+ */
+export class HitboxHistory {
+    /** @type {number} */
+    capacity;
+    /** @type {number} */
+    maxWindowMs;
+    /**
+     * Buffers circulares por ID de jogador.
+     * @type {Map<string, {entries: Array<HitboxRecord>, head: number, count: number}>}
+     */
+    buffers;
+
+    /**
+     * Cria uma instância do HitboxHistory.
+     * @param {number} maxWindowMs - Janela máxima de compensação (ms).
+     * @param {number} tickIntervalMs - Intervalo entre registros (ms), usado para dimensionar o buffer.
+     */
+    constructor(maxWindowMs, tickIntervalMs) {
+        if (!(maxWindowMs >= 0) || !(tickIntervalMs > 0)) {
+            throw new Error("HitboxHistory requires a non-negative window and a positive tick interval.");
+        }
+        this.maxWindowMs = maxWindowMs;
+        // +2: o registro atual e um registro anterior ao início da janela para interpolar
+        this.capacity = Math.ceil(maxWindowMs / tickIntervalMs) + 2;
+        this.buffers = new Map();
+        log(`HitboxHistory initialized (window ${maxWindowMs}ms, ${this.capacity} records per player).`);
+    }
+
+    /**
+     * Descarta todo o histórico (ex: troca de mapa, quando todos os jogadores são teleportados).
+     */
+    clear() {
+        this.buffers.clear();
+    }
+
+    /**
+     * Registra as hitboxes atuais de todos os jogadores e descarta o histórico de quem saiu.
+     * @param {Array<import('../../../shared/entities/player.js').Player>} players
+     * @param {number} timestamp - Timestamp do servidor (ms).
+     */
+    record(players, timestamp) {
+        const presentIds = new Set();
+        for (const player of players) {
+            presentIds.add(player.id);
+            let buffer = this.buffers.get(player.id);
+            if (!buffer) {
+                buffer = { entries: new Array(this.capacity), head: 0, count: 0 };
+                this.buffers.set(player.id, buffer);
+            }
+            const entry = buffer.entries[buffer.head]
+                ?? (buffer.entries[buffer.head] = { timestamp: 0, hitboxes: null, bounds: null });
+            entry.timestamp = timestamp;
+            entry.hitboxes = player.isAlive ? player.getHitboxes(entry.hitboxes ?? {}) : null;
+            entry.bounds = entry.hitboxes ? getHitboxesBounds(entry.hitboxes, entry.bounds ?? undefined) : null;
+            buffer.head = (buffer.head + 1) % this.capacity;
+            buffer.count = Math.min(buffer.count + 1, this.capacity);
+        }
+
+        for (const playerId of this.buffers.keys()) {
+            if (!presentIds.has(playerId)) {
+                this.buffers.delete(playerId);
+            }
+        }
+    }
+
+    /**
+     * AABB que envolve todas as posições registradas das hitboxes do jogador dentro da janela, ou seja,
+     * qualquer conjunto que getHitboxesAt possa retornar. Usada para indexar o jogador na grade de
+     * broad-phase quando os acertos são resolvidos com compensação de latência.
+     * @param {string} playerId
+     * @param {{min: Vector3, max: Vector3}} [out] - AABB que recebe o resultado.
+     * @returns {{min: Vector3, max: Vector3} | null} `out`, ou null se não há registros com o jogador vivo.
+     */
+    getSweptBounds(playerId, out = { min: new Vector3(), max: new Vector3() }) {
+        const buffer = this.buffers.get(playerId);
+        if (!buffer) return null;
+
+        let sweptBounds = null;
+        for (let i = 1; i <= buffer.count; i++) {
+            const { bounds } = buffer.entries[(buffer.head - i + this.capacity) % this.capacity];
+            if (!bounds) continue;
+            if (!sweptBounds) {
+                sweptBounds = out;
+                sweptBounds.min.copy(bounds.min);
+                sweptBounds.max.copy(bounds.max);
+                continue;
+            }
+            sweptBounds.min.set(Math.min(sweptBounds.min.x, bounds.min.x), Math.min(sweptBounds.min.y, bounds.min.y), Math.min(sweptBounds.min.z, bounds.min.z));
+            sweptBounds.max.set(Math.max(sweptBounds.max.x, bounds.max.x), Math.max(sweptBounds.max.y, bounds.max.y), Math.max(sweptBounds.max.z, bounds.max.z));
+        }
+        return sweptBounds;
+    }
+
+    /**
+     * Retorna as hitboxes do jogador no instante pedido, interpolando entre os dois registros vizinhos.
+     * @param {string} playerId
+     * @param {number} timestamp - Instante desejado (ms). Limitado à janela máxima.
+     * @returns {Object.<string, {min: Vector3, max: Vector3}> | null | undefined}
+     *          As hitboxes; `null` se o jogador estava morto; `undefined` se não há histórico.
+     */
+    getHitboxesAt(playerId, timestamp) {
+        const buffer = this.buffers.get(playerId);
+        if (!buffer || buffer.count === 0) return undefined;
+
+        // Do mais novo para o mais antigo
+        const newest = buffer.entries[(buffer.head - 1 + this.capacity) % this.capacity];
+        const targetTime = Math.max(timestamp, newest.timestamp - this.maxWindowMs);
+        if (targetTime >= newest.timestamp) return newest.hitboxes;
+
+        let later = newest;
+        for (let i = 2; i <= buffer.count; i++) {
+            const earlier = buffer.entries[(buffer.head - i + this.capacity) % this.capacity];
+            if (earlier.timestamp <= targetTime) {
+                if (!earlier.hitboxes || !later.hitboxes) {
+                    // Morte/respawn entre os registros: usa o mais próximo
+                    return (targetTime - earlier.timestamp) <= (later.timestamp - targetTime) ? earlier.hitboxes : later.hitboxes;
+                }
+                const span = later.timestamp - earlier.timestamp;
+                const alpha = span > 0 ? (targetTime - earlier.timestamp) / span : 1;
+                return interpolateHitboxes(earlier.hitboxes, later.hitboxes, alpha);
+            }
+            later = earlier;
+        }
+
+        // Pedido mais antigo que todo o histórico: usa o registro mais antigo
+        return later.hitboxes;
+    }
+}
+
+/**
+ * Interpola linearmente dois conjuntos de hitboxes com as mesmas chaves.
+ * @param {Object.<string, {min: Vector3, max: Vector3}>} from
+ * @param {Object.<string, {min: Vector3, max: Vector3}>} to
+ * @param {number} alpha - 0 = `from`, 1 = `to`.
+ * @returns {Object.<string, {min: Vector3, max: Vector3}>} Objeto reaproveitado (válido até a próxima chamada).
+ */
+function interpolateHitboxes(from, to, alpha) {
+    const result = interpolatedHitboxes;
+    for (const key in result) {
+        if (!(key in to)) delete result[key];
+    }
+    for (const key in to) {
+        const box = result[key] ?? (result[key] = { min: new Vector3(), max: new Vector3() });
+        if (!from[key]) {
+            box.min.copy(to[key].min);
+            box.max.copy(to[key].max);
+            continue;
+        }
+        Vector3.lerp(from[key].min, to[key].min, alpha, box.min);
+        Vector3.lerp(from[key].max, to[key].max, alpha, box.max);
+    }
+    return result;
+}
+
+/**
+ * AABB que envolve um conjunto de hitboxes.
+ * @param {Object.<string, {min: Vector3, max: Vector3}>} hitboxes
+ * @param {{min: Vector3, max: Vector3}} [out] - AABB que recebe o resultado.
+ * @returns {{min: Vector3, max: Vector3}}
+ */
+export function getHitboxesBounds(hitboxes, out = { min: new Vector3(), max: new Vector3() }) {
+    const { min, max } = out;
+    min.set(Infinity, Infinity, Infinity);
+    max.set(-Infinity, -Infinity, -Infinity);
+    for (const key in hitboxes) {
+        const box = hitboxes[key];
+        min.set(Math.min(min.x, box.min.x), Math.min(min.y, box.min.y), Math.min(min.z, box.min.z));
+        max.set(Math.max(max.x, box.max.x), Math.max(max.y, box.max.y), Math.max(max.z, box.max.z));
+    }
+    return out;
+}
@@ -0,0 +1,51 @@
+// server/src/gameplay/map-file-loader.js
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { createLogger } from '../../../shared/utils/logger.js';
+import { parseGameMap } from '../../../shared/gameplay/world/map-loader.js';
+import { MAP_ID_PATTERN } from '../../../shared/constants/map-settings.js';
+
+const { log } = createLogger('maps');
+
+/**
+ * Pasta dos arquivos de mapa (a mesma servida ao cliente em MAPS_URL_PATH).
+ * @type {string}
+ */
+export const MAPS_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../../shared/gameplay/world/maps');
+
+/**
+ * Mapas já carregados por ID. Os mapas são estáticos, então as salas compartilham a mesma instância.
+ * @type {Map<string, import('../../../shared/gameplay/world/map.js').GameMap>}
+ */
+const loadedMaps = new Map();
+
+/**
+ * Carrega (uma vez) o arquivo `<mapId>.json` da pasta de mapas.
+ * @param {string} mapId
+ * @returns {import('../../../shared/gameplay/world/map.js').GameMap}
+ * @throws {Error} Se o ID é inválido, o arquivo não existe ou o mapa é inválido.
+ */
+export function loadMapFile(mapId) {
+    const cachedMap = loadedMaps.get(mapId);
+    if (cachedMap) return cachedMap;
+
+    // O ID vira nome de arquivo: o padrão impede caminhos como '../'
+    if (typeof mapId !== 'string' || !MAP_ID_PATTERN.test(mapId)) {
+        throw new Error(`Invalid map id ${JSON.stringify(mapId)}.`);
+    }
+    const filePath = path.join(MAPS_DIRECTORY, `${mapId}.json`);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Map ${mapId} does not exist.`);
+    }
+
+    const gameMap = parseGameMap(fs.readFileSync(filePath, 'utf8'), `${mapId}.json`);
+    if (gameMap.id !== mapId) {
+        throw new Error(`Invalid map ${mapId}.json:\n  - id: must match the file name (got "${gameMap.id}")`);
+    }
+    loadedMaps.set(mapId, gameMap);
+    log(`Map ${mapId} ("${gameMap.name}") loaded from ${filePath}.`);
+    return gameMap;
+}
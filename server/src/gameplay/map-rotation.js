@@ -0,0 +1,39 @@
+// server/src/gameplay/map-rotation.js
+
+import { MAP_ROTATION } from '../../../shared/constants/map-settings.js';
+
+/**
+ * Lista circular de mapas de uma sala. O mapa inicial não precisa estar na lista:
+ * nesse caso a rotação continua a partir do primeiro mapa da lista.
+ */
+export class MapRotation {
+    /** @type {ReadonlyArray<string>} */
+    playlist;
+    /**
+     * Posição do mapa atual na lista (-1 se o mapa atual não faz parte dela).
+     * @type {number}
+     */
+    index;
+
+    /**
+     * Cria uma instância do MapRotation.
+     * @param {string} initialMapId - Mapa em que a sala começa.
+     * @param {ReadonlyArray<string>} [playlist=MAP_ROTATION]
+     */
+    constructor(initialMapId, playlist = MAP_ROTATION) {
+        if (!Array.isArray(playlist) || playlist.length === 0) {
+            throw new Error("MapRotation requires a non-empty playlist.");
+        }
+        this.playlist = playlist;
+        this.index = playlist.indexOf(initialMapId);
+    }
+
+    /**
+     * Avança para o próximo mapa da lista.
+     * @returns {string} ID do próximo mapa.
+     */
+    advance() {
+        this.index = (this.index + 1) % this.playlist.length;
+        return this.playlist[this.index];
+    }
+}
@@ -0,0 +1,389 @@
+// server/src/gameplay/navigation-grid.js
+
+import { Vector3 } from '../../../shared/physics/vector.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+import { PLAYER_HEIGHT } from '../../../shared/base/collidable.js';
+import { STEP_HEIGHT } from '../../../shared/constants/game-settings.js';
+import { NAV_GRID_CELL_SIZE, NAV_GRID_CLEARANCE } from '../../../shared/constants/bot-settings.js';
+
+const { log } = createLogger('bots');
+
+/** Custo de um passo diagonal entre células (em células). */
+const DIAGONAL_COST = Math.SQRT2;
+
+/** Vizinhos de uma célula: [dColuna, dLinha, custo]. */
+const NEIGHBOR_OFFSETS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, DIAGONAL_COST], [1, -1, DIAGONAL_COST], [-1, 1, DIAGONAL_COST], [-1, -1, DIAGONAL_COST],
+];
+
+// Temporário de isBlockedBy
+const scratchPoint = new Vector3();
+
+/**
+ * Fila de prioridade (heap binário mínimo) de índices de células, usada pelo A*.
+ * Uma célula pode ser inserida de novo com prioridade menor; as entradas antigas são ignoradas por quem consome.
+ */
+class CellHeap {
+    /** @type {Array<number>} */
+    cells = [];
+    /** @type {Array<number>} */
+    priorities = [];
+
+    get size() {
+        return this.cells.length;
+    }
+
+    /**
+     * @param {number} cell
+     * @param {number} priority
+     */
+    push(cell, priority) {
+        const { cells, priorities } = this;
+        let index = cells.length;
+        cells.push(cell);
+        priorities.push(priority);
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            cells[index] = cells[parent];
+            priorities[index] = priorities[parent];
+            index = parent;
+        }
+        cells[index] = cell;
+        priorities[index] = priority;
+    }
+
+    /** @returns {number} A célula de menor prioridade. */
+    pop() {
+        const { cells, priorities } = this;
+        const top = cells[0];
+        const lastCell = cells.pop();
+        const lastPriority = priorities.pop();
+        if (cells.length > 0) {
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                if (left >= cells.length) break;
+                const right = left + 1;
+                const child = right < cells.length && priorities[right] < priorities[left] ? right : left;
+                if (priorities[child] >= lastPriority) break;
+                cells[index] = cells[child];
+                priorities[index] = priorities[child];
+                index = child;
+            }
+            cells[index] = lastCell;
+            priorities[index] = lastPriority;
+        }
+        return top;
+    }
+}
+
+/**
+ * Grade 2D (plano XZ, no nível do chão) das posições por onde um jogador pode andar, gerada a partir
+ * dos obstáculos estáticos do mapa. Uma célula é bloqueada quando o seu centro, com a folga
+ * NAV_GRID_CLEARANCE, fica dentro de um obstáculo que o jogador não consegue subir nem passar por baixo
+ * (a rotação em Y dos obstáculos é respeitada). Rampas são consideradas caminháveis.
+ * Usada pelos bots para achar caminhos (A* com 8 vizinhos) entre dois pontos do mapa.
+ */
+export class NavigationGrid {
+    /** @type {number} */
+    cellSize;
+    /** @type {number} */
+    columns;
+    /** @type {number} */
+    rows;
+    /** @type {number} */
+    originX;
+    /** @type {number} */
+    originZ;
+    /** @type {number} */
+    groundY;
+    /**
+     * 1 para células caminháveis, por índice (linha * columns + coluna).
+     * @type {Uint8Array}
+     */
+    walkable;
+    /** @type {number} */
+    walkableCount = 0;
+
+    /**
+     * Gera a grade do mapa.
+     * @param {import('../../../shared/physics/collision-system.js').CollisionSystem} collisionSystem - Usado para
+     *        converter pontos para o espaço local dos obstáculos.
+     * @param {{min: Vector3, max: Vector3}} mapBounds
+     * @param {Array<import('../../../shared/physics/collision-system.js').StaticObstacle>} obstacles
+     * @param {{cellSize?: number, clearance?: number}} [options]
+     */
+    constructor(collisionSystem, mapBounds, obstacles, { cellSize = NAV_GRID_CELL_SIZE, clearance = NAV_GRID_CLEARANCE } = {}) {
+        if (!collisionSystem || !mapBounds || !obstacles) {
+            throw new Error("NavigationGrid requires a CollisionSystem, map bounds and obstacles.");
+        }
+        if (!(cellSize > 0)) {
+            throw new Error("NavigationGrid requires a positive cell size.");
+        }
+        this.cellSize = cellSize;
+        this.originX = mapBounds.min.x;
+        this.originZ = mapBounds.min.z;
+        this.groundY = mapBounds.min.y;
+        this.columns = Math.max(1, Math.floor((mapBounds.max.x - mapBounds.min.x) / cellSize));
+        this.rows = Math.max(1, Math.floor((mapBounds.max.z - mapBounds.min.z) / cellSize));
+        this.walkable = new Uint8Array(this.columns * this.rows);
+
+        const center = new Vector3();
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                this.getCellCenter(row * this.columns + column, center);
+                const insideBounds = center.x - clearance >= mapBounds.min.x && center.x + clearance <= mapBounds.max.x
+                    && center.z - clearance >= mapBounds.min.z && center.z + clearance <= mapBounds.max.z;
+                this.walkable[row * this.columns + column] = insideBounds ? 1 : 0;
+            }
+        }
+
+        // Cada obstáculo só testa as células sob a sua AABB (ampliada pela folga)
+        for (const obstacle of obstacles) {
+            if (!this.blocksWalking(obstacle)) continue;
+            const bounds = collisionSystem.getObstacleAABB(obstacle);
+            const minColumn = Math.max(0, Math.floor((bounds.min.x - clearance - this.originX) / cellSize));
+            const maxColumn = Math.min(this.columns - 1, Math.floor((bounds.max.x + clearance - this.originX) / cellSize));
+            const minRow = Math.max(0, Math.floor((bounds.min.z - clearance - this.originZ) / cellSize));
+            const maxRow = Math.min(this.rows - 1, Math.floor((bounds.max.z + clearance - this.originZ) / cellSize));
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let column = minColumn; column <= maxColumn; column++) {
+                    const cell = row * this.columns + column;
+                    if (this.walkable[cell] && this.isBlockedBy(collisionSystem, obstacle, this.getCellCenter(cell, center), clearance)) {
+                        this.walkable[cell] = 0;
+                    }
+                }
+            }
+        }
+
+        for (const value of this.walkable) this.walkableCount += value;
+        log(`NavigationGrid generated: ${this.columns}x${this.rows} cells of ${cellSize}m, ${this.walkableCount} walkable.`);
+    }
+
+    /**
+     * @param {import('../../../shared/physics/collision-system.js').StaticObstacle} obstacle
+     * @returns {boolean} false para rampas e obstáculos que dá para subir ou que ficam acima da cabeça.
+     * @private
+     */
+    blocksWalking(obstacle) {
+        if (obstacle.type === 'ramp') return false;
+        const bottom = obstacle.position.y - this.groundY;
+        const top = bottom + obstacle.size.y;
+        return top > STEP_HEIGHT && bottom < PLAYER_HEIGHT;
+    }
+
+    /**
+     * @param {import('../../../shared/physics/collision-system.js').CollisionSystem} collisionSystem
+     * @param {import('../../../shared/physics/collision-system.js').StaticObstacle} obstacle
+     * @param {Vector3} point - Centro da célula.
+     * @param {number} clearance
+     * @returns {boolean}
+     * @private
+     */
+    isBlockedBy(collisionSystem, obstacle, point, clearance) {
+        const local = collisionSystem.toObstacleLocal(point, obstacle, scratchPoint);
+        return Math.abs(local.x) <= obstacle.size.x / 2 + clearance
+            && Math.abs(local.z) <= obstacle.size.z / 2 + clearance;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} z
+     * @returns {number} Índice da célula que contém o ponto, ou -1 fora da grade.
+     */
+    getCellIndex(x, z) {
+        const column = Math.floor((x - this.originX) / this.cellSize);
+        const row = Math.floor((z - this.originZ) / this.cellSize);
+        if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) return -1;
+        return row * this.columns + column;
+    }
+
+    /**
+     * @param {number} cell
+     * @param {Vector3} [out=new Vector3()]
+     * @returns {Vector3} Centro da célula, no nível do chão.
+     */
+    getCellCenter(cell, out = new Vector3()) {
+        const column = cell % this.columns;
+        const row = (cell - column) / this.columns;
+        return out.set(
+            this.originX + (column + 0.5) * this.cellSize,
+            this.groundY,
+            this.originZ + (row + 0.5) * this.cellSize
+        );
+    }
+
+    /**
+     * @param {Vector3} position
+     * @returns {boolean} true se a posição está em uma célula caminhável.
+     */
+    isWalkable(position) {
+        const cell = this.getCellIndex(position.x, position.z);
+        return cell >= 0 && this.walkable[cell] === 1;
+    }
+
+    /**
+     * Célula caminhável mais próxima (em passos de grade) da célula informada.
+     * @param {number} cell - Índice válido da grade.
+     * @returns {number} Índice da célula, ou -1 se não houver nenhuma caminhável.
+     * @private
+     */
+    findNearestWalkableCell(cell) {
+        if (this.walkable[cell]) return cell;
+        const visited = new Uint8Array(this.walkable.length);
+        const queue = [cell];
+        visited[cell] = 1;
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            if (this.walkable[current]) return current;
+            const column = current % this.columns;
+            const row = (current - column) / this.columns;
+            for (const [dColumn, dRow] of NEIGHBOR_OFFSETS) {
+                const nextColumn = column + dColumn;
+                const nextRow = row + dRow;
+                if (nextColumn < 0 || nextRow < 0 || nextColumn >= this.columns || nextRow >= this.rows) continue;
+                const next = nextRow * this.columns + nextColumn;
+                if (visited[next]) continue;
+                visited[next] = 1;
+                queue.push(next);
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Sorteia uma posição caminhável (centro de célula).
+     * @param {() => number} [random=Math.random]
+     * @returns {Vector3 | null} null se a grade não tiver células caminháveis.
+     */
+    getRandomWalkablePosition(random = Math.random) {
+        if (this.walkableCount === 0) return null;
+        let remaining = Math.floor(random() * this.walkableCount);
+        for (let cell = 0; cell < this.walkable.length; cell++) {
+            if (!this.walkable[cell]) continue;
+            if (remaining === 0) return this.getCellCenter(cell);
+            remaining--;
+        }
+        return null;
+    }
+
+    /**
+     * Verifica se o segmento entre dois pontos passa apenas por células caminháveis
+     * (amostrado a cada meia célula).
+     * @param {Vector3} from
+     * @param {Vector3} to
+     * @returns {boolean}
+     */
+    hasClearPath(from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const steps = Math.max(1, Math.ceil(Math.sqrt(dx * dx + dz * dz) / (this.cellSize * 0.5)));
+        for (let i = 0; i <= steps; i++) {
+            const cell = this.getCellIndex(from.x + dx * (i / steps), from.z + dz * (i / steps));
+            if (cell < 0 || !this.walkable[cell]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Procura um caminho (A*) entre dois pontos. Pontos fora das células caminháveis são levados à
+     * célula caminhável mais próxima. Os pontos intermediários que podem ser pulados em linha reta
+     * são removidos.
+     * @param {Vector3} from
+     * @param {Vector3} to
+     * @returns {Array<Vector3> | null} Pontos a seguir (sem a origem, terminando no destino), ou null se não houver caminho.
+     */
+    findPath(from, to) {
+        const startCell = this.getCellIndex(from.x, from.z);
+        const goalCell = this.getCellIndex(to.x, to.z);
+        if (startCell < 0 || goalCell < 0) return null;
+        const start = this.findNearestWalkableCell(startCell);
+        const goal = this.findNearestWalkableCell(goalCell);
+        if (start < 0 || goal < 0) return null;
+
+        const cellCount = this.walkable.length;
+        const costs = new Float64Array(cellCount).fill(Infinity);
+        const previous = new Int32Array(cellCount).fill(-1);
+        const closed = new Uint8Array(cellCount);
+        const goalColumn = goal % this.columns;
+        const goalRow = (goal - goalColumn) / this.columns;
+        // Distância octil até o destino (admissível com 8 vizinhos)
+        const heuristic = (column, row) => {
+            const dColumn = Math.abs(column - goalColumn);
+            const dRow = Math.abs(row - goalRow);
+            return Math.max(dColumn, dRow) + (DIAGONAL_COST - 1) * Math.min(dColumn, dRow);
+        };
+
+        const open = new CellHeap();
+        costs[start] = 0;
+        open.push(start, heuristic(start % this.columns, Math.floor(start / this.columns)));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal) break;
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const column = current % this.columns;
+            const row = (current - column) / this.columns;
+            for (const [dColumn, dRow, stepCost] of NEIGHBOR_OFFSETS) {
+                const nextColumn = column + dColumn;
+                const nextRow = row + dRow;
+                if (nextColumn < 0 || nextRow < 0 || nextColumn >= this.columns || nextRow >= this.rows) continue;
+                const next = nextRow * this.columns + nextColumn;
+                if (!this.walkable[next] || closed[next]) continue;
+                // Diagonais não cortam quinas de obstáculos
+                if (dColumn !== 0 && dRow !== 0
+                    && (!this.walkable[row * this.columns + nextColumn] || !this.walkable[nextRow * this.columns + column])) {
+                    continue;
+                }
+                const cost = costs[current] + stepCost;
+                if (cost >= costs[next]) continue;
+                costs[next] = cost;
+                previous[next] = current;
+                open.push(next, cost + heuristic(nextColumn, nextRow));
+            }
+        }
+        if (start !== goal && previous[goal] < 0) return null;
+
+        const cells = [];
+        for (let cell = goal; cell !== start; cell = previous[cell]) cells.push(cell);
+        cells.reverse();
+        const points = cells.map(cell => this.getCellCenter(cell));
+        // O destino exato substitui o centro da sua célula quando ele é caminhável
+        const destination = this.walkable[goalCell] ? new Vector3(to.x, this.groundY, to.z) : null;
+        if (destination) {
+            if (points.length > 0) points[points.length - 1] = destination;
+            else points.push(destination);
+        }
+        return this.smoothPath(from, points);
+    }
+
+    /**
+     * Remove os pontos que podem ser pulados seguindo em linha reta pelas células caminháveis.
+     * @param {Vector3} from
+     * @param {Array<Vector3>} points
+     * @returns {Array<Vector3>}
+     * @private
+     */
+    smoothPath(from, points) {
+        const smoothed = [];
+        let anchor = from;
+        let index = 0;
+        while (index < points.length) {
+            let farthest = index;
+            for (let candidate = points.length - 1; candidate > index; candidate--) {
+                if (this.hasClearPath(anchor, points[candidate])) {
+                    farthest = candidate;
+                    break;
+                }
+            }
+            smoothed.push(points[farthest]);
+            anchor = points[farthest];
+            index = farthest + 1;
+        }
+        return smoothed;
+    }
+}
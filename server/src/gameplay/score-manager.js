@@ -0,0 +1,104 @@
+// server/src/gameplay/score-manager.js
+
+import { createLogger } from '../../../shared/utils/logger.js';
+import { getCurrentTime } from '../../../shared/utils/clock.js';
+import { SCORE_PER_KILL, SCORE_PER_ASSIST, SCORE_TEAM_KILL_PENALTY, SCORE_SUICIDE_PENALTY } from '../../../shared/constants/combat-settings.js';
+import { areTeammates } from '../../../shared/gameplay/teams/friendly-fire.js';
+
+const { log, warn } = createLogger('score');
+
+/**
+ * Credita abates e assistências aos jogadores e publica o evento estruturado
+ * 'kill' para ser repassado aos clientes pelo StateBroadcaster.
+ * No modo em equipe, abater um companheiro não conta como abate (custa SCORE_TEAM_KILL_PENALTY)
+ * e o dano em companheiros não rende assistência. Morrer pelo próprio dano (suicídio) custa
+ * SCORE_SUICIDE_PENALTY à vítima.
+ */
+export class ScoreManager {
+    /** @type {import('../managers/session-manager.js').SessionManager} */
+    sessionManager;
+    /** @type {import('../../../shared/events/event-bus.js').EventBus} */
+    eventBus;
+    /** @type {import('../../../shared/events/event-bus.js').EventSubscription | null} */
+    deathSubscription = null;
+
+    /**
+     * Cria uma instância do ScoreManager.
+     * @param {import('../managers/session-manager.js').SessionManager} sessionManager - Usado para localizar atacantes pelo ID.
+     * @param {import('../../../shared/events/event-bus.js').EventBus} eventBus - Barramento do mundo ('death' entra, 'kill' sai).
+     */
+    constructor(sessionManager, eventBus) {
+        if (!sessionManager) {
+            throw new Error("ScoreManager requires a SessionManager instance.");
+        }
+        if (!eventBus) {
+            throw new Error("ScoreManager requires the world's EventBus.");
+        }
+        this.sessionManager = sessionManager;
+        this.eventBus = eventBus;
+        this.deathSubscription = eventBus.on('death', this.handleDeath.bind(this));
+
+        log('ScoreManager initialized.');
+    }
+
+    /**
+     * Cancela a inscrição no barramento (ex: sala encerrada).
+     */
+    dispose() {
+        this.deathSubscription?.dispose();
+        this.deathSubscription = null;
+    }
+
+    /**
+     * Manipulador do evento 'death' emitido por ServerPlayer.onDeath.
+     * @param {import('../../../shared/events/world-events.js').DeathEvent} deathData
+     */
+    handleDeath(deathData) {
+        const victim = this.sessionManager.getPlayer(deathData.victimId);
+        if (!victim) {
+            warn(`ScoreManager: death of unknown player ${deathData.victimId}.`);
+            return;
+        }
+        const killer = deathData.killerId ? this.sessionManager.getPlayer(deathData.killerId) : undefined;
+        const teamKill = !!killer && areTeammates(killer.team, victim.team);
+
+        if (deathData.suicide) {
+            victim.score -= SCORE_SUICIDE_PENALTY;
+        } else if (teamKill) {
+            killer.score -= SCORE_TEAM_KILL_PENALTY;
+        } else if (killer) {
+            killer.kills++;
+            killer.score += SCORE_PER_KILL;
+        }
+
+        const creditedAssisterIds = [];
+        for (const assisterId of deathData.assisterIds || []) {
+            const assister = this.sessionManager.getPlayer(assisterId);
+            if (!assister) continue; // Desconectou antes do abate
+            if (areTeammates(assister.team, victim.team)) continue; // Fogo amigo não é assistência
+            assister.assists++;
+            assister.score += SCORE_PER_ASSIST;
+            creditedAssisterIds.push(assisterId);
+        }
+
+        /** @type {import('../../../shared/events/world-events.js').KillEvent} */
+        const killData = {
+            victimId: deathData.victimId,
+            victimName: victim.name,
+            killerId: killer ? killer.id : null,
+            killerName: killer?.name ?? null,
+            assisterIds: creditedAssisterIds,
+            teamKill,
+            suicide: deathData.suicide,
+            weaponType: deathData.weaponType,
+            hitboxKey: deathData.hitboxKey,
+            distance: typeof deathData.distance === 'number' ? Math.round(deathData.distance * 100) / 100 : null,
+            timestamp: getCurrentTime(),
+        };
+
+        const kind = deathData.suicide ? 'Suicide' : teamKill ? 'Team kill' : 'Kill';
+        log(`${kind}: ${killData.killerName ?? 'world'} -> ${killData.victimName ?? killData.victimId} (${killData.weaponType ?? 'unknown'}, ${killData.hitboxKey}, ${killData.distance ?? '?'}m). Assists: ${creditedAssisterIds.length}`);
+
+        this.eventBus.emit('kill', killData);
+    }
+}
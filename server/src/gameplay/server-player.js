@@ -2,25 +2,37 @@
 
 import { Player } from '../../../shared/entities/player.js';
 import { Vector3 } from '../../../shared/physics/vector.js';
-import { log, warn } from '../../../shared/utils/logger.js';
-// CORREÇÃO: Importar as novas constantes
+import { createLogger } from '../../../shared/utils/logger.js';
+import { clamp } from '../../../shared/utils/math-utils.js';
+import { getCurrentTime } from '../../../shared/utils/clock.js';
 import {
-    BASE_PLAYER_SPEED,
-    RESPAWN_DELAY,
-    PLAYER_ACCELERATION, // <-- NOVO
-    PLAYER_FRICTION,     // <-- NOVO
-    MIN_SPEED_THRESHOLD  // <-- NOVO
+    MAX_INPUT_TIME_BUDGET,
+    MAX_QUEUED_INPUTS,
+    INPUT_STARVATION_TIMEOUT
 } from '../../../shared/constants/game-settings.js';
-import { clamp } from '../../../shared/utils/math-utils.js';
+import { MAX_LAG_COMPENSATION_MS } from '../../../shared/constants/combat-settings.js';
+import { gameConfig, getFixedTimeStep, getTickIntervalMs, getInterpolationDelayMs } from '../../../shared/config/game-config.js';
 import { WeaponFactory } from '../../../shared/gameplay/weapons/weapon-factory.js';
+import { SpellFactory } from '../../../shared/gameplay/spells/spell-factory.js';
 // Import não é estritamente necessário se usarmos apenas type hint, mas manter não prejudica
 import { SpawnManager } from './spawn-manager.js';
 
+const { log, warn, debug } = createLogger('player');
+
+/** Magias iniciais, na ordem dos slots de lançamento (Cast1, Cast2, Cast3). */
+const DEFAULT_SPELL_LOADOUT = ['fireball', 'blink', 'haste'];
+
+/** Teclas de lançamento, na ordem dos slots. */
+const CAST_KEYS = ['Cast1', 'Cast2', 'Cast3'];
+
 /**
  * Representa a instância autoritativa de um jogador no servidor.
  */
 export class ServerPlayer extends Player {
-  /** @type {import('socket.io').Socket} */
+  /**
+   * Conexão do jogador (null para jogadores sem cliente, como os bots).
+   * @type {import('socket.io').Socket | null}
+   */
   socket;
   /** @type {number} */
   lastProcessedInputTime;
@@ -28,34 +40,56 @@ export class ServerPlayer extends Player {
   lastProcessedInputSequence = -1;
   /** @type {Array<import('../../../shared/models/player-input.js').PlayerInput>} */
   pendingInputs;
+  /**
+   * Tempo de simulação (segundos) ainda disponível para processar inputs.
+   * @type {number}
+   */
+  inputTimeBudget = 0;
   /** @type {number} */
   lookYaw = 0;
   /** @type {number} */
   lookPitch = 0;
   /** @type {WeaponFactory} */
   weaponFactory;
+  /** @type {SpellFactory} */
+  spellFactory;
   /** @type {SpawnManager} */
   spawnManager; // Propriedade declarada
   /** @type {number} */
   timeToRespawn = 0;
+  /**
+   * Barramento de eventos do mundo em que o jogador está (disparos, magias, dano, morte, respawn).
+   * @type {import('../../../shared/events/event-bus.js').EventBus}
+   */
+  eventBus;
+  /**
+   * Último RTT (ms) medido até o cliente (atualizado pelo StateBroadcaster); null antes da primeira medição
+   * e para os bots. Limita a compensação de latência.
+   * @type {number | null}
+   */
+  rttMs = null;
 
   /**
    * Cria uma nova instância de ServerPlayer.
-   * @param {import('socket.io').Socket} socket
+   * @param {string} id - ID do jogador (o ID do socket, para jogadores conectados).
+   * @param {import('socket.io').Socket | null} socket
    * @param {SpawnManager} spawnManager
+   * @param {import('../../../shared/events/event-bus.js').EventBus} eventBus - Barramento do mundo (ver createWorldEventBus).
    * @param {string} [name]
    * @param {Vector3} [position]
    */
-  constructor(socket, spawnManager, name = `Player_${socket.id.substring(0, 4)}`, position = new Vector3()) {
-    super(socket.id, name, position);
+  constructor(id, socket, spawnManager, eventBus, name = `Player_${id.substring(0, 4)}`, position = new Vector3()) {
+    super(id, name, position);
 
-    if (!socket) throw new Error("ServerPlayer requires a valid socket instance.");
+    if (!id) throw new Error("ServerPlayer requires an id.");
     if (!spawnManager) throw new Error("ServerPlayer requires a valid SpawnManager instance.");
+    if (!eventBus) throw new Error("ServerPlayer requires the world's EventBus.");
 
     this.socket = socket;
     // CORREÇÃO 2: Armazenar a instância do spawnManager
     this.spawnManager = spawnManager;
-    this.lastProcessedInputTime = Date.now();
+    this.eventBus = eventBus;
+    this.lastProcessedInputTime = getCurrentTime();
     this.pendingInputs = [];
     this.timeToRespawn = 0;
 
@@ -66,36 +100,88 @@ export class ServerPlayer extends Player {
     } else {
         warn(`[ServerPlayer ${this.id}] Failed to create initial weapon 'pistol'.`);
     }
+
+    // Slots de magia: Cast1, Cast2, Cast3
+    this.spellFactory = new SpellFactory();
+    this.equipSpells(DEFAULT_SPELL_LOADOUT.map(spellType => this.spellFactory.createSpell(spellType, this)));
+  }
+
+  /**
+   * @returns {boolean} true para jogadores controlados pelo servidor (ver BotPlayer).
+   */
+  get isBot() {
+    return false;
+  }
+
+  /**
+   * Método chamado por takeDamage() quando o dano reduz a vida do jogador.
+   * @param {number} amount - Dano efetivamente aplicado.
+   * @param {string} hitboxKey
+   * @param {import('../../../shared/entities/player.js').DamageSource | null} source
+   */
+  onDamage(amount, hitboxKey, source) {
+    this.eventBus.emit('damage', {
+        victimId: this.id,
+        attackerId: source?.attackerId ?? null,
+        amount: amount,
+        health: this.health,
+        hitboxKey: hitboxKey ?? 'default',
+        weaponType: source?.weaponType ?? null,
+    });
   }
 
   /**
    * Método chamado quando a vida do jogador chega a zero.
+   * Agenda o respawn e notifica o resto do servidor para atribuição do abate.
+   * @param {import('../../../shared/entities/player.js').DeathInfo} [deathInfo] - Dados do golpe final.
    */
-  onDeath() {
-    // Agora RESPAWN_DELAY está definido
-    this.timeToRespawn = RESPAWN_DELAY;
+  onDeath(deathInfo = null) {
+    this.timeToRespawn = gameConfig.combat.respawnDelay;
     this.velocity.zero();
-    log(`Player ${this.id} will respawn in ${RESPAWN_DELAY} seconds.`);
-    // Lógica de progressão (Etapa 21) pode vir aqui
+    debug(`Player ${this.id} will respawn in ${this.timeToRespawn} seconds.`);
+    // O ScoreManager credita abates/assistências e publica o evento 'kill'
+    this.eventBus.emit('death', {
+        victimId: this.id,
+        killerId: deathInfo?.killerId ?? null,
+        suicide: deathInfo?.suicide ?? false,
+        assisterIds: deathInfo?.assisterIds ?? [],
+        weaponType: deathInfo?.weaponType ?? null,
+        hitboxKey: deathInfo?.hitboxKey ?? 'default',
+        distance: deathInfo?.distance ?? null,
+    });
+  }
+
+  /**
+   * Restaura o jogador na posição informada e notifica o mundo.
+   * @param {Vector3} position
+   */
+  respawn(position) {
+    super.respawn(position);
+    this.eventBus.emit('respawn', {
+        playerId: this.id,
+        position: { x: this.position.x, y: this.position.y, z: this.position.z },
+    });
   }
 
   /**
    * Método de atualização do jogador no servidor.
    * @param {number} deltaTime
+   * @param {import('../../../shared/physics/movement-system.js').MovementSystem} movementSystem - Usado para simular cada input.
    */
-  update(deltaTime) {
+  update(deltaTime, movementSystem) {
     if (!this.isAlive) {
         this.timeToRespawn -= deltaTime;
         if (this.timeToRespawn <= 0) {
             // Agora this.spawnManager deve estar definido
-            const spawnPosition = this.spawnManager.getSpawnPoint();
+            const spawnPosition = this.spawnManager.getSpawnPoint(this.team);
             this.respawn(spawnPosition);
         }
         return;
     }
 
-    this.applyInputs(deltaTime);
+    this.applyInputs(deltaTime, movementSystem);
     this.currentWeapon?.update(deltaTime);
+    this.updateSpellResources(deltaTime);
   }
 
   /**
@@ -104,6 +190,10 @@ export class ServerPlayer extends Player {
    */
   processInput(inputData) {
      if (inputData && typeof inputData.sequence === 'number') {
+         if (this.pendingInputs.length >= MAX_QUEUED_INPUTS) {
+             warn(`[ServerPlayer ${this.id}] Input queue full (${MAX_QUEUED_INPUTS}); dropping input ${inputData.sequence}.`);
+             return;
+         }
          this.pendingInputs.push(inputData);
      } else {
           log(`[ServerPlayer ${this.id}] Received invalid input data.`);
@@ -111,124 +201,143 @@ export class ServerPlayer extends Player {
   }
 
   /**
-   * Processa os inputs pendentes para determinar a velocidade e orientação,
-   * AGORA COM ACELERAÇÃO E ATRITO, E CÁLCULO DE DIREÇÃO CORRIGIDO.
+   * Descarta os inputs pendentes sem simulá-los (ex: partida pausada durante a troca de mapa).
+   * Eles são confirmados como processados para que a predição do cliente volte à posição do servidor.
+   */
+  discardPendingInputs() {
+      for (const input of this.pendingInputs) {
+          this.lastProcessedInputSequence = Math.max(this.lastProcessedInputSequence, input.sequence);
+      }
+      this.pendingInputs = [];
+      this.inputTimeBudget = 0;
+      this.lastProcessedInputTime = getCurrentTime();
+      this.velocity.zero();
+  }
+
+  /**
+   * Processa, em ordem, todos os inputs pendentes. Cada input é simulado com um passo fixo
+   * (getFixedTimeStep(), ignorando o deltaTime recebido), exatamente como a predição do cliente o simulou.
+   * O tempo simulado é limitado por um orçamento que cresce com o tempo simulado pelo servidor;
+   * inputs que não cabem no orçamento aguardam o próximo tick (nunca são descartados).
    * @param {number} serverDeltaTime - O deltaTime do tick do servidor.
+   * @param {import('../../../shared/physics/movement-system.js').MovementSystem} movementSystem - Integra posição, gravidade e colisões.
    */
-  applyInputs(serverDeltaTime) {
+  applyInputs(serverDeltaTime, movementSystem) {
       if (!this.isAlive) {
           this.velocity.zero();
           this.pendingInputs = [];
           return;
       }
 
-      let latestInput = null;
-      for (const input of this.pendingInputs) {
-          if (input.sequence > this.lastProcessedInputSequence) {
-              if (!latestInput || input.sequence > latestInput.sequence) {
-                  latestInput = input;
-              }
-          }
-      }
+      this.inputTimeBudget = Math.min(this.inputTimeBudget + serverDeltaTime, MAX_INPUT_TIME_BUDGET);
+      this.pendingInputs.sort((a, b) => a.sequence - b.sequence);
 
-      // --- Cálculo da Direção e Velocidade Alvo ---
-      let targetVelocity = Vector3.ZERO.clone(); // Começa com velocidade alvo zero
-      let inputDirection = Vector3.ZERO.clone(); // Vetor de input local
-      let hasMovementInput = false;
-
-      if (latestInput) {
-          const input = latestInput;
-          const keys = input.keys;
-
-          // 1. Atualiza orientação do jogador (essencial para cálculo da direção)
-          this.lookYaw = input.lookYaw;
-          this.lookPitch = input.lookPitch;
-
-          // 2. Calcula vetor de input local (WASD) - CORREÇÃO DO MAPEAMENTO
-          if (keys.W) inputDirection.z -= 1; // CORRIGIDO: Z- é para frente
-          if (keys.S) inputDirection.z += 1; // CORRIGIDO: Z+ é para trás
-          if (keys.A) inputDirection.x -= 1; // CORRIGIDO: X- é para esquerda
-          if (keys.D) inputDirection.x += 1; // CORRIGIDO: X+ é para direita
-
-          if (inputDirection.magnitudeSq() > 0) {
-              hasMovementInput = true;
-              inputDirection.normalize(); // Normaliza input local
-
-              // 3. CORREÇÃO da rotação baseada na câmera
-              // Em FPS, queremos que W sempre vá para onde a câmera está olhando
-              const angle = this.lookYaw;
-              
-              // Matriz de rotação simplificada (rotação no eixo Y)
-              const cosYaw = Math.cos(angle);
-              const sinYaw = Math.sin(angle);
-              
-              // A orientação padrão no three.js é Z- sendo "para frente"
-              // Então transformamos nosso input para esse sistema de coordenadas
-              const worldX = inputDirection.x * cosYaw + inputDirection.z * sinYaw;
-              const worldZ = -inputDirection.x * sinYaw + inputDirection.z * cosYaw;
-              
-              const worldDirection = new Vector3(worldX, 0, worldZ).normalize();
-              
-              // 4. Define a velocidade alvo
-              targetVelocity = worldDirection.multiplyScalar(BASE_PLAYER_SPEED);
+      const fixedTimeStep = getFixedTimeStep();
+      let processedCount = 0;
+      while (this.pendingInputs.length > 0) {
+          const input = this.pendingInputs[0];
+          if (input.sequence <= this.lastProcessedInputSequence) {
+              this.pendingInputs.shift(); // Duplicado ou atrasado
+              continue;
           }
 
-          // Processa Disparo (lógica separada do movimento)
-          if (keys.Fire) {
-            const yaw = this.lookYaw;
-            const pitch = this.lookPitch;
-            const x = -Math.sin(yaw) * Math.cos(pitch);
-            const y = Math.sin(pitch);
-            const z = -Math.cos(yaw) * Math.cos(pitch);
-            const fireDirection = new Vector3(x, y, z).normalize();
-            const projectileData = this.fireWeapon(fireDirection);
-            if (projectileData) {
-                this.emitEvent('projectileFired', projectileData);
-            }
+          if (fixedTimeStep > this.inputTimeBudget) {
+              break; // Sem orçamento: o restante fica para o próximo tick
           }
 
-          // Atualiza sequência processada e limpa inputs antigos
+          this.inputTimeBudget -= fixedTimeStep;
+          this.pendingInputs.shift();
+          this.simulateInput(input, fixedTimeStep, movementSystem);
           this.lastProcessedInputSequence = input.sequence;
-          this.lastProcessedInputTime = Date.now();
-          this.pendingInputs = this.pendingInputs.filter(inp => inp.sequence > this.lastProcessedInputSequence);
-
-      } else {
-          // Sem input novo, targetVelocity continua zero
-          // Limpa inputs antigos (se houver)
-           this.pendingInputs = this.pendingInputs.filter(input => input.sequence > this.lastProcessedInputSequence);
+          processedCount++;
       }
 
-      // --- Aplicação de Aceleração e Atrito (Exponencial) ---
-      const K_ACCEL = PLAYER_ACCELERATION; // Fator de aceleração (quão rápido atinge a meta)
-      const K_FRICTION = PLAYER_FRICTION;  // Fator de atrito
-
-      if (hasMovementInput) {
-          // Interpola exponencialmente para a velocidade alvo
-          const alpha = 1 - Math.exp(-K_ACCEL * serverDeltaTime);
-          this.velocity.lerp(targetVelocity, alpha);
-      } else {
-          // Interpola exponencialmente para velocidade zero (atrito)
-          const alpha = 1 - Math.exp(-K_FRICTION * serverDeltaTime);
-          this.velocity.lerp(Vector3.ZERO, alpha);
-
-          // Se a velocidade ficar muito pequena, zera completamente
-          if (this.velocity.magnitudeSq() < MIN_SPEED_THRESHOLD * MIN_SPEED_THRESHOLD) {
-              this.velocity.zero();
-          }
+      if (processedCount > 0) {
+          this.lastProcessedInputTime = getCurrentTime();
+      } else if (getCurrentTime() - this.lastProcessedInputTime > INPUT_STARVATION_TIMEOUT * 1000) {
+          // Sem inputs há muito tempo: nenhuma tecla pressionada (gravidade, atrito e estamina continuam)
+          this.applyMovementInput({}, this.lookYaw, serverDeltaTime);
+          movementSystem.update([this], serverDeltaTime, []);
       }
-      // --- Fim Aceleração/Atrito ---
   }
 
   /**
-   * Emite um evento (placeholder).
-   * @param {string} eventName
-   * @param {any} data
+   * Simula um único input: orientação, movimento (Player.applyMovementInput + MovementSystem,
+   * o mesmo código da predição do cliente), disparo e magias.
+   * Como cada input é processado individualmente, um disparo ou lançamento pressionado
+   * em qualquer frame do cliente é sempre considerado.
+   * @param {import('../../../shared/models/player-input.js').PlayerInput} input
+   * @param {number} deltaTime - Passo da simulação (getFixedTimeStep()).
+   * @param {import('../../../shared/physics/movement-system.js').MovementSystem} movementSystem
    */
-  emitEvent(eventName, data) {
-        if (global.eventEmitter) {
-            global.eventEmitter.emit(eventName, data);
-        } else {
-            warn(`[ServerPlayer ${this.id}] Event emitter not available for event: ${eventName}`);
+  simulateInput(input, deltaTime, movementSystem) {
+      const keys = input.keys || {};
+
+      // 1. Atualiza orientação do jogador (essencial para cálculo da direção)
+      if (typeof input.lookYaw === 'number') this.lookYaw = input.lookYaw;
+      if (typeof input.lookPitch === 'number') this.lookPitch = input.lookPitch;
+
+      // 2. Movimento (WASD relativo à câmera, Shift corre, Crouch agacha, Espaço pula)
+      this.applyMovementInput(keys, this.lookYaw, deltaTime);
+      movementSystem.update([this], deltaTime, []);
+
+      // 3. Disparo (lógica separada do movimento)
+      if (keys.Fire) {
+        const projectileData = this.fireWeapon(this.getAimDirection());
+        if (projectileData) {
+            projectileData.lagCompensationMs = this.getLagCompensationMs(input);
+            this.eventBus.emit('projectileFired', projectileData);
         }
-    }
+      }
+
+      // 4. Magias (o GameStateManager aplica o efeito de cada lançamento)
+      CAST_KEYS.forEach((castKey, slotIndex) => {
+        if (!keys[castKey]) return;
+        const castData = this.castSpell(slotIndex, this.getAimDirection());
+        if (castData) {
+            if (castData.projectile) {
+                castData.projectile.lagCompensationMs = this.getLagCompensationMs(input);
+            }
+            this.eventBus.emit('spellCast', castData);
+        }
+      });
+  }
+
+  /**
+   * Quanto o instante visto pelo cliente neste input (viewTime, que o cliente estima no relógio do servidor
+   * a partir dos snapshots) está atrás do relógio do servidor. O recuo é limitado ao que a conexão explica
+   * (RTT medido + atraso de interpolação + um tick de folga) e a MAX_LAG_COMPENSATION_MS, então um viewTime
+   * antigo demais (estimativa ruim ou forjada) não dá recuo extra.
+   * @param {import('../../../shared/models/player-input.js').PlayerInput} input
+   * @returns {number} Milissegundos a voltar no tempo (0 se o input não informa viewTime).
+   */
+  getLagCompensationMs(input) {
+      if (typeof input.viewTime !== 'number' || !Number.isFinite(input.viewTime)) return 0;
+      const maxRewindMs = Math.min(MAX_LAG_COMPENSATION_MS, (this.rttMs ?? 0) + getInterpolationDelayMs() + getTickIntervalMs());
+      return clamp(getCurrentTime() - input.viewTime, 0, maxRewindMs);
+  }
+
+  /**
+   * Estado serializável, incluindo o último input processado para a reconciliação do cliente.
+   * @returns {object}
+   */
+  getState() {
+      return {
+          ...super.getState(),
+          lastProcessedInputSequence: this.lastProcessedInputSequence,
+      };
+  }
+
+  /**
+   * Direção normalizada da mira a partir do yaw/pitch do último input.
+   * @returns {Vector3}
+   */
+  getAimDirection() {
+      const yaw = this.lookYaw;
+      const pitch = this.lookPitch;
+      const x = -Math.sin(yaw) * Math.cos(pitch);
+      const y = Math.sin(pitch);
+      const z = -Math.cos(yaw) * Math.cos(pitch);
+      return new Vector3(x, y, z).normalize();
+  }
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
-import gameMapInstance from '../../../shared/gameplay/world/map.js'; // Importa a instância padrão
-import { log } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+
+const { log } = createLogger('world');
 
 /**
  * Representa o mundo do jogo no lado do servidor, contendo informações
@@ -1,34 +1,55 @@
 // server/src/gameplay/spawn-manager.js
 
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
 import { Vector3 } from '../../../shared/physics/vector.js';
 
+const { log, warn } = createLogger('spawn');
+
 /**
  * Gerencia a lógica de obtenção de pontos de spawn.
  */
 export class SpawnManager {
     /** @type {import('../../../shared/gameplay/world/map.js').GameMap} */
     gameMap;
+    /**
+     * Gerador usado no sorteio dos pontos de spawn.
+     * @type {() => number}
+     */
+    random;
 
     /**
      * Cria uma instância do SpawnManager.
      * @param {import('../../../shared/gameplay/world/map.js').GameMap} gameMapInstance - A instância do mapa do jogo.
+     * @param {() => number} [random=Math.random] - Gerador do sorteio (um gerador com semente torna os spawns reproduzíveis).
      */
-    constructor(gameMapInstance) {
+    constructor(gameMapInstance, random = Math.random) {
         if (!gameMapInstance) {
             throw new Error("SpawnManager requires a GameMap instance.");
         }
         this.gameMap = gameMapInstance;
+        this.random = random;
         log('SpawnManager initialized.');
     }
 
+    /**
+     * Passa a usar os pontos de spawn de outro mapa (ex: troca de mapa).
+     * @param {import('../../../shared/gameplay/world/map.js').GameMap} gameMapInstance
+     */
+    setMap(gameMapInstance) {
+        if (!gameMapInstance) {
+            throw new Error("SpawnManager.setMap requires a GameMap instance.");
+        }
+        this.gameMap = gameMapInstance;
+    }
+
     /**
      * Retorna uma posição de spawn aleatória do mapa.
+     * @param {string | null} [team=null] - Sorteia só entre os pontos do time (e os sem time).
      * @returns {Vector3} Uma cópia de uma posição de spawn.
      */
-    getSpawnPoint() {
+    getSpawnPoint(team = null) {
         try {
-            const spawnPoint = this.gameMap.getRandomSpawnPoint();
+            const spawnPoint = this.gameMap.getRandomSpawnPoint(team ? { team } : undefined, this.random);
             // log(`Spawn point requested, returning: ${spawnPoint.toString()}`);
             return spawnPoint;
         } catch (error) {
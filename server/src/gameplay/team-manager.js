@@ -0,0 +1,134 @@
+// server/src/gameplay/team-manager.js
+
+import { createLogger } from '../../../shared/utils/logger.js';
+import { TEAMS } from '../../../shared/constants/team-settings.js';
+
+const { log, debug } = createLogger('teams');
+
+/**
+ * Times do modo Team Deathmatch: coloca cada jogador que entra no time com menos jogadores,
+ * em um ponto de spawn do time, e soma ao placar do time os abates de adversários.
+ * Fora do modo em equipe não faz nada (os jogadores ficam sem time).
+ */
+export class TeamManager {
+    /** @type {import('../managers/session-manager.js').SessionManager} */
+    sessionManager;
+    /**
+     * Modo de jogo da partida (ver GAME_MODES).
+     * @type {string}
+     */
+    mode;
+    /**
+     * Times em jogo (vazio fora do modo em equipe).
+     * @type {ReadonlyArray<string>}
+     */
+    teams;
+    /**
+     * Abates de adversários por time na partida atual.
+     * @type {Map<string, number>}
+     */
+    teamScores = new Map();
+    /**
+     * Inscrições no barramento, canceladas em dispose().
+     * @type {Array<import('../../../shared/events/event-bus.js').EventSubscription>}
+     */
+    subscriptions = [];
+
+    /**
+     * @param {import('../managers/session-manager.js').SessionManager} sessionManager - Fornece os jogadores, o SpawnManager e o barramento.
+     * @param {string} mode - Modo de jogo (ver GAME_MODES); só 'tdm' usa times.
+     */
+    constructor(sessionManager, mode) {
+        if (!sessionManager) {
+            throw new Error("TeamManager requires a SessionManager instance.");
+        }
+        this.sessionManager = sessionManager;
+        this.mode = mode;
+        this.teams = mode === 'tdm' ? TEAMS : [];
+        this.resetScores();
+        if (this.isTeamMode) {
+            this.subscriptions = [
+                sessionManager.eventBus.on('playerJoined', ({ playerId }) => this.assignTeam(sessionManager.getPlayer(playerId))),
+                sessionManager.eventBus.on('kill', this.handleKill.bind(this)),
+            ];
+        }
+        log(`TeamManager initialized (${this.isTeamMode ? `teams ${this.teams.join(', ')}` : 'no teams'}).`);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isTeamMode() {
+        return this.teams.length > 0;
+    }
+
+    /**
+     * Cancela as inscrições no barramento (ex: sala encerrada).
+     */
+    dispose() {
+        for (const subscription of this.subscriptions) subscription.dispose();
+        this.subscriptions = [];
+    }
+
+    /**
+     * Zera o placar dos times (ex: início de uma partida).
+     */
+    resetScores() {
+        this.teamScores = new Map(this.teams.map(team => [team, 0]));
+    }
+
+    /**
+     * @returns {Array<import('../../../shared/models/game-state.js').TeamScore>} Na ordem de TEAMS.
+     */
+    getTeamScores() {
+        return this.teams.map(team => ({ team, score: this.teamScores.get(team) }));
+    }
+
+    /**
+     * Escolhe o time de quem está entrando: o com menos jogadores e, no empate, o que está perdendo.
+     * @param {import('./server-player.js').ServerPlayer} [joiningPlayer] - Não entra na contagem.
+     * @returns {string | null} null fora do modo em equipe.
+     */
+    pickTeam(joiningPlayer) {
+        if (!this.isTeamMode) return null;
+        const counts = new Map(this.teams.map(team => [team, 0]));
+        for (const player of this.sessionManager.players.values()) {
+            if (player !== joiningPlayer && counts.has(player.team)) counts.set(player.team, counts.get(player.team) + 1);
+        }
+        let best = this.teams[0];
+        for (const team of this.teams) {
+            const countDifference = counts.get(team) - counts.get(best);
+            if (countDifference < 0 || (countDifference === 0 && this.teamScores.get(team) < this.teamScores.get(best))) {
+                best = team;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Coloca o jogador em um time e o move para um ponto de spawn do time.
+     * @param {import('./server-player.js').ServerPlayer | undefined} player
+     */
+    assignTeam(player) {
+        if (!player || !this.isTeamMode) return;
+        player.team = this.pickTeam(player);
+        player.position.copy(this.sessionManager.spawnManager.getSpawnPoint(player.team));
+        player.velocity.zero();
+        log(`Player ${player.name} joined team ${player.team}.`);
+    }
+
+    /**
+     * Soma ao time do autor os abates de adversários ('kill'); abates de companheiros não contam.
+     * @param {import('../../../shared/events/world-events.js').KillEvent} killData
+     * @private
+     */
+    handleKill(killData) {
+        const killer = killData.killerId ? this.sessionManager.getPlayer(killData.killerId) : undefined;
+        if (!killer?.team || !this.teamScores.has(killer.team)) return;
+        if (killData.teamKill) {
+            debug(`Team kill by ${killer.id} on ${killData.victimId} not scored.`);
+            return;
+        }
+        this.teamScores.set(killer.team, this.teamScores.get(killer.team) + 1);
+    }
+}
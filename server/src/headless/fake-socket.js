@@ -0,0 +1,222 @@
+// server/src/headless/fake-socket.js
+
+/**
+ * Mensagem enviada pelo servidor a um FakeSocket.
+ * @typedef {object} FakeSocketMessage
+ * @property {string} event
+ * @property {Array<any>} args - Argumentos do emit (sem o callback de confirmação).
+ */
+
+/**
+ * Substituto de um socket do Socket.IO para simulações sem rede (ver SimulationHarness).
+ * Guarda as mensagens que o servidor envia ao cliente e permite simular mensagens do cliente
+ * com receive(). Implementa apenas a parte da API usada pelo servidor.
+ */
+export class FakeSocket {
+  /** @type {string} */
+  id;
+  /** @type {FakeSocketServer} */
+  server;
+  /**
+   * Salas do Socket.IO em que o socket está.
+   * @type {Set<string>}
+   */
+  rooms = new Set();
+  /**
+   * Mensagens recebidas do servidor, em ordem.
+   * @type {Array<FakeSocketMessage>}
+   */
+  received = [];
+  /**
+   * Listeners registrados pelo servidor com on(), por evento.
+   * @type {Map<string, Array<(...args: any[]) => void>>}
+   */
+  handlers = new Map();
+  /**
+   * Observadores das mensagens enviadas ao cliente (ex: o cliente simulado do harness).
+   * @type {Array<(message: FakeSocketMessage) => void>}
+   */
+  messageListeners = [];
+  /**
+   * Se true, confirmações pedidas pelo servidor (ex: 'latencyProbe') são respondidas na hora.
+   * @type {boolean}
+   */
+  autoAcknowledge = true;
+  /** @type {boolean} */
+  connected = true;
+
+  /**
+   * @param {string} id - ID do socket (também o ID do jogador).
+   * @param {FakeSocketServer} server
+   */
+  constructor(id, server) {
+    if (!id || !server) {
+      throw new Error("FakeSocket requires an id and a FakeSocketServer.");
+    }
+    this.id = id;
+    this.server = server;
+  }
+
+  /**
+   * Registra um listener para mensagens do cliente.
+   * @param {string} event
+   * @param {(...args: any[]) => void} handler
+   * @returns {this}
+   */
+  on(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, []);
+    this.handlers.get(event).push(handler);
+    return this;
+  }
+
+  /**
+   * @param {string} event
+   * @param {(...args: any[]) => void} handler
+   * @returns {this}
+   */
+  off(event, handler) {
+    const handlers = this.handlers.get(event);
+    if (handlers) this.handlers.set(event, handlers.filter(registered => registered !== handler));
+    return this;
+  }
+
+  /**
+   * Envia uma mensagem ao cliente (registrada em `received`).
+   * @param {string} event
+   * @param {...any} args - O último argumento pode ser o callback de confirmação.
+   * @returns {true}
+   */
+  emit(event, ...args) {
+    const acknowledge = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    this.deliver({ event, args });
+    if (acknowledge && this.autoAcknowledge) acknowledge(null);
+    return true;
+  }
+
+  /**
+   * Versão de emit() com prazo de confirmação (o prazo é ignorado: a confirmação é imediata).
+   * @param {number} timeoutMs
+   * @returns {{emit: (event: string, ...args: any[]) => true}}
+   */
+  timeout(timeoutMs) {
+    return { emit: (event, ...args) => this.emit(event, ...args) };
+  }
+
+  /**
+   * @param {FakeSocketMessage} message
+   * @private
+   */
+  deliver(message) {
+    if (!this.connected) return;
+    this.received.push(message);
+    for (const listener of this.messageListeners) {
+      listener(message);
+    }
+  }
+
+  /**
+   * Simula uma mensagem enviada pelo cliente ao servidor.
+   * @param {string} event
+   * @param {...any} args
+   */
+  receive(event, ...args) {
+    for (const handler of this.handlers.get(event) ?? []) {
+      handler(...args);
+    }
+  }
+
+  /**
+   * @param {string} room
+   */
+  join(room) {
+    this.rooms.add(room);
+  }
+
+  /**
+   * @param {string} room
+   */
+  leave(room) {
+    this.rooms.delete(room);
+  }
+
+  /**
+   * Desconecta o socket; os listeners de 'disconnect' recebem o motivo.
+   * @param {boolean} [close]
+   */
+  disconnect(close = false) {
+    if (!this.connected) return;
+    this.connected = false;
+    this.receive('disconnect', 'server namespace disconnect');
+    this.rooms.clear();
+    this.server.sockets.delete(this.id);
+  }
+
+  /**
+   * @param {string} [event] - Se informado, apenas as mensagens desse evento.
+   * @returns {Array<FakeSocketMessage>}
+   */
+  getReceived(event) {
+    return event ? this.received.filter(message => message.event === event) : this.received;
+  }
+
+  /**
+   * Descarta as mensagens já recebidas.
+   */
+  clearReceived() {
+    this.received = [];
+  }
+}
+
+/**
+ * Substituto do servidor do Socket.IO (`io`) para simulações sem rede: cria FakeSockets e
+ * entrega as mensagens de sala (`io.to(sala).emit(...)`) aos sockets que estão nela.
+ */
+export class FakeSocketServer {
+  /**
+   * Sockets conectados, por ID.
+   * @type {Map<string, FakeSocket>}
+   */
+  sockets = new Map();
+
+  /**
+   * Conecta um novo socket.
+   * @param {string} id
+   * @returns {FakeSocket}
+   */
+  connect(id) {
+    if (this.sockets.has(id)) {
+      throw new Error(`FakeSocketServer already has a socket with id ${id}.`);
+    }
+    const socket = new FakeSocket(id, this);
+    this.sockets.set(id, socket);
+    return socket;
+  }
+
+  /**
+   * @param {string} room
+   * @returns {{emit: (event: string, ...args: any[]) => true}} Emissor para todos os sockets da sala.
+   */
+  to(room) {
+    return {
+      emit: (event, ...args) => {
+        for (const socket of this.sockets.values()) {
+          if (socket.rooms.has(room)) socket.emit(event, ...args);
+        }
+        return true;
+      },
+    };
+  }
+
+  /**
+   * Envia uma mensagem a todos os sockets conectados.
+   * @param {string} event
+   * @param {...any} args
+   * @returns {true}
+   */
+  emit(event, ...args) {
+    for (const socket of this.sockets.values()) {
+      socket.emit(event, ...args);
+    }
+    return true;
+  }
+}
@@ -0,0 +1,365 @@
+// server/src/headless/simulation-harness.js
+
+import { createLogger } from '../../../shared/utils/logger.js';
+import { ManualClock, ServerClockEstimate, setClockSource } from '../../../shared/utils/clock.js';
+import { createSeededRandom } from '../../../shared/utils/math-utils.js';
+import { getTickIntervalMs, getFixedTimeStep, getInterpolationDelayMs } from '../../../shared/config/game-config.js';
+import { DEFAULT_MAP_ID } from '../../../shared/constants/map-settings.js';
+import { SNAPSHOT_HISTORY_SIZE } from '../../../shared/constants/network-settings.js';
+import { applySnapshotMessage } from '../../../shared/models/snapshot-delta.js';
+import {
+  encodePlayerInput,
+  decodePlayerInput,
+  readSnapshotHeader,
+  decodeSnapshotMessage,
+} from '../../../shared/models/wire-format.js';
+import { GameRoom } from '../core/game-room.js';
+import { loadMapFile } from '../gameplay/map-file-loader.js';
+import { FakeSocketServer } from './fake-socket.js';
+import { GameObject } from '../../../shared/base/game-object.js';
+
+const { warn } = createLogger('headless');
+
+/** Instante inicial padrão do relógio controlado (ms); qualquer valor serve, mas fixo torna as execuções iguais. */
+const DEFAULT_START_TIME = 1_000_000;
+
+/**
+ * Input parcial de um passo: as teclas omitidas ficam soltas, a mira repete a do passo anterior e
+ * `viewTime` é o instante que o cliente simulado exibe (relógio do servidor estimado menos o atraso de interpolação).
+ * @typedef {object} ScriptedInput
+ * @property {Partial<import('../../../shared/models/player-input.js').PlayerInput['keys']>} [keys]
+ * @property {number} [lookYaw]
+ * @property {number} [lookPitch]
+ * @property {number} [viewTime] - Instante (relógio da simulação) que o cliente estava vendo; ex: um valor forjado.
+ */
+
+/**
+ * Cliente simulado de um jogador: reconstrói e confirma os snapshots como o StateSynchronizer do cliente.
+ * @typedef {object} HeadlessClient
+ * @property {import('./fake-socket.js').FakeSocket} socket
+ * @property {Map<number, import('../../../shared/models/game-state.js').GameState>} snapshots - Snapshots reconstruídos recentes, por seq.
+ * @property {import('../../../shared/models/game-state.js').GameState | null} latestSnapshot
+ * @property {number} latestSeq
+ * @property {number} nextInputSequence
+ * @property {number} lookYaw - Mira do último input enviado.
+ * @property {number} lookPitch
+ * @property {ServerClockEstimate} serverClock - Relógio do servidor estimado a partir dos snapshots, como no cliente.
+ */
+
+/**
+ * Opções do harness.
+ * @typedef {object} SimulationHarnessOptions
+ * @property {string} [mapId=DEFAULT_MAP_ID] - Mapa carregado de shared/maps (ignorado se `gameMap` for informado).
+ * @property {import('../../../shared/gameplay/world/map.js').GameMap} [gameMap]
+ * @property {number} [seed=1] - Semente dos sorteios de spawn, dos bots e dos IDs dos projéteis.
+ * @property {number} [startTime] - Instante inicial do relógio controlado (ms).
+ * @property {number} [maxPlayers=16]
+ * @property {boolean} [lagCompensation] - Sobrescreve a configuração do servidor.
+ * @property {boolean} [interestManagement] - Sobrescreve a configuração do servidor.
+ * @property {{minPlayers?: number, difficulty?: string}} [bots] - Sobrescreve `serverConfig.bots`; por padrão a sala não tem bots.
+ * @property {Partial<import('../managers/match-manager.js').MatchSettings>} [match] - Sobrescreve `gameConfig.match`.
+ */
+
+/**
+ * Executa uma sala completa (GameRoom, com GameStateManager, MovementSystem e StateBroadcaster reais)
+ * sem rede, sem timers e sem navegador, para testes automatizados de gameplay:
+ *
+ * - os sockets são FakeSockets, que guardam as mensagens enviadas a cada cliente;
+ * - o relógio da simulação (shared/utils/clock.js) é um ManualClock que só avança em step();
+ * - os spawns, os bots e os IDs dos projéteis usam um gerador com semente, e os IDs de rede recomeçam do 1;
+ * - cada passo executa exatamente um tick fixo e transmite os snapshots, que cada cliente simulado
+ *   decodifica, reconstrói e confirma como o cliente real.
+ *
+ * Com a mesma semente e os mesmos inputs, duas execuções produzem os mesmos snapshots e eventos (inclusive os IDs).
+ * O relógio é global ao processo: use um harness por vez e chame dispose() ao terminar.
+ *
+ * @example
+ * const harness = new SimulationHarness({ seed: 42 });
+ * harness.addPlayer('shooter', { position: { x: 20, y: 0, z: 30 } });
+ * harness.addPlayer('target', { position: { x: 20, y: 0, z: 20 } });
+ * harness.runInputs({ shooter: [{ keys: { Fire: true }, lookYaw: 0 }] }); // yaw 0 mira para -Z
+ * harness.step(15);
+ * const target = harness.getPlayerState('shooter', 'target'); // como o atirador o vê (health 85)
+ * harness.dispose();
+ */
+export class SimulationHarness {
+  /** @type {ManualClock} */
+  clock;
+  /** @type {FakeSocketServer} */
+  io;
+  /** @type {GameRoom} */
+  room;
+  /**
+   * Clientes simulados, por ID do jogador.
+   * @type {Map<string, HeadlessClient>}
+   */
+  clients = new Map();
+  /**
+   * Número do último passo executado.
+   * @type {number}
+   */
+  tick = 0;
+
+  /**
+   * Cria a sala e passa a controlar o relógio da simulação.
+   * @param {SimulationHarnessOptions} [options]
+   */
+  constructor({
+    mapId = DEFAULT_MAP_ID,
+    gameMap = null,
+    seed = 1,
+    startTime = DEFAULT_START_TIME,
+    maxPlayers = 16,
+    lagCompensation,
+    interestManagement,
+    bots = { minPlayers: 0 },
+    match = {},
+  } = {}) {
+    this.clock = new ManualClock(startTime);
+    setClockSource(() => this.clock.now());
+    GameObject.resetNetIds();
+
+    this.io = new FakeSocketServer();
+    this.room = new GameRoom(/** @type {any} */ (this.io), {
+      id: 'headless',
+      name: 'Headless',
+      maxPlayers,
+      gameMap: gameMap ?? loadMapFile(mapId),
+      random: createSeededRandom(seed),
+      bots,
+      match,
+    });
+    if (lagCompensation !== undefined) this.room.gameStateManager.setLagCompensationEnabled(lagCompensation);
+    if (interestManagement !== undefined) this.room.stateBroadcaster.setInterestManagementEnabled(interestManagement);
+  }
+
+  /** @returns {import('../managers/game-state-manager.js').GameStateManager} */
+  get gameStateManager() {
+    return this.room.gameStateManager;
+  }
+
+  /**
+   * Conecta um cliente simulado e cria o seu jogador na sala.
+   * @param {string} id - ID do socket e do jogador.
+   * @param {{position?: {x: number, y: number, z: number}, lookYaw?: number}} [options] - Posição inicial
+   *        (em vez do ponto de spawn sorteado) e mira inicial.
+   * @returns {import('../gameplay/server-player.js').ServerPlayer}
+   * @throws {Error} Se a sala está cheia ou o ID já está em uso.
+   */
+  addPlayer(id, { position, lookYaw = 0 } = {}) {
+    const socket = this.io.connect(id);
+    /** @type {HeadlessClient} */
+    const client = {
+      socket,
+      snapshots: new Map(),
+      latestSnapshot: null,
+      latestSeq: -1,
+      nextInputSequence: 0,
+      lookYaw,
+      lookPitch: 0,
+      serverClock: new ServerClockEstimate(),
+    };
+    socket.messageListeners.push((message) => {
+      if (message.event === 'gameStateUpdate') this.handleSnapshot(client, message.args[0]);
+    });
+
+    const player = this.room.addPlayer(/** @type {any} */ (socket));
+    if (!player) {
+      this.io.sockets.delete(id);
+      throw new Error(`SimulationHarness cannot add player ${id}: room is full.`);
+    }
+    this.clients.set(id, client);
+    if (position) this.teleport(id, position);
+    player.lookYaw = lookYaw;
+    return player;
+  }
+
+  /**
+   * Remove o jogador e desconecta o seu cliente simulado.
+   * @param {string} id
+   */
+  removePlayer(id) {
+    const client = this.clients.get(id);
+    if (!client) return;
+    this.room.removePlayer(/** @type {any} */ (client.socket));
+    client.socket.disconnect(true);
+    this.clients.delete(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {import('../gameplay/server-player.js').ServerPlayer | undefined} O jogador autoritativo.
+   */
+  getPlayer(id) {
+    return this.room.sessionManager.getPlayer(id);
+  }
+
+  /**
+   * Move o jogador para uma posição (sem velocidade), ex: para montar um cenário.
+   * @param {string} id
+   * @param {{x: number, y: number, z: number}} position
+   */
+  teleport(id, position) {
+    const player = this.getPlayer(id);
+    if (!player) throw new Error(`SimulationHarness has no player ${id}.`);
+    player.position.set(position.x, position.y, position.z);
+    player.velocity.zero();
+  }
+
+  /**
+   * Envia um input do cliente, passando pela codificação binária como um input real.
+   * Ele é simulado no próximo passo (um input por passo, como o cliente envia).
+   * @param {string} id
+   * @param {ScriptedInput} [input]
+   * @returns {import('../../../shared/models/player-input.js').PlayerInput} O input como o servidor o recebeu.
+   */
+  sendInput(id, { keys = {}, lookYaw, lookPitch, viewTime } = {}) {
+    const client = this.clients.get(id);
+    const player = this.getPlayer(id);
+    if (!client || !player) throw new Error(`SimulationHarness has no player ${id}.`);
+
+    client.lookYaw = lookYaw ?? client.lookYaw;
+    client.lookPitch = lookPitch ?? client.lookPitch;
+    const encoded = encodePlayerInput({
+      sequence: client.nextInputSequence++,
+      deltaTime: getFixedTimeStep(),
+      keys,
+      lookYaw: client.lookYaw,
+      lookPitch: client.lookPitch,
+      viewTime: viewTime ?? this.getViewTime(client),
+    });
+    const received = decodePlayerInput(encoded);
+    player.processInput(received);
+    return received;
+  }
+
+  /**
+   * @param {HeadlessClient} client
+   * @returns {number | undefined} O instante que o cliente exibe, como ClientWorld.getRenderTime()
+   *          (undefined antes do primeiro snapshot).
+   * @private
+   */
+  getViewTime(client) {
+    const serverTime = client.serverClock.toServerTime(this.clock.now());
+    return serverTime === null ? undefined : serverTime - getInterpolationDelayMs();
+  }
+
+  /**
+   * Executa passos fixos da simulação: avança o relógio um intervalo de tick, atualiza a sala e
+   * transmite os snapshots aos clientes simulados.
+   * @param {number} [count=1]
+   * @param {(tick: number) => void} [beforeStep] - Chamada antes de cada passo (ex: para enviar inputs).
+   * @returns {number} O número do último passo executado.
+   */
+  step(count = 1, beforeStep = null) {
+    for (let i = 0; i < count; i++) {
+      beforeStep?.(this.tick + 1);
+      this.clock.advance(getTickIntervalMs());
+      this.tick++;
+      this.room.tick(getFixedTimeStep(), this.tick);
+      this.room.stateBroadcaster.broadcastGameState();
+    }
+    return this.tick;
+  }
+
+  /**
+   * Executa uma sequência de inputs por jogador, um por passo: no passo N cada jogador envia o seu
+   * N-ésimo input (jogadores com menos inputs ficam parados). `null` pula o passo do jogador.
+   * @param {Record<string, Array<ScriptedInput | null>>} inputsByPlayer
+   * @returns {number} O número do último passo executado.
+   */
+  runInputs(inputsByPlayer) {
+    const entries = Object.entries(inputsByPlayer);
+    const steps = entries.reduce((max, [, inputs]) => Math.max(max, inputs.length), 0);
+    let index = 0;
+    return this.step(steps, () => {
+      for (const [id, inputs] of entries) {
+        const input = inputs[index];
+        if (input) this.sendInput(id, input);
+      }
+      index++;
+    });
+  }
+
+  /**
+   * Executa passos até a condição ser verdadeira.
+   * @param {() => boolean} condition - Verificada antes de cada passo.
+   * @param {number} maxSteps - Limite de passos.
+   * @returns {number} Passos executados.
+   * @throws {Error} Se o limite for atingido sem a condição ser satisfeita.
+   */
+  stepUntil(condition, maxSteps) {
+    let steps = 0;
+    while (!condition()) {
+      if (steps >= maxSteps) {
+        throw new Error(`SimulationHarness.stepUntil: condition not met after ${maxSteps} steps.`);
+      }
+      this.step();
+      steps++;
+    }
+    return steps;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {import('../../../shared/models/game-state.js').GameState | null} Último snapshot reconstruído
+   *          pelo cliente simulado (já filtrado por relevância, como o cliente real o recebe).
+   */
+  getSnapshot(id) {
+    return this.clients.get(id)?.latestSnapshot ?? null;
+  }
+
+  /**
+   * @param {string} viewerId - Cliente que recebeu o snapshot.
+   * @param {string} [playerId=viewerId] - Jogador procurado no snapshot.
+   * @returns {import('../../../shared/models/player-state.js').PlayerState | null}
+   */
+  getPlayerState(viewerId, playerId = viewerId) {
+    return this.getSnapshot(viewerId)?.players.find(state => state.id === playerId) ?? null;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} event - Ex: 'playerKilled', 'projectileImpact', 'mapChange'.
+   * @returns {Array<any>} Payloads das mensagens do evento recebidas pelo cliente, em ordem.
+   */
+  getEvents(id, event) {
+    return this.clients.get(id)?.socket.getReceived(event).map(message => message.args[0]) ?? [];
+  }
+
+  /**
+   * Encerra a sala e devolve o relógio da simulação ao relógio do sistema.
+   */
+  dispose() {
+    for (const id of Array.from(this.clients.keys())) {
+      this.removePlayer(id);
+    }
+    this.room.dispose();
+    setClockSource(null);
+  }
+
+  /**
+   * Reconstrói e confirma um snapshot, como o StateSynchronizer do cliente.
+   * @param {HeadlessClient} client
+   * @param {Uint8Array} data
+   * @private
+   */
+  handleSnapshot(client, data) {
+    const header = readSnapshotHeader(data);
+    if (header.seq <= client.latestSeq) return;
+    client.serverClock.addSample(header.timestamp, this.clock.now());
+
+    const baseline = header.keyframe ? null : client.snapshots.get(header.baseSeq);
+    if (!header.keyframe && !baseline) {
+      warn(`Headless client ${client.socket.id} is missing baseline ${header.baseSeq}; requesting resync.`);
+      client.socket.receive('snapshotResync', { seq: header.seq });
+      return;
+    }
+    const gameState = applySnapshotMessage(decodeSnapshotMessage(data, baseline), baseline);
+    client.latestSeq = header.seq;
+    client.latestSnapshot = gameState;
+    client.snapshots.set(header.seq, gameState);
+    client.snapshots.delete(header.seq - SNAPSHOT_HISTORY_SIZE);
+    client.socket.receive('snapshotAck', { seq: header.seq });
+  }
+}
@@ -0,0 +1,136 @@
+// server/src/managers/bot-manager.js
+
+import { createLogger } from '../../../shared/utils/logger.js';
+import { getCurrentTime } from '../../../shared/utils/clock.js';
+import { clamp } from '../../../shared/utils/math-utils.js';
+import { NavigationGrid } from '../gameplay/navigation-grid.js';
+import { serverConfig } from '../config/server-config.js';
+
+const { log } = createLogger('bots');
+
+/**
+ * Mantém os bots de uma partida: completa a sala com bots até `minPlayers` enquanto houver alguém
+ * conectado (cedendo vagas aos jogadores que entram) e, a cada tick, faz cada bot decidir o seu input.
+ * A grade de navegação é gerada a partir do mapa da partida e refeita na troca de mapa.
+ */
+export class BotManager {
+    /** @type {import('./session-manager.js').SessionManager} */
+    sessionManager;
+    /** @type {import('./game-state-manager.js').GameStateManager} */
+    gameStateManager;
+    /** @type {NavigationGrid} */
+    navigationGrid;
+    /**
+     * Número mínimo de jogadores (conectados + bots); 0 desliga os bots.
+     * @type {number}
+     */
+    minPlayers;
+    /** @type {string} */
+    difficulty;
+    /** @type {() => number} */
+    random;
+    /** @type {number} */
+    nextBotNumber = 1;
+
+    /**
+     * @param {import('./session-manager.js').SessionManager} sessionManager
+     * @param {import('./game-state-manager.js').GameStateManager} gameStateManager - Fornece o mapa, as colisões e os obstáculos.
+     * @param {{minPlayers?: number, difficulty?: string, random?: () => number}} [options] - Padrões: `serverConfig.bots` e Math.random.
+     */
+    constructor(sessionManager, gameStateManager, {
+        minPlayers = serverConfig.bots.minPlayers,
+        difficulty = serverConfig.bots.difficulty,
+        random = Math.random,
+    } = {}) {
+        if (!sessionManager || !gameStateManager) {
+            throw new Error("BotManager requires a SessionManager and a GameStateManager.");
+        }
+        this.sessionManager = sessionManager;
+        this.gameStateManager = gameStateManager;
+        this.minPlayers = minPlayers;
+        this.difficulty = difficulty;
+        this.random = random;
+        this.setMap(gameStateManager.world.map);
+        log(`BotManager initialized (min ${minPlayers} players, ${difficulty} bots).`);
+    }
+
+    /**
+     * Refaz a grade de navegação para o mapa informado e descarta os caminhos dos bots.
+     * @param {import('../../../shared/gameplay/world/map.js').GameMap} gameMap
+     */
+    setMap(gameMap) {
+        this.navigationGrid = new NavigationGrid(this.gameStateManager.collisionSystem, gameMap.getBounds(), gameMap.getStaticObstacles());
+        for (const bot of this.sessionManager.getBots()) {
+            bot.path = [];
+            bot.pathGoal = null;
+        }
+    }
+
+    /**
+     * @param {number} maxPlayers - Limite de jogadores da sala.
+     * @returns {number} Quantos bots a sala deve ter agora.
+     */
+    getDesiredBotCount(maxPlayers) {
+        const humans = this.sessionManager.getHumanCount();
+        if (humans === 0) return 0;
+        return clamp(this.minPlayers - humans, 0, maxPlayers - humans);
+    }
+
+    /**
+     * Adiciona ou remove bots até a quantidade desejada.
+     * @param {number} maxPlayers - Limite de jogadores da sala.
+     */
+    balance(maxPlayers) {
+        const bots = this.sessionManager.getBots();
+        const desired = this.getDesiredBotCount(maxPlayers);
+        for (let count = bots.length; count < desired; count++) {
+            const number = this.nextBotNumber++;
+            this.sessionManager.addBot(`bot-${number}`, { name: `Bot_${number}`, difficulty: this.difficulty });
+        }
+        // Os últimos a entrar são os primeiros a sair
+        for (let count = bots.length; count > desired; count--) {
+            this.sessionManager.removePlayer(bots[count - 1].id);
+        }
+    }
+
+    /**
+     * Remove um bot para liberar a vaga de um jogador que está entrando.
+     * @returns {boolean} false se não havia bots.
+     */
+    releaseSlot() {
+        const bots = this.sessionManager.getBots();
+        if (bots.length === 0) return false;
+        this.sessionManager.removePlayer(bots[bots.length - 1].id);
+        return true;
+    }
+
+    /**
+     * Ajusta a quantidade de bots e enfileira o input de cada um para o próximo passo.
+     * @param {number} maxPlayers - Limite de jogadores da sala.
+     */
+    update(maxPlayers) {
+        this.balance(maxPlayers);
+        const players = this.sessionManager.getAllPlayersArray();
+        /** @type {import('../gameplay/bot-player.js').BotWorldView} */
+        const view = {
+            players,
+            collisionSystem: this.gameStateManager.collisionSystem,
+            obstacles: this.gameStateManager.movementSystem.obstacles,
+            navigationGrid: this.navigationGrid,
+            random: this.random,
+            now: getCurrentTime(),
+        };
+        for (const player of players) {
+            if (player.isBot) /** @type {import('../gameplay/bot-player.js').BotPlayer} */ (player).think(view);
+        }
+    }
+
+    /**
+     * Remove todos os bots (ex: sala encerrada).
+     */
+    dispose() {
+        for (const bot of this.sessionManager.getBots()) {
+            this.sessionManager.removePlayer(bot.id);
+        }
+    }
+}
@@ -1,12 +1,27 @@
 // server/src/managers/game-state-manager.js
 
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+import { getCurrentTime } from '../../../shared/utils/clock.js';
 import { MovementSystem } from '../../../shared/physics/movement-system.js';
 import { CollisionSystem } from '../../../shared/physics/collision-system.js';
 import { ServerWorld } from '../gameplay/server-world.js';
-import gameMapInstance from '../../../shared/gameplay/world/map.js';
+import { ScoreManager } from '../gameplay/score-manager.js';
+import { TeamManager } from '../gameplay/team-manager.js';
+import { HitboxHistory, getHitboxesBounds } from '../gameplay/hitbox-history.js';
+import { SpatialGrid } from '../../../shared/physics/spatial-grid.js';
+import { PLAYER_GRID_CELL_SIZE } from '../../../shared/constants/game-settings.js';
+import { MAX_LAG_COMPENSATION_MS } from '../../../shared/constants/combat-settings.js';
+import { gameConfig, getTickIntervalMs } from '../../../shared/config/game-config.js';
+import { serverConfig } from '../config/server-config.js';
 import { Projectile } from '../../../shared/entities/projectile.js';
 import { Vector3 } from '../../../shared/physics/vector.js';
+import { generateUUID } from '../../../shared/utils/math-utils.js';
+
+const { log, warn } = createLogger('game');
+
+// Temporários de rebuildPlayerGrid (a grade copia as células; não guarda as AABBs)
+const scratchHitboxes = {};
+const scratchBounds = { min: new Vector3(), max: new Vector3() };
 
 export class GameStateManager {
   /** @type {import('./session-manager.js').SessionManager} */
@@ -19,64 +34,119 @@ export class GameStateManager {
   world;
   /** @type {Map<string, Projectile>} */
   projectiles;
+  /** @type {ScoreManager} */
+  scoreManager;
+  /** @type {TeamManager} */
+  teamManager;
+  /** @type {HitboxHistory} */
+  hitboxHistory;
+  /**
+   * Grade de broad-phase dos jogadores vivos, remontada a cada tick antes de mover os projéteis.
+   * @type {SpatialGrid<import('../gameplay/server-player.js').ServerPlayer>}
+   */
+  playerGrid = new SpatialGrid(PLAYER_GRID_CELL_SIZE);
+  /** @type {boolean} */
+  lagCompensationEnabled = false;
+  /**
+   * Gerador dos IDs dos projéteis.
+   * @type {() => number}
+   */
+  random;
+  /**
+   * Número do último passo simulado (enviado nos snapshots).
+   * @type {number}
+   */
+  tick = 0;
+  /**
+   * Barramento de eventos do mundo (o mesmo do SessionManager).
+   * @type {import('../../../shared/events/event-bus.js').EventBus}
+   */
+  eventBus;
+  /**
+   * Inscrições no barramento, canceladas em dispose().
+   * @type {Array<import('../../../shared/events/event-bus.js').EventSubscription>}
+   */
+  subscriptions = [];
 
   /**
-   * @param {import('./session-manager.js').SessionManager} sessionManager
+   * @param {import('./session-manager.js').SessionManager} sessionManager - Os jogadores emitem no barramento dele.
+   * @param {import('../../../shared/gameplay/world/map.js').GameMap} gameMap - Mapa desta partida.
+   * @param {{mode?: string, random?: () => number}} [options] - `mode`: modo de jogo da partida (padrão: gameConfig.match.mode);
+   *        `random`: gerador dos IDs dos projéteis (padrão: Math.random; com semente no harness de simulação).
    */
-  constructor(sessionManager) {
+  constructor(sessionManager, gameMap, { mode = gameConfig.match.mode, random = Math.random } = {}) {
     if (!sessionManager) throw new Error("GameStateManager requires a SessionManager instance.");
+    if (!gameMap) throw new Error("GameStateManager requires a GameMap instance.");
 
     this.sessionManager = sessionManager;
+    this.eventBus = sessionManager.eventBus;
     this.collisionSystem = new CollisionSystem();
-    this.world = new ServerWorld(gameMapInstance);
+    this.world = new ServerWorld(gameMap);
     
     this.movementSystem = new MovementSystem(
         this.collisionSystem,
         this.world.getMapBounds(),
-        this.world.map.getStaticObstacles()
+        this.world.map.getStaticObstacles(),
+        this.eventBus
     );
+    this.movementSystem.setPlayerResolver(playerId => sessionManager.getPlayer(playerId));
     
     this.projectiles = new Map();
+    this.random = random;
+
+    // Compensação de latência: o histórico é sempre registrado para permitir alternar o modo em execução
+    this.hitboxHistory = new HitboxHistory(MAX_LAG_COMPENSATION_MS, getTickIntervalMs());
+    this.setLagCompensationEnabled(serverConfig.server.lagCompensation);
+
+    this.subscriptions = [
+        this.eventBus.on('projectileFired', this.handleProjectileFired.bind(this)),
+        this.eventBus.on('spellCast', this.handleSpellCast.bind(this)),
+    ];
+    this.scoreManager = new ScoreManager(sessionManager, this.eventBus);
+    this.teamManager = new TeamManager(sessionManager, mode);
+
     log('GameStateManager initialized.');
+  }
 
-    // --- Configuração do EventEmitter Global Temporário ---
-    if (!global.eventEmitter) {
-      global.eventEmitter = {
-          listeners: {},
-          on(event, listener) {
-              if (!this.listeners[event]) this.listeners[event] = [];
-              this.listeners[event].push(listener);
-          },
-          emit(event, data) {
-              if (this.listeners[event]) {
-                  this.listeners[event].forEach(listener => {
-                      try { listener(data); } catch(e) { warn(`Error in event listener for ${event}:`, e)}
-                  });
-              }
-          }
-      };
-       log('Global eventEmitter created (temporary).');
-    }
-    
-    // Garante que os listeners sejam adicionados apenas uma vez
-    const existingListeners = global.eventEmitter.listeners['projectileFired'] || [];
-    if (!existingListeners.some(fn => fn.name === 'bound addProjectile')) { 
-         global.eventEmitter.on('projectileFired', this.addProjectile.bind(this));
-         log('Listener for projectileFired added to global eventEmitter.');
-    }
+  /**
+   * Cancela as inscrições desta instância no barramento (ex: sala encerrada).
+   */
+  dispose() {
+    for (const subscription of this.subscriptions) subscription.dispose();
+    this.subscriptions = [];
+    this.scoreManager.dispose();
+    this.teamManager.dispose();
+    this.projectiles.clear();
+  }
+
+  /**
+   * Troca o mapa da partida: colisões passam a usar os novos limites/obstáculos e os projéteis
+   * e o histórico de hitboxes do mapa anterior são descartados.
+   * @param {import('../../../shared/gameplay/world/map.js').GameMap} gameMap
+   */
+  setMap(gameMap) {
+    this.world = new ServerWorld(gameMap);
+    this.movementSystem.setMap(this.world.getMapBounds(), gameMap.getStaticObstacles());
+    this.projectiles.clear();
+    this.hitboxHistory.clear();
   }
 
   /**
    * Método principal de atualização do estado do jogo.
-   * @param {number} deltaTime - Tempo desde o último tick em segundos.
+   * @param {number} deltaTime - Passo da simulação em segundos (getFixedTimeStep() no loop da sala).
+   * @param {number} [tick=this.tick + 1] - Número do passo.
    */
-  update(deltaTime) {
+  update(deltaTime, tick = this.tick + 1) {
+    this.tick = tick;
     try {
         // 1. Atualizar Jogadores (lógica interna do jogador, incluindo respawn timer e applyInputs)
+        //    Cada input é simulado individualmente pelo MovementSystem dentro de ServerPlayer.applyInputs.
         const players = this.sessionManager.getAllPlayersArray();
         for (const player of players) {
-            player.update(deltaTime); // ServerPlayer.update lida com respawn e inputs
+            player.update(deltaTime, this.movementSystem); // ServerPlayer.update lida com respawn e inputs
         }
+        // Registra as hitboxes deste tick (mesmas posições enviadas no snapshot)
+        this.hitboxHistory.record(players, getCurrentTime());
 
         // 2. Atualizar Projéteis (verificar alcance)
         const projectilesToRemove = [];
@@ -91,14 +161,14 @@ export class GameStateManager {
         }
 
         // 3. Sistema de Movimento e Colisão
-        //    - Move jogadores vivos e projéteis ativos.
+        //    - Move projéteis ativos (jogadores já foram movidos por input no passo 1).
         //    - MovementSystem internamente usa CollisionSystem para:
         //        - Raycast projétil vs jogador (marcando projéteis para remoção em caso de hit).
-        //        - Resolver colisão de todas as entidades movidas com os limites do mundo.
+        //        - Resolver colisão das entidades movidas com os limites do mundo.
         const alivePlayers = players.filter(p => p.isAlive);
         const movingProjectiles = currentProjectiles.filter(p => !projectilesToRemove.includes(p.id));
-        const allMovingEntities = [...alivePlayers, ...movingProjectiles];
-        this.movementSystem.update(allMovingEntities, deltaTime, alivePlayers); // Passa jogadores vivos como alvos para raycast
+        this.rebuildPlayerGrid(alivePlayers);
+        this.movementSystem.update(movingProjectiles, deltaTime, this.playerGrid); // Jogadores vivos como alvos para raycast
 
         // 4. Coleta Final de Projéteis para Remover
         //    (Inclui os marcados por range E os marcados por colisão dentro do MovementSystem)
@@ -118,7 +188,51 @@ export class GameStateManager {
   }
 
   /**
-   * Adiciona um novo projétil ao mundo do jogo. Chamado via evento.
+   * Indexa os jogadores vivos na grade de broad-phase. Com compensação de latência, cada jogador
+   * ocupa todas as posições do seu histórico, já que pode ser atingido em qualquer uma delas.
+   * @param {Array<import('../gameplay/server-player.js').ServerPlayer>} alivePlayers
+   * @private
+   */
+  rebuildPlayerGrid(alivePlayers) {
+    this.playerGrid.clear();
+    for (const player of alivePlayers) {
+        const bounds = (this.lagCompensationEnabled && this.hitboxHistory.getSweptBounds(player.id, scratchBounds))
+            || getHitboxesBounds(player.getHitboxes(scratchHitboxes), scratchBounds);
+        this.playerGrid.insert(player, bounds);
+    }
+  }
+
+  /**
+   * Liga ou desliga a compensação de latência na resolução de acertos de projéteis.
+   * @param {boolean} enabled
+   */
+  setLagCompensationEnabled(enabled) {
+    this.lagCompensationEnabled = !!enabled;
+    this.movementSystem.setHitboxProvider(this.lagCompensationEnabled ? this.getCompensatedHitboxes.bind(this) : null);
+    log(`Lag compensation ${this.lagCompensationEnabled ? 'enabled' : 'disabled'} (max ${MAX_LAG_COMPENSATION_MS}ms).`);
+  }
+
+  /**
+   * Hitboxes do alvo no instante em que o dono do projétil o via.
+   * @param {import('../gameplay/server-player.js').ServerPlayer} target
+   * @param {Projectile} projectile
+   * @returns {Object.<string, {min: Vector3, max: Vector3}> | null | undefined}
+   */
+  getCompensatedHitboxes(target, projectile) {
+    if (!projectile.lagCompensationMs) return undefined; // Sem atraso: hitboxes atuais
+    return this.hitboxHistory.getHitboxesAt(target.id, getCurrentTime() - projectile.lagCompensationMs);
+  }
+
+  /**
+   * Manipulador do evento 'projectileFired': adiciona o projétil ao mundo.
+   * @param {object} projectileData - Dados do projétil.
+   */
+  handleProjectileFired(projectileData) {
+    this.addProjectile(projectileData);
+  }
+
+  /**
+   * Adiciona um novo projétil ao mundo do jogo.
    * @param {object} projectileData - Dados do projétil.
    */
   addProjectile(projectileData) {
@@ -137,8 +251,13 @@ export class GameStateManager {
             projectileData.damage || 0, // Default values if missing
             projectileData.speed || 20,
             projectileData.range || 100,
-            projectileData.type || 'default'
+            projectileData.type || 'default',
+            generateUUID(this.random)
         );
+        newProjectile.splashRadius = projectileData.splashRadius || 0;
+        newProjectile.splashDamage = projectileData.splashDamage || 0;
+        newProjectile.lagCompensationMs = projectileData.lagCompensationMs || 0;
+        newProjectile.team = this.sessionManager.getPlayer(projectileData.ownerId)?.team ?? null;
         this.projectiles.set(newProjectile.id, newProjectile);
         // log(`Projectile ${newProjectile.id} (type: ${newProjectile.projectileType}) added.`); // Log menos verboso
     } catch (error) {
@@ -146,6 +265,36 @@ export class GameStateManager {
     }
   }
 
+  /**
+   * Aplica o efeito de uma magia lançada. Chamado via evento 'spellCast'.
+   * Projéteis seguem o mesmo caminho das balas; o teleporte é resolvido pelo MovementSystem.
+   * @param {import('../../../shared/gameplay/spells/spell.js').SpellCastData} castData
+   */
+  handleSpellCast(castData) {
+    const caster = castData?.casterId ? this.sessionManager.getPlayer(castData.casterId) : undefined;
+    if (!caster) return; // Lançador não está na partida
+    if (!caster.isAlive) {
+        warn("[GameStateManager] Ignoring spell cast from dead player:", castData);
+        return;
+    }
+
+    switch (castData.effect) {
+        case 'projectile':
+            this.addProjectile(castData.projectile);
+            break;
+        case 'selfBuff':
+            caster.addStatusEffect(castData.buff.type, castData.buff.duration, castData.buff);
+            break;
+        case 'blink': {
+            const direction = new Vector3(castData.direction.x, castData.direction.y, castData.direction.z);
+            this.movementSystem.blink(caster, direction, castData.distance);
+            break;
+        }
+        default:
+            warn(`[GameStateManager] Unknown spell effect '${castData.effect}' for spell ${castData.spellType}.`);
+    }
+  }
+
   /**
    * Remove um projétil do mundo do jogo.
    * @param {string} projectileId - O ID do projétil a ser removido.
@@ -176,9 +325,11 @@ export class GameStateManager {
     }
 
     return {
-        timestamp: Date.now(),
+        timestamp: getCurrentTime(),
+        tick: this.tick,
         players: playerStates,
         projectiles: projectileStates,
+        teamScores: this.teamManager.getTeamScores(),
         // Futuro: adicionar outros estados (itens no mapa, estado do mundo, etc.)
     };
   }
@@ -0,0 +1,350 @@
+// server/src/managers/match-manager.js
+
+import { createLogger } from '../../../shared/utils/logger.js';
+import { getCurrentTime } from '../../../shared/utils/clock.js';
+import { gameConfig } from '../../../shared/config/game-config.js';
+import { MATCH_STATES } from '../../../shared/constants/match-settings.js';
+
+const { log, warn } = createLogger('match');
+
+/**
+ * Limites de uma partida (ver gameConfig.match); tempos em segundos.
+ * @typedef {object} MatchSettings
+ * @property {number} minPlayers
+ * @property {number} warmupTime
+ * @property {number} timeLimit - 0 = sem limite de tempo.
+ * @property {number} fragLimit - 0 = sem limite de abates.
+ * @property {number} postGameTime
+ * @property {string} mode - Modo de jogo (GAME_MODES); fixo durante a vida da sala (ver TeamManager).
+ */
+
+/**
+ * Disparos e acertos de um jogador na partida atual.
+ * @typedef {object} ShotStats
+ * @property {number} shotsFired
+ * @property {number} shotsHit
+ * @property {Set<string>} weaponTypes - Tipos de projétil disparados, para não contar o dano das magias como acerto.
+ */
+
+/**
+ * Ciclo de vida da partida de uma sala: aguarda o mínimo de jogadores, faz o aquecimento, conduz a
+ * partida até o limite de tempo ou de abates e mantém os resultados na tela antes da próxima.
+ *
+ * Publica no barramento do mundo 'matchState' a cada troca de estado e 'matchEnded' com os resultados
+ * (abates, mortes e precisão de cada jogador). No início da partida (e quando a sala chama reset(),
+ * ex: depois da troca de mapa) todos renascem pelo SpawnManager, com a pontuação zerada e sem projéteis no ar.
+ */
+export class MatchManager {
+    /** @type {import('./session-manager.js').SessionManager} */
+    sessionManager;
+    /** @type {import('./game-state-manager.js').GameStateManager} */
+    gameStateManager;
+    /** @type {import('../gameplay/spawn-manager.js').SpawnManager} */
+    spawnManager;
+    /** @type {import('../../../shared/events/event-bus.js').EventBus} */
+    eventBus;
+    /**
+     * Valores que substituem os de gameConfig.match nesta sala.
+     * @type {Partial<MatchSettings>}
+     */
+    overrides;
+    /** @type {string} */
+    state = MATCH_STATES.WAITING;
+    /**
+     * Timestamp (ms) em que o estado atual termina (null se não há prazo).
+     * @type {number | null}
+     */
+    stateEndsAt = null;
+    /**
+     * Timestamp (ms) do início da partida valendo.
+     * @type {number}
+     */
+    liveStartTime = 0;
+    /**
+     * Disparos e acertos por ID do jogador.
+     * @type {Map<string, ShotStats>}
+     */
+    shotStats = new Map();
+    /**
+     * Resultados da última partida encerrada.
+     * @type {import('../../../shared/events/world-events.js').MatchResults | null}
+     */
+    lastResults = null;
+    /**
+     * Inscrições no barramento, canceladas em dispose().
+     * @type {Array<import('../../../shared/events/event-bus.js').EventSubscription>}
+     */
+    subscriptions = [];
+
+    /**
+     * @param {import('./session-manager.js').SessionManager} sessionManager
+     * @param {import('./game-state-manager.js').GameStateManager} gameStateManager - Fornece o mapa e os projéteis.
+     * @param {import('../gameplay/spawn-manager.js').SpawnManager} spawnManager
+     * @param {Partial<MatchSettings>} [overrides] - Substituem gameConfig.match (ex: testes).
+     */
+    constructor(sessionManager, gameStateManager, spawnManager, overrides = {}) {
+        if (!sessionManager || !gameStateManager || !spawnManager) {
+            throw new Error("MatchManager requires a SessionManager, a GameStateManager and a SpawnManager.");
+        }
+        this.sessionManager = sessionManager;
+        this.gameStateManager = gameStateManager;
+        this.spawnManager = spawnManager;
+        this.eventBus = sessionManager.eventBus;
+        this.overrides = overrides;
+        this.subscriptions = [
+            this.eventBus.on('projectileFired', this.handleProjectileFired.bind(this)),
+            this.eventBus.on('damage', this.handleDamage.bind(this)),
+            this.eventBus.on('playerLeft', ({ playerId }) => this.shotStats.delete(playerId)),
+        ];
+        log(`MatchManager initialized (${this.describeSettings()}).`);
+    }
+
+    /**
+     * Limites em vigor, lidos de gameConfig a cada uso.
+     * @returns {MatchSettings}
+     */
+    get settings() {
+        return { ...gameConfig.match, ...this.overrides };
+    }
+
+    /**
+     * @returns {boolean} true enquanto a partida vale pontos.
+     */
+    get isLive() {
+        return this.state === MATCH_STATES.LIVE;
+    }
+
+    /**
+     * Cancela as inscrições no barramento (ex: sala encerrada).
+     */
+    dispose() {
+        for (const subscription of this.subscriptions) subscription.dispose();
+        this.subscriptions = [];
+    }
+
+    /**
+     * Avança o ciclo da partida. Chamado a cada tick pela sala (exceto durante a troca de mapa).
+     * @param {number} [now=getCurrentTime()]
+     */
+    update(now = getCurrentTime()) {
+        const settings = this.settings;
+        const playerCount = this.sessionManager.players.size;
+
+        switch (this.state) {
+            case MATCH_STATES.WAITING:
+                if (playerCount >= settings.minPlayers) {
+                    this.setState(MATCH_STATES.WARMUP, now + settings.warmupTime * 1000, now);
+                }
+                break;
+            case MATCH_STATES.WARMUP:
+                if (playerCount < settings.minPlayers) {
+                    this.setState(MATCH_STATES.WAITING, null, now);
+                } else if (now >= this.stateEndsAt) {
+                    this.startMatch(now);
+                }
+                break;
+            case MATCH_STATES.LIVE:
+                if (playerCount === 0) {
+                    warn('Match abandoned: no players left.');
+                    this.setState(MATCH_STATES.WAITING, null, now);
+                } else if (settings.fragLimit > 0 && this.getTopScore() >= settings.fragLimit) {
+                    this.endMatch('fragLimit', now);
+                } else if (this.stateEndsAt !== null && now >= this.stateEndsAt) {
+                    this.endMatch('timeLimit', now);
+                }
+                break;
+            case MATCH_STATES.POST_GAME:
+                if (now >= this.stateEndsAt) {
+                    this.setState(MATCH_STATES.WAITING, null, now);
+                }
+                break;
+            default:
+                warn(`MatchManager: unknown state '${this.state}'.`);
+        }
+    }
+
+    /**
+     * Começa a partida valendo: reinicia o mundo e inicia a contagem do limite de tempo.
+     * @param {number} now
+     * @private
+     */
+    startMatch(now) {
+        this.reset();
+        this.liveStartTime = now;
+        const { timeLimit } = this.settings;
+        this.setState(MATCH_STATES.LIVE, timeLimit > 0 ? now + timeLimit * 1000 : null, now);
+    }
+
+    /**
+     * Encerra a partida valendo e publica os resultados.
+     * @param {'timeLimit' | 'fragLimit'} reason
+     * @param {number} now
+     * @private
+     */
+    endMatch(reason, now) {
+        this.lastResults = this.getResults(reason, now);
+        const winner = this.lastResults.players[0];
+        const winnerText = this.lastResults.teamScores.length > 0
+            ? `team ${this.lastResults.winningTeam ?? 'none (draw)'}`
+            : (winner ? `${winner.name} (${winner.score} points)` : 'none');
+        log(`Match ended (${reason}) after ${Math.round(this.lastResults.durationMs / 1000)}s; winner: ${winnerText}.`);
+        this.setState(MATCH_STATES.POST_GAME, now + this.settings.postGameTime * 1000, now);
+        this.eventBus.emit('matchEnded', this.lastResults);
+    }
+
+    /**
+     * Reinicia o mundo para uma nova partida: remove os projéteis, zera a pontuação (dos jogadores e
+     * dos times) e faz todos renascerem pelo SpawnManager, nos pontos do seu time.
+     */
+    reset() {
+        this.gameStateManager.projectiles.clear();
+        this.shotStats.clear();
+        for (const player of this.sessionManager.players.values()) {
+            player.resetScore();
+            player.timeToRespawn = 0;
+            player.respawn(this.spawnManager.getSpawnPoint(player.team));
+        }
+        this.gameStateManager.teamManager.resetScores();
+    }
+
+    /**
+     * @param {string} state
+     * @param {number | null} endsAt
+     * @param {number} now
+     * @private
+     */
+    setState(state, endsAt, now) {
+        const previousState = this.state;
+        this.state = state;
+        this.stateEndsAt = endsAt;
+        log(`Match state: ${previousState} -> ${state}.`);
+        this.eventBus.emit('matchState', this.getStatus(now, previousState));
+    }
+
+    /**
+     * @param {number} [now=getCurrentTime()]
+     * @param {string | null} [previousState=null]
+     * @returns {import('../../../shared/events/world-events.js').MatchStatus}
+     */
+    getStatus(now = getCurrentTime(), previousState = null) {
+        const { timeLimit, fragLimit } = this.settings;
+        return {
+            state: this.state,
+            previousState,
+            remainingMs: this.stateEndsAt === null ? null : Math.max(0, this.stateEndsAt - now),
+            timeLimit,
+            fragLimit,
+            mode: this.gameStateManager.teamManager.mode,
+        };
+    }
+
+    /**
+     * @param {'timeLimit' | 'fragLimit'} reason
+     * @param {number} now
+     * @returns {import('../../../shared/events/world-events.js').MatchResults}
+     */
+    getResults(reason, now) {
+        /** @type {Array<import('../../../shared/events/world-events.js').MatchPlayerResult>} */
+        const players = [];
+        for (const player of this.sessionManager.players.values()) {
+            const stats = this.shotStats.get(player.id);
+            const shotsFired = stats?.shotsFired ?? 0;
+            const shotsHit = stats?.shotsHit ?? 0;
+            players.push({
+                playerId: player.id,
+                name: player.name,
+                isBot: player.isBot,
+                team: player.team,
+                kills: player.kills,
+                deaths: player.deaths,
+                assists: player.assists,
+                score: player.score,
+                shotsFired,
+                shotsHit,
+                accuracy: shotsFired > 0 ? Math.round(shotsHit / shotsFired * 1000) / 1000 : 0,
+            });
+        }
+        players.sort((a, b) => b.score - a.score || b.kills - a.kills);
+        const teamScores = this.gameStateManager.teamManager.getTeamScores();
+        return {
+            reason,
+            mapId: this.gameStateManager.world.map.id,
+            durationMs: now - this.liveStartTime,
+            winnerId: players[0]?.playerId ?? null,
+            players,
+            teamScores,
+            winningTeam: getWinningTeam(teamScores),
+        };
+    }
+
+    /**
+     * @returns {number} Maior placar de time no modo em equipe; senão, maior número de abates entre os jogadores.
+     * @private
+     */
+    getTopScore() {
+        const { teamManager } = this.gameStateManager;
+        if (teamManager.isTeamMode) {
+            return Math.max(...teamManager.getTeamScores().map(({ score }) => score));
+        }
+        let topKills = 0;
+        for (const player of this.sessionManager.players.values()) {
+            if (player.kills > topKills) topKills = player.kills;
+        }
+        return topKills;
+    }
+
+    /**
+     * @param {string} playerId
+     * @returns {ShotStats}
+     * @private
+     */
+    getShotStats(playerId) {
+        let stats = this.shotStats.get(playerId);
+        if (!stats) {
+            stats = { shotsFired: 0, shotsHit: 0, weaponTypes: new Set() };
+            this.shotStats.set(playerId, stats);
+        }
+        return stats;
+    }
+
+    /**
+     * Conta um disparo de arma ('projectileFired').
+     * @param {{ownerId: string, type: string}} projectileData
+     * @private
+     */
+    handleProjectileFired(projectileData) {
+        const stats = this.getShotStats(projectileData.ownerId);
+        stats.shotsFired++;
+        stats.weaponTypes.add(projectileData.type);
+    }
+
+    /**
+     * Conta um acerto de arma em outro jogador ('damage').
+     * @param {import('../../../shared/events/world-events.js').DamageEvent} damageData
+     * @private
+     */
+    handleDamage(damageData) {
+        if (!damageData.attackerId || damageData.attackerId === damageData.victimId) return;
+        const stats = this.shotStats.get(damageData.attackerId);
+        if (stats?.weaponTypes.has(damageData.weaponType)) stats.shotsHit++;
+    }
+
+    /**
+     * @returns {string} Resumo dos limites para o log.
+     * @private
+     */
+    describeSettings() {
+        const { minPlayers, warmupTime, timeLimit, fragLimit } = this.settings;
+        return `${this.gameStateManager.teamManager.isTeamMode ? 'team' : 'free-for-all'}, min ${minPlayers} players, ${warmupTime}s warmup, ${timeLimit > 0 ? `${timeLimit}s` : 'no time limit'}, ${fragLimit > 0 ? `${fragLimit} frags` : 'no frag limit'}`;
+    }
+}
+
+/**
+ * @param {Array<import('../../../shared/models/game-state.js').TeamScore>} teamScores
+ * @returns {string | null} Time com o maior placar (null sem times ou no empate).
+ */
+function getWinningTeam(teamScores) {
+    const sorted = [...teamScores].sort((a, b) => b.score - a.score);
+    if (sorted.length === 0 || sorted[0].score === sorted[1]?.score) return null;
+    return sorted[0].team;
+}
@@ -0,0 +1,228 @@
+// server/src/managers/room-manager.js
+
+import { createLogger } from '../../../shared/utils/logger.js';
+import { GameRoom } from '../core/game-room.js';
+import { loadMapFile } from '../gameplay/map-file-loader.js';
+import { DEFAULT_MAP_ID } from '../../../shared/constants/map-settings.js';
+import {
+  DEFAULT_ROOM_ID,
+  DEFAULT_ROOM_MAX_PLAYERS,
+  MAX_ROOM_PLAYERS,
+  MAX_ROOMS,
+  ROOM_NAME_MAX_LENGTH,
+} from '../../../shared/constants/room-settings.js';
+
+const { log, warn } = createLogger('rooms');
+
+/**
+ * Hospeda várias partidas isoladas (GameRoom) no mesmo processo e associa cada socket à sua sala.
+ * Clientes podem listar, criar, entrar e sair de salas pelos eventos 'listRooms', 'createRoom',
+ * 'joinRoom' e 'leaveRoom'; as respostas são 'roomList', 'roomJoined', 'roomLeft' e 'roomError'.
+ * 'mapReady' (confirmação de troca de mapa) é repassado à sala do socket.
+ */
+export class RoomManager {
+  /** @type {import('socket.io').Server} */
+  io;
+  /**
+   * Salas ativas por ID.
+   * @type {Map<string, GameRoom>}
+   */
+  rooms;
+  /**
+   * Sala atual de cada socket.
+   * @type {Map<string, GameRoom>}
+   */
+  roomsBySocketId;
+  /** @type {number} */
+  nextRoomNumber = 1;
+
+  /**
+   * Cria uma instância do RoomManager com a sala padrão já em execução.
+   * @param {import('socket.io').Server} io - A instância do servidor Socket.IO.
+   */
+  constructor(io) {
+    if (!io) {
+      throw new Error("RoomManager requires a Socket.IO server instance.");
+    }
+    this.io = io;
+    this.rooms = new Map();
+    this.roomsBySocketId = new Map();
+    this.createRoom({ id: DEFAULT_ROOM_ID, name: 'Default' });
+    log('RoomManager initialized.');
+  }
+
+  /**
+   * Cria e inicia uma nova sala.
+   * @param {{id?: string, name?: string, maxPlayers?: number, mapId?: string}} [options]
+   * @returns {GameRoom}
+   * @throws {Error} Se o limite de salas foi atingido, as opções são inválidas ou o mapa não pode ser carregado.
+   */
+  createRoom({ id, name, maxPlayers = DEFAULT_ROOM_MAX_PLAYERS, mapId = DEFAULT_MAP_ID } = {}) {
+    if (this.rooms.size >= MAX_ROOMS) {
+      throw new Error(`Room limit reached (${MAX_ROOMS}).`);
+    }
+    if (!Number.isInteger(maxPlayers) || maxPlayers < 1 || maxPlayers > MAX_ROOM_PLAYERS) {
+      throw new Error(`Room player cap must be an integer between 1 and ${MAX_ROOM_PLAYERS}.`);
+    }
+    const roomName = typeof name === 'string' ? name.trim().slice(0, ROOM_NAME_MAX_LENGTH) : '';
+    const gameMap = loadMapFile(mapId);
+
+    let roomId = id;
+    while (!roomId || this.rooms.has(roomId)) {
+      if (id) throw new Error(`Room ${id} already exists.`);
+      roomId = `room-${this.nextRoomNumber++}`;
+    }
+
+    const room = new GameRoom(this.io, { id: roomId, name: roomName || roomId, maxPlayers, gameMap });
+    this.rooms.set(roomId, room);
+    room.start();
+    return room;
+  }
+
+  /**
+   * Encerra uma sala vazia. A sala padrão nunca é encerrada.
+   * @param {string} roomId
+   */
+  closeRoomIfEmpty(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room || roomId === DEFAULT_ROOM_ID || room.getPlayerCount() > 0) return;
+    room.dispose();
+    this.rooms.delete(roomId);
+  }
+
+  /**
+   * @returns {Array<import('../core/game-room.js').RoomSummary>}
+   */
+  listRooms() {
+    return Array.from(this.rooms.values(), room => room.getSummary());
+  }
+
+  /**
+   * @returns {Array<import('../core/game-room.js').RoomMetrics>}
+   */
+  getMetrics() {
+    return Array.from(this.rooms.values(), room => room.getMetrics());
+  }
+
+  /**
+   * @param {string} socketId
+   * @returns {GameRoom | undefined}
+   */
+  getRoomForSocket(socketId) {
+    return this.roomsBySocketId.get(socketId);
+  }
+
+  /**
+   * Obtém o jogador do socket na sala em que ele está.
+   * @param {string} socketId
+   * @returns {import('../gameplay/server-player.js').ServerPlayer | undefined}
+   */
+  getPlayer(socketId) {
+    return this.roomsBySocketId.get(socketId)?.sessionManager.getPlayer(socketId);
+  }
+
+  /**
+   * Coloca o socket em uma sala (saindo da atual, se houver) e avisa o cliente com 'roomJoined'.
+   * @param {import('socket.io').Socket} socket
+   * @param {string} roomId
+   * @throws {Error} Se a sala não existe ou está cheia.
+   */
+  joinRoom(socket, roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error(`Room ${roomId} does not exist.`);
+    }
+    if (this.roomsBySocketId.get(socket.id) === room) return;
+    if (room.isFull()) {
+      throw new Error(`Room ${roomId} is full (${room.maxPlayers} players).`);
+    }
+
+    this.leaveRoom(socket);
+    const player = room.addPlayer(socket);
+    if (!player) {
+      throw new Error(`Failed to join room ${roomId}.`);
+    }
+    this.roomsBySocketId.set(socket.id, room);
+    socket.emit('roomJoined', room.getSummary());
+  }
+
+  /**
+   * Retira o socket da sala atual (se houver) e avisa o cliente com 'roomLeft'.
+   * Salas criadas por jogadores são encerradas quando ficam vazias.
+   * @param {import('socket.io').Socket} socket
+   */
+  leaveRoom(socket) {
+    const room = this.roomsBySocketId.get(socket.id);
+    if (!room) return;
+    room.removePlayer(socket);
+    this.roomsBySocketId.delete(socket.id);
+    if (socket.connected) socket.emit('roomLeft', { id: room.id });
+    this.closeRoomIfEmpty(room.id);
+  }
+
+  /**
+   * Registra os eventos de sala do socket e o coloca na sala pedida no handshake
+   * (`auth.roomId`) ou, se ela não existir ou estiver cheia, na primeira sala com vaga.
+   * @param {import('socket.io').Socket} socket
+   * @returns {boolean} true se o socket entrou em alguma sala.
+   */
+  handleConnection(socket) {
+    this.registerSocketEvents(socket);
+
+    const requestedRoom = this.rooms.get(socket.handshake?.auth?.roomId);
+    const room = requestedRoom && !requestedRoom.isFull()
+      ? requestedRoom
+      : Array.from(this.rooms.values()).find(candidate => !candidate.isFull());
+    if (!room) {
+      warn(`No room with free slots for ${socket.id}.`);
+      socket.emit('roomError', { message: 'All rooms are full.' });
+      return false;
+    }
+    this.joinRoom(socket, room.id);
+    return true;
+  }
+
+  /**
+   * Retira o socket desconectado da sua sala.
+   * @param {import('socket.io').Socket} socket
+   */
+  handleDisconnection(socket) {
+    this.leaveRoom(socket);
+  }
+
+  /**
+   * Registra os eventos de listagem/criação/entrada/saída de salas vindos do cliente.
+   * @param {import('socket.io').Socket} socket
+   */
+  registerSocketEvents(socket) {
+    const handleRoomRequest = (action) => {
+      try {
+        action();
+      } catch (err) {
+        warn(`Room request from ${socket.id} failed: ${err.message}`);
+        socket.emit('roomError', { message: err.message });
+      }
+    };
+
+    socket.on('listRooms', () => {
+      socket.emit('roomList', this.listRooms());
+    });
+    socket.on('createRoom', (options) => handleRoomRequest(() => {
+      const room = this.createRoom({
+        name: options?.name,
+        maxPlayers: options?.maxPlayers ?? DEFAULT_ROOM_MAX_PLAYERS,
+        mapId: options?.mapId ?? DEFAULT_MAP_ID,
+      });
+      this.joinRoom(socket, room.id);
+    }));
+    socket.on('joinRoom', (request) => handleRoomRequest(() => {
+      this.joinRoom(socket, String(request?.roomId ?? ''));
+    }));
+    socket.on('leaveRoom', () => handleRoomRequest(() => {
+      this.leaveRoom(socket);
+    }));
+    socket.on('mapReady', (ready) => {
+      this.roomsBySocketId.get(socket.id)?.handleMapReady(socket.id, ready);
+    });
+  }
+}
@@ -1,6 +1,8 @@
 import { ServerPlayer } from '../gameplay/server-player.js';
-import { log, warn } from '../../../shared/utils/logger.js';
-import gameMapInstance from '../../../shared/gameplay/world/map.js'; // Para posição inicial
+import { BotPlayer } from '../gameplay/bot-player.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+
+const { log, warn } = createLogger('session');
 
 /**
  * Gerencia as sessões dos jogadores, associando conexões (sockets)
@@ -14,15 +16,23 @@ export class SessionManager {
   players;
   /** @type {import('../gameplay/spawn-manager.js').SpawnManager} */ // <-- Adicionar referência
   spawnManager;
+  /**
+   * Barramento de eventos do mundo, repassado aos jogadores criados.
+   * @type {import('../../../shared/events/event-bus.js').EventBus}
+   */
+  eventBus;
 
   /**
      * Cria uma instância do SessionManager.
      * @param {import('../gameplay/spawn-manager.js').SpawnManager} spawnManager // <-- Receber SpawnManager
+     * @param {import('../../../shared/events/event-bus.js').EventBus} eventBus - Barramento do mundo (ver createWorldEventBus).
      */
-  constructor(spawnManager) { // <-- Receber SpawnManager
+  constructor(spawnManager, eventBus) { // <-- Receber SpawnManager
     if (!spawnManager) throw new Error("SessionManager requires a SpawnManager instance."); // <-- Validar
+    if (!eventBus) throw new Error("SessionManager requires the world's EventBus.");
     this.players = new Map();
     this.spawnManager = spawnManager; // <-- Armazenar
+    this.eventBus = eventBus;
     log('SessionManager initialized.');
   }
 
@@ -34,12 +44,29 @@ export class SessionManager {
   addPlayer(socket) {
     // Pega uma posição inicial do spawn manager
     const initialPosition = this.spawnManager.getSpawnPoint(); // <-- Usar SpawnManager
-    const newPlayer = new ServerPlayer(socket, this.spawnManager, `Player_${socket.id.substring(0, 4)}`, initialPosition); // <-- Passar spawnManager
+    const newPlayer = new ServerPlayer(socket.id, socket, this.spawnManager, this.eventBus, `Player_${socket.id.substring(0, 4)}`, initialPosition); // <-- Passar spawnManager
     this.players.set(socket.id, newPlayer);
     log(`Player connected: ${newPlayer.name} (ID: ${socket.id}) at ${initialPosition.toString()}`);
+    this.eventBus.emit('playerJoined', { playerId: newPlayer.id, name: newPlayer.name });
     return newPlayer;
   }
 
+  /**
+   * Adiciona um bot (jogador sem socket) à sessão.
+   * @param {string} id - ID do bot (não pode coincidir com o de outro jogador).
+   * @param {{name: string, difficulty?: string}} options
+   * @returns {BotPlayer}
+   */
+  addBot(id, { name, difficulty }) {
+    if (this.players.has(id)) throw new Error(`SessionManager already has a player with id ${id}.`);
+    const initialPosition = this.spawnManager.getSpawnPoint();
+    const bot = new BotPlayer(id, this.spawnManager, this.eventBus, { name, position: initialPosition, difficulty });
+    this.players.set(id, bot);
+    log(`Bot added: ${bot.name} (ID: ${id}, ${bot.difficulty}) at ${initialPosition.toString()}`);
+    this.eventBus.emit('playerJoined', { playerId: bot.id, name: bot.name });
+    return bot;
+  }
+
   /**
      * Remove um jogador da sessão.
      * @param {string} socketId
@@ -49,7 +76,7 @@ export class SessionManager {
     if (player) {
         log(`Player disconnected: ${player.name} (ID: ${socketId})`);
         this.players.delete(socketId);
-        // Poderia emitir um evento 'playerLeft' aqui
+        this.eventBus.emit('playerLeft', { playerId: player.id, name: player.name });
     } else {
         warn(`Attempted to remove non-existent player with socket ID: ${socketId}`);
     }
@@ -64,6 +91,24 @@ export class SessionManager {
     return this.players.get(socketId);
   }
 
+  /**
+   * @returns {number} Número de jogadores conectados (sem os bots).
+   */
+  getHumanCount() {
+    let count = 0;
+    for (const player of this.players.values()) {
+      if (!player.isBot) count++;
+    }
+    return count;
+  }
+
+  /**
+   * @returns {Array<BotPlayer>}
+   */
+  getBots() {
+    return /** @type {Array<BotPlayer>} */ (this.getAllPlayersArray().filter(player => player.isBot));
+  }
+
   /**
    * Retorna um iterador para todos os jogadores.
    * @returns {IterableIterator<ServerPlayer>}
@@ -1,9 +1,13 @@
-import { log, error as logError } from '../../../shared/utils/logger.js';
-// Não precisamos importar SessionManager aqui se ele for injetado
+import { createLogger } from '../../../shared/utils/logger.js';
+import { PROTOCOL_VERSION } from '../../../shared/constants/network-settings.js';
+import { decodePlayerInput } from '../../../shared/models/wire-format.js';
+import { gameConfig } from '../../../shared/config/game-config.js';
+
+const { log, warn, error: logError } = createLogger('network');
 
 /**
  * Gerencia as conexões e desconexões de clientes via Socket.IO.
- * Delega o gerenciamento de jogadores ao SessionManager.
+ * Delega a escolha da sala (e a criação do jogador nela) ao RoomManager.
  */
 export class ConnectionManager {
   /**
@@ -13,25 +17,25 @@ export class ConnectionManager {
   io;
 
   /**
-   * Gerenciador de sessões de jogadores.
-   * @type {import('../managers/session-manager.js').SessionManager}
+   * Gerenciador das salas (cada uma com o seu SessionManager).
+   * @type {import('../managers/room-manager.js').RoomManager}
    */
-  sessionManager; // Adicionada propriedade para armazenar a instância injetada
+  roomManager;
 
   /**
    * Cria uma instância do ConnectionManager.
    * @param {import('socket.io').Server} io - A instância do servidor Socket.IO.
-   * @param {import('../managers/session-manager.js').SessionManager} sessionManager - O gerenciador de sessões.
+   * @param {import('../managers/room-manager.js').RoomManager} roomManager - O gerenciador de salas.
    */
-  constructor(io, sessionManager) { // Modificado para receber sessionManager
+  constructor(io, roomManager) {
     if (!io) {
       throw new Error("Socket.IO server instance is required for ConnectionManager.");
     }
-    if (!sessionManager) { // Adicionada verificação para sessionManager
-        throw new Error("SessionManager instance is required for ConnectionManager.");
+    if (!roomManager) {
+        throw new Error("RoomManager instance is required for ConnectionManager.");
     }
     this.io = io;
-    this.sessionManager = sessionManager; // Armazena a instância injetada
+    this.roomManager = roomManager;
     log('ConnectionManager initialized.');
     this.setupEventListeners();
   }
@@ -40,6 +44,9 @@ export class ConnectionManager {
    * Configura os listeners de eventos principais do Socket.IO.
    */
   setupEventListeners() {
+    // Handshake: recusa clientes com outra versão do formato de rede antes de criar o jogador
+    this.io.use(this.verifyProtocolVersion.bind(this));
+
     this.io.on('connection', (socket) => {
       this.handleConnection(socket);
 
@@ -48,17 +55,22 @@ export class ConnectionManager {
       });
 
       // Listener para 'playerInput' 
-      socket.on('playerInput', (inputData) => {
-        const player = this.sessionManager.getPlayer(socket.id);
+      socket.on('playerInput', (encodedInput) => {
+        const player = this.roomManager.getPlayer(socket.id);
         if (player) {
+            let inputData;
+            try {
+                inputData = decodePlayerInput(encodedInput);
+            } catch (err) {
+                warn(`Discarding malformed input from ${socket.id}: ${err.message}`);
+                return;
+            }
             // Log temporário para verificar recebimento
             //log(`Received input from ${player.id} (Seq: ${inputData?.sequence})`);
             // Chama o método processInput no ServerPlayer correspondente
             player.processInput(inputData); // Método será implementado 
-        } else {
-            // Isso não deveria acontecer se addPlayer funcionou
-            logError(`Received input from unknown player socket: ${socket.id}`);
         }
+        // Sem jogador: o socket não está em nenhuma sala (saiu ou todas estavam cheias); ignora o input
     });
 
       // Listener para 'increaseAttributeRequest' será adicionado na Etapa 23
@@ -71,21 +83,39 @@ export class ConnectionManager {
      });
   }
 
+  /**
+   * Middleware do Socket.IO que verifica a versão do protocolo enviada pelo cliente no handshake.
+   * Um cliente desatualizado recebe um 'connect_error' explicando o motivo, em vez de dessincronizar.
+   * @param {import('socket.io').Socket} socket - O socket tentando conectar.
+   * @param {(err?: Error) => void} next - Continua (sem argumento) ou recusa a conexão.
+   */
+  verifyProtocolVersion(socket, next) {
+    const clientVersion = socket.handshake?.auth?.protocolVersion;
+    if (clientVersion === PROTOCOL_VERSION) {
+        next();
+        return;
+    }
+    warn(`Rejecting client ${socket.id}: protocol version ${clientVersion ?? 'none'} (server ${PROTOCOL_VERSION}).`);
+    const rejection = new Error(`Protocol version mismatch: client ${clientVersion ?? 'none'}, server ${PROTOCOL_VERSION}. Please reload the page.`);
+    rejection.data = { serverProtocolVersion: PROTOCOL_VERSION };
+    next(rejection);
+  }
+
   /**
    * Lida com uma nova conexão de cliente.
    * @param {import('socket.io').Socket} socket - O socket do cliente conectado.
    */
   handleConnection(socket) {
     log(`Client connected: ${socket.id}`);
-    // Chama o SessionManager para criar/gerenciar o jogador
-    const player = this.sessionManager.addPlayer(socket); // Modificado
-    if (!player) {
-        // Se falhar ao criar o jogador, talvez desconectar o socket?
+    // Valores de gameplay em vigor: enviados antes de tudo para que a predição do cliente use os mesmos números
+    socket.emit('gameConfig', gameConfig);
+    // O RoomManager coloca o socket em uma sala (criando o jogador) e registra os eventos de sala
+    try {
+        this.roomManager.handleConnection(socket);
+    } catch (err) {
         socket.disconnect(true);
-        logError(`Failed to initialize player for socket ${socket.id}. Disconnecting.`);
+        logError(`Failed to initialize player for socket ${socket.id}. Disconnecting.`, err);
     }
-    // Poderia enviar dados iniciais para o cliente aqui, se necessário
-    // Ex: socket.emit('welcome', { playerId: player.id, mapData: ... });
   }
 
   /**
@@ -95,7 +125,7 @@ export class ConnectionManager {
    */
   handleDisconnection(socket, reason) {
     log(`Client disconnected: ${socket.id}. Reason: ${reason}`);
-    // Chama o SessionManager para remover o jogador
-    this.sessionManager.removePlayer(socket.id); // Modificado
+    // Remove o jogador da sua sala (os demais clientes da sala são avisados)
+    this.roomManager.handleDisconnection(socket);
   }
 }
\ No newline at end of file
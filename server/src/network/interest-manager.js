@@ -0,0 +1,147 @@
+// server/src/network/interest-manager.js
+
+import { createLogger } from '../../../shared/utils/logger.js';
+import { Vector3 } from '../../../shared/physics/vector.js';
+import {
+    INTEREST_RADIUS,
+    INTEREST_RADIUS_HYSTERESIS,
+    INTEREST_PROXIMITY_RADIUS,
+    INTEREST_OCCLUSION_GRACE_MS,
+} from '../../../shared/constants/network-settings.js';
+
+const { log } = createLogger('interest');
+
+// Temporários de getRelevantEntityIds (chamado por observador x entidade a cada broadcast; hasLineOfSight não guarda os pontos)
+const scratchEye = new Vector3();
+const scratchPlayerPoints = [new Vector3(), new Vector3(), new Vector3()];
+const scratchProjectilePoints = [new Vector3()];
+
+/**
+ * Decide quais entidades são relevantes para cada cliente (area of interest).
+ * Uma entidade entra no snapshot de um cliente quando está dentro de INTEREST_RADIUS e é visível
+ * (linha de visão contra os obstáculos estáticos, ou muito próxima). Para não oscilar, ela só sai
+ * depois de passar de INTEREST_RADIUS + INTEREST_RADIUS_HYSTERESIS ou de ficar oculta por mais de
+ * INTEREST_OCCLUSION_GRACE_MS. Além de economizar banda, evita enviar posições de inimigos atrás de paredes.
+ */
+export class InterestManager {
+    /** @type {import('../../../shared/physics/collision-system.js').CollisionSystem} */
+    collisionSystem;
+    /**
+     * Grade de broad-phase dos obstáculos que bloqueiam a visão.
+     * @type {import('../../../shared/physics/spatial-grid.js').SpatialGrid<import('../../../shared/physics/collision-system.js').StaticObstacle>}
+     */
+    obstacles;
+    /**
+     * Para cada observador, as entidades atualmente relevantes e o último instante em que foram vistas.
+     * @type {Map<string, Map<string, number>>}
+     */
+    lastVisibleTimesByViewer;
+
+    /**
+     * Cria uma instância do InterestManager.
+     * @param {import('../../../shared/physics/collision-system.js').CollisionSystem} collisionSystem - Usado nos testes de linha de visão.
+     * @param {Array<{position: Vector3, size: Vector3}>} obstacles - Obstáculos estáticos que bloqueiam a visão.
+     */
+    constructor(collisionSystem, obstacles) {
+        if (!collisionSystem) {
+            throw new Error("InterestManager requires a CollisionSystem instance.");
+        }
+        this.collisionSystem = collisionSystem;
+        this.obstacles = collisionSystem.createObstacleGrid(obstacles ?? []);
+        this.lastVisibleTimesByViewer = new Map();
+        log(`InterestManager initialized (radius ${INTEREST_RADIUS}m +${INTEREST_RADIUS_HYSTERESIS}m, ${this.obstacles.items.length} occluders).`);
+    }
+
+    /**
+     * Calcula os IDs das entidades relevantes para um observador neste tick.
+     * O próprio observador e os seus projéteis são sempre relevantes.
+     * @param {import('../gameplay/server-player.js').ServerPlayer | undefined} viewer - Jogador do cliente.
+     * @param {Iterable<import('../../../shared/entities/player.js').Player>} players
+     * @param {Iterable<import('../../../shared/entities/projectile.js').Projectile>} projectiles
+     * @param {number} now - Timestamp do servidor (ms).
+     * @returns {Set<string>}
+     */
+    getRelevantEntityIds(viewer, players, projectiles, now) {
+        const relevantIds = new Set();
+        if (!viewer) return relevantIds;
+
+        relevantIds.add(viewer.id);
+        const previousTimes = this.lastVisibleTimesByViewer.get(viewer.id) ?? new Map();
+        const currentTimes = new Map();
+        const eye = scratchEye.set(viewer.position.x, viewer.position.y + viewer.getEyeHeight(), viewer.position.z);
+
+        for (const player of players) {
+            if (player.id === viewer.id) continue;
+            // Pontos de teste: olhos, tronco e pernas (visível se qualquer um estiver à vista)
+            const { x, y, z } = player.position;
+            scratchPlayerPoints[0].set(x, y + player.getEyeHeight(), z);
+            scratchPlayerPoints[1].set(x, y + player.height * 0.5, z);
+            scratchPlayerPoints[2].set(x, y + player.height * 0.15, z);
+            this.updateRelevance(player.id, player.position, scratchPlayerPoints, eye, previousTimes, currentTimes, now, relevantIds);
+        }
+
+        for (const projectile of projectiles) {
+            if (projectile.ownerId === viewer.id) {
+                relevantIds.add(projectile.id);
+                continue;
+            }
+            scratchProjectilePoints[0].copy(projectile.position);
+            this.updateRelevance(projectile.id, projectile.position, scratchProjectilePoints, eye, previousTimes, currentTimes, now, relevantIds);
+        }
+
+        this.lastVisibleTimesByViewer.set(viewer.id, currentTimes);
+        return relevantIds;
+    }
+
+    /**
+     * Aplica as regras de entrada/saída (com histerese) a uma entidade.
+     * @param {string} entityId
+     * @param {Vector3} position - Posição usada no teste de distância.
+     * @param {Array<Vector3>} samplePoints - Pontos usados no teste de linha de visão.
+     * @param {Vector3} eye - Olhos do observador.
+     * @param {Map<string, number>} previousTimes - Último instante visível das entidades relevantes no tick anterior.
+     * @param {Map<string, number>} currentTimes - Mapa sendo construído para este tick.
+     * @param {number} now
+     * @param {Set<string>} relevantIds - Recebe o ID se a entidade for relevante.
+     * @private
+     */
+    updateRelevance(entityId, position, samplePoints, eye, previousTimes, currentTimes, now, relevantIds) {
+        const lastVisibleTime = previousTimes.get(entityId);
+        const wasRelevant = lastVisibleTime !== undefined;
+        const distanceSq = eye.distanceToSq(position);
+
+        const maxDistance = wasRelevant ? INTEREST_RADIUS + INTEREST_RADIUS_HYSTERESIS : INTEREST_RADIUS;
+        if (distanceSq > maxDistance * maxDistance) return;
+
+        let isVisible = distanceSq <= INTEREST_PROXIMITY_RADIUS * INTEREST_PROXIMITY_RADIUS;
+        for (let i = 0; !isVisible && i < samplePoints.length; i++) {
+            isVisible = this.collisionSystem.hasLineOfSight(eye, samplePoints[i], this.obstacles);
+        }
+
+        if (isVisible) {
+            currentTimes.set(entityId, now);
+        } else if (wasRelevant && now - lastVisibleTime <= INTEREST_OCCLUSION_GRACE_MS) {
+            currentTimes.set(entityId, lastVisibleTime);
+        } else {
+            return;
+        }
+        relevantIds.add(entityId);
+    }
+
+    /**
+     * Troca os obstáculos que bloqueiam a visão (ex: troca de mapa) e descarta o estado de relevância.
+     * @param {Array<{position: Vector3, size: Vector3}>} obstacles
+     */
+    setObstacles(obstacles) {
+        this.obstacles = this.collisionSystem.createObstacleGrid(obstacles ?? []);
+        this.lastVisibleTimesByViewer.clear();
+    }
+
+    /**
+     * Descarta o estado de relevância de um observador (ex: cliente desconectou).
+     * @param {string} viewerId
+     */
+    removeViewer(viewerId) {
+        this.lastVisibleTimesByViewer.delete(viewerId);
+    }
+}
@@ -0,0 +1,220 @@
+// server/src/network/metrics-routes.js
+
+import { getTickIntervalMs } from '../../../shared/config/game-config.js';
+
+/** Quantis publicados nas métricas do tipo summary, com a chave correspondente em SamplePercentiles. */
+const QUANTILES = [['0.5', 'p50'], ['0.95', 'p95'], ['0.99', 'p99']];
+
+/**
+ * Valor de uma métrica summary para um conjunto de rótulos.
+ * @typedef {object} SummaryValue
+ * @property {import('../core/sample-window.js').SamplePercentiles} percentiles - Percentis das amostras recentes.
+ * @property {number} sum - Soma de todas as amostras registradas.
+ * @property {number} count - Quantidade de amostras registradas.
+ */
+
+/**
+ * Escapa o valor de um rótulo no formato de texto do Prometheus.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * @param {Record<string, string>} labels
+ * @returns {string} Rótulos no formato {nome="valor",...}.
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Acumula as linhas de uma exposição no formato de texto do Prometheus, agrupadas por métrica.
+ */
+class PrometheusWriter {
+  /** @type {Array<string>} */
+  lines = [];
+
+  /**
+   * Declara uma métrica e escreve as suas amostras.
+   * @param {string} name
+   * @param {'gauge' | 'counter'} type
+   * @param {string} help
+   * @param {Array<[Record<string, string>, number]>} samples - Pares (rótulos, valor).
+   */
+  metric(name, type, help, samples) {
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      this.sample(name, labels, value);
+    }
+  }
+
+  /**
+   * Declara uma métrica do tipo summary: para cada conjunto de rótulos, os quantis recentes seguidos
+   * das séries `_sum` e `_count`, acumuladas desde o início (o Prometheus calcula médias com rate()).
+   * @param {string} name
+   * @param {string} help
+   * @param {Array<[Record<string, string>, SummaryValue]>} samples
+   */
+  summary(name, help, samples) {
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} summary`);
+    for (const [labels, { percentiles, sum, count }] of samples) {
+      for (const [quantile, key] of QUANTILES) {
+        this.sample(name, { ...labels, quantile }, percentiles[key]);
+      }
+      this.sample(`${name}_sum`, labels, sum);
+      this.sample(`${name}_count`, labels, count);
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @param {Record<string, string>} labels
+   * @param {number} value
+   * @private
+   */
+  sample(name, labels, value) {
+    this.lines.push(`${name}${formatLabels(labels)} ${Number.isFinite(value) ? value : 'NaN'}`);
+  }
+
+  /**
+   * @returns {string}
+   */
+  toString() {
+    return `${this.lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Métricas do processo (não dependem das salas).
+ * @returns {{uptimeSeconds: number, residentMemoryBytes: number, heapUsedBytes: number}}
+ */
+function getProcessMetrics() {
+  const memory = process.memoryUsage();
+  return {
+    uptimeSeconds: process.uptime(),
+    residentMemoryBytes: memory.rss,
+    heapUsedBytes: memory.heapUsed,
+  };
+}
+
+/**
+ * Formata as métricas das salas no formato de texto do Prometheus (versão 0.0.4).
+ * @param {Array<import('../core/game-room.js').RoomMetrics>} rooms
+ * @returns {string}
+ */
+export function formatPrometheusMetrics(rooms) {
+  const processMetrics = getProcessMetrics();
+  const writer = new PrometheusWriter();
+  const roomLabels = (room) => ({ room: room.id });
+  const clientSamples = (select) => rooms.flatMap(room =>
+    room.clients.map(client => [{ room: room.id, socket: client.socketId }, select(client)]));
+
+  writer.metric('fps_process_uptime_seconds', 'gauge', 'Time since the server process started.', [[{}, processMetrics.uptimeSeconds]]);
+  writer.metric('fps_process_resident_memory_bytes', 'gauge', 'Resident memory of the server process.', [[{}, processMetrics.residentMemoryBytes]]);
+  writer.metric('fps_process_heap_used_bytes', 'gauge', 'V8 heap in use by the server process.', [[{}, processMetrics.heapUsedBytes]]);
+  writer.metric('fps_rooms', 'gauge', 'Active game rooms.', [[{}, rooms.length]]);
+
+  writer.metric('fps_room_players', 'gauge', 'Connected players in the room.', rooms.map(room => [roomLabels(room), room.playerCount]));
+  writer.metric('fps_room_bots', 'gauge', 'Server-controlled bots in the room.', rooms.map(room => [roomLabels(room), room.botCount]));
+  writer.metric('fps_room_projectiles', 'gauge', 'Live projectiles in the room.', rooms.map(room => [roomLabels(room), room.projectileCount]));
+  writer.metric('fps_ticks_total', 'counter', 'Fixed simulation steps executed.', rooms.map(room => [roomLabels(room), room.loop.tick]));
+  writer.summary('fps_tick_duration_milliseconds', `Duration of recent simulation steps (budget ${getTickIntervalMs().toFixed(1)}ms).`,
+    rooms.map(room => [roomLabels(room), {
+      percentiles: room.loop.stepDurationPercentiles,
+      sum: room.loop.stepDurationSumMs,
+      count: room.loop.stepDurationCount,
+    }]));
+  writer.metric('fps_tick_duration_max_milliseconds', 'gauge', 'Longest simulation step since the room started.',
+    rooms.map(room => [roomLabels(room), room.loop.maxStepDurationMs]));
+  writer.metric('fps_tick_overruns_total', 'counter', 'Simulation steps that took longer than the tick interval.',
+    rooms.map(room => [roomLabels(room), room.loop.overrunCount]));
+  writer.metric('fps_tick_catch_up_steps_total', 'counter', 'Extra steps executed to catch up with real time.',
+    rooms.map(room => [roomLabels(room), room.loop.catchUpStepCount]));
+  writer.metric('fps_tick_dropped_steps_total', 'counter', 'Steps dropped because the loop fell too far behind.',
+    rooms.map(room => [roomLabels(room), room.loop.droppedStepCount]));
+
+  writer.metric('fps_client_input_queue_length', 'gauge', 'Inputs received from the client and not yet simulated.',
+    clientSamples(client => client.inputQueueLength));
+  writer.metric('fps_client_rtt_milliseconds', 'gauge', 'Last measured round-trip time to the client.',
+    clientSamples(client => client.rttMs ?? NaN));
+  writer.summary('fps_client_snapshot_bytes', 'Size of recent snapshots sent to the client.',
+    clientSamples(client => ({
+      percentiles: client.snapshotBytesPercentiles,
+      sum: client.snapshotBytesTotal,
+      count: client.snapshotCount,
+    })));
+  writer.metric('fps_client_snapshot_bytes_total', 'counter', 'Snapshot bytes sent to the client.',
+    clientSamples(client => client.snapshotBytesTotal));
+
+  return writer.toString();
+}
+
+/**
+ * Resumo legível do estado do servidor: por sala, os percentis do tick, os contadores de atraso e os
+ * piores valores entre os clientes. `overloaded` indica que o p95 do tick já ocupa o intervalo inteiro.
+ * @param {Array<import('../core/game-room.js').RoomMetrics>} rooms
+ * @returns {object}
+ */
+export function createStatusSummary(rooms) {
+  const maxOf = (values) => values.reduce((max, value) => Math.max(max, value), 0);
+  const averageOf = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  const tickIntervalMs = getTickIntervalMs();
+
+  return {
+    process: getProcessMetrics(),
+    tickIntervalMs,
+    rooms: rooms.map(room => {
+      const rtts = room.clients.map(client => client.rttMs).filter(rtt => rtt !== null);
+      return {
+        id: room.id,
+        name: room.name,
+        mapId: room.mapId,
+        playerCount: room.playerCount,
+        botCount: room.botCount,
+        matchState: room.matchState,
+        maxPlayers: room.maxPlayers,
+        projectileCount: room.projectileCount,
+        overloaded: room.loop.stepDurationPercentiles.p95 >= tickIntervalMs,
+        tick: {
+          count: room.loop.tick,
+          durationMs: { ...room.loop.stepDurationPercentiles, max: room.loop.maxStepDurationMs },
+          overruns: room.loop.overrunCount,
+          catchUpSteps: room.loop.catchUpStepCount,
+          droppedSteps: room.loop.droppedStepCount,
+        },
+        clients: {
+          maxInputQueueLength: maxOf(room.clients.map(client => client.inputQueueLength)),
+          averageRttMs: averageOf(rtts),
+          maxRttMs: rtts.length > 0 ? maxOf(rtts) : null,
+          averageSnapshotBytes: averageOf(room.clients.map(client => client.averageSnapshotBytes)),
+          maxSnapshotBytesP95: maxOf(room.clients.map(client => client.snapshotBytesPercentiles.p95)),
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * Registra as rotas de métricas: GET /metrics (formato de texto do Prometheus) e GET /status (resumo em JSON).
+ * @param {import('express').Express} app
+ * @param {import('../managers/room-manager.js').RoomManager} roomManager
+ */
+export function registerMetricsRoutes(app, roomManager) {
+  if (!app || !roomManager) {
+    throw new Error("registerMetricsRoutes requires an Express app and a RoomManager instance.");
+  }
+
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8');
+    res.send(formatPrometheusMetrics(roomManager.getMetrics()));
+  });
+
+  app.get('/status', (req, res) => {
+    res.json(createStatusSummary(roomManager.getMetrics()));
+  });
+}
@@ -1,11 +1,53 @@
-import { log, warn } from '../../../shared/utils/logger.js';
+import { createLogger } from '../../../shared/utils/logger.js';
+import { createSnapshotDelta, createSnapshotKeyframe } from '../../../shared/models/snapshot-delta.js';
+import { encodeSnapshotMessage } from '../../../shared/models/wire-format.js';
+import {
+  SNAPSHOT_KEYFRAME_INTERVAL,
+  SNAPSHOT_HISTORY_SIZE,
+  LATENCY_PROBE_INTERVAL_MS,
+  LATENCY_PROBE_TIMEOUT_MS,
+} from '../../../shared/constants/network-settings.js';
+import { METRICS_SAMPLE_WINDOW } from '../../../shared/constants/game-settings.js';
+import { InterestManager } from './interest-manager.js';
+import { SampleWindow } from '../core/sample-window.js';
+import { serverConfig } from '../config/server-config.js';
+
+const { log, warn } = createLogger('broadcast');
+
 // Importar tipos para JSDoc
 // import type { Server as SocketIOServer } from 'socket.io';
 // import type { GameStateManager } from '../managers/game-state-manager.js';
 
+/**
+ * Estado de sincronização de um cliente.
+ * @typedef {object} ClientSyncState
+ * @property {import('socket.io').Socket} socket - Socket do cliente.
+ * @property {Array<[string, Function]>} socketListeners - Listeners registrados no socket (removidos quando ele sai).
+ * @property {number | null} ackedSeq - Último snapshot confirmado pelo cliente (baseline dos deltas).
+ * @property {number} lastKeyframeSeq - Sequência do último keyframe enviado.
+ * @property {Map<number, import('../../../shared/models/game-state.js').GameState>} history -
+ *           Snapshots recentes enviados ao cliente (já filtrados por relevância), por sequência.
+ * @property {SampleWindow} snapshotBytes - Tamanho (bytes) dos snapshots enviados ao cliente (recentes e totais).
+ * @property {number | null} rttMs - Último RTT medido com 'latencyProbe' (null antes da primeira resposta).
+ * @property {number} lastLatencyProbeTime - Instante (performance.now()) da última medição de RTT iniciada.
+ * @property {boolean} latencyProbePending - Se uma medição de RTT aguarda resposta.
+ */
+
+/**
+ * Métricas de envio de um cliente (ver getClientMetrics()).
+ * @typedef {object} ClientSyncMetrics
+ * @property {string} socketId
+ * @property {number | null} rttMs
+ * @property {number} lastSnapshotBytes
+ * @property {number} averageSnapshotBytes - Média dos últimos METRICS_SAMPLE_WINDOW snapshots.
+ * @property {import('../core/sample-window.js').SamplePercentiles} snapshotBytesPercentiles
+ * @property {number} snapshotBytesTotal - Total de bytes de snapshots enviados ao cliente.
+ * @property {number} snapshotCount - Quantidade de snapshots enviados ao cliente.
+ */
+
 /**
  * Responsável por coletar o estado atual do jogo do GameStateManager
- * e transmiti-lo (broadcast) para todos os clientes conectados via Socket.IO.
+ * e transmiti-lo (broadcast) para os clientes da sala via Socket.IO.
  */
 export class StateBroadcaster {
   /**
@@ -20,46 +62,94 @@ export class StateBroadcaster {
    */
   gameStateManager;
 
+  /**
+   * Sala do Socket.IO usada para os eventos enviados a todos os clientes desta partida.
+   * @type {string}
+   */
+  roomId;
+
+  /**
+   * Inscrições no barramento do mundo, canceladas em dispose().
+   * @type {Array<import('../../../shared/events/event-bus.js').EventSubscription>}
+   */
+  subscriptions = [];
+
+  /**
+   * Sequência do último snapshot gerado.
+   * @type {number}
+   */
+  snapshotSeq = 0;
+
+  /**
+   * Clientes desta partida e o seu estado de sincronização, por ID do socket.
+   * @type {Map<string, ClientSyncState>}
+   */
+  clientSyncStates = new Map();
+
+  /**
+   * Filtra as entidades de cada snapshot por relevância para o cliente.
+   * @type {InterestManager}
+   */
+  interestManager;
+
+  /** @type {boolean} */
+  interestManagementEnabled = false;
+
   /**
    * Cria uma instância do StateBroadcaster.
    * @param {import('socket.io').Server} io - A instância do servidor Socket.IO. // Ajustado JSDoc
    * @param {import('../managers/game-state-manager.js').GameStateManager} gameStateManager - O gerenciador de estado do jogo. // Ajustado JSDoc
+   * @param {string} roomId - Sala do Socket.IO da partida.
    */
-  constructor(io, gameStateManager) {
+  constructor(io, gameStateManager, roomId) {
     if (!io) {
       throw new Error("StateBroadcaster requires a Socket.IO server instance.");
     }
     if (!gameStateManager) {
       throw new Error("StateBroadcaster requires a GameStateManager instance.");
     }
+    if (!roomId) {
+      throw new Error("StateBroadcaster requires a room ID.");
+    }
     this.io = io;
     this.gameStateManager = gameStateManager;
+    this.roomId = roomId;
+
+    this.interestManager = new InterestManager(
+        gameStateManager.collisionSystem,
+        gameStateManager.world.map.getStaticObstacles()
+    );
+    this.setInterestManagementEnabled(serverConfig.server.interestManagement);
     
-    // Listen for internal impact events to broadcast over the network
-    if (global.eventEmitter) {
-         const existingListeners = global.eventEmitter.listeners['broadcastImpactEffect'] || [];
-         // Usar nome da função bindada para checagem
-         if (!existingListeners.some(fn => fn.name === 'bound broadcastImpactHandler')) {
-            global.eventEmitter.on('broadcastImpactEffect', this.broadcastImpactHandler.bind(this));
-            log('StateBroadcaster listening for broadcastImpactEffect events.');
-         }
-    } else {
-        warn('StateBroadcaster: Global event emitter not found. Cannot broadcast impact effects.');
+    // Repassa aos clientes os eventos do mundo que têm efeito visual (impactos e abates)
+    this.subscriptions = [
+        gameStateManager.eventBus.on('impact', this.broadcastImpactHandler.bind(this)),
+        gameStateManager.eventBus.on('kill', this.broadcastPlayerKilledHandler.bind(this)),
+    ];
+
+    log(`StateBroadcaster initialized for room ${roomId}.`);
+  }
+
+  /**
+   * Cancela as inscrições no barramento e remove os listeners de socket desta instância (ex: sala encerrada).
+   */
+  dispose() {
+    for (const subscription of this.subscriptions) subscription.dispose();
+    this.subscriptions = [];
+    for (const socketId of Array.from(this.clientSyncStates.keys())) {
+        this.removeClient(socketId);
     }
-    
-    log('StateBroadcaster initialized.');
   }
 
   /**
-   * Manipulador para o evento interno 'broadcastImpactEffect'.
-   * Envia os dados do impacto para todos os clientes via Socket.IO.
-   * @param {object} impactData - Dados do impacto vindos do MovementSystem.
+   * Manipulador para o evento 'impact' do mundo.
+   * Envia os dados do impacto para os clientes da sala via Socket.IO ('projectileImpact').
+   * @param {import('../../../shared/events/world-events.js').ImpactEvent} impactData - Dados do impacto vindos do MovementSystem.
    */
   broadcastImpactHandler(impactData) {
     try {
-        // Diretamente emite o evento 'projectileImpact' para todos os clientes
-        // com os dados recebidos.
-        this.io.emit('projectileImpact', impactData);
+        // Emite o evento 'projectileImpact' para os clientes da sala com os dados recebidos.
+        this.io.to(this.roomId).emit('projectileImpact', impactData);
         // log(`Broadcasting impact effect for projectile ${impactData.projectileId}`);
     } catch (error) {
         warn('StateBroadcaster: Error broadcasting impact effect:', error);
@@ -67,21 +157,198 @@ export class StateBroadcaster {
   }
 
   /**
-   * Coleta o snapshot mais recente do estado do jogo e o envia para todos os clientes.
+   * Manipulador para o evento 'kill' do mundo (emitido pelo ScoreManager).
+   * Repassa os dados do abate (killer, vítima, arma, hitbox, distância) para os clientes da sala ('playerKilled').
+   * @param {import('../../../shared/events/world-events.js').KillEvent} killData - Dados estruturados do abate.
+   */
+  broadcastPlayerKilledHandler(killData) {
+    try {
+        this.io.to(this.roomId).emit('playerKilled', killData);
+    } catch (error) {
+        warn('StateBroadcaster: Error broadcasting player killed event:', error);
+    }
+  }
+
+  /**
+   * Ativa ou desativa o filtro de relevância dos snapshots.
+   * @param {boolean} enabled
+   */
+  setInterestManagementEnabled(enabled) {
+    this.interestManagementEnabled = !!enabled;
+    log(`StateBroadcaster: interest management ${this.interestManagementEnabled ? 'enabled' : 'disabled'}.`);
+  }
+
+  /**
+   * Passa a enviar snapshots a um cliente que entrou na sala (começando por um keyframe)
+   * e registra os listeners de sincronização no seu socket.
+   * @param {import('socket.io').Socket} socket
+   */
+  addClient(socket) {
+    if (this.clientSyncStates.has(socket.id)) return;
+    const socketListeners = [
+        ['snapshotAck', (ackData) => this.handleSnapshotAck(socket.id, ackData?.seq)],
+        ['snapshotResync', () => this.requestKeyframe(socket.id)],
+    ];
+    for (const [eventName, listener] of socketListeners) {
+        socket.on(eventName, listener);
+    }
+    this.clientSyncStates.set(socket.id, {
+        socket,
+        socketListeners,
+        ackedSeq: null,
+        lastKeyframeSeq: -Infinity,
+        history: new Map(),
+        snapshotBytes: new SampleWindow(METRICS_SAMPLE_WINDOW),
+        rttMs: null,
+        lastLatencyProbeTime: -Infinity,
+        latencyProbePending: false,
+    });
+  }
+
+  /**
+   * Para de enviar snapshots a um cliente (saiu da sala ou desconectou).
+   * @param {string} socketId
+   */
+  removeClient(socketId) {
+    const syncState = this.clientSyncStates.get(socketId);
+    if (!syncState) return;
+    for (const [eventName, listener] of syncState.socketListeners) {
+        syncState.socket.off(eventName, listener);
+    }
+    this.clientSyncStates.delete(socketId);
+    this.interestManager.removeViewer(socketId);
+  }
+
+  /**
+   * Registra a confirmação de um snapshot pelo cliente (passa a ser a baseline dos próximos deltas).
+   * @param {string} socketId
+   * @param {number} seq
+   */
+  handleSnapshotAck(socketId, seq) {
+    const syncState = this.clientSyncStates.get(socketId);
+    if (!syncState || typeof seq !== 'number' || seq > this.snapshotSeq) return;
+    if (syncState.ackedSeq === null || seq > syncState.ackedSeq) {
+        syncState.ackedSeq = seq;
+    }
+  }
+
+  /**
+   * Força o envio de um keyframe ao cliente no próximo broadcast (ex: cliente perdeu a baseline).
+   * @param {string} socketId
+   */
+  requestKeyframe(socketId) {
+    const syncState = this.clientSyncStates.get(socketId);
+    if (!syncState) return;
+    log(`StateBroadcaster: Client ${socketId} requested resync; sending keyframe.`);
+    syncState.ackedSeq = null;
+  }
+
+  /**
+   * Mede o RTT do cliente: envia 'latencyProbe' e aguarda a confirmação (ack do Socket.IO).
+   * Apenas uma medição por cliente fica pendente; sem resposta em LATENCY_PROBE_TIMEOUT_MS, ela é abandonada.
+   * O RTT medido também é passado ao jogador (limite da compensação de latência).
+   * @param {ClientSyncState} syncState
+   * @param {number} now - Instante atual (performance.now()).
+   */
+  probeLatency(syncState, now) {
+    if (syncState.latencyProbePending || now - syncState.lastLatencyProbeTime < LATENCY_PROBE_INTERVAL_MS) return;
+    syncState.latencyProbePending = true;
+    syncState.lastLatencyProbeTime = now;
+    syncState.socket.timeout(LATENCY_PROBE_TIMEOUT_MS).emit('latencyProbe', (err) => {
+        syncState.latencyProbePending = false;
+        if (err) return; // Sem resposta no prazo: mantém o último RTT medido
+        syncState.rttMs = performance.now() - now;
+        const player = this.gameStateManager.sessionManager.getPlayer(syncState.socket.id);
+        if (player) player.rttMs = syncState.rttMs;
+    });
+  }
+
+  /**
+   * Métricas de envio de cada cliente da sala (tamanho dos snapshots e RTT).
+   * @returns {Array<ClientSyncMetrics>}
+   */
+  getClientMetrics() {
+    return Array.from(this.clientSyncStates, ([socketId, syncState]) => ({
+        socketId,
+        rttMs: syncState.rttMs,
+        lastSnapshotBytes: syncState.snapshotBytes.getLatest(),
+        averageSnapshotBytes: syncState.snapshotBytes.getAverage(),
+        snapshotBytesPercentiles: syncState.snapshotBytes.getPercentiles(),
+        snapshotBytesTotal: syncState.snapshotBytes.total,
+        snapshotCount: syncState.snapshotBytes.totalCount,
+    }));
+  }
+
+  /**
+   * Restringe o snapshot às entidades relevantes para o cliente (ver InterestManager).
+   * @param {string} socketId
+   * @param {import('../../../shared/models/game-state.js').GameState} snapshot - Snapshot completo.
+   * @returns {import('../../../shared/models/game-state.js').GameState}
+   */
+  filterSnapshotForClient(socketId, snapshot) {
+    if (!this.interestManagementEnabled) return snapshot;
+
+    const sessionManager = this.gameStateManager.sessionManager;
+    const relevantIds = this.interestManager.getRelevantEntityIds(
+        sessionManager.getPlayer(socketId),
+        sessionManager.getAllPlayers(),
+        this.gameStateManager.projectiles.values(),
+        snapshot.timestamp
+    );
+    return {
+        ...snapshot,
+        players: snapshot.players.filter(state => relevantIds.has(state.id)),
+        projectiles: snapshot.projectiles.filter(state => relevantIds.has(state.id)),
+    };
+  }
+
+  /**
+   * Coleta o snapshot mais recente do estado do jogo e o envia para cada cliente, filtrado pelas
+   * entidades relevantes a ele, como delta sobre o último snapshot confirmado ou como keyframe quando
+   * necessário (cliente novo, baseline fora do histórico, pedido de resync ou intervalo de keyframe).
+   * As mensagens são enviadas no formato binário (ver wire-format.js).
    */
   broadcastGameState() {
     try {
       // Coleta o estado atual de todas as entidades gerenciadas
       const gameStateSnapshot = this.gameStateManager.getSnapshot();
+      const seq = ++this.snapshotSeq;
+
+      // Verifica se há clientes na sala antes de emitir
+      if (this.clientSyncStates.size === 0) return;
+
+      // Sem filtro de relevância, clientes com a mesma baseline (mesmo objeto) recebem a mesma mensagem
+      const keyframesBySnapshot = new Map();
+      const deltasByBaseline = new Map();
+      const now = performance.now();
+
+      for (const [socketId, syncState] of this.clientSyncStates) {
+        const clientSnapshot = this.filterSnapshotForClient(socketId, gameStateSnapshot);
+        syncState.history.set(seq, clientSnapshot);
+        syncState.history.delete(seq - SNAPSHOT_HISTORY_SIZE);
+
+        const baseline = syncState.ackedSeq !== null ? syncState.history.get(syncState.ackedSeq) : undefined;
+        const keyframeDue = seq - syncState.lastKeyframeSeq >= SNAPSHOT_KEYFRAME_INTERVAL;
 
-      // Verifica se há clientes conectados antes de emitir
-      const connectedSockets = this.io.sockets.sockets; // Obtém um mapa de sockets conectados
-      if (connectedSockets.size > 0) {
-        // Emite o snapshot para todos os clientes conectados
-        this.io.emit('gameStateUpdate', gameStateSnapshot);
-        // log(`Broadcasting game state to ${connectedSockets.size} clients. Snapshot time: ${gameStateSnapshot.timestamp}`); // Log pode ser muito verboso
-      } else {
-        // log('No clients connected, skipping broadcast.'); // Log opcional
+        let message;
+        if (!baseline || keyframeDue) {
+            message = keyframesBySnapshot.get(clientSnapshot);
+            if (!message) {
+                message = encodeSnapshotMessage(createSnapshotKeyframe(seq, clientSnapshot), clientSnapshot);
+                keyframesBySnapshot.set(clientSnapshot, message);
+            }
+            syncState.lastKeyframeSeq = seq;
+        } else {
+            message = deltasByBaseline.get(baseline);
+            if (!message) {
+                const delta = createSnapshotDelta(seq, syncState.ackedSeq, baseline, clientSnapshot);
+                message = encodeSnapshotMessage(delta, clientSnapshot, baseline);
+                deltasByBaseline.set(baseline, message);
+            }
+        }
+        syncState.socket.emit('gameStateUpdate', message);
+        syncState.snapshotBytes.add(message.byteLength);
+        this.probeLatency(syncState, now);
       }
     } catch (error) {
       warn('Error during game state broadcast:', error);
@@ -0,0 +1,76 @@
+// server/tests/combat.test.js
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { HEAD_PITCH, killWithPistol, placeForDuel } from './helpers.js';
+import { SimulationHarness } from '../src/headless/simulation-harness.js';
+import { gameConfig, getTickIntervalMs } from '../../shared/config/game-config.js';
+
+describe('combat', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+
+    /**
+     * Dispara um único tiro de pistola do atirador no alvo parado 10 m à frente.
+     * @param {number} lookPitch
+     * @returns {{target: import('../src/gameplay/server-player.js').ServerPlayer,
+     *            damage: Array<import('../../shared/events/world-events.js').DamageEvent>}} O alvo, depois do impacto,
+     *          e os danos que ele recebeu.
+     */
+    function fireOnce(lookPitch) {
+        harness = new SimulationHarness({ seed: 1 });
+        harness.addPlayer('shooter');
+        const target = harness.addPlayer('target');
+        placeForDuel(harness, 'shooter', 'target');
+        const damage = [];
+        harness.gameStateManager.eventBus.on('damage', (damageData) => damage.push(damageData));
+        harness.step(5);
+        harness.runInputs({ shooter: [{ keys: { Fire: true }, lookYaw: 0, lookPitch }] });
+        harness.step(15);
+        return { target, damage };
+    }
+
+    afterEach(() => harness?.dispose());
+
+    test('a pistol hit on the torso deals the weapon damage', () => {
+        const { target, damage } = fireOnce(0);
+        const expected = gameConfig.weapons.pistol.damage * gameConfig.combat.damageMultipliers.torso;
+
+        assert.equal(damage.length, 1);
+        assert.equal(damage[0].attackerId, 'shooter');
+        assert.equal(damage[0].hitboxKey, 'torso');
+        assert.equal(damage[0].amount, expected);
+        assert.equal(target.health, target.maxHealth - expected);
+        assert.equal(harness.getEvents('shooter', 'projectileImpact').length, 1);
+        // O cliente do atirador vê a vida atualizada no snapshot
+        assert.equal(harness.getPlayerState('shooter', 'target').health, target.maxHealth - expected);
+    });
+
+    test('a headshot applies the head multiplier', () => {
+        const { target, damage } = fireOnce(HEAD_PITCH);
+        const expected = Math.round(gameConfig.weapons.pistol.damage * gameConfig.combat.damageMultipliers.head);
+
+        assert.equal(damage.length, 1);
+        assert.equal(damage[0].hitboxKey, 'head');
+        assert.equal(damage[0].amount, expected);
+        assert.equal(target.health, target.maxHealth - expected);
+    });
+
+    test('a kill is credited and the victim respawns after the respawn delay', () => {
+        harness = new SimulationHarness({ seed: 1 });
+        const shooter = harness.addPlayer('shooter');
+        const target = harness.addPlayer('target');
+
+        killWithPistol(harness, 'shooter', 'target');
+        harness.step();
+        const [kill] = harness.getEvents('target', 'playerKilled');
+        assert.equal(kill.killerId, 'shooter');
+        assert.equal(shooter.kills, 1);
+        assert.equal(target.deaths, 1);
+
+        const respawnTicks = Math.ceil(gameConfig.combat.respawnDelay * 1000 / getTickIntervalMs());
+        const ticks = harness.stepUntil(() => target.isAlive, respawnTicks * 2);
+        assert.ok(ticks >= respawnTicks - 1 && ticks <= respawnTicks, `respawned after ${ticks} ticks (expected ~${respawnTicks})`);
+        assert.equal(target.health, target.maxHealth);
+    });
+});
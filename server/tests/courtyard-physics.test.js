@@ -0,0 +1,232 @@
+// server/tests/courtyard-physics.test.js
+//
+// Movimento dos jogadores contra os obstáculos do mapa "courtyard" (caixas giradas, rampa e escada).
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { SimulationHarness } from '../src/headless/simulation-harness.js';
+import { loadMapFile } from '../src/gameplay/map-file-loader.js';
+import { CollisionSystem } from '../../shared/physics/collision-system.js';
+import { Vector3 } from '../../shared/physics/vector.js';
+import { PLAYER_WIDTH } from '../../shared/base/collidable.js';
+import { STEP_HEIGHT } from '../../shared/constants/game-settings.js';
+
+/** lookYaw que faz W andar para cada direção do mundo (yaw 0 anda para -Z). */
+const TOWARDS = Object.freeze({ minusZ: 0, plusZ: Math.PI, plusX: -Math.PI / 2, minusX: Math.PI / 2 });
+
+const courtyard = loadMapFile('courtyard');
+const collisionSystem = new CollisionSystem();
+
+/**
+ * Obstáculo do courtyard cuja base está centrada em (x, z).
+ * @param {number} x
+ * @param {number} z
+ * @returns {import('../../shared/physics/collision-system.js').StaticObstacle}
+ */
+function obstacleAt(x, z) {
+    const obstacle = courtyard.staticObstacles.find(candidate => candidate.position.x === x && candidate.position.z === z);
+    assert.ok(obstacle, `courtyard has an obstacle at ${x}, ${z}`);
+    return obstacle;
+}
+
+/**
+ * Anda para frente (W) por alguns passos.
+ * @param {SimulationHarness} harness
+ * @param {string} id
+ * @param {number} lookYaw
+ * @param {number} steps
+ * @param {(player: import('../src/gameplay/server-player.js').ServerPlayer) => void} [afterStep] - Chamado após cada passo.
+ */
+function walk(harness, id, lookYaw, steps, afterStep) {
+    const player = harness.getPlayer(id);
+    for (let i = 0; i < steps; i++) {
+        harness.sendInput(id, { keys: { W: true }, lookYaw });
+        harness.step();
+        afterStep?.(player);
+    }
+}
+
+describe('courtyard: rotated obstacles', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+
+    afterEach(() => harness?.dispose());
+
+    test('a player walking into the corner of the 45° box stops at the corner, not at its bounding box', () => {
+        const box = obstacleAt(-24, -24);
+        // O canto girado para -X é o ponto mais à esquerda da caixa
+        const cornerX = collisionSystem.getObstacleAABB(box).min.x;
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        harness.addPlayer('walker', { position: { x: -29, y: 0, z: -24 } });
+
+        walk(harness, 'walker', TOWARDS.plusX, 60);
+
+        const { x, z } = harness.getPlayer('walker').position;
+        assert.ok(Math.abs(x - (cornerX - PLAYER_WIDTH / 2)) < 0.05, `stopped at x ${x}, corner at ${cornerX}`);
+        assert.ok(Math.abs(z - box.position.z) < 0.01, `not deflected (z ${z})`);
+    });
+
+    test('standing inside the bounding box of the 45° box but clear of the box itself is not pushed', () => {
+        const box = obstacleAt(-24, -24);
+        const spot = { x: box.position.x + 1.3, y: 0, z: box.position.z + 1.3 };
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        const player = harness.addPlayer('idle', { position: spot });
+
+        const aabb = player.getBoundingBox();
+        assert.ok(collisionSystem.checkAABBOverlap(aabb, collisionSystem.getObstacleAABB(box)), 'the spot is inside the bounding box');
+        assert.equal(collisionSystem.getObstacleOverlap(aabb, box), null);
+
+        harness.step(10);
+        assert.deepEqual({ ...player.position }, spot);
+    });
+
+    test('a player walking around the 45° box slides off its face instead of stopping', () => {
+        const box = obstacleAt(-24, -24);
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        harness.addPlayer('walker', { position: { x: -29, y: 0, z: -22.9 } });
+
+        walk(harness, 'walker', TOWARDS.plusX, 60, (player) => {
+            assert.equal(collisionSystem.getObstacleOverlap(player.getBoundingBox(), box), null);
+        });
+
+        const { x, z } = harness.getPlayer('walker').position;
+        assert.ok(x > box.position.x + 2, `went past the box (x ${x})`);
+        assert.ok(z > -22.9, `deflected along the face (z ${z})`);
+    });
+
+    test('a player walking diagonally into the rotated wall slides along it without entering it', () => {
+        const wall = obstacleAt(-24, 20);
+        // Normal da face da parede (eixo Z local no mundo) e a sua direção ao longo do comprimento
+        const normal = new Vector3(Math.sin(wall.rotationY), 0, Math.cos(wall.rotationY));
+        const along = new Vector3(Math.cos(wall.rotationY), 0, -Math.sin(wall.rotationY));
+        const start = new Vector3(wall.position.x, 0, wall.position.z).addScaled(normal, 3);
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        harness.addPlayer('walker', { position: { x: start.x, y: 0, z: start.z } });
+
+        // Andando para -Z, cerca de 60° contra a face da parede
+        walk(harness, 'walker', TOWARDS.minusZ, 30, (player) => {
+            assert.equal(collisionSystem.getObstacleOverlap(player.getBoundingBox(), wall), null);
+        });
+
+        const offset = Vector3.subtract(harness.getPlayer('walker').position, wall.position, new Vector3());
+        const distanceFromFace = offset.dot(normal) - wall.size.z / 2;
+        assert.ok(distanceFromFace > 0 && distanceFromFace < PLAYER_WIDTH, `resting against the face (${distanceFromFace})`);
+        assert.ok(offset.dot(along) > 1.5, `slid along the wall (${offset.dot(along)})`);
+    });
+
+    test('line of sight passes beside the 45° box but inside its bounding box', () => {
+        const box = obstacleAt(-24, -24);
+        const { x, z } = box.position;
+        const besideFrom = new Vector3(x + 0.6, 1, z + 1.4);
+        const besideTo = new Vector3(x + 1.4, 1, z + 0.6);
+        const besideRay = Vector3.subtract(besideTo, besideFrom, new Vector3());
+
+        assert.notEqual(collisionSystem.checkRayAABBIntersection(besideFrom, besideRay, besideRay.magnitude(), collisionSystem.getObstacleAABB(box)), null);
+        assert.equal(collisionSystem.hasLineOfSight(besideFrom, besideTo, courtyard.staticObstacles), true);
+        assert.equal(collisionSystem.hasLineOfSight(new Vector3(x - 3, 1, z), new Vector3(x + 3, 1, z), courtyard.staticObstacles), false);
+        assert.equal(collisionSystem.hasLineOfSight(new Vector3(x - 3, 2, z), new Vector3(x + 3, 2, z), courtyard.staticObstacles), true);
+    });
+});
+
+describe('courtyard: ramps, steps and ground snapping', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+
+    afterEach(() => harness?.dispose());
+
+    test('the ramp climbs to 2.4 and leads onto the platform', () => {
+        const ramp = obstacleAt(-8, 21);
+        const platform = obstacleAt(-8, 26);
+        const slope = ramp.size.y / ramp.size.z;
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        harness.addPlayer('climber', { position: { x: -8, y: 0, z: 14 } });
+
+        let previousY = 0;
+        walk(harness, 'climber', TOWARDS.plusZ, 60, (player) => {
+            const { y, z } = player.position;
+            assert.ok(player.isGrounded, `grounded at z ${z}`);
+            assert.ok(y >= previousY, `never goes down while climbing (z ${z})`);
+            previousY = y;
+            // Os pés seguem o ponto mais alto da rampa sob a caixa do jogador
+            if (z > ramp.position.z - ramp.size.z / 2 && z < ramp.position.z) {
+                const expectedY = (z + PLAYER_WIDTH / 2 - (ramp.position.z - ramp.size.z / 2)) * slope;
+                assert.ok(Math.abs(y - expectedY) < 0.01, `height ${y} at z ${z}, expected ${expectedY}`);
+            }
+        });
+
+        const { y, z } = harness.getPlayer('climber').position;
+        assert.equal(y, 2.4);
+        assert.equal(y, platform.size.y);
+        assert.ok(z > ramp.position.z + ramp.size.z / 2, `on the platform (z ${z})`);
+    });
+
+    test('the stairs are climbed one step at a time up to the platform', () => {
+        const platform = obstacleAt(8, -26);
+        const stepHeights = [-18.75, -20.25, -21.75, -23.25].map(z => obstacleAt(8, z).size.y);
+        assert.ok(stepHeights.every((height, i) => height - (stepHeights[i - 1] ?? 0) <= STEP_HEIGHT), 'every step fits in STEP_HEIGHT');
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        harness.addPlayer('climber', { position: { x: 8, y: 0, z: -15 } });
+
+        const heights = new Set();
+        walk(harness, 'climber', TOWARDS.minusZ, 50, (player) => {
+            assert.ok(player.isGrounded, `grounded at z ${player.position.z}`);
+            heights.add(player.position.y);
+        });
+
+        assert.deepEqual([...heights], [0, ...stepHeights, platform.size.y]);
+    });
+
+    test('walking down the stairs snaps to each step instead of falling', () => {
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        harness.addPlayer('descender', { position: { x: 8, y: 2, z: -26 } });
+        harness.step();
+
+        const heights = [];
+        walk(harness, 'descender', TOWARDS.plusZ, 50, (player) => {
+            assert.ok(player.isGrounded, `grounded at z ${player.position.z}`);
+            assert.equal(player.velocity.y, 0);
+            if (heights.at(-1) !== player.position.y) heights.push(player.position.y);
+        });
+
+        assert.deepEqual(heights, [2, 1.6, 1.2, 0.8, 0.4, 0]);
+    });
+
+    test('walking down the ramp stays on its surface', () => {
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        harness.addPlayer('descender', { position: { x: -8, y: 2.4, z: 25 } });
+        harness.step();
+
+        walk(harness, 'descender', TOWARDS.minusZ, 60, (player) => {
+            assert.ok(player.isGrounded, `grounded at z ${player.position.z}`);
+        });
+        assert.equal(harness.getPlayer('descender').position.y, 0);
+    });
+
+    test('a drop higher than STEP_HEIGHT is a fall, not a snap', () => {
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        harness.addPlayer('jumper', { position: { x: -8, y: 2.4, z: 26 } });
+        harness.step();
+
+        let airborneSteps = 0;
+        walk(harness, 'jumper', TOWARDS.minusX, 40, (player) => {
+            if (!player.isGrounded) airborneSteps++;
+        });
+
+        assert.ok(airborneSteps > 5, `fell for ${airborneSteps} steps`);
+        assert.equal(harness.getPlayer('jumper').position.y, 0);
+    });
+
+    test('a box taller than STEP_HEIGHT is a wall', () => {
+        const crate = obstacleAt(-22, 0);
+        assert.ok(crate.size.y > STEP_HEIGHT);
+        harness = new SimulationHarness({ mapId: 'courtyard' });
+        harness.addPlayer('walker', { position: { x: -26, y: 0, z: 0 } });
+
+        walk(harness, 'walker', TOWARDS.plusX, 60);
+
+        const { x, y } = harness.getPlayer('walker').position;
+        assert.equal(y, 0);
+        assert.ok(Math.abs(x - (crate.position.x - crate.size.x / 2 - PLAYER_WIDTH / 2)) < 0.05, `stopped at x ${x}`);
+    });
+});
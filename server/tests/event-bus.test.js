@@ -0,0 +1,114 @@
+// server/tests/event-bus.test.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { EventBus, validateEventPayload } from '../../shared/events/event-bus.js';
+import { WORLD_EVENTS, createWorldEventBus } from '../../shared/events/world-events.js';
+import { SimulationHarness } from '../src/headless/simulation-harness.js';
+
+/** Payload válido do evento 'damage'. */
+const DAMAGE = Object.freeze({ victimId: 'target', attackerId: 'shooter', amount: 15, health: 85, hitboxKey: 'torso', weaponType: 'pistol' });
+
+describe('EventBus', () => {
+    test('validates payloads outside production and rejects undeclared events', () => {
+        assert.notEqual(process.env.NODE_ENV, 'production');
+        const bus = createWorldEventBus();
+        const received = [];
+        bus.on('damage', payload => received.push(payload));
+
+        assert.throws(() => bus.emit('dmg', DAMAGE), { message: "Unknown event 'dmg'." });
+        assert.throws(() => bus.on('dmg', () => {}), { message: "Unknown event 'dmg'." });
+        assert.throws(() => bus.emit('toString', {}), { message: "Unknown event 'toString'." });
+        assert.throws(() => bus.emit('damage', { ...DAMAGE, victimId: undefined, amount: '15' }), {
+            message: "Invalid payload for event 'damage': victimId: required string; amount: expected number, got string",
+        });
+        assert.throws(() => bus.emit('damage', null), { message: "Invalid payload for event 'damage': payload must be an object" });
+        assert.deepEqual(received, [], 'invalid events never reach the listeners');
+
+        bus.emit('damage', DAMAGE);
+        assert.deepEqual(received, [DAMAGE]);
+    });
+
+    test('skips payload validation in production but still rejects undeclared events', () => {
+        const nodeEnv = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+        let bus;
+        try {
+            bus = createWorldEventBus();
+        } finally {
+            if (nodeEnv === undefined) delete process.env.NODE_ENV;
+            else process.env.NODE_ENV = nodeEnv;
+        }
+        const received = [];
+        bus.on('damage', payload => received.push(payload));
+
+        bus.emit('damage', { amount: '15' });
+        assert.deepEqual(received, [{ amount: '15' }]);
+        assert.throws(() => bus.emit('dmg', DAMAGE), /Unknown event 'dmg'/);
+    });
+
+    test('checks required, optional, vector and array fields', () => {
+        const definition = { description: 'test', fields: { id: 'string', at: 'vector', tags: 'array', killerId: 'string?' } };
+        assert.deepEqual(validateEventPayload(definition, { id: 'a', at: { x: 1, y: 2, z: 3 }, tags: [], killerId: null, extra: 1 }), []);
+        assert.deepEqual(validateEventPayload(definition, { id: 1, at: { x: 1, y: NaN, z: 3 }, tags: {}, killerId: 7 }), [
+            'id: expected string, got number',
+            'at: expected vector, got object',
+            'tags: expected array, got object',
+            'killerId: expected string, got number',
+        ]);
+    });
+
+    test('dispose() on a subscription removes only that listener, once', () => {
+        const bus = new EventBus(WORLD_EVENTS);
+        const calls = [];
+        const first = bus.on('damage', () => calls.push('first'));
+        bus.on('damage', () => calls.push('second'));
+        assert.equal(bus.listenerCount('damage'), 2);
+
+        first.dispose();
+        first.dispose();
+        assert.equal(first.active, false);
+        assert.equal(bus.listenerCount('damage'), 1);
+        bus.emit('damage', DAMAGE);
+        assert.deepEqual(calls, ['second']);
+    });
+
+    test('a listener disposed during an emit still gets that event, and a failing listener does not stop the others', () => {
+        const bus = new EventBus(WORLD_EVENTS);
+        const calls = [];
+        bus.on('damage', () => {
+            calls.push('first');
+            later.dispose();
+            throw new Error('listener failure');
+        });
+        const later = bus.on('damage', () => calls.push('later'));
+
+        bus.emit('damage', DAMAGE);
+        bus.emit('damage', DAMAGE);
+        assert.deepEqual(calls, ['first', 'later', 'first']);
+    });
+
+    test('dispose() on the bus removes every subscription', () => {
+        const bus = new EventBus(WORLD_EVENTS);
+        const subscriptions = [bus.on('damage', () => assert.fail('disposed')), bus.on('playerJoined', () => assert.fail('disposed'))];
+
+        bus.dispose();
+        assert.ok(subscriptions.every(subscription => !subscription.active));
+        assert.equal(bus.listenerCount('damage') + bus.listenerCount('playerJoined'), 0);
+        bus.emit('damage', DAMAGE);
+        subscriptions[0].dispose(); // Inofensivo depois do dispose() do barramento
+    });
+
+    test('a disposed room leaves no listeners on its world bus', () => {
+        const harness = new SimulationHarness();
+        harness.addPlayer('player');
+        harness.step();
+        const bus = harness.room.eventBus;
+        const events = Object.keys(WORLD_EVENTS);
+        assert.ok(events.some(event => bus.listenerCount(event) > 0));
+
+        harness.dispose();
+        assert.deepEqual(events.filter(event => bus.listenerCount(event) > 0), []);
+    });
+});
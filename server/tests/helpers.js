@@ -0,0 +1,58 @@
+// server/tests/helpers.js
+//
+// Cenários comuns dos testes de gameplay sobre o SimulationHarness.
+
+import { configureLogging } from '../../shared/utils/logger.js';
+
+// Os testes só precisam dos erros; o log de cada acerto e respawn esconderia a saída do node --test
+configureLogging({ levels: 'error' });
+
+/** Posição do atirador nos duelos: mira para -Z (lookYaw 0) com o alvo 10 m à frente. */
+export const SHOOTER_POSITION = Object.freeze({ x: 20, y: 0, z: 30 });
+/** Posição do alvo nos duelos (área aberta do mapa padrão). */
+export const TARGET_POSITION = Object.freeze({ x: 20, y: 0, z: 20 });
+
+/** Inclinação da mira que acerta a cabeça do alvo a partir de SHOOTER_POSITION. */
+export const HEAD_PITCH = 0.06;
+
+/**
+ * Coloca o atirador e o alvo frente a frente.
+ * @param {import('../src/headless/simulation-harness.js').SimulationHarness} harness
+ * @param {string} shooterId
+ * @param {string} targetId
+ */
+export function placeForDuel(harness, shooterId, targetId) {
+    harness.teleport(shooterId, SHOOTER_POSITION);
+    harness.teleport(targetId, TARGET_POSITION);
+}
+
+/**
+ * Coloca os dois frente a frente e atira com a pistola (recarregando quando preciso) até a condição ser verdadeira.
+ * @param {import('../src/headless/simulation-harness.js').SimulationHarness} harness
+ * @param {string} shooterId
+ * @param {string} targetId
+ * @param {() => boolean} until - Verificada antes de cada passo.
+ * @param {{lookPitch?: number, maxSteps?: number}} [options]
+ * @returns {number} Passos executados.
+ */
+export function fireUntil(harness, shooterId, targetId, until, { lookPitch = 0, maxSteps = 600 } = {}) {
+    placeForDuel(harness, shooterId, targetId);
+    return harness.stepUntil(() => {
+        if (until()) return true;
+        harness.sendInput(shooterId, { keys: { Fire: true }, lookYaw: 0, lookPitch });
+        return false;
+    }, maxSteps);
+}
+
+/**
+ * Atira com a pistola até o alvo morrer.
+ * @param {import('../src/headless/simulation-harness.js').SimulationHarness} harness
+ * @param {string} shooterId
+ * @param {string} targetId
+ * @param {{lookPitch?: number, maxSteps?: number}} [options]
+ * @returns {number} Passos executados até a morte.
+ */
+export function killWithPistol(harness, shooterId, targetId, options) {
+    const target = harness.getPlayer(targetId);
+    return fireUntil(harness, shooterId, targetId, () => !target.isAlive, options);
+}
@@ -0,0 +1,78 @@
+// server/tests/lag-compensation.test.js
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { SimulationHarness } from '../src/headless/simulation-harness.js';
+import { ServerClockEstimate, getCurrentTime } from '../../shared/utils/clock.js';
+import { getInterpolationDelayMs, getTickIntervalMs } from '../../shared/config/game-config.js';
+import { MAX_LAG_COMPENSATION_MS } from '../../shared/constants/combat-settings.js';
+import { SERVER_CLOCK_OFFSET_SMOOTHING } from '../../shared/constants/network-settings.js';
+
+describe('server clock estimate', () => {
+    test('follows the fastest snapshot whatever the skew of the local clock', () => {
+        const skewMs = 3_600_000; // Relógio do cliente uma hora adiantado
+        const estimate = new ServerClockEstimate();
+        assert.equal(estimate.toServerTime(0), null);
+
+        // Snapshots enviados a cada 33 ms com latências de ida variadas
+        const latencies = [60, 45, 80, 40, 70];
+        latencies.forEach((latencyMs, index) => {
+            const serverTimestamp = 10_000 + index * 33;
+            estimate.addSample(serverTimestamp, serverTimestamp + latencyMs + skewMs);
+        });
+
+        // Atrás do relógio do servidor pela menor latência de ida; só o último snapshot (mais lento) puxa um pouco
+        const expectedOffset = -skewMs - 40 - (70 - 40) * SERVER_CLOCK_OFFSET_SMOOTHING;
+        assert.ok(Math.abs(estimate.offsetMs - expectedOffset) < 1e-9, `offset ${estimate.offsetMs}`);
+        assert.ok(Math.abs(estimate.toServerTime(20_000 + skewMs) - (20_000 - 40)) < 2);
+
+        estimate.reset();
+        assert.equal(estimate.offsetMs, null);
+    });
+});
+
+describe('lag compensation', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+
+    afterEach(() => harness?.dispose());
+
+    test('a client shooting at what it sees is rewound by the interpolation delay', () => {
+        harness = new SimulationHarness();
+        const player = harness.addPlayer('shooter');
+        assert.equal(player.getLagCompensationMs(harness.sendInput('shooter')), 0); // Nenhum snapshot ainda
+
+        harness.step(3);
+        const input = harness.sendInput('shooter');
+        assert.ok(Math.abs(player.getLagCompensationMs(input) - getInterpolationDelayMs()) <= 1);
+    });
+
+    test('the rewind is capped by the measured RTT, not only by the global maximum', () => {
+        harness = new SimulationHarness();
+        const player = harness.addPlayer('shooter');
+        harness.step(3);
+        // Cliente que forja um viewTime antigo para voltar o máximo possível
+        const backdated = harness.sendInput('shooter', { viewTime: getCurrentTime() - 5000 });
+        const slack = getInterpolationDelayMs() + getTickIntervalMs();
+
+        player.rttMs = null; // Sem RTT medido
+        assert.equal(player.getLagCompensationMs(backdated), slack);
+        player.rttMs = 60;
+        assert.equal(player.getLagCompensationMs(backdated), 60 + slack);
+        player.rttMs = 2000;
+        assert.equal(player.getLagCompensationMs(backdated), MAX_LAG_COMPENSATION_MS);
+
+        const fromTheFuture = harness.sendInput('shooter', { viewTime: getCurrentTime() + 5000 });
+        assert.equal(player.getLagCompensationMs(fromTheFuture), 0);
+    });
+
+    test('the RTT measured by the broadcaster reaches the player', () => {
+        harness = new SimulationHarness();
+        const player = harness.addPlayer('shooter');
+        harness.step();
+
+        assert.equal(typeof player.rttMs, 'number');
+        assert.equal(player.rttMs, harness.room.stateBroadcaster.getClientMetrics()[0].rttMs);
+    });
+});
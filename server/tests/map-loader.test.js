@@ -0,0 +1,128 @@
+// server/tests/map-loader.test.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import './helpers.js';
+import { createGameMap, parseGameMap, validateMapData, hashMapContent } from '../../shared/gameplay/world/map-loader.js';
+import { MAP_FORMAT_VERSION, MAP_ID_PATTERN, MAP_ROTATION } from '../../shared/constants/map-settings.js';
+import { loadMapFile, MAPS_DIRECTORY } from '../src/gameplay/map-file-loader.js';
+
+/**
+ * Menor mapa válido; os testes estragam uma parte dele de cada vez.
+ * @returns {object}
+ */
+function createMapData() {
+    return {
+        formatVersion: MAP_FORMAT_VERSION,
+        id: 'arena',
+        name: 'Arena',
+        bounds: { min: { x: -10, y: 0, z: -10 }, max: { x: 10, y: 10, z: 10 } },
+        spawnPoints: [{ position: { x: 0, y: 0, z: 0 } }],
+        obstacles: [{ type: 'box', position: { x: 5, y: 0, z: 5 }, size: { x: 1, y: 1, z: 1 } }],
+    };
+}
+
+/**
+ * Verifica que os dados são recusados e que a mensagem aponta cada problema.
+ * @param {object} data
+ * @param {Array<string>} expectedErrors - Linhas esperadas na mensagem ("caminho: mensagem").
+ */
+function assertRejected(data, expectedErrors) {
+    assert.deepEqual(validateMapData(data), expectedErrors);
+    assert.throws(() => createGameMap(data, 'arena.json'), {
+        message: `Invalid map arena.json:\n  - ${expectedErrors.join('\n  - ')}`,
+    });
+}
+
+describe('map validation', () => {
+    test('accepts a well-formed map', () => {
+        const json = JSON.stringify(createMapData());
+        const gameMap = parseGameMap(json, 'arena.json');
+        assert.equal(gameMap.id, 'arena');
+        assert.equal(gameMap.hash, hashMapContent(json));
+    });
+
+    test('rejects malformed JSON and documents that are not objects', () => {
+        assert.throws(() => parseGameMap('{ "formatVersion": 1, ', 'broken.json'), /^Error: Invalid map broken\.json: malformed JSON \(/);
+        for (const data of [null, [], 'arena', 1]) {
+            assertRejected(data, ['map: expected a JSON object']);
+        }
+    });
+
+    test('rejects unknown format versions', () => {
+        for (const formatVersion of [MAP_FORMAT_VERSION + 1, 0, String(MAP_FORMAT_VERSION)]) {
+            assertRejected({ ...createMapData(), formatVersion },
+                [`formatVersion: unsupported version ${JSON.stringify(formatVersion)} (expected ${MAP_FORMAT_VERSION})`]);
+        }
+        const { formatVersion, ...unversioned } = createMapData();
+        assertRejected(unversioned, [`formatVersion: unsupported version undefined (expected ${MAP_FORMAT_VERSION})`]);
+    });
+
+    test('rejects ids that could escape the maps directory', () => {
+        for (const id of ['../x', 'x/y', 'Arena', '']) {
+            assertRejected({ ...createMapData(), id }, [`id: expected lowercase letters, digits, '-' or '_' (got ${JSON.stringify(id)})`]);
+        }
+    });
+
+    test('reports every problem with the path of the offending field', () => {
+        const data = createMapData();
+        data.bounds.max.y = 'high';
+        data.spawnPoints.push({ position: { x: 50, y: 0, z: 0 }, team: '' });
+        data.obstacles.push({ type: 'ramp', position: { x: 0, y: 0, z: 0 }, size: { x: 2, y: 4, z: 2 }, colour: 'red' });
+        data.obstacles.push({ type: 'sphere', position: { x: 0, y: 0, z: 0 }, size: { x: 0, y: 1, z: 1 } });
+        data.spawn = [];
+
+        assertRejected(data, [
+            'bounds.max.y: expected a finite number (got "high")',
+            'spawnPoints[1].team: expected a non-empty string or null',
+            'obstacles[1].size: ramp too steep (rise 4 over run 2, max slope 1)',
+            'obstacles[1].colour: unknown field (expected one of type, position, size, rotationY, material, metadata)',
+            'obstacles[2].type: expected one of box, tree, ramp (got "sphere")',
+            'obstacles[2].size: all dimensions must be greater than zero',
+            'map.spawn: unknown field (expected one of formatVersion, id, name, bounds, spawnPoints, obstacles)',
+        ]);
+    });
+
+    test('rejects spawn points and obstacles outside valid bounds', () => {
+        const data = createMapData();
+        data.spawnPoints[0].position.x = 11;
+        data.obstacles[0].position.z = -10.5;
+        assertRejected(data, ['spawnPoints[0].position: outside the map bounds', 'obstacles[0].position: outside the map bounds']);
+
+        const inverted = { ...createMapData(), bounds: { min: { x: 10, y: 0, z: -10 }, max: { x: -10, y: 10, z: 10 } } };
+        assertRejected(inverted, ['bounds: min must be lower than max on x']);
+
+        assertRejected({ ...createMapData(), spawnPoints: [] }, ['spawnPoints: expected a non-empty array']);
+    });
+});
+
+describe('map ids', () => {
+    test('MAP_ID_PATTERN only accepts short lowercase file names', () => {
+        for (const id of ['default', 'courtyard', 'a', 'map_2-b', 'x'.repeat(32)]) {
+            assert.ok(MAP_ID_PATTERN.test(id), id);
+        }
+        for (const id of ['../x', '..', 'x/y', 'x\\y', 'Default', '', '-x', '_x', 'x.json', 'x\n', 'x'.repeat(33)]) {
+            assert.ok(!MAP_ID_PATTERN.test(id), JSON.stringify(id));
+        }
+    });
+
+    test('loadMapFile rejects bad ids before looking for the file', () => {
+        // '../../../package' existe (package.json na raiz do projeto): o erro de ID prova que o caminho nunca foi montado
+        for (const mapId of ['../x', '../../../package', 'default.json', 'DEFAULT', 42, null]) {
+            assert.throws(() => loadMapFile(mapId), { message: `Invalid map id ${JSON.stringify(mapId)}.` });
+        }
+    });
+
+    test('loadMapFile reports missing maps and loads every map in the rotation', () => {
+        assert.throws(() => loadMapFile('missing'), { message: 'Map missing does not exist.' });
+
+        for (const mapId of MAP_ROTATION) {
+            const gameMap = loadMapFile(mapId);
+            assert.equal(gameMap.id, mapId);
+            assert.equal(gameMap.hash, hashMapContent(fs.readFileSync(path.join(MAPS_DIRECTORY, `${mapId}.json`), 'utf8')));
+            assert.equal(loadMapFile(mapId), gameMap, 'maps are loaded once');
+        }
+    });
+});
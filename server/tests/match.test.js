@@ -0,0 +1,55 @@
+// server/tests/match.test.js
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { killWithPistol } from './helpers.js';
+import { SimulationHarness } from '../src/headless/simulation-harness.js';
+import { MATCH_STATES } from '../../shared/constants/match-settings.js';
+
+/** Partida curta: começa assim que há dois jogadores e termina no primeiro abate. */
+const QUICK_MATCH = Object.freeze({ minPlayers: 2, warmupTime: 0, timeLimit: 0, fragLimit: 1, postGameTime: 5 });
+
+describe('match lifecycle', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+
+    afterEach(() => harness?.dispose());
+
+    test('the match goes live with enough players and ends at the frag limit', () => {
+        harness = new SimulationHarness({ match: QUICK_MATCH });
+        const matchManager = harness.room.matchManager;
+        harness.addPlayer('shooter');
+        harness.step(2);
+        assert.equal(matchManager.state, MATCH_STATES.WAITING);
+
+        harness.addPlayer('target');
+        harness.stepUntil(() => matchManager.isLive, 5);
+
+        killWithPistol(harness, 'shooter', 'target');
+        harness.stepUntil(() => matchManager.state === MATCH_STATES.POST_GAME, 2);
+
+        const [results] = harness.getEvents('target', 'matchResults');
+        assert.equal(results.reason, 'fragLimit');
+        assert.equal(results.winnerId, 'shooter');
+        assert.deepEqual(results.players.map(({ playerId, kills, deaths }) => ({ playerId, kills, deaths })), [
+            { playerId: 'shooter', kills: 1, deaths: 0 },
+            { playerId: 'target', kills: 0, deaths: 1 },
+        ]);
+        assert.ok(results.players[0].shotsHit > 0 && results.players[0].shotsHit <= results.players[0].shotsFired);
+        assert.deepEqual(harness.getEvents('shooter', 'matchState').map(({ state }) => state),
+                [MATCH_STATES.WARMUP, MATCH_STATES.LIVE, MATCH_STATES.POST_GAME]);
+    });
+
+    test('starting the match resets the scores', () => {
+        harness = new SimulationHarness({ match: { ...QUICK_MATCH, minPlayers: 3 } });
+        const shooter = harness.addPlayer('shooter');
+        harness.addPlayer('target');
+        killWithPistol(harness, 'shooter', 'target');
+        assert.equal(shooter.kills, 1);
+
+        harness.addPlayer('third');
+        harness.stepUntil(() => harness.room.matchManager.isLive, 5);
+        assert.equal(shooter.kills, 0);
+        assert.equal(harness.getPlayer('target').deaths, 0);
+    });
+});
@@ -0,0 +1,85 @@
+// server/tests/metrics.test.js
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { SimulationHarness } from '../src/headless/simulation-harness.js';
+import { SampleWindow } from '../src/core/sample-window.js';
+import { formatPrometheusMetrics } from '../src/network/metrics-routes.js';
+
+/**
+ * Linhas de uma família de métricas: as que seguem o `# TYPE` dela até o próximo `# HELP`.
+ * @param {string} text - Exposição no formato de texto do Prometheus.
+ * @param {string} name
+ * @returns {{type: string, samples: Map<string, number>}} Valores por série (nome e rótulos).
+ */
+function getFamily(text, name) {
+    const lines = text.trimEnd().split('\n');
+    const typeIndex = lines.findIndex(line => line.startsWith(`# TYPE ${name} `));
+    assert.notEqual(typeIndex, -1, `${name} is declared`);
+    const samples = new Map();
+    for (const line of lines.slice(typeIndex + 1)) {
+        if (line.startsWith('# HELP ')) break;
+        const separator = line.lastIndexOf(' ');
+        samples.set(line.slice(0, separator), Number(line.slice(separator + 1)));
+    }
+    return { type: lines[typeIndex].split(' ')[3], samples };
+}
+
+describe('SampleWindow', () => {
+    test('keeps totals of every sample after they leave the window', () => {
+        const window = new SampleWindow(4);
+        for (let value = 1; value <= 10; value++) window.add(value);
+
+        assert.equal(window.count, 4);
+        assert.deepEqual(window.getPercentiles(), { p50: 8, p95: 10, p99: 10 });
+        assert.equal(window.total, 55);
+        assert.equal(window.totalCount, 10);
+    });
+});
+
+describe('Prometheus metrics', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+
+    afterEach(() => harness?.dispose());
+
+    test('summaries carry _sum and _count series next to their quantiles', () => {
+        harness = new SimulationHarness();
+        harness.addPlayer('viewer');
+        harness.step(5);
+
+        const stepDurations = new SampleWindow(4);
+        [2, 4, 3, 9, 1].forEach(durationMs => stepDurations.add(durationMs));
+        const room = harness.room.getMetrics();
+        const text = formatPrometheusMetrics([{
+            ...room,
+            loop: {
+                ...room.loop,
+                stepDurationPercentiles: stepDurations.getPercentiles(),
+                stepDurationSumMs: stepDurations.total,
+                stepDurationCount: stepDurations.totalCount,
+            },
+        }]);
+
+        const ticks = getFamily(text, 'fps_tick_duration_milliseconds');
+        assert.equal(ticks.type, 'summary');
+        assert.deepEqual([...ticks.samples], [
+            ['fps_tick_duration_milliseconds{room="headless",quantile="0.5"}', 3],
+            ['fps_tick_duration_milliseconds{room="headless",quantile="0.95"}', 9],
+            ['fps_tick_duration_milliseconds{room="headless",quantile="0.99"}', 9],
+            ['fps_tick_duration_milliseconds_sum{room="headless"}', 19],
+            ['fps_tick_duration_milliseconds_count{room="headless"}', 5],
+        ]);
+
+        const snapshots = harness.io.sockets.get('viewer').getReceived('gameStateUpdate');
+        const sentBytes = snapshots.reduce((sum, message) => sum + message.args[0].byteLength, 0);
+        const clientLabels = `{room="headless",socket="viewer"}`;
+        const snapshotBytes = getFamily(text, 'fps_client_snapshot_bytes');
+        assert.equal(snapshotBytes.type, 'summary');
+        assert.equal(snapshotBytes.samples.get(`fps_client_snapshot_bytes_sum${clientLabels}`), sentBytes);
+        assert.equal(snapshotBytes.samples.get(`fps_client_snapshot_bytes_count${clientLabels}`), snapshots.length);
+        assert.equal(snapshotBytes.samples.size, 5);
+        assert.equal(getFamily(text, 'fps_client_snapshot_bytes_total').samples.get(`fps_client_snapshot_bytes_total${clientLabels}`), sentBytes);
+    });
+});
@@ -0,0 +1,137 @@
+// server/tests/server-config.test.js
+
+import { describe, test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import './helpers.js';
+import { loadServerConfig, serverConfig, SERVER_CONFIG_FIELDS } from '../src/config/server-config.js';
+import { gameConfig, applyGameConfig, GAME_CONFIG_FIELDS } from '../../shared/config/game-config.js';
+import { createConfigDefaults, setConfigValue } from '../../shared/config/config-schema.js';
+import { configureLogging } from '../../shared/utils/logger.js';
+import { BASE_PLAYER_SPEED, JUMP_VELOCITY } from '../../shared/constants/game-settings.js';
+
+/** Os testes só precisam dos erros (loadServerConfig reconfigura o logging). */
+const QUIET_ENV = Object.freeze({ LOG_LEVEL: 'error' });
+
+describe('loadServerConfig', () => {
+    /** @type {string} */
+    let directory;
+
+    /**
+     * Escreve um arquivo de configuração na pasta temporária.
+     * @param {string} name
+     * @param {string} content
+     * @returns {string} Caminho do arquivo.
+     */
+    const writeConfigFile = (name, content) => {
+        const filePath = path.join(directory, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // loadServerConfig altera a configuração global: cada teste começa dos padrões
+    afterEach(() => {
+        for (const field of SERVER_CONFIG_FIELDS) setConfigValue(serverConfig, field.path, field.defaultValue);
+        applyGameConfig(createConfigDefaults(GAME_CONFIG_FIELDS));
+        configureLogging({ levels: 'error' });
+    });
+
+    test('uses the defaults when nothing is set', () => {
+        // Um arquivo YAML vazio equivale a nenhuma configuração
+        const { server, game } = loadServerConfig({ argv: ['--config', writeConfigFile('empty.yaml', '')], env: QUIET_ENV });
+        assert.equal(server, serverConfig);
+        assert.equal(server.server.port, 3000);
+        assert.equal(server.bots.minPlayers, 0);
+        assert.equal(game.movement.baseSpeed, BASE_PLAYER_SPEED);
+    });
+
+    test('overrides defaults with the file, the file with the environment and the environment with the command line', () => {
+        const configFile = writeConfigFile('override.yaml', [
+            'server:',
+            '  port: 4000',
+            '  lagCompensation: false',
+            'bots:',
+            '  difficulty: hard',
+            'movement:',
+            '  baseSpeed: 8',
+            '  gravity: 20',
+        ].join('\n'));
+
+        const { server, game } = loadServerConfig({
+            argv: ['--config', configFile, '--movement.baseSpeed=10', '--server.lagCompensation'],
+            env: { ...QUIET_ENV, PORT: '5000', FPS_MOVEMENT_BASE_SPEED: '9', FPS_MOVEMENT_GRAVITY: '' },
+        });
+
+        assert.equal(game.movement.jumpVelocity, JUMP_VELOCITY); // padrão
+        assert.equal(game.movement.gravity, 20); // arquivo (variável vazia é ignorada)
+        assert.equal(server.bots.difficulty, 'hard'); // arquivo
+        assert.equal(server.server.port, 5000); // ambiente > arquivo
+        assert.equal(game.movement.baseSpeed, 10); // linha de comando > ambiente > arquivo
+        assert.equal(server.server.lagCompensation, true); // booleano sem valor na linha de comando
+        assert.equal(gameConfig.movement.baseSpeed, 10, 'gameplay values reach gameConfig');
+    });
+
+    test('--config takes precedence over CONFIG_FILE, and both JSON and YAML are read', () => {
+        const jsonFile = writeConfigFile('from-argv.json', JSON.stringify({ server: { port: 4100 } }));
+        const yamlFile = writeConfigFile('from-env.yml', 'server:\n  port: 4200\n');
+
+        assert.equal(loadServerConfig({ argv: [], env: { ...QUIET_ENV, CONFIG_FILE: yamlFile } }).server.server.port, 4200);
+        assert.equal(loadServerConfig({ argv: [`--config=${jsonFile}`], env: { ...QUIET_ENV, CONFIG_FILE: yamlFile } }).server.server.port, 4100);
+    });
+
+    test('lists every invalid value from every source and applies none of them', () => {
+        const configFile = writeConfigFile('invalid.json', JSON.stringify({
+            server: { port: 70000 },
+            movment: { baseSpeed: 8 },
+            bots: 'hard',
+            movement: { baseSpeed: 9 },
+        }));
+
+        assert.throws(() => loadServerConfig({
+            argv: ['stray', '--config', configFile, '--bots.difficulty=insane', '--nope=1', '--movement.gravity'],
+            env: { ...QUIET_ENV, PORT: 'abc', INTEREST_MANAGEMENT: 'maybe', FPS_MOVEMENT_BASE_SPEEED: '7' },
+        }), {
+            message: [
+                'Invalid server configuration:',
+                "command line: unexpected argument 'stray'",
+                'command line: --nope: unknown setting',
+                'command line: --movement.gravity: missing value',
+                `${configFile}: server.port: expected a value between 0 and 65535 (got 70000)`,
+                `${configFile}: movment: unknown setting`,
+                `${configFile}: bots: expected a section (object)`,
+                'environment PORT: server.port: expected an integer (got "abc")',
+                'environment INTEREST_MANAGEMENT: server.interestManagement: expected true or false (got "maybe")',
+                'environment FPS_MOVEMENT_BASE_SPEEED: unknown setting',
+                'command line: bots.difficulty: expected one of easy, normal, hard (got "insane")',
+            ].join('\n  - '),
+        });
+
+        assert.equal(serverConfig.server.port, 3000);
+        assert.equal(gameConfig.movement.baseSpeed, BASE_PLAYER_SPEED, 'the valid file values are not applied either');
+    });
+
+    test('rejects unreadable config files and invalid log levels with the offending source', () => {
+        const cases = [
+            [writeConfigFile('config.toml', 'port = 1'), /Unsupported config file '.*config\.toml' \(expected \.json, \.yaml or \.yml\)/],
+            [path.join(directory, 'missing.json'), /Cannot read config file '.*missing\.json'/],
+            [writeConfigFile('broken.yaml', 'server: [port'), /Cannot parse config file '.*broken\.yaml'/],
+            [writeConfigFile('broken.json', '{ "server": '), /Cannot parse config file '.*broken\.json'/],
+        ];
+        for (const [configFile, message] of cases) {
+            assert.throws(() => loadServerConfig({ argv: ['--config', configFile], env: QUIET_ENV }), message);
+        }
+
+        assert.throws(() => loadServerConfig({ argv: [], env: { LOG_LEVEL: 'info,collision=loud' } }),
+            /environment LOG_LEVEL: logging\.level: /);
+    });
+});
@@ -0,0 +1,61 @@
+// server/tests/simulation-harness.test.js
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { killWithPistol } from './helpers.js';
+import { SimulationHarness } from '../src/headless/simulation-harness.js';
+import { getCurrentTime } from '../../shared/utils/clock.js';
+import { PLAYER_DEPTH } from '../../shared/base/collidable.js';
+
+describe('SimulationHarness', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+
+    afterEach(() => harness?.dispose());
+
+    test('a player walking into an obstacle is stopped at its face, on the server and in the snapshot', () => {
+        harness = new SimulationHarness();
+        harness.addPlayer('walker', { position: { x: 0, y: 0, z: 10 } });
+        // Caixa central do mapa padrão: 5 x 5 centrada na origem (face norte em z = 2.5)
+        harness.runInputs({ walker: Array(90).fill({ keys: { W: true }, lookYaw: 0 }) });
+
+        const serverZ = harness.getPlayer('walker').position.z;
+        assert.ok(serverZ >= 2.5 + PLAYER_DEPTH / 2 - 0.05 && serverZ < 3, `stopped at z ${serverZ}`);
+        assert.ok(Math.abs(harness.getPlayerState('walker').position.z - serverZ) < 0.01);
+    });
+
+    test('runs with the same seed produce the same snapshots and events', () => {
+        /**
+         * @param {number} seed
+         * @returns {string}
+         */
+        const run = (seed) => {
+            harness = new SimulationHarness({ seed });
+            harness.addPlayer('shooter');
+            harness.addPlayer('target');
+            harness.step(5);
+            killWithPistol(harness, 'shooter', 'target');
+            harness.step(10);
+            const result = JSON.stringify({
+                snapshot: harness.getSnapshot('shooter'),
+                impacts: harness.getEvents('shooter', 'projectileImpact'),
+                kills: harness.getEvents('shooter', 'playerKilled'),
+            });
+            harness.dispose();
+            harness = null;
+            return result;
+        };
+
+        const first = run(7);
+        assert.ok(JSON.parse(first).impacts.length > 0);
+        assert.equal(run(7), first);
+    });
+
+    test('dispose() gives the clock back to the system', () => {
+        harness = new SimulationHarness();
+        harness.step(10);
+        harness.dispose();
+        harness = null;
+        assert.ok(Math.abs(getCurrentTime() - Date.now()) < 5);
+    });
+});
@@ -0,0 +1,170 @@
+// server/tests/snapshot-sync.test.js
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { placeForDuel } from './helpers.js';
+import { SimulationHarness } from '../src/headless/simulation-harness.js';
+import { StateSynchronizer } from '../../client/src/network/state-synchronizer.js';
+import { createSnapshotDelta, createSnapshotKeyframe, applySnapshotMessage } from '../../shared/models/snapshot-delta.js';
+import { encodeSnapshotMessage, decodeSnapshotMessage, readSnapshotHeader } from '../../shared/models/wire-format.js';
+import { ServerClockEstimate } from '../../shared/utils/clock.js';
+
+/**
+ * Dois snapshots completos do servidor: antes e depois de um jogador andar, disparar e ser atingido.
+ * @returns {{baseline: import('../../shared/models/game-state.js').GameState, current: import('../../shared/models/game-state.js').GameState}}
+ */
+function captureSnapshots() {
+    const harness = new SimulationHarness({ seed: 3, interestManagement: false });
+    try {
+        harness.addPlayer('shooter');
+        harness.addPlayer('target');
+        harness.addPlayer('leaver');
+        placeForDuel(harness, 'shooter', 'target');
+        harness.step(2);
+        const baseline = harness.gameStateManager.getSnapshot();
+
+        harness.removePlayer('leaver');
+        harness.runInputs({
+            shooter: [{ keys: { Fire: true }, lookYaw: 0 }, null, null],
+            target: [{ keys: { A: true } }, { keys: { A: true } }, { keys: { A: true } }],
+        });
+        const current = harness.gameStateManager.getSnapshot();
+        return { baseline, current };
+    } finally {
+        harness.dispose();
+    }
+}
+
+/**
+ * Codifica e decodifica um keyframe, como o cliente o reconstrói.
+ * @param {number} seq
+ * @param {import('../../shared/models/game-state.js').GameState} snapshot
+ * @returns {import('../../shared/models/game-state.js').GameState}
+ */
+function roundTripKeyframe(seq, snapshot) {
+    const bytes = encodeSnapshotMessage(createSnapshotKeyframe(seq, snapshot), snapshot);
+    return applySnapshotMessage(decodeSnapshotMessage(bytes, null), null);
+}
+
+describe('snapshot deltas', () => {
+    test('a delta applied to its baseline rebuilds the full state', () => {
+        const { baseline, current } = captureSnapshots();
+        const delta = createSnapshotDelta(2, 1, baseline, current);
+
+        assert.deepEqual(delta.players.removed, ['leaver']);
+        assert.ok(delta.projectiles.changed.length > 0, 'the new projectile is sent');
+        assert.ok(delta.players.changed.every(changes => Object.keys(changes).length < Object.keys(current.players[0]).length),
+            'only changed fields are sent');
+        assert.deepEqual(applySnapshotMessage(delta, baseline), {
+            timestamp: current.timestamp,
+            tick: current.tick,
+            players: current.players,
+            projectiles: current.projectiles,
+            teamScores: current.teamScores,
+        });
+    });
+
+    test('a binary delta decoded against the client baseline matches the binary keyframe', () => {
+        const { baseline, current } = captureSnapshots();
+        const clientBaseline = roundTripKeyframe(1, baseline);
+
+        const bytes = encodeSnapshotMessage(createSnapshotDelta(2, 1, baseline, current), current, baseline);
+        assert.deepEqual(readSnapshotHeader(bytes), { seq: 2, keyframe: false, baseSeq: 1, timestamp: current.timestamp, tick: current.tick });
+        const rebuilt = applySnapshotMessage(decodeSnapshotMessage(bytes, clientBaseline), clientBaseline);
+
+        assert.deepEqual(rebuilt, roundTripKeyframe(2, current));
+        assert.ok(bytes.byteLength < encodeSnapshotMessage(createSnapshotKeyframe(2, current), current).byteLength);
+    });
+
+    test('decoding a delta without its baseline fails', () => {
+        const { baseline, current } = captureSnapshots();
+        const bytes = encodeSnapshotMessage(createSnapshotDelta(2, 1, baseline, current), current, baseline);
+
+        assert.throws(() => decodeSnapshotMessage(bytes, null), /requires baseline 1/);
+        assert.throws(() => applySnapshotMessage(createSnapshotDelta(2, 1, baseline, current), null), /requires baseline 1/);
+    });
+});
+
+describe('StateSynchronizer', () => {
+    /**
+     * StateSynchronizer do cliente com rede e mundo falsos.
+     * @returns {{synchronizer: StateSynchronizer, sent: Array<[string, any]>, applied: Array<any>, receive: (data: Uint8Array) => void}}
+     */
+    function createClient() {
+        const listeners = new Map();
+        const sent = [];
+        const applied = [];
+        const networkManager = {
+            on: (event, listener) => listeners.set(event, listener),
+            emit: (event, data) => sent.push([event, data]),
+        };
+        const clientWorld = {
+            serverClock: new ServerClockEstimate(),
+            updateFromState: (gameState) => applied.push(gameState),
+            clear() {},
+        };
+        const synchronizer = new StateSynchronizer(/** @type {any} */ (networkManager), /** @type {any} */ (clientWorld));
+        return { synchronizer, sent, applied, receive: (data) => listeners.get('gameStateUpdate')(data) };
+    }
+
+    test('applies keyframes and deltas and acknowledges each snapshot', () => {
+        const { baseline, current } = captureSnapshots();
+        const client = createClient();
+
+        client.receive(encodeSnapshotMessage(createSnapshotKeyframe(1, baseline), baseline));
+        client.receive(encodeSnapshotMessage(createSnapshotDelta(2, 1, baseline, current), current, baseline));
+
+        assert.deepEqual(client.sent, [['snapshotAck', { seq: 1 }], ['snapshotAck', { seq: 2 }]]);
+        assert.deepEqual(client.applied[1], roundTripKeyframe(2, current));
+        assert.equal(client.synchronizer.latestServerTick, current.tick);
+    });
+
+    test('a delta whose baseline is missing requests a single resync until a keyframe arrives', () => {
+        const { baseline, current } = captureSnapshots();
+        const client = createClient();
+        client.receive(encodeSnapshotMessage(createSnapshotKeyframe(1, baseline), baseline));
+
+        // Baselines 5 e 6 nunca chegaram ao cliente
+        client.receive(encodeSnapshotMessage(createSnapshotDelta(7, 5, baseline, current), current, baseline));
+        client.receive(encodeSnapshotMessage(createSnapshotDelta(8, 6, baseline, current), current, baseline));
+        assert.deepEqual(client.sent.slice(1), [['snapshotResync', { seq: 7 }]]);
+        assert.equal(client.applied.length, 1);
+        assert.equal(client.synchronizer.awaitingKeyframe, true);
+
+        client.receive(encodeSnapshotMessage(createSnapshotKeyframe(9, current), current));
+        assert.equal(client.synchronizer.awaitingKeyframe, false);
+        assert.deepEqual(client.sent.at(-1), ['snapshotAck', { seq: 9 }]);
+        assert.deepEqual(client.applied.at(-1), roundTripKeyframe(9, current));
+    });
+});
+
+describe('StateBroadcaster', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+
+    afterEach(() => harness?.dispose());
+
+    /**
+     * @param {string} id
+     * @returns {{seq: number, keyframe: boolean, baseSeq?: number}} Cabeçalho do último snapshot recebido pelo cliente.
+     */
+    const lastHeader = (id) => readSnapshotHeader(harness.io.sockets.get(id).getReceived('gameStateUpdate').at(-1).args[0]);
+
+    test('sends a keyframe first, then deltas against the acknowledged snapshot, and a keyframe on resync', () => {
+        harness = new SimulationHarness();
+        harness.addPlayer('viewer');
+
+        harness.step();
+        assert.equal(lastHeader('viewer').keyframe, true);
+        harness.step();
+        const delta = lastHeader('viewer');
+        assert.equal(delta.keyframe, false);
+        assert.equal(delta.baseSeq, delta.seq - 1); // O cliente simulado confirma cada snapshot
+
+        harness.io.sockets.get('viewer').receive('snapshotResync', { seq: delta.seq });
+        harness.step();
+        assert.equal(lastHeader('viewer').keyframe, true);
+        harness.step();
+        assert.equal(lastHeader('viewer').keyframe, false);
+    });
+});
@@ -0,0 +1,147 @@
+// server/tests/teams.test.js
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fireUntil, killWithPistol, placeForDuel } from './helpers.js';
+import { SimulationHarness } from '../src/headless/simulation-harness.js';
+import { MATCH_STATES } from '../../shared/constants/match-settings.js';
+import { SCORE_PER_KILL, SCORE_TEAM_KILL_PENALTY, SCORE_SUICIDE_PENALTY, ASSIST_DAMAGE_THRESHOLD } from '../../shared/constants/combat-settings.js';
+import { gameConfig } from '../../shared/config/game-config.js';
+
+/** Team Deathmatch curto: começa assim que há dois jogadores e termina no primeiro abate de um time. */
+const QUICK_TDM = Object.freeze({ mode: 'tdm', minPlayers: 2, warmupTime: 0, timeLimit: 0, fragLimit: 1, postGameTime: 5 });
+
+describe('team deathmatch', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+
+    afterEach(() => harness?.dispose());
+
+    test('joining players are balanced across the teams and spawn on their side', () => {
+        harness = new SimulationHarness({ match: { ...QUICK_TDM, minPlayers: 8 } });
+        const players = ['a', 'b', 'c', 'd'].map(id => harness.addPlayer(id));
+
+        assert.deepEqual(players.map(player => player.team), ['red', 'blue', 'red', 'blue']);
+        // Mapa padrão: spawns vermelhos ao norte (z > 0), azuis ao sul
+        for (const player of players) {
+            assert.equal(Math.sign(player.position.z), player.team === 'red' ? 1 : -1);
+        }
+
+        harness.removePlayer('b');
+        assert.equal(harness.addPlayer('e').team, 'blue');
+    });
+
+    test('killing an enemy scores for the team and ends the match at the team frag limit', () => {
+        harness = new SimulationHarness({ match: QUICK_TDM });
+        const shooter = harness.addPlayer('shooter');
+        harness.addPlayer('target');
+        assert.deepEqual([shooter.team, harness.getPlayer('target').team], ['red', 'blue']);
+        harness.stepUntil(() => harness.room.matchManager.isLive, 5);
+
+        killWithPistol(harness, 'shooter', 'target');
+        harness.step();
+        assert.deepEqual(harness.getSnapshot('target').teamScores, [{ team: 'red', score: 1 }, { team: 'blue', score: 0 }]);
+        assert.equal(shooter.kills, 1);
+
+        harness.stepUntil(() => harness.room.matchManager.state === MATCH_STATES.POST_GAME, 2);
+        const [results] = harness.getEvents('target', 'matchResults');
+        assert.equal(results.winningTeam, 'red');
+        assert.deepEqual(results.teamScores, [{ team: 'red', score: 1 }, { team: 'blue', score: 0 }]);
+    });
+});
+
+describe('friendly fire', () => {
+    /** @type {SimulationHarness} */
+    let harness;
+    const { friendlyFire } = gameConfig.combat;
+
+    /**
+     * Partida em equipe valendo com dois vermelhos ('red1', 'red2') e um azul ('blue').
+     * @param {string} mode - Regra de fogo amigo.
+     */
+    function startTeamMatch(mode) {
+        gameConfig.combat.friendlyFire = mode;
+        harness = new SimulationHarness({ match: { ...QUICK_TDM, fragLimit: 0 } });
+        for (const id of ['red1', 'blue', 'red2']) harness.addPlayer(id);
+        assert.deepEqual(['red1', 'blue', 'red2'].map(id => harness.getPlayer(id).team), ['red', 'blue', 'red']);
+        harness.stepUntil(() => harness.room.matchManager.isLive, 5);
+    }
+
+    afterEach(() => {
+        harness?.dispose();
+        gameConfig.combat.friendlyFire = friendlyFire;
+    });
+
+    test('killing a teammate is not credited as a kill and costs points', () => {
+        startTeamMatch('reduced');
+        const killer = harness.getPlayer('red1');
+        harness.teleport('blue', { x: -20, y: 0, z: -30 });
+
+        killWithPistol(harness, 'red1', 'red2');
+        harness.step();
+
+        const [kill] = harness.getEvents('red1', 'playerKilled');
+        assert.equal(kill.killerId, 'red1');
+        assert.equal(kill.teamKill, true);
+        assert.equal(killer.kills, 0);
+        assert.equal(killer.score, -SCORE_TEAM_KILL_PENALTY);
+        assert.equal(harness.getPlayer('red2').deaths, 1);
+        assert.deepEqual(harness.getSnapshot('red1').teamScores, [{ team: 'red', score: 0 }, { team: 'blue', score: 0 }]);
+
+        harness.step(3);
+        assert.equal(harness.room.matchManager.getResults('timeLimit', 0).players.find(({ playerId }) => playerId === 'red1').kills, 0);
+    });
+
+    test('damage dealt to a teammate does not count as an assist', () => {
+        startTeamMatch('reduced');
+        const victim = harness.getPlayer('red2');
+        harness.teleport('blue', { x: -20, y: 0, z: -30 });
+
+        fireUntil(harness, 'red1', 'red2', () => victim.health <= victim.maxHealth - ASSIST_DAMAGE_THRESHOLD);
+        harness.teleport('red1', { x: 20, y: 0, z: -30 });
+        harness.step(10); // Projéteis ainda no ar
+        assert.ok(victim.isAlive);
+
+        killWithPistol(harness, 'blue', 'red2');
+        harness.step();
+
+        const [kill] = harness.getEvents('blue', 'playerKilled');
+        assert.equal(kill.killerId, 'blue');
+        assert.equal(kill.teamKill, false);
+        assert.deepEqual(kill.assisterIds, []);
+        assert.equal(harness.getPlayer('red1').assists, 0);
+        assert.equal(harness.getPlayer('blue').score, SCORE_PER_KILL);
+    });
+
+    test("with friendly fire 'reflect' a shooter killed by the reflected damage commits suicide", () => {
+        startTeamMatch('reflect');
+        const shooter = harness.getPlayer('red1');
+        const teammate = harness.getPlayer('red2');
+        harness.teleport('blue', { x: -20, y: 0, z: -30 });
+
+        fireUntil(harness, 'red1', 'red2', () => !shooter.isAlive);
+        harness.step();
+
+        const [kill] = harness.getEvents('red2', 'playerKilled');
+        assert.equal(kill.victimId, 'red1');
+        assert.equal(kill.killerId, null);
+        assert.equal(kill.suicide, true);
+        assert.equal(kill.teamKill, false);
+        assert.equal(shooter.deaths, 1);
+        assert.equal(shooter.score, -SCORE_SUICIDE_PENALTY);
+        assert.equal(teammate.health, teammate.maxHealth);
+        assert.equal(teammate.kills, 0);
+        assert.deepEqual(harness.getSnapshot('red1').teamScores, [{ team: 'red', score: 0 }, { team: 'blue', score: 0 }]);
+    });
+
+    test("with friendly fire 'off' shots pass through teammates", () => {
+        startTeamMatch('off');
+        harness.teleport('blue', { x: -20, y: 0, z: -30 });
+        placeForDuel(harness, 'red1', 'red2');
+        harness.runInputs({ red1: Array(30).fill({ keys: { Fire: true }, lookYaw: 0, lookPitch: 0 }) });
+
+        assert.ok(harness.room.matchManager.getResults('timeLimit', 0).players.find(({ playerId }) => playerId === 'red1').shotsFired > 0);
+        assert.equal(harness.getPlayer('red2').health, harness.getPlayer('red2').maxHealth);
+        assert.equal(harness.getPlayer('red1').health, harness.getPlayer('red1').maxHealth);
+    });
+});
@@ -0,0 +1,264 @@
+// server/tests/wire-format.test.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { BinaryWriter, BinaryReader } from '../../shared/models/binary-buffer.js';
+import {
+    encodeSnapshotMessage,
+    decodeSnapshotMessage,
+    encodePlayerInput,
+    decodePlayerInput,
+    INPUT_KEY_NAMES,
+} from '../../shared/models/wire-format.js';
+import {
+    PROTOCOL_VERSION,
+    POSITION_QUANTIZATION_SCALE,
+    ANGLE_QUANTIZATION_SCALE,
+    SCALAR_QUANTIZATION_SCALE,
+} from '../../shared/constants/network-settings.js';
+import { createSeededRandom } from '../../shared/utils/math-utils.js';
+import { ConnectionManager } from '../src/network/connection-manager.js';
+
+/**
+ * Um valor de exemplo para cada campo do estado de jogador, na ordem dos bits da máscara.
+ * A ordem faz parte do protocolo: mudá-la sem incrementar PROTOCOL_VERSION quebra clientes antigos.
+ * @type {Array<[string, any]>}
+ */
+const PLAYER_FIELD_SAMPLES = [
+    ['position', { x: 12.5, y: 2.25, z: -40 }],
+    ['velocity', { x: -3.5, y: 0, z: 7.75 }],
+    ['isGrounded', true],
+    ['health', 87.5],
+    ['maxHealth', 100],
+    ['name', 'Jogadör ✓'],
+    ['score', 12],
+    ['kills', 4],
+    ['deaths', 3],
+    ['assists', 1],
+    ['stamina', 42.25],
+    ['maxStamina', 100],
+    ['isCrouching', true],
+    ['isSprinting', true],
+    ['mana', 64.5],
+    ['maxMana', 120],
+    ['spellCooldowns', [{ type: 'fireball', remaining: 1.25 }]],
+    ['statusEffects', [{ type: 'slow', remaining: 0.5, speedMultiplier: 0.6 }]],
+    ['isAlive', true],
+    ['lookYaw', -1.5708],
+    ['lastProcessedInputSequence', 9001],
+    ['team', 'red'],
+];
+
+/**
+ * @param {(writer: BinaryWriter) => void} write
+ * @returns {Uint8Array}
+ */
+function writeBytes(write) {
+    const writer = new BinaryWriter(1);
+    write(writer);
+    return writer.toBytes();
+}
+
+/**
+ * Codifica um delta com uma única entrada de jogador e devolve a máscara de campos escrita e a entrada decodificada.
+ * @param {object} changes - Campos alterados do jogador `p1` (netId 7).
+ * @returns {{mask: number, entry: object}}
+ */
+function roundTripPlayerChanges(changes) {
+    const snapshot = { players: [{ id: 'p1', netId: 7 }], projectiles: [] };
+    const bytes = encodeSnapshotMessage({
+        seq: 2,
+        keyframe: false,
+        baseSeq: 1,
+        timestamp: 1_700_000_000_000,
+        tick: 60,
+        players: { changed: [{ id: 'p1', ...changes }], removed: [] },
+        projectiles: { changed: [], removed: [] },
+        teamScores: [],
+    }, snapshot, snapshot);
+
+    // Cabeçalho (flags, seq, baseSeq, timestamp, tick), quantidade de entradas e netId da entrada
+    const reader = new BinaryReader(bytes);
+    reader.readUint8();
+    for (let i = 0; i < 6; i++) reader.readVarUint();
+    const mask = reader.readVarUint();
+
+    const [entry] = decodeSnapshotMessage(bytes, snapshot).players.changed;
+    return { mask, entry };
+}
+
+describe('BinaryWriter / BinaryReader', () => {
+    test('varints round-trip at every 7-bit boundary up to the largest safe integer', () => {
+        const cases = [
+            [0, 1], [127, 1], [128, 2], [16_383, 2], [16_384, 3], [2 ** 21 - 1, 3], [2 ** 21, 4],
+            [2 ** 28, 5], [2 ** 32, 5], [1_700_000_000_000, 6], [Number.MAX_SAFE_INTEGER, 8],
+        ];
+        for (const [value, expectedLength] of cases) {
+            const bytes = writeBytes(writer => writer.writeVarUint(value));
+            assert.equal(bytes.length, expectedLength, `length of ${value}`);
+            assert.equal(new BinaryReader(bytes).readVarUint(), value);
+        }
+    });
+
+    test('signed varints use zigzag so small magnitudes stay small', () => {
+        const cases = [[0, 1], [-1, 1], [63, 1], [-64, 1], [64, 2], [-65, 2], [-(2 ** 52), 8], [2 ** 52 - 1, 8]];
+        for (const [value, expectedLength] of cases) {
+            const bytes = writeBytes(writer => writer.writeVarInt(value));
+            assert.equal(bytes.length, expectedLength, `length of ${value}`);
+            assert.equal(new BinaryReader(bytes).readVarInt(), value);
+        }
+    });
+
+    test('rejects values it cannot encode and data it cannot decode', () => {
+        const writer = new BinaryWriter();
+        for (const value of [-1, 1.5, Number.MAX_SAFE_INTEGER + 1, NaN]) {
+            assert.throws(() => writer.writeVarUint(value), /non-negative safe integer/);
+        }
+        assert.throws(() => new BinaryReader('bytes'), /requires an ArrayBuffer/);
+        assert.throws(() => new BinaryReader(new Uint8Array([0x80, 0x80])).readVarUint(), /unexpected end/);
+        assert.throws(() => new BinaryReader(new Uint8Array(10).fill(0xff)).readVarUint(), /varint too long/);
+        assert.throws(() => new BinaryReader(new Uint8Array([5, 65])).readString(), /exceeds end/);
+    });
+
+    test('quantized values stay within half a step of the original', () => {
+        const random = createSeededRandom(8);
+        for (const scale of [POSITION_QUANTIZATION_SCALE, ANGLE_QUANTIZATION_SCALE, SCALAR_QUANTIZATION_SCALE]) {
+            const values = Array.from({ length: 200 }, () => (random() - 0.5) * 2000);
+            const writer = new BinaryWriter();
+            values.forEach(value => writer.writeQuantized(value, scale));
+            const reader = new BinaryReader(writer.toBytes());
+            for (const value of values) {
+                const error = Math.abs(reader.readQuantized(scale) - value);
+                assert.ok(error <= 0.5 / scale + 1e-9, `error ${error} at scale ${scale}`);
+            }
+        }
+    });
+
+    test('strings round-trip as UTF-8 and read from a Buffer view', () => {
+        const bytes = writeBytes(writer => {
+            writer.writeString('olá, mundo ✓');
+            writer.writeString(null);
+        });
+        const reader = new BinaryReader(Buffer.concat([Buffer.from([0xaa]), bytes]).subarray(1));
+        assert.equal(reader.readString(), 'olá, mundo ✓');
+        assert.equal(reader.readString(), '');
+    });
+});
+
+describe('snapshot codec', () => {
+    test('each player field has its own bit in the field mask', () => {
+        PLAYER_FIELD_SAMPLES.forEach(([key, value], index) => {
+            const { mask, entry } = roundTripPlayerChanges({ [key]: value });
+            assert.equal(mask, 2 ** index, `bit of ${key}`);
+            assert.deepEqual(Object.keys(entry), ['id', key]);
+            assert.deepEqual(entry[key], value, key);
+        });
+    });
+
+    test('a full player state sets every field bit and decodes within the quantization steps', () => {
+        const { mask, entry } = roundTripPlayerChanges(Object.fromEntries(PLAYER_FIELD_SAMPLES));
+        assert.equal(mask, 2 ** PLAYER_FIELD_SAMPLES.length - 1);
+        assert.deepEqual(entry, { id: 'p1', ...Object.fromEntries(PLAYER_FIELD_SAMPLES) });
+
+        const quantized = roundTripPlayerChanges({
+            position: { x: 1 / 3, y: 0, z: -2 / 3 },
+            lookYaw: Math.PI,
+            health: 99.999,
+        }).entry;
+        assert.ok(Math.abs(quantized.position.x - 1 / 3) <= 0.5 / POSITION_QUANTIZATION_SCALE);
+        assert.ok(Math.abs(quantized.position.z + 2 / 3) <= 0.5 / POSITION_QUANTIZATION_SCALE);
+        assert.ok(Math.abs(quantized.lookYaw - Math.PI) <= 0.5 / ANGLE_QUANTIZATION_SCALE);
+        assert.ok(Math.abs(quantized.health - 99.999) <= 0.5 / SCALAR_QUANTIZATION_SCALE);
+    });
+
+    test('fields outside the schema travel as JSON in the bit after the last field', () => {
+        const extras = { weapon: { id: 'rifle', ammo: 30 }, emote: 'wave' };
+        const { mask, entry } = roundTripPlayerChanges({ health: 50, ...extras });
+        assert.equal(mask, 2 ** 3 + 2 ** PLAYER_FIELD_SAMPLES.length);
+        assert.deepEqual(entry, { id: 'p1', health: 50, ...extras });
+
+        const onlyExtras = roundTripPlayerChanges({ emote: 'wave' });
+        assert.equal(onlyExtras.mask, 2 ** PLAYER_FIELD_SAMPLES.length);
+        assert.deepEqual(onlyExtras.entry, { id: 'p1', emote: 'wave' });
+    });
+
+    test('keyframes carry string ids and net ids; deltas resolve net ids against the baseline', () => {
+        const current = {
+            timestamp: 1_700_000_000_000,
+            tick: 3,
+            players: [{ id: 'p1', netId: 1, health: 100 }, { id: 'p2', netId: 300, health: 75 }],
+            projectiles: [{ id: 'shot', netId: 2, position: { x: 1, y: 2, z: 3 }, ownerId: 'p1', type: 'bullet' }],
+            teamScores: [{ team: 'red', score: 2 }],
+        };
+        const keyframe = decodeSnapshotMessage(encodeSnapshotMessage({ seq: 1, keyframe: true, ...current }, current), null);
+        assert.deepEqual(keyframe, { seq: 1, keyframe: true, ...current });
+
+        const delta = { changed: [{ id: 'p1', health: 10 }], removed: ['p2'] };
+        const bytes = encodeSnapshotMessage({
+            seq: 2, keyframe: false, baseSeq: 1, timestamp: 1, tick: 4,
+            players: delta, projectiles: { changed: [], removed: ['shot'] }, teamScores: [],
+        }, { players: [current.players[0]], projectiles: [] }, current);
+        const decoded = decodeSnapshotMessage(bytes, current);
+        assert.deepEqual(decoded.players, delta);
+        assert.deepEqual(decoded.projectiles, { changed: [], removed: ['shot'] });
+        assert.throws(() => decodeSnapshotMessage(bytes, { players: [], projectiles: [] }), /Unknown netId 1/);
+    });
+
+    test('refuses to encode an entity without a net id', () => {
+        const message = { seq: 1, keyframe: true, timestamp: 0, tick: 0, players: [], projectiles: [], teamScores: [] };
+        const snapshot = { players: [], projectiles: [] };
+        assert.throws(() => encodeSnapshotMessage({ ...message, players: { changed: [{ id: 'ghost', health: 1 }], removed: [] } },
+            snapshot), /entity ghost: unknown netId/);
+        assert.throws(() => encodeSnapshotMessage({ ...message, players: { changed: [], removed: ['ghost'] } },
+            snapshot), /removal of entity ghost/);
+    });
+});
+
+describe('input codec', () => {
+    test('every action key has its own bit and the view time is optional', () => {
+        INPUT_KEY_NAMES.forEach((keyName) => {
+            const decoded = decodePlayerInput(encodePlayerInput({ sequence: 1, deltaTime: 1 / 60, keys: { [keyName]: true } }));
+            assert.deepEqual(Object.keys(decoded.keys).filter(key => decoded.keys[key]), [keyName]);
+        });
+
+        const input = { sequence: 70_000, deltaTime: 1 / 60, keys: { W: true, Fire: true }, lookYaw: 2.5, lookPitch: -0.3 };
+        const decoded = decodePlayerInput(encodePlayerInput(input));
+        assert.equal(decoded.sequence, 70_000);
+        assert.ok(Math.abs(decoded.deltaTime - 1 / 60) < 1e-6);
+        assert.equal(decoded.lookYaw, 2.5);
+        assert.equal(decoded.lookPitch, -0.3);
+        assert.equal('viewTime' in decoded, false);
+
+        assert.equal(decodePlayerInput(encodePlayerInput({ ...input, viewTime: 1_700_000_000_123.4 })).viewTime, 1_700_000_000_123);
+        assert.throws(() => decodePlayerInput(encodePlayerInput(input).subarray(0, 3)), /unexpected end/);
+    });
+});
+
+describe('protocol version', () => {
+    /**
+     * Executa o middleware de handshake para uma versão de protocolo do cliente.
+     * @param {any} protocolVersion
+     * @returns {Error | undefined} O erro passado a `next` (undefined se a conexão foi aceita).
+     */
+    function handshake(protocolVersion) {
+        const connectionManager = new ConnectionManager(/** @type {any} */ ({ use() {}, on() {} }), /** @type {any} */ ({}));
+        let result = null;
+        connectionManager.verifyProtocolVersion(/** @type {any} */ ({ id: 'client', handshake: { auth: { protocolVersion } } }),
+            (err) => { result = err; });
+        assert.notEqual(result, null, 'next was called');
+        return result;
+    }
+
+    test('accepts clients on the same protocol version', () => {
+        assert.equal(handshake(PROTOCOL_VERSION), undefined);
+    });
+
+    test('rejects clients on another version, or none, with the server version attached', () => {
+        for (const version of [PROTOCOL_VERSION - 1, PROTOCOL_VERSION + 1, String(PROTOCOL_VERSION), undefined]) {
+            const rejection = handshake(version);
+            assert.match(rejection.message, new RegExp(`Protocol version mismatch: client ${version ?? 'none'}, server ${PROTOCOL_VERSION}`));
+            assert.deepEqual(rejection.data, { serverProtocolVersion: PROTOCOL_VERSION });
+        }
+    });
+});
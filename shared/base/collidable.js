@@ -19,6 +19,9 @@ class Collidable {
   
     /**
      * Calcula e retorna a Axis-Aligned Bounding Box (AABB) do objeto no espaço do mundo.
+     * @param {import('../physics/vector.js').Vector3} [pos] - Posição a considerar (padrão: a atual).
+     * @param {{min: import('../physics/vector.js').Vector3, max: import('../physics/vector.js').Vector3}} [out] -
+     *        AABB que recebe o resultado (evita alocar no loop de simulação).
      * @returns {{min: import('../physics/vector.js').Vector3, max: import('../physics/vector.js').Vector3}} A AABB do objeto.
      * @abstract
      */
@@ -29,6 +32,7 @@ class Collidable {
   
   // --- Constantes de Dimensões (Exemplo para Jogador) ---
   export const PLAYER_HEIGHT = 1.8; // Altura total do jogador
+  export const PLAYER_CROUCH_HEIGHT = 1.2; // Altura do jogador agachado
   export const PLAYER_WIDTH = 0.8;  // Largura/Profundidade do jogador
   export const PLAYER_DEPTH = 0.8; // Pode ser igual a PLAYER_WIDTH
   
@@ -5,12 +5,33 @@ import { generateUUID } from '../utils/math-utils.js';
  * Classe base para todos os objetos dinâmicos no mundo do jogo.
  */
 export class GameObject {
+  /**
+   * Próximo ID numérico de rede a ser atribuído.
+   * @type {number}
+   */
+  static nextNetId = 1;
+
+  /**
+   * Recomeça a numeração dos IDs de rede (ex: harness de simulação, para que cada execução
+   * numere as entidades do mesmo jeito). Só é seguro quando nenhum objeto anterior continua em uso.
+   */
+  static resetNetIds() {
+    GameObject.nextNetId = 1;
+  }
+
   /**
    * Identificador único do objeto.
    * @type {string}
    */
   id;
 
+  /**
+   * ID numérico compacto usado para referenciar o objeto no formato binário de rede.
+   * Só o valor atribuído no servidor é significativo; o cliente o recebe no estado.
+   * @type {number}
+   */
+  netId;
+
   /**
    * Posição do objeto no mundo.
    * @type {Vector3}
@@ -35,6 +56,7 @@ export class GameObject {
    */
   constructor(id = generateUUID(), position = new Vector3(), velocity = new Vector3()) {
     this.id = id;
+    this.netId = GameObject.nextNetId++;
     this.position = position instanceof Vector3 ? position.clone() : new Vector3(position?.x, position?.y, position?.z);
     this.velocity = velocity instanceof Vector3 ? velocity.clone() : new Vector3(velocity?.x, velocity?.y, velocity?.z);
   }
@@ -53,13 +75,14 @@ export class GameObject {
   /**
    * Obtém o estado serializável básico deste objeto para sincronização de rede.
    * As subclasses devem sobrescrever este método para adicionar suas próprias propriedades.
-   * @returns {object} Um objeto contendo o estado essencial (id, position).
+   * @returns {object} Um objeto contendo o estado essencial (id, netId, position).
    */
   getState() {
     // Retorna um objeto simples, não a instância de Vector3 diretamente,
     // para facilitar a serialização JSON e evitar referências circulares.
     return {
       id: this.id,
+      netId: this.netId,
       position: { x: this.position.x, y: this.position.y, z: this.position.z },
       // velocity não é sempre necessária no cliente, pode ser omitida aqui
       // velocity: { x: this.velocity.x, y: this.velocity.y, z: this.velocity.z }
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Descrição, validação e conversão de valores de configuração (ver game-config.js
+ * e o carregador do servidor). Cada campo é identificado pelo seu caminho ('seção.nome').
+ */
+
+/**
+ * @typedef {object} ConfigField
+ * @property {string} path - Caminho do campo no objeto de configuração (ex: 'movement.baseSpeed').
+ * @property {'number' | 'integer' | 'boolean' | 'string'} type
+ * @property {any} defaultValue
+ * @property {string} description
+ * @property {number} [min] - Menor valor aceito (inclusive).
+ * @property {number} [max] - Maior valor aceito (inclusive).
+ * @property {ReadonlyArray<string>} [values] - Valores aceitos (campos do tipo 'string').
+ * @property {(value: any) => string | null} [validate] - Validação adicional: mensagem de erro, ou null.
+ */
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {object} target
+ * @param {string} path
+ * @returns {any} Valor no caminho, ou undefined se algum nível não existir.
+ */
+export function getConfigValue(target, path) {
+    let value = target;
+    for (const key of path.split('.')) {
+        if (!isPlainObject(value)) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Atribui um valor no caminho, criando as seções intermediárias que faltarem.
+ * @param {object} target
+ * @param {string} path
+ * @param {any} value
+ */
+export function setConfigValue(target, path, value) {
+    const keys = path.split('.');
+    let section = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(section[key])) section[key] = {};
+        section = section[key];
+    }
+    section[keys[keys.length - 1]] = value;
+}
+
+/**
+ * @param {ReadonlyArray<ConfigField>} fields
+ * @returns {object} Objeto de configuração com o valor padrão de cada campo.
+ */
+export function createConfigDefaults(fields) {
+    const config = {};
+    for (const field of fields) {
+        setConfigValue(config, field.path, field.defaultValue);
+    }
+    return config;
+}
+
+/**
+ * @param {ConfigField} field
+ * @param {any} value
+ * @returns {string | null} Mensagem de erro, ou null se o valor é válido para o campo.
+ */
+function checkFieldValue(field, value) {
+    switch (field.type) {
+        case 'number':
+        case 'integer':
+            if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+                return `expected ${field.type === 'integer' ? 'an integer' : 'a finite number'} (got ${JSON.stringify(value)})`;
+            }
+            if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                return `expected a value between ${field.min ?? '-∞'} and ${field.max ?? '∞'} (got ${value})`;
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `expected true or false (got ${JSON.stringify(value)})`;
+            break;
+        case 'string':
+            if (typeof value !== 'string') return `expected a string (got ${JSON.stringify(value)})`;
+            if (field.values && !field.values.includes(value)) {
+                return `expected one of ${field.values.join(', ')} (got ${JSON.stringify(value)})`;
+            }
+            break;
+    }
+    return field.validate?.(value) ?? null;
+}
+
+/**
+ * Valida um objeto de configuração parcial: apenas os campos presentes são verificados,
+ * e seções ou campos desconhecidos (normalmente erros de digitação) são apontados.
+ * @param {any} values
+ * @param {ReadonlyArray<ConfigField>} fields
+ * @param {string} [source='config'] - Origem dos valores, usada nas mensagens.
+ * @returns {Array<string>} Lista de problemas ("origem: caminho: mensagem"); vazia se os valores são válidos.
+ */
+export function validateConfigValues(values, fields, source = 'config') {
+    if (!isPlainObject(values)) {
+        return [`${source}: expected an object`];
+    }
+    const fieldsByPath = new Map(fields.map(field => [field.path, field]));
+    const sectionPaths = new Set(fields.flatMap(field =>
+        field.path.split('.').slice(0, -1).map((_, index, keys) => keys.slice(0, index + 1).join('.'))));
+    const errors = [];
+
+    const visit = (object, prefix) => {
+        for (const [key, value] of Object.entries(object)) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const field = fieldsByPath.get(path);
+            if (field) {
+                const message = checkFieldValue(field, value);
+                if (message) errors.push(`${source}: ${path}: ${message}`);
+            } else if (sectionPaths.has(path)) {
+                if (isPlainObject(value)) visit(value, path);
+                else errors.push(`${source}: ${path}: expected a section (object)`);
+            } else {
+                errors.push(`${source}: ${path}: unknown setting`);
+            }
+        }
+    };
+    visit(values, '');
+    return errors;
+}
+
+/**
+ * Converte o texto de uma variável de ambiente ou opção de linha de comando para o tipo do campo.
+ * O resultado ainda deve ser validado (validateConfigValues).
+ * @param {ConfigField} field
+ * @param {string} text
+ * @returns {any} O valor convertido (o próprio texto, se não for convertível).
+ */
+export function parseConfigText(field, text) {
+    const trimmed = String(text).trim();
+    switch (field.type) {
+        case 'number':
+        case 'integer':
+            return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : trimmed;
+        case 'boolean':
+            if (['1', 'true', 'yes', 'on'].includes(trimmed.toLowerCase())) return true;
+            if (['0', 'false', 'no', 'off'].includes(trimmed.toLowerCase())) return false;
+            return trimmed;
+        default:
+            return trimmed;
+    }
+}
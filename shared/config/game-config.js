@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Valores de gameplay configuráveis, compartilhados por servidor e cliente.
+ *
+ * `gameConfig` começa com os padrões de shared/constants e é alterado por applyGameConfig():
+ * no servidor, pelo carregador de configuração na inicialização; no cliente, com os valores efetivos
+ * que o servidor envia na conexão (evento 'gameConfig'), para que a predição use os mesmos números.
+ * O código de gameplay deve ler estes valores de `gameConfig` (em tempo de execução, não ao importar).
+ */
+
+import { createConfigDefaults, validateConfigValues, getConfigValue, setConfigValue } from './config-schema.js';
+import {
+    SERVER_TICK_RATE,
+    INTERPOLATION_DELAY_TICKS,
+    BASE_PLAYER_SPEED,
+    PLAYER_ACCELERATION,
+    PLAYER_FRICTION,
+    GRAVITY,
+    JUMP_VELOCITY,
+    SPRINT_SPEED_MULTIPLIER,
+    CROUCH_SPEED_MULTIPLIER,
+    MAX_STAMINA,
+    STAMINA_DRAIN_PER_SECOND,
+    STAMINA_REGEN_PER_SECOND,
+    STAMINA_REGEN_DELAY,
+    MIN_STAMINA_TO_SPRINT,
+    RESPAWN_DELAY,
+} from '../constants/game-settings.js';
+import {
+    DAMAGE_MULTIPLIER_HEAD,
+    DAMAGE_MULTIPLIER_TORSO,
+    DAMAGE_MULTIPLIER_ARMS,
+    DAMAGE_MULTIPLIER_LEGS,
+    DAMAGE_MULTIPLIER_DEFAULT,
+} from '../constants/combat-settings.js';
+import { FRIENDLY_FIRE_MODES, FRIENDLY_FIRE_MODE, FRIENDLY_FIRE_SCALE } from '../constants/team-settings.js';
+import {
+    PISTOL_DAMAGE,
+    PISTOL_FIRE_RATE,
+    PISTOL_RANGE,
+    PISTOL_PROJECTILE_SPEED,
+    PISTOL_RELOAD_TIME,
+} from '../constants/weapon-stats.js';
+import {
+    GAME_MODES,
+    MATCH_MODE,
+    MATCH_MIN_PLAYERS,
+    MATCH_WARMUP_TIME,
+    MATCH_TIME_LIMIT,
+    MATCH_FRAG_LIMIT,
+    MATCH_POST_GAME_TIME,
+} from '../constants/match-settings.js';
+
+/**
+ * Valores de gameplay configuráveis (ver GAME_CONFIG_FIELDS).
+ * @typedef {object} GameConfig
+ * @property {{tickRate: number}} simulation
+ * @property {{baseSpeed: number, acceleration: number, friction: number, gravity: number, jumpVelocity: number,
+ *            sprintMultiplier: number, crouchMultiplier: number}} movement
+ * @property {{max: number, drainPerSecond: number, regenPerSecond: number, regenDelay: number, minToSprint: number}} stamina
+ * @property {{respawnDelay: number, damageMultipliers: {head: number, torso: number, arms: number, legs: number, default: number},
+ *            friendlyFire: string, friendlyFireScale: number}} combat
+ * @property {{pistol: {damage: number, fireRate: number, range: number, projectileSpeed: number, reloadTime: number}}} weapons
+ * @property {{mode: string, minPlayers: number, warmupTime: number, timeLimit: number, fragLimit: number, postGameTime: number}} match
+ */
+
+/**
+ * Campos de gameplay configuráveis, com os padrões de shared/constants.
+ * @type {ReadonlyArray<import('./config-schema.js').ConfigField>}
+ */
+export const GAME_CONFIG_FIELDS = Object.freeze([
+    { path: 'simulation.tickRate', type: 'integer', min: 10, max: 120, defaultValue: SERVER_TICK_RATE,
+      description: 'Simulation steps (and snapshots) per second.' },
+
+    { path: 'movement.baseSpeed', type: 'number', min: 0, max: 50, defaultValue: BASE_PLAYER_SPEED,
+      description: 'Walking speed (m/s).' },
+    { path: 'movement.acceleration', type: 'number', min: 0, max: 200, defaultValue: PLAYER_ACCELERATION,
+      description: 'Rate (1/s) at which velocity approaches the target speed while moving.' },
+    { path: 'movement.friction', type: 'number', min: 0, max: 200, defaultValue: PLAYER_FRICTION,
+      description: 'Rate (1/s) at which velocity decays without movement input.' },
+    { path: 'movement.gravity', type: 'number', min: 0, max: 100, defaultValue: GRAVITY,
+      description: 'Downward acceleration (m/s²).' },
+    { path: 'movement.jumpVelocity', type: 'number', min: 0, max: 50, defaultValue: JUMP_VELOCITY,
+      description: 'Upward velocity at the start of a jump (m/s).' },
+    { path: 'movement.sprintMultiplier', type: 'number', min: 1, max: 5, defaultValue: SPRINT_SPEED_MULTIPLIER,
+      description: 'Speed multiplier while sprinting.' },
+    { path: 'movement.crouchMultiplier', type: 'number', min: 0.1, max: 1, defaultValue: CROUCH_SPEED_MULTIPLIER,
+      description: 'Speed multiplier while crouching.' },
+
+    { path: 'stamina.max', type: 'number', min: 1, max: 1000, defaultValue: MAX_STAMINA,
+      description: 'Maximum stamina.' },
+    { path: 'stamina.drainPerSecond', type: 'number', min: 0, max: 1000, defaultValue: STAMINA_DRAIN_PER_SECOND,
+      description: 'Stamina spent per second of sprinting.' },
+    { path: 'stamina.regenPerSecond', type: 'number', min: 0, max: 1000, defaultValue: STAMINA_REGEN_PER_SECOND,
+      description: 'Stamina recovered per second.' },
+    { path: 'stamina.regenDelay', type: 'number', min: 0, max: 60, defaultValue: STAMINA_REGEN_DELAY,
+      description: 'Seconds after sprinting before stamina starts to recover.' },
+    { path: 'stamina.minToSprint', type: 'number', min: 0, max: 1000, defaultValue: MIN_STAMINA_TO_SPRINT,
+      description: 'Stamina needed to sprint again after running out.' },
+
+    { path: 'combat.respawnDelay', type: 'number', min: 0, max: 60, defaultValue: RESPAWN_DELAY,
+      description: 'Seconds between death and respawn.' },
+    { path: 'combat.damageMultipliers.head', type: 'number', min: 0, max: 10, defaultValue: DAMAGE_MULTIPLIER_HEAD,
+      description: 'Damage multiplier for head hits.' },
+    { path: 'combat.damageMultipliers.torso', type: 'number', min: 0, max: 10, defaultValue: DAMAGE_MULTIPLIER_TORSO,
+      description: 'Damage multiplier for torso hits.' },
+    { path: 'combat.damageMultipliers.arms', type: 'number', min: 0, max: 10, defaultValue: DAMAGE_MULTIPLIER_ARMS,
+      description: 'Damage multiplier for arm hits.' },
+    { path: 'combat.damageMultipliers.legs', type: 'number', min: 0, max: 10, defaultValue: DAMAGE_MULTIPLIER_LEGS,
+      description: 'Damage multiplier for leg hits.' },
+    { path: 'combat.damageMultipliers.default', type: 'number', min: 0, max: 10, defaultValue: DAMAGE_MULTIPLIER_DEFAULT,
+      description: 'Damage multiplier for hits without a specific hitbox.' },
+    { path: 'combat.friendlyFire', type: 'string', values: FRIENDLY_FIRE_MODES, defaultValue: FRIENDLY_FIRE_MODE,
+      description: 'Teammate hits: off (pass through), reduced (scaled damage) or reflect (scaled damage to the shooter).' },
+    { path: 'combat.friendlyFireScale', type: 'number', min: 0, max: 1, defaultValue: FRIENDLY_FIRE_SCALE,
+      description: 'Damage multiplier for reduced and reflected friendly fire.' },
+
+    { path: 'weapons.pistol.damage', type: 'number', min: 0, max: 1000, defaultValue: PISTOL_DAMAGE,
+      description: 'Pistol damage per hit (before hitbox multipliers).' },
+    { path: 'weapons.pistol.fireRate', type: 'number', min: 0.1, max: 50, defaultValue: PISTOL_FIRE_RATE,
+      description: 'Pistol shots per second.' },
+    { path: 'weapons.pistol.range', type: 'number', min: 1, max: 1000, defaultValue: PISTOL_RANGE,
+      description: 'Pistol projectile range (m).' },
+    { path: 'weapons.pistol.projectileSpeed', type: 'number', min: 1, max: 500, defaultValue: PISTOL_PROJECTILE_SPEED,
+      description: 'Pistol projectile speed (m/s).' },
+    { path: 'weapons.pistol.reloadTime', type: 'number', min: 0, max: 30, defaultValue: PISTOL_RELOAD_TIME,
+      description: 'Pistol reload time (s).' },
+
+    { path: 'match.mode', type: 'string', values: GAME_MODES, defaultValue: MATCH_MODE,
+      description: 'Game mode: ffa (free-for-all) or tdm (team deathmatch).' },
+    { path: 'match.minPlayers', type: 'integer', min: 1, max: 64, defaultValue: MATCH_MIN_PLAYERS,
+      description: 'Players (bots included) needed to start the warmup.' },
+    { path: 'match.warmupTime', type: 'number', min: 0, max: 600, defaultValue: MATCH_WARMUP_TIME,
+      description: 'Warmup countdown before the match goes live (s).' },
+    { path: 'match.timeLimit', type: 'number', min: 0, max: 86400, defaultValue: MATCH_TIME_LIMIT,
+      description: 'Match duration (s); 0 disables the time limit.' },
+    { path: 'match.fragLimit', type: 'integer', min: 0, max: 1000, defaultValue: MATCH_FRAG_LIMIT,
+      description: 'Kills (per player, or per team in tdm) that end the match; 0 disables the frag limit.' },
+    { path: 'match.postGameTime', type: 'number', min: 0, max: 600, defaultValue: MATCH_POST_GAME_TIME,
+      description: 'Time the results stay on screen before the next match (s).' },
+]);
+
+/**
+ * Valores de gameplay em vigor (alterados apenas por applyGameConfig).
+ * @type {GameConfig}
+ */
+export const gameConfig = /** @type {GameConfig} */ (createConfigDefaults(GAME_CONFIG_FIELDS));
+
+/**
+ * Valida e aplica valores de gameplay (parciais: campos omitidos mantêm o valor atual).
+ * @param {any} values
+ * @param {string} [source='game config'] - Origem dos valores, usada nas mensagens de erro.
+ * @returns {GameConfig} `gameConfig` já atualizado.
+ * @throws {Error} Com todos os problemas encontrados, se algum valor for inválido (nada é aplicado).
+ */
+export function applyGameConfig(values, source = 'game config') {
+    const errors = validateConfigValues(values, GAME_CONFIG_FIELDS, source);
+    if (errors.length > 0) {
+        throw new Error(`Invalid game config:\n  - ${errors.join('\n  - ')}`);
+    }
+    for (const field of GAME_CONFIG_FIELDS) {
+        const value = getConfigValue(values, field.path);
+        if (value !== undefined) setConfigValue(gameConfig, field.path, value);
+    }
+    return gameConfig;
+}
+
+/**
+ * @returns {number} Intervalo (ms) entre passos da simulação.
+ */
+export function getTickIntervalMs() {
+    return 1000 / gameConfig.simulation.tickRate;
+}
+
+/**
+ * @returns {number} Passo fixo da simulação, em segundos (ver FIXED_TIME_STEP).
+ */
+export function getFixedTimeStep() {
+    return getTickIntervalMs() / 1000;
+}
+
+/**
+ * @returns {number} Atraso (ms) com que o cliente renderiza os jogadores remotos (ver INTERPOLATION_DELAY_MS).
+ */
+export function getInterpolationDelayMs() {
+    return getTickIntervalMs() * INTERPOLATION_DELAY_TICKS;
+}
@@ -0,0 +1,62 @@
+/**
+ * Constantes dos bots (jogadores controlados pelo servidor).
+ */
+
+/**
+ * Parâmetros de um nível de dificuldade.
+ * @typedef {object} BotDifficulty
+ * @property {number} reactionTimeMs - Tempo entre avistar um alvo e começar a atirar.
+ * @property {number} aimError - Erro máximo da mira (radianos), sorteado de novo a cada AIM_ERROR_INTERVAL_MS.
+ * @property {number} turnSpeed - Velocidade máxima de giro da mira (radianos por segundo).
+ * @property {number} sightRange - Distância máxima (m) em que um alvo é percebido.
+ */
+
+/**
+ * Níveis de dificuldade dos bots.
+ * @type {Readonly<Record<string, BotDifficulty>>}
+ */
+export const BOT_DIFFICULTIES = Object.freeze({
+    easy: Object.freeze({ reactionTimeMs: 700, aimError: 0.12, turnSpeed: 3, sightRange: 35 }),
+    normal: Object.freeze({ reactionTimeMs: 400, aimError: 0.05, turnSpeed: 6, sightRange: 50 }),
+    hard: Object.freeze({ reactionTimeMs: 200, aimError: 0.015, turnSpeed: 10, sightRange: 70 }),
+});
+
+/** Dificuldade usada quando nenhuma é configurada. */
+export const DEFAULT_BOT_DIFFICULTY = 'normal';
+
+/** Intervalo (ms) entre sorteios do erro de mira. */
+export const BOT_AIM_ERROR_INTERVAL_MS = 400;
+
+/** Diferença máxima (radianos) entre a mira atual e a desejada para o bot atirar. */
+export const BOT_FIRE_ANGLE_TOLERANCE = 0.03;
+
+/** Por quanto tempo (ms) o bot persegue a última posição conhecida de um alvo que sumiu de vista. */
+export const BOT_TARGET_MEMORY_MS = 3000;
+
+/** Distância (m) que o bot tenta manter do alvo em combate. */
+export const BOT_PREFERRED_COMBAT_DISTANCE = 12;
+
+/** Intervalo (ms) entre trocas do sentido do movimento lateral em combate: sorteado entre o mínimo e o máximo. */
+export const BOT_STRAFE_MIN_MS = 800;
+export const BOT_STRAFE_MAX_MS = 2000;
+
+/** Intervalo (ms) mínimo entre recálculos do caminho até o mesmo destino. */
+export const BOT_REPATH_INTERVAL_MS = 1000;
+
+/** Distância horizontal (m) em que um ponto do caminho conta como alcançado. */
+export const BOT_WAYPOINT_RADIUS = 0.75;
+
+/** Se o bot andar menos que isso (m) em BOT_STUCK_CHECK_MS querendo se mover, ele pula e recalcula o caminho. */
+export const BOT_STUCK_DISTANCE = 0.3;
+
+/** Intervalo (ms) da verificação de bot preso. */
+export const BOT_STUCK_CHECK_MS = 1000;
+
+
+// --- Grade de Navegação ---
+
+/** Tamanho (m) das células da grade de navegação. */
+export const NAV_GRID_CELL_SIZE = 1;
+
+/** Folga (m) mantida entre o centro do bot e os obstáculos; metade da largura do jogador mais uma margem. */
+export const NAV_GRID_CLEARANCE = 0.55;
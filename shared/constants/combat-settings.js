@@ -12,3 +12,37 @@ export const DAMAGE_MULTIPLIER_LEGS = 0.6;
 
 /** Multiplicador de dano padrão (se a hitbox não for reconhecida). */
 export const DAMAGE_MULTIPLIER_DEFAULT = 1.0;
+
+
+// --- Pontuação e Atribuição de Abates ---
+
+/** Pontos concedidos ao jogador que desfere o golpe final. */
+export const SCORE_PER_KILL = 10;
+
+/** Pontos concedidos a cada jogador que contribuiu com dano para um abate (assistência). */
+export const SCORE_PER_ASSIST = 5;
+
+/** Pontos retirados de quem abate um companheiro de time (o abate não é creditado). */
+export const SCORE_TEAM_KILL_PENALTY = 10;
+
+/** Pontos retirados de quem morre pelo próprio dano (ex: fogo amigo refletido). */
+export const SCORE_SUICIDE_PENALTY = 10;
+
+/** Dano mínimo acumulado sobre a vítima para que uma contribuição conte como assistência. */
+export const ASSIST_DAMAGE_THRESHOLD = 20;
+
+/** Janela (em segundos) antes da morte em que o dano causado ainda conta para assistência. */
+export const ASSIST_WINDOW_SECONDS = 10;
+
+
+// --- Compensação de Latência ---
+
+/**
+ * Se o servidor deve "voltar no tempo" os alvos ao resolver acertos de projéteis,
+ * usando as hitboxes do instante em que o atirador via os outros jogadores.
+ * No servidor pode ser sobrescrito pela variável de ambiente LAG_COMPENSATION ('0' desliga, '1' liga).
+ */
+export const LAG_COMPENSATION_ENABLED = true;
+
+/** Máximo (em ms) que os alvos podem ser voltados no tempo; limita a vantagem de conexões muito lentas. */
+export const MAX_LAG_COMPENSATION_MS = 250;
@@ -1,5 +1,7 @@
 /**
  * Constantes de configuração geral do jogo.
+ * Os valores de gameplay configuráveis (taxa de tick, movimento, estamina, respawn) são apenas os
+ * padrões: o valor em vigor fica em gameConfig (shared/config/game-config.js).
  */
 
 /**
@@ -16,6 +18,41 @@ export const SERVER_TICK_RATE = 30; // Exemplo: 30 atualizações por segundo
  */
 export const SERVER_TICK_INTERVAL_MS = 1000 / SERVER_TICK_RATE;
 
+/**
+ * Passo fixo da simulação, em segundos (um tick do servidor). O servidor avança o jogo sempre
+ * neste passo, e cada input do cliente corresponde a exatamente um passo: a predição do cliente
+ * e o servidor executam a mesma simulação, independentemente da variação dos timers.
+ * @type {number}
+ */
+export const FIXED_TIME_STEP = SERVER_TICK_INTERVAL_MS / 1000;
+
+/**
+ * Máximo de passos executados de uma vez para recuperar o atraso (ex: processo parado por GC ou
+ * pela aba em segundo plano, no cliente). O atraso além disso é descartado em vez de simulado.
+ * @type {number}
+ */
+export const MAX_CATCH_UP_STEPS = 5;
+
+/**
+ * Quantidade de amostras recentes (passos do loop, snapshots de cada cliente) usadas nos percentis
+ * das métricas do servidor (rotas /metrics e /status).
+ * @type {number}
+ */
+export const METRICS_SAMPLE_WINDOW = 300; // 10 segundos de passos a 30 Hz
+
+/**
+ * Atraso, em ticks do servidor, com que o cliente renderiza os jogadores remotos.
+ * @type {number}
+ */
+export const INTERPOLATION_DELAY_TICKS = 1.5;
+
+/**
+ * Atraso (ms) com que o cliente renderiza os jogadores remotos, interpolando entre snapshots.
+ * O servidor usa o mesmo valor para limitar a compensação de latência (ver ServerPlayer.getLagCompensationMs).
+ * @type {number}
+ */
+export const INTERPOLATION_DELAY_MS = SERVER_TICK_INTERVAL_MS * INTERPOLATION_DELAY_TICKS;
+
 /**
  * Velocidade base de movimento dos jogadores (unidades por segundo).
  * @type {number}
@@ -59,4 +96,94 @@ export const GRAVITY = 20.0;
  * Usado para câmera e origem aproximada do projétil.
  * @type {number}
  */
-export const PLAYER_EYE_HEIGHT = 1.6;
\ No newline at end of file
+export const PLAYER_EYE_HEIGHT = 1.6;
+// --- CONSTANTES DE PULO, CORRIDA E AGACHAMENTO ---
+/**
+ * Velocidade vertical inicial do pulo (unidades por segundo).
+ * Altura máxima ≈ JUMP_VELOCITY² / (2 * GRAVITY) = 1.6 unidades (suficiente para subir em caixas).
+ * @type {number}
+ */
+export const JUMP_VELOCITY = 8.0;
+
+/** Multiplicador de velocidade ao correr (Shift). */
+export const SPRINT_SPEED_MULTIPLIER = 1.6;
+
+/** Multiplicador de velocidade agachado. */
+export const CROUCH_SPEED_MULTIPLIER = 0.5;
+
+/** Estamina máxima do jogador. */
+export const MAX_STAMINA = 100;
+
+/** Estamina consumida por segundo enquanto corre. */
+export const STAMINA_DRAIN_PER_SECOND = 25;
+
+/** Estamina recuperada por segundo quando não está correndo. */
+export const STAMINA_REGEN_PER_SECOND = 15;
+
+/** Tempo (em segundos) sem correr antes que a estamina comece a regenerar. */
+export const STAMINA_REGEN_DELAY = 1.0;
+
+/**
+ * Estamina mínima para voltar a correr depois de esgotá-la.
+ * Evita que o jogador alterne entre correr/andar a cada tick com a estamina quase zerada.
+ */
+export const MIN_STAMINA_TO_SPRINT = 15;
+
+/** Tolerância vertical (unidades) para considerar os pés apoiados no chão ou no topo de um obstáculo. */
+export const GROUND_CHECK_EPSILON = 0.05;
+
+/**
+ * Altura máxima (unidades) de um degrau que o jogador sobe andando, sem pular. Também é a distância
+ * máxima que um jogador no chão "gruda" na superfície ao descer degraus e rampas.
+ * @type {number}
+ */
+export const STEP_HEIGHT = 0.45;
+
+/**
+ * Inclinação máxima de uma rampa (altura / comprimento); 1 = 45 graus.
+ * @type {number}
+ */
+export const MAX_RAMP_SLOPE = 1.0;
+// --- FIM CONSTANTES DE PULO, CORRIDA E AGACHAMENTO ---
+
+// --- CONSTANTES DE PROCESSAMENTO DE INPUT ---
+/**
+ * Duração máxima (segundos) de um frame do cliente considerada ao acumular tempo para os passos
+ * fixos da simulação (ver FIXED_TIME_STEP).
+ * @type {number}
+ */
+export const MAX_INPUT_DELTA_TIME = 0.1;
+
+/**
+ * Tempo de simulação (segundos) que um jogador pode acumular para processar inputs.
+ * O orçamento cresce com o tempo simulado pelo servidor; inputs que o excedem aguardam o próximo tick,
+ * impedindo "speed hacks" que enviam mais tempo simulado do que o tempo real decorrido.
+ * @type {number}
+ */
+export const MAX_INPUT_TIME_BUDGET = 0.5;
+
+/** Quantidade máxima de inputs aguardando processamento por jogador (excedentes são descartados). */
+export const MAX_QUEUED_INPUTS = 120;
+
+/**
+ * Tempo (segundos) sem inputs após o qual o servidor simula o jogador sem teclas pressionadas,
+ * para que gravidade e atrito continuem agindo (ex: aba do navegador em segundo plano).
+ * @type {number}
+ */
+export const INPUT_STARVATION_TIMEOUT = 1.0;
+// --- FIM CONSTANTES DE PROCESSAMENTO DE INPUT ---
+
+// --- CONSTANTES DE PARTIÇÃO ESPACIAL ---
+/**
+ * Lado (unidades) das células da grade de obstáculos estáticos. Células menores descartam mais
+ * candidatos, mas obstáculos grandes passam a ocupar muitas células.
+ * @type {number}
+ */
+export const STATIC_GRID_CELL_SIZE = 4;
+
+/**
+ * Lado (unidades) das células da grade de jogadores, remontada a cada tick para os testes de projéteis.
+ * @type {number}
+ */
+export const PLAYER_GRID_CELL_SIZE = 4;
+// --- FIM CONSTANTES DE PARTIÇÃO ESPACIAL ---
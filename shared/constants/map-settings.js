@@ -0,0 +1,40 @@
+/**
+ * Constantes dos mapas (arquivos JSON em shared/gameplay/world/maps/).
+ */
+
+/**
+ * ID do mapa usado pelas salas quando nenhum outro é pedido.
+ * @type {string}
+ */
+export const DEFAULT_MAP_ID = 'default';
+
+/**
+ * Versão atual do formato dos arquivos de mapa. Arquivos com outra versão são rejeitados pelo loader.
+ * @type {number}
+ */
+export const MAP_FORMAT_VERSION = 1;
+
+/**
+ * Formato aceito para IDs de mapa (também é o nome do arquivo, sem a extensão .json).
+ * @type {RegExp}
+ */
+export const MAP_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * Caminho (URL) de onde o cliente baixa os arquivos de mapa.
+ * @type {string}
+ */
+export const MAPS_URL_PATH = '/shared/gameplay/world/maps';
+
+/**
+ * Ordem em que as salas alternam os mapas ao fim de cada partida.
+ * @type {ReadonlyArray<string>}
+ */
+export const MAP_ROTATION = Object.freeze(['default', 'courtyard']);
+
+/**
+ * Tempo máximo (ms) que a sala espera os clientes confirmarem o novo mapa ('mapReady')
+ * antes de reiniciar a partida mesmo assim.
+ * @type {number}
+ */
+export const MAP_CHANGE_READY_TIMEOUT_MS = 15000;
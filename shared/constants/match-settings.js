@@ -0,0 +1,62 @@
+/**
+ * Constantes do ciclo de uma partida (aguardando jogadores, aquecimento, partida valendo, resultados).
+ * Os limites configuráveis são apenas os padrões: o valor em vigor fica em gameConfig.match
+ * (shared/config/game-config.js).
+ */
+
+/**
+ * Estados de uma partida, na ordem em que se sucedem.
+ * - waiting: menos jogadores que o mínimo; joga-se livremente, sem valer pontos.
+ * - warmup: contagem regressiva para o início; ainda não vale pontos.
+ * - live: a partida valendo, até o limite de tempo ou de abates.
+ * - postGame: resultados na tela, com a simulação pausada, até a próxima partida.
+ * @type {Readonly<{WAITING: 'waiting', WARMUP: 'warmup', LIVE: 'live', POST_GAME: 'postGame'}>}
+ */
+export const MATCH_STATES = Object.freeze({
+    WAITING: 'waiting',
+    WARMUP: 'warmup',
+    LIVE: 'live',
+    POST_GAME: 'postGame',
+});
+
+/**
+ * Modos de jogo: todos contra todos ('ffa') ou Team Deathmatch ('tdm', ver shared/constants/team-settings.js).
+ * @type {ReadonlyArray<string>}
+ */
+export const GAME_MODES = Object.freeze(['ffa', 'tdm']);
+
+/**
+ * Modo de jogo padrão.
+ * @type {string}
+ */
+export const MATCH_MODE = 'ffa';
+
+/**
+ * Jogadores (conectados e bots) necessários para sair da espera e começar o aquecimento.
+ * @type {number}
+ */
+export const MATCH_MIN_PLAYERS = 2;
+
+/**
+ * Duração do aquecimento, em segundos.
+ * @type {number}
+ */
+export const MATCH_WARMUP_TIME = 15;
+
+/**
+ * Duração da partida, em segundos (0 = sem limite de tempo).
+ * @type {number}
+ */
+export const MATCH_TIME_LIMIT = 10 * 60;
+
+/**
+ * Abates (de um jogador ou, no modo em equipe, de um time) que encerram a partida (0 = sem limite de abates).
+ * @type {number}
+ */
+export const MATCH_FRAG_LIMIT = 25;
+
+/**
+ * Tempo em segundos em que os resultados ficam na tela antes da próxima partida.
+ * @type {number}
+ */
+export const MATCH_POST_GAME_TIME = 10;
@@ -0,0 +1,100 @@
+/**
+ * Constantes de configuração da sincronização de rede (snapshots).
+ */
+
+/**
+ * A cada quantos snapshots um cliente recebe um keyframe (estado completo), mesmo que esteja em dia.
+ * Limita o tempo que um erro de reconstrução pode persistir no cliente.
+ * @type {number}
+ */
+export const SNAPSHOT_KEYFRAME_INTERVAL = 90; // 3 segundos a 30 Hz
+
+/**
+ * Quantos snapshots recentes o servidor e o cliente guardam para servir de base aos deltas.
+ * Um cliente cuja última confirmação é mais antiga que isso recebe um keyframe.
+ * @type {number}
+ */
+export const SNAPSHOT_HISTORY_SIZE = 32;
+
+/**
+ * Versão do formato binário de rede. Deve ser incrementada a cada mudança incompatível em wire-format.js;
+ * o servidor recusa clientes com versão diferente na conexão.
+ * @type {number}
+ */
+export const PROTOCOL_VERSION = 3;
+
+/**
+ * Escala de quantização de posições e velocidades (unidades por metro): ~1mm de precisão.
+ * @type {number}
+ */
+export const POSITION_QUANTIZATION_SCALE = 1024;
+
+/**
+ * Escala de quantização de ângulos (unidades por radiano).
+ * @type {number}
+ */
+export const ANGLE_QUANTIZATION_SCALE = 10000;
+
+/**
+ * Escala de quantização dos demais valores reais (vida, stamina, mana, tempos restantes...).
+ * @type {number}
+ */
+export const SCALAR_QUANTIZATION_SCALE = 100;
+
+/**
+ * Escala de quantização do deltaTime dos inputs (unidades por segundo): microssegundos.
+ * @type {number}
+ */
+export const INPUT_DELTA_TIME_SCALE = 1000000;
+
+/**
+ * Se o servidor filtra os snapshots por relevância (distância e linha de visão) para cada cliente.
+ * Pode ser sobrescrito pela variável de ambiente INTEREST_MANAGEMENT ('0' desativa).
+ * @type {boolean}
+ */
+export const INTEREST_MANAGEMENT_ENABLED = true;
+
+/**
+ * Distância (m) dentro da qual uma entidade passa a ser relevante para um cliente.
+ * @type {number}
+ */
+export const INTEREST_RADIUS = 60;
+
+/**
+ * Margem (m) além de INTEREST_RADIUS até a qual uma entidade já relevante continua relevante,
+ * evitando que ela entre e saia do snapshot a cada tick na borda do raio.
+ * @type {number}
+ */
+export const INTEREST_RADIUS_HYSTERESIS = 10;
+
+/**
+ * Distância (m) abaixo da qual uma entidade é relevante mesmo sem linha de visão (passos, cantos próximos).
+ * @type {number}
+ */
+export const INTEREST_PROXIMITY_RADIUS = 8;
+
+/**
+ * Tempo (ms) que uma entidade continua relevante depois de sair da linha de visão.
+ * Evita oscilação ao contornar obstáculos e dá margem à interpolação do cliente.
+ * @type {number}
+ */
+export const INTEREST_OCCLUSION_GRACE_MS = 500;
+
+/**
+ * Intervalo (ms) entre as medições de RTT de cada cliente (evento 'latencyProbe' com confirmação).
+ * @type {number}
+ */
+export const LATENCY_PROBE_INTERVAL_MS = 2000;
+
+/**
+ * Tempo (ms) sem confirmação após o qual uma medição de RTT é abandonada.
+ * @type {number}
+ */
+export const LATENCY_PROBE_TIMEOUT_MS = 5000;
+
+/**
+ * Fração com que cada snapshot mais atrasado que o esperado puxa a estimativa do relógio do servidor
+ * no cliente (ver ServerClockEstimate). Snapshots adiantados são aceitos de imediato.
+ * @type {number}
+ */
+export const SERVER_CLOCK_OFFSET_SMOOTHING = 0.05;
@@ -0,0 +1,33 @@
+/**
+ * Constantes das salas de jogo (várias partidas isoladas no mesmo processo do servidor).
+ */
+
+/**
+ * ID da sala criada na inicialização do servidor, usada quando o cliente não pede outra.
+ * @type {string}
+ */
+export const DEFAULT_ROOM_ID = 'default';
+
+/**
+ * Limite de jogadores de uma sala quando não especificado na criação.
+ * @type {number}
+ */
+export const DEFAULT_ROOM_MAX_PLAYERS = 16;
+
+/**
+ * Maior limite de jogadores que pode ser pedido para uma sala.
+ * @type {number}
+ */
+export const MAX_ROOM_PLAYERS = 32;
+
+/**
+ * Número máximo de salas simultâneas (cada uma tem o seu próprio loop de jogo).
+ * @type {number}
+ */
+export const MAX_ROOMS = 8;
+
+/**
+ * Tamanho máximo do nome de uma sala.
+ * @type {number}
+ */
+export const ROOM_NAME_MAX_LENGTH = 32;
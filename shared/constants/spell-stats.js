@@ -0,0 +1,29 @@
+/**
+ * Constantes definindo as estatísticas base das magias e do recurso de mana.
+ */
+
+// --- Mana ---
+export const MAX_MANA = 100; // Mana máxima do jogador
+export const MANA_REGEN_PER_SECOND = 8; // Mana recuperada por segundo
+
+// --- Bola de Fogo (projétil com dano em área) ---
+export const FIREBALL_MANA_COST = 25;
+export const FIREBALL_COOLDOWN = 1.5; // Segundos entre lançamentos
+export const FIREBALL_DAMAGE = 30; // Dano do acerto direto
+export const FIREBALL_SPLASH_DAMAGE = 25; // Dano em área no centro da explosão (cai linearmente até a borda)
+export const FIREBALL_SPLASH_RADIUS = 3.5; // Raio da explosão
+export const FIREBALL_PROJECTILE_SPEED = 35; // Unidades por segundo
+export const FIREBALL_RANGE = 60; // Alcance máximo
+export const FIREBALL_PROJECTILE_SIZE = 0.4;
+
+// --- Aceleração (buff em si mesmo) ---
+export const HASTE_MANA_COST = 30;
+export const HASTE_COOLDOWN = 12;
+export const HASTE_DURATION = 4; // Duração do efeito em segundos
+export const HASTE_SPEED_MULTIPLIER = 1.5; // Multiplicador de velocidade enquanto ativo
+
+// --- Teleporte curto (utilidade) ---
+export const BLINK_MANA_COST = 20;
+export const BLINK_COOLDOWN = 4;
+export const BLINK_DISTANCE = 8; // Distância máxima do teleporte
+export const BLINK_WALL_MARGIN = 0.1; // Folga mantida entre o jogador e um obstáculo no destino
@@ -0,0 +1,33 @@
+/**
+ * Constantes dos times (modo Team Deathmatch) e do fogo amigo.
+ */
+
+/**
+ * Times do modo em equipe, na ordem usada no desempate do balanceamento.
+ * @type {ReadonlyArray<string>}
+ */
+export const TEAMS = Object.freeze(['red', 'blue']);
+
+/**
+ * Cor da roupa de cada time no modelo do personagem.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const TEAM_COLORS = Object.freeze({
+    red: 0xc0392b,
+    blue: 0x2e64c8,
+});
+
+/**
+ * Regras de fogo amigo (acerto em um companheiro de time):
+ * - off: o projétil atravessa o companheiro, sem dano;
+ * - reduced: o companheiro recebe o dano multiplicado por FRIENDLY_FIRE_SCALE;
+ * - reflect: o companheiro não recebe dano; o atirador recebe o dano multiplicado por FRIENDLY_FIRE_SCALE.
+ * @type {ReadonlyArray<string>}
+ */
+export const FRIENDLY_FIRE_MODES = Object.freeze(['off', 'reduced', 'reflect']);
+
+/** Regra de fogo amigo padrão. */
+export const FRIENDLY_FIRE_MODE = 'off';
+
+/** Multiplicador do dano de fogo amigo nas regras 'reduced' e 'reflect'. */
+export const FRIENDLY_FIRE_SCALE = 0.5;
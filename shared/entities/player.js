@@ -1,19 +1,47 @@
 import { GameObject } from '../base/game-object.js';
 import { Vector3 } from '../physics/vector.js';
 import { clamp, generateUUID } from '../utils/math-utils.js';
-import { log, warn } from '../utils/logger.js';
-import { PLAYER_HEIGHT, PLAYER_WIDTH, PLAYER_DEPTH } from '../base/collidable.js';
-// Importar constantes de dano localizado
+import { createLogger } from '../utils/logger.js';
+import { getCurrentTime } from '../utils/clock.js';
+import { PLAYER_HEIGHT, PLAYER_CROUCH_HEIGHT, PLAYER_WIDTH, PLAYER_DEPTH } from '../base/collidable.js';
 import {
-    DAMAGE_MULTIPLIER_HEAD,
-    DAMAGE_MULTIPLIER_TORSO,
-    DAMAGE_MULTIPLIER_ARMS,
-    DAMAGE_MULTIPLIER_LEGS,
-    DAMAGE_MULTIPLIER_DEFAULT
+    MIN_SPEED_THRESHOLD,
+    PLAYER_EYE_HEIGHT
+} from '../constants/game-settings.js';
+import {
+    ASSIST_WINDOW_SECONDS,
+    ASSIST_DAMAGE_THRESHOLD
 } from '../constants/combat-settings.js';
+// Movimento, estamina e multiplicadores de dano localizado vêm da configuração em vigor
+import { gameConfig } from '../config/game-config.js';
+import { MAX_MANA, MANA_REGEN_PER_SECOND } from '../constants/spell-stats.js';
+
+const { log, warn, debug } = createLogger('player');
 
 const DEFAULT_HEALTH = 100;
 
+/** Direção de movimento temporária de applyInputLocally (evita alocar a cada input). */
+const moveDirection = new Vector3();
+
+/**
+ * Origem de um dano aplicado ao jogador, usada para atribuir abates e assistências.
+ * @typedef {object} DamageSource
+ * @property {string | null} attackerId - ID do jogador que causou o dano (null para dano ambiental).
+ * @property {string} [weaponType] - Tipo da arma/projétil que causou o dano (ex: 'pistol_bullet').
+ * @property {number} [distance] - Distância entre a origem do disparo e o ponto de impacto.
+ */
+
+/**
+ * Informações sobre a morte de um jogador, repassadas para onDeath().
+ * @typedef {object} DeathInfo
+ * @property {string | null} killerId - ID de quem desferiu o golpe final (null se não houver ou se foi o próprio jogador).
+ * @property {boolean} suicide - O golpe final foi dano do próprio jogador (ex: fogo amigo refletido).
+ * @property {Array<string>} assisterIds - IDs dos jogadores que contribuíram com dano recente.
+ * @property {string | null} weaponType - Tipo da arma do golpe final.
+ * @property {string} hitboxKey - Hitbox atingida no golpe final.
+ * @property {number | null} distance - Distância do golpe final.
+ */
+
 /**
  * Representa um jogador no jogo, com propriedades básicas como vida e pontuação.
  * Herda de GameObject.
@@ -27,6 +55,23 @@ export class Player extends GameObject {
   name;
   /** @type {number} */
   score;
+  /** @type {number} */
+  kills = 0;
+  /** @type {number} */
+  deaths = 0;
+  /** @type {number} */
+  assists = 0;
+  /**
+   * Time do jogador no modo em equipe (null = sem time, ex: todos contra todos).
+   * @type {string | null}
+   */
+  team = null;
+
+  /**
+   * Dano recebido por atacante desde o último respawn (para cálculo de assistências).
+   * @type {Map<string, {damage: number, lastHitTime: number}>}
+   */
+  damageContributors = new Map();
 
   // Definir dimensões para cálculo da bounding box
   width = PLAYER_WIDTH;
@@ -39,9 +84,61 @@ export class Player extends GameObject {
    */
   currentWeapon = null;
   
+  /**
+   * Magias conhecidas, indexadas pelo slot de lançamento (Cast1 = slot 0, Cast2 = slot 1, ...).
+   * @type {Array<import('../gameplay/spells/spell.js').Spell>}
+   */
+  spells = [];
+  /**
+   * Recargas das magias recebidas do servidor (o cliente não instancia as magias).
+   * @type {Array<{type: string, remaining: number}>}
+   */
+  spellCooldowns = [];
+  /** @type {number} */
+  mana = MAX_MANA;
+  /** @type {number} */
+  maxMana = MAX_MANA;
+  /**
+   * Efeitos temporários ativos (ex: 'haste'), com o tempo restante em segundos.
+   * @type {Map<string, {remaining: number, speedMultiplier: number}>}
+   */
+  statusEffects = new Map();
+
   /** @type {boolean} */
   isAlive = true; // Adicionado na Etapa 20, inicializado como true
 
+  // --- Estado de Movimento (pulo, corrida, agachamento) ---
+  /**
+   * Se os pés do jogador estão apoiados no chão ou no topo de um obstáculo.
+   * Atualizado pelo MovementSystem após a resolução de colisões.
+   * @type {boolean}
+   */
+  isGrounded = false;
+  /** @type {boolean} */
+  isCrouching = false;
+  /**
+   * Se o input atual pede para agachar. Levantar depende de haver espaço livre acima,
+   * o que é verificado pelo MovementSystem (que conhece os obstáculos).
+   * @type {boolean}
+   */
+  wantsToCrouch = false;
+  /** @type {boolean} */
+  isSprinting = false;
+  /** @type {number} */
+  stamina = gameConfig.stamina.max;
+  /** @type {number} */
+  maxStamina = gameConfig.stamina.max;
+  /**
+   * Verdadeiro após esgotar a estamina, até recuperar `gameConfig.stamina.minToSprint`.
+   * @type {boolean}
+   */
+  isStaminaExhausted = false;
+  /**
+   * Tempo restante (segundos) até a estamina voltar a regenerar.
+   * @type {number}
+   */
+  staminaRegenCooldown = 0;
+
   /**
    * Cria uma nova instância de Player.
    * @param {string} [id=generateUUID()] - ID único do jogador.
@@ -57,6 +154,10 @@ export class Player extends GameObject {
     this.maxHealth = maxHealth;
     this.health = this.maxHealth; // Começa com vida cheia
     this.score = 0;
+    this.kills = 0;
+    this.deaths = 0;
+    this.assists = 0;
+    this.damageContributors = new Map();
     this.currentWeapon = null; // Inicializa sem arma
     this.isAlive = true; // Garante que comece vivo
   }
@@ -66,32 +167,85 @@ export class Player extends GameObject {
    * A vida não pode ficar abaixo de 0.
    * @param {number} baseAmount - Quantidade de dano base a ser aplicada.
    * @param {string} [hitboxKey='default'] - A chave da hitbox atingida ('head', 'torso', etc.).
+   * @param {DamageSource | null} [source=null] - Origem do dano (atacante, arma, distância).
+   * @returns {number} O dano efetivamente aplicado (0 se ignorado).
    */
-  takeDamage(baseAmount, hitboxKey = 'default') {
-    if (!this.isAlive || baseAmount <= 0) return; // Não pode tomar dano se já estiver morto
+  takeDamage(baseAmount, hitboxKey = 'default', source = null) {
+    if (!this.isAlive || baseAmount <= 0) return 0; // Não pode tomar dano se já estiver morto
     
-    let multiplier = DAMAGE_MULTIPLIER_DEFAULT;
+    const multipliers = gameConfig.combat.damageMultipliers;
+    let multiplier = multipliers.default;
     switch (hitboxKey?.toLowerCase()) { // Adicionado '?' para segurança e toLowerCase
-        case 'head': multiplier = DAMAGE_MULTIPLIER_HEAD; break;
-        case 'torso': multiplier = DAMAGE_MULTIPLIER_TORSO; break;
-        case 'arms': case 'arms_l': case 'arms_r': multiplier = DAMAGE_MULTIPLIER_ARMS; break;
-        case 'legs': multiplier = DAMAGE_MULTIPLIER_LEGS; break;
-        default: multiplier = DAMAGE_MULTIPLIER_DEFAULT;
+        case 'head': multiplier = multipliers.head; break;
+        case 'torso': multiplier = multipliers.torso; break;
+        case 'arms': case 'arms_l': case 'arms_r': multiplier = multipliers.arms; break;
+        case 'legs': multiplier = multipliers.legs; break;
+        default: multiplier = multipliers.default;
     }
     const finalAmount = Math.round(baseAmount * multiplier);
     
     const previousHealth = this.health;
     this.health = clamp(this.health - finalAmount, 0, this.maxHealth);
+    const appliedAmount = previousHealth - this.health;
+
+    // Registra a contribuição do atacante (dano a si mesmo não conta)
+    const attackerId = source?.attackerId ?? null;
+    if (attackerId && attackerId !== this.id && appliedAmount > 0) {
+        const contribution = this.damageContributors.get(attackerId) ?? { damage: 0, lastHitTime: 0 };
+        contribution.damage += appliedAmount;
+        contribution.lastHitTime = getCurrentTime();
+        this.damageContributors.set(attackerId, contribution);
+    }
     
-    log(`Player ${this.id} (${this.name}) took ${finalAmount} damage (${baseAmount} * ${multiplier.toFixed(1)}x at ${hitboxKey}). Health: ${previousHealth.toFixed(0)} -> ${this.health.toFixed(0)}/${this.maxHealth.toFixed(0)}`);
-    
+    debug(`Player ${this.id} (${this.name}) took ${finalAmount} damage (${baseAmount} * ${multiplier.toFixed(1)}x at ${hitboxKey}) from ${attackerId ?? 'world'}. Health: ${previousHealth.toFixed(0)} -> ${this.health.toFixed(0)}/${this.maxHealth.toFixed(0)}`);
+
+    // Notificado antes de onDeath, para que o dano do golpe final preceda a morte
+    if (appliedAmount > 0 && typeof this.onDamage === 'function') {
+        this.onDamage(appliedAmount, hitboxKey, source);
+    }
+
     if (this.health <= 0 && this.isAlive) { // Só processa morte uma vez
         this.isAlive = false;
+        this.deaths++;
         log(`Player ${this.id} (${this.name}) has died.`);
+
+        const suicide = attackerId === this.id;
+        const killerId = attackerId && !suicide ? attackerId : null;
+        /** @type {DeathInfo} */
+        const deathInfo = {
+            killerId: killerId,
+            suicide,
+            assisterIds: this.getRecentAssisterIds(killerId),
+            weaponType: source?.weaponType ?? null,
+            hitboxKey: hitboxKey,
+            distance: typeof source?.distance === 'number' ? source.distance : null,
+        };
         if (typeof this.onDeath === 'function') {
-            this.onDeath();
+            this.onDeath(deathInfo);
         }
     }
+
+    return appliedAmount;
+  }
+
+  /**
+   * Retorna os IDs dos jogadores que causaram dano recente o suficiente para
+   * contar como assistência, excluindo o autor do abate.
+   * @param {string | null} killerId - ID do autor do abate (excluído da lista).
+   * @param {number} [minDamage=ASSIST_DAMAGE_THRESHOLD] - Dano mínimo acumulado.
+   * @returns {Array<string>}
+   */
+  getRecentAssisterIds(killerId, minDamage = ASSIST_DAMAGE_THRESHOLD) {
+    const now = getCurrentTime();
+    const windowMs = ASSIST_WINDOW_SECONDS * 1000;
+    const assisterIds = [];
+    for (const [attackerId, contribution] of this.damageContributors) {
+        if (attackerId === killerId) continue;
+        if (contribution.damage < minDamage) continue;
+        if (now - contribution.lastHitTime > windowMs) continue;
+        assisterIds.push(attackerId);
+    }
+    return assisterIds;
   }
 
   /**
@@ -105,7 +259,7 @@ export class Player extends GameObject {
     const previousHealth = this.health;
     this.health = clamp(this.health + amount, 0, this.maxHealth);
      if (this.health > previousHealth) {
-         log(`Player ${this.id} (${this.name}) healed ${amount}. Health: ${previousHealth} -> ${this.health}`);
+         debug(`Player ${this.id} (${this.name}) healed ${amount}. Health: ${previousHealth} -> ${this.health}`);
      }
   }
 
@@ -121,6 +275,118 @@ export class Player extends GameObject {
     }
   }
 
+  /**
+   * Aplica um input de movimento à velocidade do jogador: direção WASD relativa ao yaw,
+   * corrida com estamina (Shift), agachamento e pulo (Espaço).
+   * Compartilhado entre o servidor (autoritativo) e a predição do cliente, para que ambos
+   * calculem exatamente o mesmo movimento. A integração da posição, a gravidade e as colisões
+   * ficam a cargo do MovementSystem.
+   * @param {{W?: boolean, A?: boolean, S?: boolean, D?: boolean, Shift?: boolean, Space?: boolean, Crouch?: boolean}} keys - Estado das teclas.
+   * @param {number} lookYaw - Rotação horizontal em radianos.
+   * @param {number} deltaTime - Intervalo simulado em segundos.
+   */
+  applyMovementInput(keys, lookYaw, deltaTime) {
+    // 1. Postura: agachar é imediato; levantar é decidido pelo MovementSystem
+    this.wantsToCrouch = !!keys.Crouch;
+    if (this.wantsToCrouch && !this.isCrouching) {
+        this.setCrouching(true);
+    }
+
+    // 2. Vetor de input local (Z- é para frente, X- é para esquerda)
+    let inputX = 0;
+    let inputZ = 0;
+    if (keys.W) inputZ -= 1;
+    if (keys.S) inputZ += 1;
+    if (keys.A) inputX -= 1;
+    if (keys.D) inputX += 1;
+    const hasMovementInput = inputX !== 0 || inputZ !== 0;
+
+    // 3. Corrida e estamina
+    this.isSprinting = !!keys.Shift && hasMovementInput && !this.isCrouching && !this.isStaminaExhausted && this.stamina > 0;
+    this._updateStamina(deltaTime);
+
+    // 4. Velocidade alvo no mundo (rotação em torno de Y pelo yaw)
+    let targetX = 0;
+    let targetZ = 0;
+    if (hasMovementInput) {
+        const inputLength = Math.sqrt(inputX * inputX + inputZ * inputZ);
+        inputX /= inputLength;
+        inputZ /= inputLength;
+
+        const worldDirection = moveDirection.set(inputX, 0, inputZ).applyYaw(lookYaw);
+
+        let speed = gameConfig.movement.baseSpeed * this.getSpeedMultiplier();
+        if (this.isSprinting) speed *= gameConfig.movement.sprintMultiplier;
+        else if (this.isCrouching) speed *= gameConfig.movement.crouchMultiplier;
+
+        targetX = worldDirection.x * speed;
+        targetZ = worldDirection.z * speed;
+    }
+
+    // 5. Aceleração/atrito exponencial apenas no plano horizontal (Y é da gravidade/pulo)
+    const k = hasMovementInput ? gameConfig.movement.acceleration : gameConfig.movement.friction;
+    const alpha = 1 - Math.exp(-k * deltaTime);
+    this.velocity.x += (targetX - this.velocity.x) * alpha;
+    this.velocity.z += (targetZ - this.velocity.z) * alpha;
+
+    if (!hasMovementInput) {
+        const horizontalSpeedSq = this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z;
+        if (horizontalSpeedSq < MIN_SPEED_THRESHOLD * MIN_SPEED_THRESHOLD) {
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+        }
+    }
+
+    // 6. Pulo (apenas apoiado)
+    if (keys.Space && this.isGrounded) {
+        this.velocity.y = gameConfig.movement.jumpVelocity;
+        this.isGrounded = false;
+    }
+  }
+
+  /**
+   * Consome ou regenera estamina conforme o estado de corrida.
+   * @param {number} deltaTime
+   * @private
+   */
+  _updateStamina(deltaTime) {
+    if (this.isSprinting) {
+        this.stamina = Math.max(0, this.stamina - gameConfig.stamina.drainPerSecond * deltaTime);
+        this.staminaRegenCooldown = gameConfig.stamina.regenDelay;
+        if (this.stamina <= 0) {
+            this.isStaminaExhausted = true;
+            this.isSprinting = false;
+        }
+        return;
+    }
+
+    if (this.staminaRegenCooldown > 0) {
+        this.staminaRegenCooldown = Math.max(0, this.staminaRegenCooldown - deltaTime);
+        return;
+    }
+    this.stamina = Math.min(this.maxStamina, this.stamina + gameConfig.stamina.regenPerSecond * deltaTime);
+    if (this.isStaminaExhausted && this.stamina >= gameConfig.stamina.minToSprint) {
+        this.isStaminaExhausted = false;
+    }
+  }
+
+  /**
+   * Alterna a postura do jogador, ajustando a altura usada pela AABB e pelas hitboxes.
+   * @param {boolean} crouch - `true` para agachar, `false` para ficar em pé.
+   */
+  setCrouching(crouch) {
+    this.isCrouching = crouch;
+    this.height = crouch ? PLAYER_CROUCH_HEIGHT : PLAYER_HEIGHT;
+  }
+
+  /**
+   * Altura dos olhos em relação aos pés, proporcional à postura atual.
+   * @returns {number}
+   */
+  getEyeHeight() {
+    return PLAYER_EYE_HEIGHT * (this.height / PLAYER_HEIGHT);
+  }
+
   /**
    * Equipa uma nova arma. Descarta a anterior se houver. (Tarefa 6)
    * @param {import('../gameplay/weapons/weapon.js').Weapon | null} weaponInstance - A instância da arma a ser equipada, ou null para desequipar.
@@ -131,7 +397,7 @@ export class Player extends GameObject {
     const oldWeaponName = this.currentWeapon?.constructor.name ?? 'nothing';
     this.currentWeapon = weaponInstance;
     const newWeaponName = this.currentWeapon?.constructor.name ?? 'nothing';
-    log(`Player ${this.id} equipped ${newWeaponName} (was ${oldWeaponName}).`);
+    debug(`Player ${this.id} equipped ${newWeaponName} (was ${oldWeaponName}).`);
     // Poderia haver lógica aqui para soltar a arma antiga no mundo, etc.
   }
 
@@ -151,6 +417,76 @@ export class Player extends GameObject {
     return this.currentWeapon.fire(direction);
   }
 
+  /**
+   * Define as magias conhecidas, na ordem dos slots de lançamento.
+   * @param {Array<import('../gameplay/spells/spell.js').Spell>} spellInstances
+   */
+  equipSpells(spellInstances) {
+    this.spells = spellInstances.filter(Boolean);
+    debug(`Player ${this.id} equipped spells: [${this.spells.map(spell => spell.spellType).join(', ')}].`);
+  }
+
+  /**
+   * Tenta lançar a magia do slot especificado.
+   * @param {number} slotIndex - Índice do slot (0 para Cast1, 1 para Cast2, ...).
+   * @param {Vector3} direction - A direção normalizada da mira.
+   * @returns {import('../gameplay/spells/spell.js').SpellCastData | null} Os dados do lançamento ou null.
+   */
+  castSpell(slotIndex, direction) {
+    const spell = this.spells[slotIndex];
+    if (!this.isAlive || !spell) return null;
+    return spell.cast(direction);
+  }
+
+  /**
+   * Consome mana. Chamado pela magia após um lançamento válido.
+   * @param {number} amount
+   */
+  spendMana(amount) {
+    this.mana = clamp(this.mana - amount, 0, this.maxMana);
+  }
+
+  /**
+   * Aplica (ou renova) um efeito temporário no jogador.
+   * @param {string} type - Identificador do efeito (ex: 'haste').
+   * @param {number} duration - Duração em segundos.
+   * @param {{speedMultiplier?: number}} [modifiers={}] - Modificadores aplicados enquanto ativo.
+   */
+  addStatusEffect(type, duration, modifiers = {}) {
+    this.statusEffects.set(type, {
+        remaining: duration,
+        speedMultiplier: modifiers.speedMultiplier ?? 1,
+    });
+    debug(`Player ${this.id} gained status effect '${type}' for ${duration}s.`);
+  }
+
+  /**
+   * Multiplicador de velocidade combinado de todos os efeitos ativos.
+   * @returns {number}
+   */
+  getSpeedMultiplier() {
+    let multiplier = 1;
+    for (const effect of this.statusEffects.values()) {
+        multiplier *= effect.speedMultiplier;
+    }
+    return multiplier;
+  }
+
+  /**
+   * Regenera mana e decrementa a duração dos efeitos temporários.
+   * @param {number} deltaTime
+   */
+  updateSpellResources(deltaTime) {
+    if (!this.isAlive) return;
+    this.mana = Math.min(this.maxMana, this.mana + MANA_REGEN_PER_SECOND * deltaTime);
+    for (const [type, effect] of this.statusEffects) {
+        effect.remaining -= deltaTime;
+        if (effect.remaining <= 0) {
+            this.statusEffects.delete(type);
+        }
+    }
+  }
+
   /**
    * Restaura o estado do jogador para vivo em uma nova posição.
    * @param {Vector3} position - Nova posição de spawn.
@@ -160,25 +496,60 @@ export class Player extends GameObject {
       this.isAlive = true;
       this.position.copy(position);
       this.velocity.zero(); // Zera velocidade ao respawnar
+      this.damageContributors.clear(); // Dano da vida anterior não conta para assistências
+      this.setCrouching(false);
+      this.wantsToCrouch = false;
+      this.isSprinting = false;
+      this.isGrounded = false;
+      this.stamina = this.maxStamina;
+      this.isStaminaExhausted = false;
+      this.staminaRegenCooldown = 0;
+      this.mana = this.maxMana;
+      this.statusEffects.clear();
       log(`Player ${this.id} (${this.name}) respawned at ${position.toString()}.`);
       // Futuro: Poderia adicionar invulnerabilidade temporária aqui
   }
 
+  /**
+   * Zera a pontuação (pontos, abates, mortes e assistências), ex: no início de uma partida.
+   */
+  resetScore() {
+      this.score = 0;
+      this.kills = 0;
+      this.deaths = 0;
+      this.assists = 0;
+  }
+
   /**
    * Obtém o estado serializável do jogador para sincronização.
    * Inclui propriedades adicionais além das de GameObject.
-   * @returns {object} Estado do jogador (id, position, health, maxHealth, name, score).
+   * @returns {object} Estado do jogador (id, position, health, maxHealth, name, score, kills, deaths, assists, mana, ...).
    */
   getState() {
     const baseState = super.getState(); // Obtém o estado de GameObject (id, position)
     return {
       ...baseState, // Inclui id, position
+      // Velocidade e apoio são necessários para o cliente re-simular seus inputs sobre este estado
+      velocity: { x: this.velocity.x, y: this.velocity.y, z: this.velocity.z },
+      isGrounded: this.isGrounded,
       health: this.health,
       maxHealth: this.maxHealth,
       name: this.name,
       score: this.score,
+      kills: this.kills,
+      deaths: this.deaths,
+      assists: this.assists,
+      stamina: this.stamina,
+      maxStamina: this.maxStamina,
+      isCrouching: this.isCrouching,
+      isSprinting: this.isSprinting,
+      mana: this.mana,
+      maxMana: this.maxMana,
+      spellCooldowns: this.spells.map(spell => ({ type: spell.spellType, remaining: spell.getCooldownRemaining() })),
+      statusEffects: Array.from(this.statusEffects, ([type, effect]) => ({ type, ...effect })),
       isAlive: this.isAlive, // Inclui isAlive no estado (Etapa 20)
       lookYaw: this.lookYaw, // --- ADICIONADO: Inclui lookYaw para sincronização ---
+      team: this.team,
       // Futuramente: Adicionar ID ou tipo da arma equipada ao estado?
       // currentWeaponType: this.currentWeapon?.constructor.name.toLowerCase() ?? null,
       // ammo: this.currentWeapon?.ammo ?? 0,
@@ -196,6 +567,19 @@ export class Player extends GameObject {
     if (state.maxHealth !== undefined) this.maxHealth = state.maxHealth;
     if (state.name !== undefined) this.name = state.name;
     if (state.score !== undefined) this.score = state.score;
+    if (state.kills !== undefined) this.kills = state.kills;
+    if (state.deaths !== undefined) this.deaths = state.deaths;
+    if (state.assists !== undefined) this.assists = state.assists;
+    if (state.stamina !== undefined) this.stamina = state.stamina;
+    if (state.maxStamina !== undefined) this.maxStamina = state.maxStamina;
+    if (state.isCrouching !== undefined && state.isCrouching !== this.isCrouching) this.setCrouching(state.isCrouching);
+    if (state.isSprinting !== undefined) this.isSprinting = state.isSprinting;
+    if (state.mana !== undefined) this.mana = state.mana;
+    if (state.maxMana !== undefined) this.maxMana = state.maxMana;
+    if (state.spellCooldowns !== undefined) this.spellCooldowns = state.spellCooldowns;
+    if (state.statusEffects !== undefined) {
+        this.statusEffects = new Map(state.statusEffects.map(({ type, ...effect }) => [type, effect]));
+    }
     if (state.isAlive !== undefined) { // <-- Garantir atualização
         // Se o estado mudou, logar a mudança no cliente (pode ser útil para debug)
         // if (this.isAlive !== state.isAlive) {
@@ -204,57 +588,61 @@ export class Player extends GameObject {
         this.isAlive = state.isAlive;
     }
     if (state.lookYaw !== undefined) this.lookYaw = state.lookYaw; // --- ADICIONADO: Aplica lookYaw recebido ---
+    if (state.team !== undefined) this.team = state.team || null; // Na rede, sem time chega como ''
   }
 
   /**
    * Calcula a AABB do jogador na posição especificada (pés na posição Y).
    * @param {Vector3} [pos=this.position] - Posição base (pés) para calcular a AABB.
+   * @param {{min: Vector3, max: Vector3}} [out] - AABB que recebe o resultado (sem `out`, uma nova é criada).
    * @returns {{min: Vector3, max: Vector3}}
    */
-  getBoundingBox(pos = this.position) {
-    return this._calculateAABB(pos);
+  getBoundingBox(pos = this.position, out = { min: new Vector3(), max: new Vector3() }) {
+    return this._calculateAABB(pos, out);
   }
 
   /**
    * Calcula e retorna as Hitboxes AABB do jogador no espaço do mundo na posição atual.
+   * @param {Object.<string, {min: Vector3, max: Vector3}>} [out] - Hitboxes (de uma chamada anterior) a
+   *        reaproveitar; sem `out`, um novo mapa é criado (necessário quando o resultado é guardado).
    * @returns {Object.<string, {min: Vector3, max: Vector3}>} Mapa de hitboxes.
    */
-  getHitboxes() {
-    return this._calculateHitboxes(this.position);
+  getHitboxes(out = {}) {
+    return this._calculateHitboxes(this.position, out);
   }
 
   /**
    * Calcula a AABB em uma posição específica (helper interno).
    * @param {Vector3} pos - A posição base (pés) para calcular a AABB.
+   * @param {{min: Vector3, max: Vector3}} out - AABB que recebe o resultado.
    * @returns {{min: Vector3, max: Vector3}}
    * @protected
    */
-  _calculateAABB(pos) {
+  _calculateAABB(pos, out) {
       const halfWidth = this.width / 2;
       const halfDepth = this.depth / 2;
       const expansion = 0.01;
-      return {
-          min: new Vector3(
-              pos.x - halfWidth - expansion,
-              pos.y - expansion, // Base Y
-              pos.z - halfDepth - expansion
-          ),
-          max: new Vector3(
-              pos.x + halfWidth + expansion,
-              pos.y + this.height + expansion, // Topo Y = base + altura
-              pos.z + halfDepth + expansion
-          ),
-      };
+      out.min.set(
+          pos.x - halfWidth - expansion,
+          pos.y - expansion, // Base Y
+          pos.z - halfDepth - expansion
+      );
+      out.max.set(
+          pos.x + halfWidth + expansion,
+          pos.y + this.height + expansion, // Topo Y = base + altura
+          pos.z + halfDepth + expansion
+      );
+      return out;
   }
 
    /**
    * Calcula as hitboxes em uma posição específica (helper interno).
    * @param {Vector3} pos - A posição base (pés) para calcular as hitboxes.
+   * @param {Object.<string, {min: Vector3, max: Vector3}>} out - Mapa que recebe as hitboxes (caixas existentes são reaproveitadas).
    * @returns {Object.<string, {min: Vector3, max: Vector3}>} Mapa de hitboxes.
    * @protected
    */
-   _calculateHitboxes(pos) {
-      const hitboxes = {};
+   _calculateHitboxes(pos, out) {
       const epsilon = 0.02; // Pequena sobreposição/folga
 
       // Dimensões relativas para o modelo voxel
@@ -275,41 +663,36 @@ export class Player extends GameObject {
       const headCenterY = torsoTopY + headSize / 2; // Centro do cubo da cabeça
 
       // Cabeça (Cubo)
-      const headCenter = new Vector3(pos.x, headCenterY, pos.z);
-      hitboxes['head'] = {
-          min: headCenter.clone().subtract(new Vector3(headSize / 2 + epsilon, headSize / 2 + epsilon, headSize / 2 + epsilon)),
-          max: headCenter.clone().add(new Vector3(headSize / 2 + epsilon, headSize / 2 + epsilon, headSize / 2 + epsilon))
-      };
-
+      setHitbox(out, 'head', pos.x, headCenterY, pos.z, headSize / 2 + epsilon, headSize / 2 + epsilon, headSize / 2 + epsilon);
       // Tronco
-      const torsoCenter = new Vector3(pos.x, legTopY + torsoHeight / 2, pos.z);
-      hitboxes['torso'] = {
-          min: torsoCenter.clone().subtract(new Vector3(torsoWidth / 2 + epsilon, torsoHeight / 2 + epsilon, torsoDepth / 2 + epsilon)),
-          max: torsoCenter.clone().add(new Vector3(torsoWidth / 2 + epsilon, torsoHeight / 2 + epsilon, torsoDepth / 2 + epsilon))
-      };
-
+      setHitbox(out, 'torso', pos.x, legTopY + torsoHeight / 2, pos.z, torsoWidth / 2 + epsilon, torsoHeight / 2 + epsilon, torsoDepth / 2 + epsilon);
       // Pernas (Caixa única - simplificado, poderia ser duas)
-      const legCenter = new Vector3(pos.x, pos.y + legHeight / 2, pos.z);
-      hitboxes['legs'] = {
-          min: legCenter.clone().subtract(new Vector3(legWidth / 2 + epsilon, legHeight / 2 + epsilon, legWidth / 2 + epsilon)), // Usando legWidth
-          max: legCenter.clone().add(new Vector3(legWidth / 2 + epsilon, legHeight / 2 + epsilon, legWidth / 2 + epsilon))
-      };
+      setHitbox(out, 'legs', pos.x, pos.y + legHeight / 2, pos.z, legWidth / 2 + epsilon, legHeight / 2 + epsilon, legWidth / 2 + epsilon);
 
       // --- HITBOX DOS BRAÇOS ---
-      // Braço Esquerdo
-      const leftArmCenter = new Vector3(pos.x - armOffsetX, pos.y + armOffsetY, pos.z);
-      hitboxes['arms_l'] = { // Chave específica para diferenciar
-          min: leftArmCenter.clone().subtract(new Vector3(armWidth / 2 + epsilon, armLength / 2 + epsilon, armWidth / 2 + epsilon)),
-          max: leftArmCenter.clone().add(new Vector3(armWidth / 2 + epsilon, armLength / 2 + epsilon, armWidth / 2 + epsilon))
-      };
+      // Braço Esquerdo (chave específica para diferenciar)
+      setHitbox(out, 'arms_l', pos.x - armOffsetX, pos.y + armOffsetY, pos.z, armWidth / 2 + epsilon, armLength / 2 + epsilon, armWidth / 2 + epsilon);
       // Braço Direito
-      const rightArmCenter = new Vector3(pos.x + armOffsetX, pos.y + armOffsetY, pos.z);
-      hitboxes['arms_r'] = { // Chave específica para diferenciar
-          min: rightArmCenter.clone().subtract(new Vector3(armWidth / 2 + epsilon, armLength / 2 + epsilon, armWidth / 2 + epsilon)),
-          max: rightArmCenter.clone().add(new Vector3(armWidth / 2 + epsilon, armLength / 2 + epsilon, armWidth / 2 + epsilon))
-      };
+      setHitbox(out, 'arms_r', pos.x + armOffsetX, pos.y + armOffsetY, pos.z, armWidth / 2 + epsilon, armLength / 2 + epsilon, armWidth / 2 + epsilon);
       // -------------------------
 
-      return hitboxes;
+      return out;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Define (criando se preciso) uma hitbox do mapa pelo centro e pelas meias-dimensões.
+ * @param {Object.<string, {min: Vector3, max: Vector3}>} hitboxes
+ * @param {string} key
+ * @param {number} centerX
+ * @param {number} centerY
+ * @param {number} centerZ
+ * @param {number} halfX
+ * @param {number} halfY
+ * @param {number} halfZ
+ */
+function setHitbox(hitboxes, key, centerX, centerY, centerZ, halfX, halfY, halfZ) {
+    const box = hitboxes[key] ?? (hitboxes[key] = { min: new Vector3(), max: new Vector3() });
+    box.min.set(centerX - halfX, centerY - halfY, centerZ - halfZ);
+    box.max.set(centerX + halfX, centerY + halfY, centerZ + halfZ);
+}
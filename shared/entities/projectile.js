@@ -1,7 +1,9 @@
 import { GameObject } from '../base/game-object.js';
 import { Vector3 } from '../physics/vector.js';
 import { generateUUID } from '../utils/math-utils.js';
-import { log } from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
+
+const { log } = createLogger('projectiles');
 
 /**
  * Classe base para projéteis (balas, magias, etc.).
@@ -38,6 +40,30 @@ export class Projectile extends GameObject {
 
   projectileType = 'default'; // Adiciona um tipo para diferenciar no cliente
 
+  /**
+   * Raio do dano em área aplicado no impacto (0 = sem dano em área, ex: balas).
+   * @type {number}
+   */
+  splashRadius = 0;
+  /**
+   * Dano em área no centro da explosão; cai linearmente até zero na borda do raio.
+   * @type {number}
+   */
+  splashDamage = 0;
+
+  /**
+   * Quanto (ms) os alvos devem ser voltados no tempo ao testar acertos deste projétil:
+   * a diferença entre o instante do disparo no servidor e o instante que o atirador via.
+   * @type {number}
+   */
+  lagCompensationMs = 0;
+
+  /**
+   * Time do atirador no momento do disparo (null fora do modo em equipe), para as regras de fogo amigo.
+   * @type {string | null}
+   */
+  team = null;
+
   /**
    * Cria uma nova instância de Projectile.
    * @param {string} ownerId - ID do jogador que disparou.
@@ -91,24 +117,24 @@ export class Projectile extends GameObject {
   /**
    * Calcula a AABB do projétil. Versão aprimorada para colisão precisa.
    * @param {Vector3} [pos=this.position] - Posição opcional para calcular AABB.
+   * @param {{min: Vector3, max: Vector3}} [out] - AABB que recebe o resultado (sem `out`, uma nova é criada).
    * @returns {{min: Vector3, max: Vector3}}
    */
-  getBoundingBox(pos = this.position) {
+  getBoundingBox(pos = this.position, out = { min: new Vector3(), max: new Vector3() }) {
       const halfSize = this.width / 2; // Assume cubo por simplicidade
       // Expansão muito pequena ou zero para colisão mais precisa
       const expansion = 0.001; 
-      return {
-          min: new Vector3(
-              pos.x - halfSize - expansion,
-              pos.y - halfSize - expansion, // Centro Y - metade (projétil tem posição central)
-              pos.z - halfSize - expansion
-          ),
-          max: new Vector3(
-              pos.x + halfSize + expansion,
-              pos.y + halfSize + expansion, // Centro Y + metade
-              pos.z + halfSize + expansion
-          ),
-      };
+      out.min.set(
+          pos.x - halfSize - expansion,
+          pos.y - halfSize - expansion, // Centro Y - metade (projétil tem posição central)
+          pos.z - halfSize - expansion
+      );
+      out.max.set(
+          pos.x + halfSize + expansion,
+          pos.y + halfSize + expansion, // Centro Y + metade
+          pos.z + halfSize + expansion
+      );
+      return out;
   }
 
   /**
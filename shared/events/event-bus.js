@@ -0,0 +1,215 @@
+// shared/events/event-bus.js
+
+import { createLogger } from '../utils/logger.js';
+
+const { warn } = createLogger('events');
+
+/**
+ * Tipo de um campo do payload: 'string', 'number', 'boolean', 'array', 'object' ou 'vector'
+ * ({x, y, z} numéricos). O sufixo '?' aceita também null ou ausência (ex: 'string?').
+ * @typedef {string} EventFieldType
+ */
+
+/**
+ * Declaração de um evento: os campos obrigatórios do payload e os seus tipos.
+ * Campos não declarados são permitidos (ex: dados extras de um projétil).
+ * @typedef {object} EventDefinition
+ * @property {string} description
+ * @property {Record<string, EventFieldType>} fields
+ */
+
+/**
+ * @returns {boolean} true fora de produção (NODE_ENV diferente de 'production'; no navegador, sempre).
+ */
+function isDevelopment() {
+    return typeof process === 'undefined' || process.env?.NODE_ENV !== 'production';
+}
+
+/**
+ * @param {any} value
+ * @param {string} type - Tipo sem o sufixo '?'.
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'vector': return typeof value === 'object' && value !== null
+            && Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z);
+        case 'number': return Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Verifica um payload contra a declaração do evento.
+ * @param {EventDefinition} definition
+ * @param {any} payload
+ * @returns {Array<string>} Problemas encontrados (vazio se o payload é válido).
+ */
+export function validateEventPayload(definition, payload) {
+    if (typeof payload !== 'object' || payload === null) return ['payload must be an object'];
+    const errors = [];
+    for (const [field, declaredType] of Object.entries(definition.fields)) {
+        const optional = declaredType.endsWith('?');
+        const type = optional ? declaredType.slice(0, -1) : declaredType;
+        const value = payload[field];
+        if (value === undefined || value === null) {
+            if (!optional) errors.push(`${field}: required ${type}`);
+        } else if (!matchesType(value, type)) {
+            errors.push(`${field}: expected ${type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Inscrição em um evento do EventBus; dispose() remove o listener (pode ser chamado mais de uma vez).
+ */
+export class EventSubscription {
+    /** @type {string} */
+    event;
+    /** @type {(payload: any) => void} */
+    listener;
+    /** @type {EventBus | null} */
+    bus;
+
+    /**
+     * @param {EventBus} bus
+     * @param {string} event
+     * @param {(payload: any) => void} listener
+     */
+    constructor(bus, event, listener) {
+        this.bus = bus;
+        this.event = event;
+        this.listener = listener;
+    }
+
+    /**
+     * @returns {boolean} false depois de dispose() (ou do dispose() do barramento).
+     */
+    get active() {
+        return this.bus !== null;
+    }
+
+    dispose() {
+        if (!this.bus) return;
+        this.bus.unsubscribe(this);
+        this.bus = null;
+    }
+}
+
+/**
+ * Barramento de eventos com um catálogo fixo: emitir ou escutar um evento não declarado é um erro,
+ * e em desenvolvimento cada payload é validado contra a declaração antes de chegar aos listeners.
+ * Um erro em um listener é registrado e não impede os demais.
+ */
+export class EventBus {
+    /**
+     * @type {Readonly<Record<string, EventDefinition>>}
+     */
+    catalogue;
+    /** @type {boolean} */
+    validatePayloads;
+    /**
+     * Inscrições ativas, por evento (o array é substituído, não alterado, ao remover uma inscrição,
+     * então um emit() em andamento não é afetado).
+     * @type {Map<string, Array<EventSubscription>>}
+     */
+    subscriptions = new Map();
+
+    /**
+     * @param {Readonly<Record<string, EventDefinition>>} catalogue - Eventos aceitos, por nome.
+     * @param {{validatePayloads?: boolean}} [options] - `validatePayloads` (padrão: fora de produção).
+     */
+    constructor(catalogue, { validatePayloads = isDevelopment() } = {}) {
+        if (!catalogue || typeof catalogue !== 'object') {
+            throw new Error("EventBus requires an event catalogue.");
+        }
+        this.catalogue = catalogue;
+        this.validatePayloads = validatePayloads;
+    }
+
+    /**
+     * @param {string} event
+     * @returns {EventDefinition}
+     * @private
+     */
+    getDefinition(event) {
+        const definition = Object.hasOwn(this.catalogue, event) ? this.catalogue[event] : undefined;
+        if (!definition) throw new Error(`Unknown event '${event}'.`);
+        return definition;
+    }
+
+    /**
+     * Inscreve um listener em um evento do catálogo.
+     * @param {string} event
+     * @param {(payload: any) => void} listener
+     * @returns {EventSubscription} Chame dispose() para remover o listener.
+     */
+    on(event, listener) {
+        this.getDefinition(event);
+        if (typeof listener !== 'function') {
+            throw new Error(`EventBus.on('${event}') requires a listener function.`);
+        }
+        const subscription = new EventSubscription(this, event, listener);
+        this.subscriptions.set(event, [...(this.subscriptions.get(event) ?? []), subscription]);
+        return subscription;
+    }
+
+    /**
+     * Remove uma inscrição (use EventSubscription.dispose()).
+     * @param {EventSubscription} subscription
+     */
+    unsubscribe(subscription) {
+        const subscriptions = this.subscriptions.get(subscription.event);
+        if (!subscriptions) return;
+        const remaining = subscriptions.filter(registered => registered !== subscription);
+        if (remaining.length > 0) {
+            this.subscriptions.set(subscription.event, remaining);
+        } else {
+            this.subscriptions.delete(subscription.event);
+        }
+    }
+
+    /**
+     * Entrega o payload a todos os listeners do evento, na ordem de inscrição.
+     * @param {string} event
+     * @param {object} payload
+     * @throws {Error} Se o evento não estiver no catálogo ou (com validação) o payload for inválido.
+     */
+    emit(event, payload) {
+        const definition = this.getDefinition(event);
+        if (this.validatePayloads) {
+            const errors = validateEventPayload(definition, payload);
+            if (errors.length > 0) {
+                throw new Error(`Invalid payload for event '${event}': ${errors.join('; ')}`);
+            }
+        }
+        for (const subscription of this.subscriptions.get(event) ?? []) {
+            try {
+                subscription.listener(payload);
+            } catch (error) {
+                warn(`Error in listener for event '${event}':`, error);
+            }
+        }
+    }
+
+    /**
+     * @param {string} event
+     * @returns {number} Número de listeners inscritos no evento.
+     */
+    listenerCount(event) {
+        return this.subscriptions.get(event)?.length ?? 0;
+    }
+
+    /**
+     * Remove todas as inscrições (ex: mundo encerrado).
+     */
+    dispose() {
+        for (const subscriptions of this.subscriptions.values()) {
+            for (const subscription of subscriptions) subscription.bus = null;
+        }
+        this.subscriptions.clear();
+    }
+}
@@ -0,0 +1,164 @@
+// shared/events/world-events.js
+
+import { EventBus } from './event-bus.js';
+
+/**
+ * Payload de 'impact': um projétil atingiu um jogador, um obstáculo ou o chão.
+ * @typedef {object} ImpactEvent
+ * @property {string} projectileId
+ * @property {Array<number>} position - Ponto de impacto [x, y, z].
+ * @property {'player' | 'static'} surfaceType
+ * @property {string | null} obstacleType - Tipo do obstáculo ('ground' para o chão; null em jogadores).
+ */
+
+/**
+ * Payload de 'damage': dano efetivamente aplicado a um jogador (já com o multiplicador da hitbox).
+ * @typedef {object} DamageEvent
+ * @property {string} victimId
+ * @property {string | null} attackerId - null para dano ambiental.
+ * @property {number} amount
+ * @property {number} health - Vida da vítima depois do dano.
+ * @property {string} hitboxKey
+ * @property {string | null} weaponType
+ */
+
+/**
+ * Payload de 'death' (emitido pela vítima; o ScoreManager credita o abate e publica 'kill').
+ * @typedef {object} DeathEvent
+ * @property {string} victimId
+ * @property {string | null} killerId - null em mortes sem autor e em suicídios.
+ * @property {boolean} suicide - Morte pelo próprio dano (ex: fogo amigo refletido).
+ * @property {Array<string>} assisterIds
+ * @property {string | null} weaponType
+ * @property {string} hitboxKey
+ * @property {number | null} distance
+ */
+
+/**
+ * Payload de 'kill': abate já creditado, repassado aos clientes.
+ * @typedef {object} KillEvent
+ * @property {string} victimId
+ * @property {string | null} victimName
+ * @property {string | null} killerId
+ * @property {string | null} killerName
+ * @property {Array<string>} assisterIds - Apenas as assistências creditadas.
+ * @property {boolean} teamKill - Vítima do mesmo time do autor (abate não creditado).
+ * @property {boolean} suicide - Morte pelo próprio dano (sem autor; custa pontos à vítima).
+ * @property {string | null} weaponType
+ * @property {string} hitboxKey
+ * @property {number | null} distance - Arredondada em centímetros.
+ * @property {number} timestamp
+ */
+
+/**
+ * Payload de 'respawn'.
+ * @typedef {object} RespawnEvent
+ * @property {string} playerId
+ * @property {{x: number, y: number, z: number}} position
+ */
+
+/**
+ * Payload de 'playerJoined' e 'playerLeft'.
+ * @typedef {object} PlayerSessionEvent
+ * @property {string} playerId
+ * @property {string} name
+ */
+
+/**
+ * Estado da partida: payload de 'matchState' (também enviado aos clientes).
+ * @typedef {object} MatchStatus
+ * @property {string} state - Um dos MATCH_STATES (shared/constants/match-settings.js).
+ * @property {string | null} previousState
+ * @property {number | null} remainingMs - Tempo até o próximo estado (null se não há prazo).
+ * @property {number} timeLimit - Duração da partida em segundos (0 = sem limite).
+ * @property {number} fragLimit - Abates que encerram a partida (0 = sem limite).
+ * @property {string} mode - Modo de jogo (GAME_MODES); no modo em equipe o limite de abates vale por time.
+ */
+
+/**
+ * Desempenho de um jogador em uma partida.
+ * @typedef {object} MatchPlayerResult
+ * @property {string} playerId
+ * @property {string} name
+ * @property {boolean} isBot
+ * @property {string | null} team - Time do jogador (null fora do modo em equipe).
+ * @property {number} kills
+ * @property {number} deaths
+ * @property {number} assists
+ * @property {number} score
+ * @property {number} shotsFired - Projéteis de armas disparados (magias não contam).
+ * @property {number} shotsHit - Acertos desses projéteis em outros jogadores.
+ * @property {number} accuracy - shotsHit / shotsFired (0 sem disparos), arredondada em 3 casas.
+ */
+
+/**
+ * Payload de 'matchEnded': resultados de uma partida encerrada (também enviado aos clientes).
+ * @typedef {object} MatchResults
+ * @property {'timeLimit' | 'fragLimit'} reason
+ * @property {string} mapId
+ * @property {number} durationMs
+ * @property {string | null} winnerId - Jogador com mais pontos (null se ninguém jogou).
+ * @property {Array<MatchPlayerResult>} players - Ordenados por pontos e, no empate, por abates.
+ * @property {Array<import('../models/game-state.js').TeamScore>} teamScores - Placar dos times (vazio fora do modo em equipe).
+ * @property {string | null} winningTeam - Time com o maior placar (null sem times ou no empate).
+ */
+
+/**
+ * Eventos internos de um mundo (uma partida). Ver EventBus para o formato dos campos.
+ * @type {Readonly<Record<string, import('./event-bus.js').EventDefinition>>}
+ */
+export const WORLD_EVENTS = Object.freeze({
+    projectileFired: {
+        description: 'A weapon fired a projectile (payload: the projectile data returned by Weapon.fire).',
+        fields: { ownerId: 'string', type: 'string', origin: 'vector', velocity: 'vector', damage: 'number' },
+    },
+    spellCast: {
+        description: 'A player cast a spell (payload: SpellCastData).',
+        fields: { casterId: 'string', spellType: 'string', effect: 'string' },
+    },
+    impact: {
+        description: 'A projectile hit a player, an obstacle or the ground.',
+        fields: { projectileId: 'string', position: 'array', surfaceType: 'string', obstacleType: 'string?' },
+    },
+    damage: {
+        description: 'A player took damage.',
+        fields: { victimId: 'string', attackerId: 'string?', amount: 'number', health: 'number', hitboxKey: 'string', weaponType: 'string?' },
+    },
+    death: {
+        description: 'A player died.',
+        fields: { victimId: 'string', killerId: 'string?', suicide: 'boolean', assisterIds: 'array', weaponType: 'string?', hitboxKey: 'string', distance: 'number?' },
+    },
+    kill: {
+        description: 'A death was credited to its killer and assisters.',
+        fields: { victimId: 'string', killerId: 'string?', assisterIds: 'array', teamKill: 'boolean', suicide: 'boolean', hitboxKey: 'string', timestamp: 'number' },
+    },
+    respawn: {
+        description: 'A player respawned.',
+        fields: { playerId: 'string', position: 'vector' },
+    },
+    playerJoined: {
+        description: 'A player joined the match.',
+        fields: { playerId: 'string', name: 'string' },
+    },
+    playerLeft: {
+        description: 'A player left the match.',
+        fields: { playerId: 'string', name: 'string' },
+    },
+    matchState: {
+        description: 'The match changed state (waiting, warmup, live, postGame).',
+        fields: { state: 'string', previousState: 'string?', remainingMs: 'number?', timeLimit: 'number', fragLimit: 'number', mode: 'string' },
+    },
+    matchEnded: {
+        description: 'A live match reached its time or frag limit (payload: MatchResults).',
+        fields: { reason: 'string', mapId: 'string', durationMs: 'number', winnerId: 'string?', players: 'array', teamScores: 'array', winningTeam: 'string?' },
+    },
+});
+
+/**
+ * Cria o barramento de eventos de um mundo (uma instância por partida).
+ * @param {{validatePayloads?: boolean}} [options] - Ver EventBus.
+ * @returns {EventBus}
+ */
+export function createWorldEventBus(options) {
+    return new EventBus(WORLD_EVENTS, options);
+}
@@ -0,0 +1,35 @@
+import { Spell } from './spell.js';
+import { BLINK_MANA_COST, BLINK_COOLDOWN, BLINK_DISTANCE } from '../../constants/spell-stats.js';
+
+/**
+ * Teleporte curto na direção horizontal da mira.
+ * O destino final (parando antes de obstáculos e dentro do mapa) é resolvido pelo MovementSystem.
+ */
+export class Blink extends Spell {
+    /**
+     * @param {import('../../entities/player.js').Player} owner
+     */
+    constructor(owner) {
+        super(owner);
+        this.spellType = 'blink';
+        this.manaCost = BLINK_MANA_COST;
+        this.cooldown = BLINK_COOLDOWN;
+    }
+
+    /**
+     * @param {import('../../physics/vector.js').Vector3} direction - Direção normalizada da mira.
+     * @returns {import('./spell.js').SpellCastData | null} `null` se a mira for vertical (sem componente horizontal).
+     */
+    createCastData(direction) {
+        const horizontalLength = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+        if (horizontalLength < 1e-6) return null;
+
+        return {
+            spellType: this.spellType,
+            effect: 'blink',
+            casterId: this.owner.id,
+            direction: { x: direction.x / horizontalLength, y: 0, z: direction.z / horizontalLength },
+            distance: BLINK_DISTANCE,
+        };
+    }
+}
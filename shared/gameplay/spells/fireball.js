@@ -0,0 +1,56 @@
+import { Spell } from './spell.js';
+import { Vector3 } from '../../physics/vector.js';
+import {
+    FIREBALL_MANA_COST,
+    FIREBALL_COOLDOWN,
+    FIREBALL_DAMAGE,
+    FIREBALL_SPLASH_DAMAGE,
+    FIREBALL_SPLASH_RADIUS,
+    FIREBALL_PROJECTILE_SPEED,
+    FIREBALL_RANGE,
+    FIREBALL_PROJECTILE_SIZE
+} from '../../constants/spell-stats.js';
+
+/**
+ * Bola de fogo: projétil que explode no impacto causando dano em área.
+ */
+export class Fireball extends Spell {
+    /**
+     * @param {import('../../entities/player.js').Player} owner
+     */
+    constructor(owner) {
+        super(owner);
+        this.spellType = 'fireball';
+        this.manaCost = FIREBALL_MANA_COST;
+        this.cooldown = FIREBALL_COOLDOWN;
+    }
+
+    /**
+     * Gera os dados do projétil, no mesmo formato usado pelas armas.
+     * @param {Vector3} direction - Direção normalizada da mira.
+     * @returns {import('./spell.js').SpellCastData}
+     */
+    createCastData(direction) {
+        const origin = this.owner.position.clone()
+                         .add(new Vector3(0, this.owner.getEyeHeight(), 0));
+        const velocity = direction.clone().multiplyScalar(FIREBALL_PROJECTILE_SPEED);
+
+        return {
+            spellType: this.spellType,
+            effect: 'projectile',
+            casterId: this.owner.id,
+            projectile: {
+                type: 'fireball',
+                ownerId: this.owner.id,
+                origin: { x: origin.x, y: origin.y, z: origin.z },
+                velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+                damage: FIREBALL_DAMAGE,
+                speed: FIREBALL_PROJECTILE_SPEED,
+                range: FIREBALL_RANGE,
+                size: FIREBALL_PROJECTILE_SIZE,
+                splashRadius: FIREBALL_SPLASH_RADIUS,
+                splashDamage: FIREBALL_SPLASH_DAMAGE,
+            },
+        };
+    }
+}
@@ -0,0 +1,38 @@
+import { Spell } from './spell.js';
+import {
+    HASTE_MANA_COST,
+    HASTE_COOLDOWN,
+    HASTE_DURATION,
+    HASTE_SPEED_MULTIPLIER
+} from '../../constants/spell-stats.js';
+
+/**
+ * Aceleração: aumenta temporariamente a velocidade de movimento do lançador.
+ */
+export class Haste extends Spell {
+    /**
+     * @param {import('../../entities/player.js').Player} owner
+     */
+    constructor(owner) {
+        super(owner);
+        this.spellType = 'haste';
+        this.manaCost = HASTE_MANA_COST;
+        this.cooldown = HASTE_COOLDOWN;
+    }
+
+    /**
+     * @returns {import('./spell.js').SpellCastData}
+     */
+    createCastData() {
+        return {
+            spellType: this.spellType,
+            effect: 'selfBuff',
+            casterId: this.owner.id,
+            buff: {
+                type: 'haste',
+                duration: HASTE_DURATION,
+                speedMultiplier: HASTE_SPEED_MULTIPLIER,
+            },
+        };
+    }
+}
@@ -0,0 +1,39 @@
+import { Fireball } from './fireball.js';
+import { Haste } from './haste.js';
+import { Blink } from './blink.js';
+import { createLogger } from '../../utils/logger.js';
+
+const { debug, warn } = createLogger('spells');
+
+/**
+ * Fábrica responsável por criar instâncias de diferentes tipos de magias.
+ */
+export class SpellFactory {
+
+    /**
+     * Cria uma instância de uma magia com base no tipo especificado.
+     * @param {string} spellType - O tipo da magia (ex: 'fireball', 'haste', 'blink').
+     * @param {import('../../entities/player.js').Player} owner - O jogador que possuirá a magia.
+     * @returns {import('./spell.js').Spell | null} A instância criada ou null se o tipo for inválido.
+     */
+    createSpell(spellType, owner) {
+        debug(`SpellFactory attempting to create spell of type: ${spellType} for owner ${owner?.id}`);
+
+        if (!owner) {
+            warn(`SpellFactory: Cannot create spell without an owner.`);
+            return null;
+        }
+
+        switch (spellType?.toLowerCase()) {
+            case 'fireball':
+                return new Fireball(owner);
+            case 'haste':
+                return new Haste(owner);
+            case 'blink':
+                return new Blink(owner);
+            default:
+                warn(`SpellFactory: Unknown spell type requested: ${spellType}`);
+                return null;
+        }
+    }
+}
@@ -0,0 +1,97 @@
+import { createLogger } from '../../utils/logger.js';
+import { getCurrentTime } from '../../utils/clock.js';
+
+const { debug } = createLogger('spells');
+
+/**
+ * Resultado de um lançamento de magia, repassado ao GameStateManager pelo evento 'spellCast'.
+ * - 'projectile': `projectile` contém os mesmos dados que uma arma retorna em fire().
+ * - 'selfBuff': `buff` descreve o efeito aplicado ao próprio lançador.
+ * - 'blink': `direction` e `distance` descrevem o teleporte, resolvido pelo MovementSystem.
+ * @typedef {object} SpellCastData
+ * @property {string} spellType - Tipo da magia (ex: 'fireball').
+ * @property {'projectile' | 'selfBuff' | 'blink'} effect - Como o servidor deve aplicar a magia.
+ * @property {string} casterId - ID do jogador que lançou a magia.
+ * @property {object} [projectile] - Dados do projétil (efeito 'projectile').
+ * @property {{type: string, duration: number, speedMultiplier?: number}} [buff] - Dados do efeito (efeito 'selfBuff').
+ * @property {{x: number, y: number, z: number}} [direction] - Direção horizontal normalizada (efeito 'blink').
+ * @property {number} [distance] - Distância máxima (efeito 'blink').
+ */
+
+/**
+ * Classe base abstrata para todas as magias do jogo.
+ * Controla custo de mana e tempo de recarga; as subclasses só descrevem o efeito.
+ */
+export class Spell {
+    /** @type {import('../../entities/player.js').Player} */
+    owner; // O jogador que conhece a magia
+
+    // Estatísticas da magia (serão definidas pelas subclasses)
+    spellType = 'spell';
+    manaCost = 0;
+    cooldown = 0; // Segundos entre lançamentos
+
+    /** @type {number} */
+    lastCastTime = 0; // Timestamp do último lançamento
+
+    /**
+     * @param {import('../../entities/player.js').Player} owner - O jogador que possui esta magia.
+     */
+    constructor(owner) {
+        if (!owner) {
+            throw new Error("Spell must have an owner (Player).");
+        }
+        this.owner = owner;
+    }
+
+    /**
+     * Tempo de recarga restante em segundos (0 quando pronta).
+     * @returns {number}
+     */
+    getCooldownRemaining() {
+        const elapsed = (getCurrentTime() - this.lastCastTime) / 1000;
+        return Math.max(0, this.cooldown - elapsed);
+    }
+
+    /**
+     * Verifica se a magia pode ser lançada agora (vivo, fora de recarga e com mana suficiente).
+     * @returns {boolean}
+     */
+    canCast() {
+        if (!this.owner.isAlive) return false;
+        if (this.getCooldownRemaining() > 0) return false;
+        if (this.owner.mana < this.manaCost) return false;
+        return true;
+    }
+
+    /**
+     * Tenta lançar a magia na direção especificada.
+     * Consome mana e inicia a recarga apenas se o lançamento for válido.
+     * @param {import('../../physics/vector.js').Vector3} direction - Direção normalizada da mira.
+     * @returns {SpellCastData | null} Dados do lançamento ou `null` se não pôde ser lançada.
+     */
+    cast(direction) {
+        if (!this.canCast()) {
+            return null;
+        }
+
+        const castData = this.createCastData(direction);
+        if (!castData) return null;
+
+        this.lastCastTime = getCurrentTime();
+        this.owner.spendMana(this.manaCost);
+        debug(`Player ${this.owner.id} cast ${this.spellType}. Mana left: ${this.owner.mana.toFixed(0)}`);
+
+        return castData;
+    }
+
+    /**
+     * Descreve o efeito da magia. Método abstrato a ser implementado pelas subclasses.
+     * @param {import('../../physics/vector.js').Vector3} direction - Direção normalizada da mira.
+     * @returns {SpellCastData | null}
+     * @abstract
+     */
+    createCastData(direction) {
+        throw new Error("Method 'createCastData(direction)' must be implemented by subclasses.");
+    }
+}
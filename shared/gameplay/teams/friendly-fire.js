@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Regras de fogo amigo do modo em equipe (ver FRIENDLY_FIRE_MODES), compartilhadas pelo
+ *               raycast de projéteis (CollisionSystem) e pela aplicação do dano (MovementSystem).
+ */
+
+import { gameConfig } from '../../config/game-config.js';
+
+/**
+ * @param {string | null | undefined} teamA
+ * @param {string | null | undefined} teamB
+ * @returns {boolean} true se os dois têm o mesmo time (jogadores sem time nunca são companheiros).
+ */
+export function areTeammates(teamA, teamB) {
+    return !!teamA && teamA === teamB;
+}
+
+/**
+ * @param {{ownerId: string, team: string | null}} projectile
+ * @param {{id: string, team: string | null}} target
+ * @returns {boolean} true se o projétil deve atravessar o alvo (companheiro do atirador, com fogo amigo 'off').
+ */
+export function passesThroughTeammate(projectile, target) {
+    return gameConfig.combat.friendlyFire === 'off'
+        && target.id !== projectile.ownerId
+        && areTeammates(projectile.team, target.team);
+}
@@ -1,16 +1,11 @@
 import { Weapon } from './weapon.js';
 import { Vector3 } from '../../physics/vector.js';
-import { log } from '../../utils/logger.js';
-import {
-    PISTOL_DAMAGE,
-    PISTOL_FIRE_RATE,
-    PISTOL_RANGE,
-    PISTOL_PROJECTILE_SPEED,
-    PISTOL_AMMO,
-    PISTOL_RELOAD_TIME,
-    PISTOL_PROJECTILE_SIZE
-} from '../../constants/weapon-stats.js';
-import { PLAYER_EYE_HEIGHT } from '../../constants/game-settings.js'; // Importar a constante unificada
+import { createLogger } from '../../utils/logger.js';
+import { getCurrentTime } from '../../utils/clock.js';
+import { PISTOL_AMMO, PISTOL_PROJECTILE_SIZE } from '../../constants/weapon-stats.js';
+import { gameConfig } from '../../config/game-config.js';
+
+const { debug } = createLogger('weapons');
 
 /**
  * Implementação da arma Pistola.
@@ -22,19 +17,20 @@ export class Pistol extends Weapon {
     constructor(owner) {
         super(owner); // Chama o construtor da classe Weapon
 
-        // Define as estatísticas específicas da pistola
-        this.damage = PISTOL_DAMAGE;
-        this.fireRate = PISTOL_FIRE_RATE;
-        this.range = PISTOL_RANGE;
-        this.projectileSpeed = PISTOL_PROJECTILE_SPEED;
+        // Define as estatísticas específicas da pistola (as configuráveis vêm de gameConfig)
+        const stats = gameConfig.weapons.pistol;
+        this.damage = stats.damage;
+        this.fireRate = stats.fireRate;
+        this.range = stats.range;
+        this.projectileSpeed = stats.projectileSpeed;
         this.ammo = PISTOL_AMMO;
         this.maxAmmo = PISTOL_AMMO; // Assumindo que começa cheio
-        this.reloadTime = PISTOL_RELOAD_TIME;
+        this.reloadTime = stats.reloadTime;
 
         // Recalcula o intervalo com base no fireRate específico
         this.fireInterval = 1000 / this.fireRate;
 
-        log(`Pistol created for player ${owner.id}. Fire rate: ${this.fireRate} shots/s`);
+        debug(`Pistol created for player ${owner.id}. Fire rate: ${this.fireRate} shots/s`);
     }
 
     /**
@@ -49,12 +45,12 @@ export class Pistol extends Weapon {
         }
 
         // Atualiza o timestamp do último tiro
-        this.lastFireTime = Date.now();
+        this.lastFireTime = getCurrentTime();
 
         // Deduz munição (se não for infinita)
         if (this.maxAmmo !== Infinity) {
             this.ammo--;
-            log(`Player ${this.owner.id} fired Pistol. Ammo left: ${this.ammo}`);
+            debug(`Player ${this.owner.id} fired Pistol. Ammo left: ${this.ammo}`);
             // Iniciar recarga se ficar sem munição
             if (this.ammo <= 0) {
                 this.startReload();
@@ -64,10 +60,10 @@ export class Pistol extends Weapon {
         }
 
         // --- Calcular dados do Projétil ---
-        // 1. Origem: Posição *base* do jogador + altura dos olhos.
+        // 1. Origem: Posição *base* do jogador + altura dos olhos (menor quando agachado).
         //    Isso aproxima a posição da câmera do cliente.
         const origin = this.owner.position.clone()
-                         .add(new Vector3(0, PLAYER_EYE_HEIGHT, 0)); // Usa a constante importada
+                         .add(new Vector3(0, this.owner.getEyeHeight(), 0));
 
         // 2. Velocidade: Direção * velocidade do projétil
         const velocity = direction.clone().multiplyScalar(this.projectileSpeed);
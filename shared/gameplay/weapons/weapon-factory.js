@@ -1,5 +1,8 @@
 import { Pistol } from './pistol.js';
-import { log, warn } from '../../utils/logger.js';
+import { createLogger } from '../../utils/logger.js';
+
+const { debug, warn } = createLogger('weapons');
+
 // Importar outras classes de armas aqui quando forem criadas
 // import { Rifle } from './rifle.js';
 // import { Shotgun } from './shotgun.js';
@@ -16,7 +19,7 @@ export class WeaponFactory {
      * @returns {import('./weapon.js').Weapon | null} A instância da arma criada ou null se o tipo for inválido.
      */
     createWeapon(weaponType, owner) {
-        log(`WeaponFactory attempting to create weapon of type: ${weaponType} for owner ${owner?.id}`);
+        debug(`WeaponFactory attempting to create weapon of type: ${weaponType} for owner ${owner?.id}`);
 
         if (!owner) {
             warn(`WeaponFactory: Cannot create weapon without an owner.`);
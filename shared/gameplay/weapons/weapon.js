@@ -1,4 +1,7 @@
-import { log, warn } from '../../utils/logger.js';
+import { createLogger } from '../../utils/logger.js';
+import { getCurrentTime } from '../../utils/clock.js';
+
+const { debug, warn } = createLogger('weapons');
 
 /**
  * Classe base abstrata para todas as armas do jogo.
@@ -41,7 +44,7 @@ export class Weapon {
      * @returns {boolean} `true` se pode disparar, `false` caso contrário.
      */
     canFire() {
-        const now = Date.now();
+        const now = getCurrentTime();
         if (this.isReloading) {
             // Poderia verificar se a recarga terminou aqui, mas geralmente é melhor
             // ter um método update ou um timer que reseta isReloading.
@@ -76,7 +79,7 @@ export class Weapon {
         // if (!this.canFire()) {
         //     return null;
         // }
-        // this.lastFireTime = Date.now();
+        // this.lastFireTime = getCurrentTime();
         // if(this.maxAmmo !== Infinity) this.ammo--;
         // log(`Player ${this.owner.id} fired ${this.constructor.name}. Ammo left: ${this.ammo}`);
         // // Calcular origem, velocidade
@@ -92,10 +95,9 @@ export class Weapon {
             return; // Não recarrega se for munição infinita, já recarregando ou com pente cheio
         }
         this.isReloading = true;
-        this.reloadStartTime = Date.now();
-        log(`Player ${this.owner.id} started reloading ${this.constructor.name}...`);
-        // Usar setTimeout ou lógica no update para finalizar a recarga
-        setTimeout(() => this.finishReload(), this.reloadTime * 1000);
+        this.reloadStartTime = getCurrentTime();
+        debug(`Player ${this.owner.id} started reloading ${this.constructor.name}...`);
+        // Finalizada por update() no relógio da simulação (e não por setTimeout), para ser reproduzível
     }
 
     /**
@@ -105,20 +107,16 @@ export class Weapon {
         if (!this.isReloading) return;
         this.isReloading = false;
         this.ammo = this.maxAmmo; // Enche o pente
-        log(`Player ${this.owner.id} finished reloading ${this.constructor.name}. Ammo: ${this.ammo}`);
+        debug(`Player ${this.owner.id} finished reloading ${this.constructor.name}. Ammo: ${this.ammo}`);
     }
 
     /**
-     * Método de atualização da arma (ex: para recarga).
+     * Método de atualização da arma: finaliza a recarga quando o seu tempo termina.
      * @param {number} deltaTime
      */
     update(deltaTime) {
-        // A lógica de recarga com setTimeout é mais simples, mas
-        // um update() poderia ser usado para animações ou lógicas mais complexas.
-        // if (this.isReloading) {
-        //     if (Date.now() - this.reloadStartTime >= this.reloadTime * 1000) {
-        //         this.finishReload();
-        //     }
-        // }
+        if (this.isReloading && getCurrentTime() - this.reloadStartTime >= this.reloadTime * 1000) {
+            this.finishReload();
+        }
     }
 }
\ No newline at end of file
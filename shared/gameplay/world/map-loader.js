@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Validação e carregamento dos arquivos de mapa (JSON versionado) em instâncias de GameMap.
+ *
+ * Formato (versão 1):
+ * {
+ *   "formatVersion": 1,
+ *   "id": "default",                        // Igual ao nome do arquivo, ver MAP_ID_PATTERN
+ *   "name": "Clareira",                     // Opcional
+ *   "bounds": { "min": {x,y,z}, "max": {x,y,z} },
+ *   "spawnPoints": [ { "position": {x,y,z}, "team"?: string | null, "tags"?: [string] } ],
+ *   "obstacles": [ { "type": "box" | "tree" | "ramp", "position": {x,y,z}, "size": {x,y,z},
+ *                    "rotationY"?: number, "material"?: string, "metadata"?: object } ]
+ * }
+ *
+ * A posição de um obstáculo é o centro da sua base. Uma rampa sobe ao longo do seu eixo Z local
+ * (de altura 0 em -size.z/2 até size.y em +size.z/2; use rotationY para orientá-la) e não pode ser
+ * mais inclinada que MAX_RAMP_SLOPE.
+ */
+
+import { Vector3 } from '../../physics/vector.js';
+import { GameMap } from './map.js';
+import { MAP_FORMAT_VERSION, MAP_ID_PATTERN } from '../../constants/map-settings.js';
+import { MAX_RAMP_SLOPE } from '../../constants/game-settings.js';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Tipos de obstáculo que o jogo sabe colidir e renderizar.
+ * @type {ReadonlyArray<string>}
+ */
+export const OBSTACLE_TYPES = Object.freeze(['box', 'tree', 'ramp']);
+
+const MAP_FIELDS = ['formatVersion', 'id', 'name', 'bounds', 'spawnPoints', 'obstacles'];
+const SPAWN_POINT_FIELDS = ['position', 'team', 'tags'];
+const OBSTACLE_FIELDS = ['type', 'position', 'size', 'rotationY', 'material', 'metadata'];
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Acrescenta um erro para cada campo não previsto (normalmente um erro de digitação).
+ * @param {object} value
+ * @param {Array<string>} allowedFields
+ * @param {string} path
+ * @param {Array<string>} errors
+ */
+function checkUnknownFields(value, allowedFields, path, errors) {
+    for (const key of Object.keys(value)) {
+        if (!allowedFields.includes(key)) {
+            errors.push(`${path}.${key}: unknown field (expected one of ${allowedFields.join(', ')})`);
+        }
+    }
+}
+
+/**
+ * @param {any} value
+ * @param {string} path
+ * @param {Array<string>} errors
+ * @returns {boolean} true se o valor é um vetor {x, y, z} válido.
+ */
+function checkVector(value, path, errors) {
+    if (!isPlainObject(value)) {
+        errors.push(`${path}: expected an object {x, y, z}`);
+        return false;
+    }
+    let isValid = true;
+    for (const axis of ['x', 'y', 'z']) {
+        if (!Number.isFinite(value[axis])) {
+            errors.push(`${path}.${axis}: expected a finite number (got ${JSON.stringify(value[axis])})`);
+            isValid = false;
+        }
+    }
+    checkUnknownFields(value, ['x', 'y', 'z'], path, errors);
+    return isValid;
+}
+
+/**
+ * @param {{x: number, y: number, z: number}} point
+ * @param {{min: {x: number, y: number, z: number}, max: {x: number, y: number, z: number}} | null} bounds
+ * @returns {boolean}
+ */
+function isInsideBounds(point, bounds) {
+    return !bounds || ['x', 'y', 'z'].every(axis => point[axis] >= bounds.min[axis] && point[axis] <= bounds.max[axis]);
+}
+
+/**
+ * @param {any} spawnPoint
+ * @param {string} path
+ * @param {object | null} bounds - Limites já validados, ou null se inválidos.
+ * @param {Array<string>} errors
+ */
+function validateSpawnPoint(spawnPoint, path, bounds, errors) {
+    if (!isPlainObject(spawnPoint)) {
+        errors.push(`${path}: expected an object`);
+        return;
+    }
+    if (checkVector(spawnPoint.position, `${path}.position`, errors) && !isInsideBounds(spawnPoint.position, bounds)) {
+        errors.push(`${path}.position: outside the map bounds`);
+    }
+    if (spawnPoint.team !== undefined && spawnPoint.team !== null && (typeof spawnPoint.team !== 'string' || !spawnPoint.team)) {
+        errors.push(`${path}.team: expected a non-empty string or null`);
+    }
+    if (spawnPoint.tags !== undefined
+        && (!Array.isArray(spawnPoint.tags) || spawnPoint.tags.some(tag => typeof tag !== 'string' || !tag))) {
+        errors.push(`${path}.tags: expected an array of non-empty strings`);
+    }
+    checkUnknownFields(spawnPoint, SPAWN_POINT_FIELDS, path, errors);
+}
+
+/**
+ * @param {any} obstacle
+ * @param {string} path
+ * @param {object | null} bounds - Limites já validados, ou null se inválidos.
+ * @param {Array<string>} errors
+ */
+function validateObstacle(obstacle, path, bounds, errors) {
+    if (!isPlainObject(obstacle)) {
+        errors.push(`${path}: expected an object`);
+        return;
+    }
+    if (!OBSTACLE_TYPES.includes(obstacle.type)) {
+        errors.push(`${path}.type: expected one of ${OBSTACLE_TYPES.join(', ')} (got ${JSON.stringify(obstacle.type)})`);
+    }
+    if (checkVector(obstacle.position, `${path}.position`, errors) && !isInsideBounds(obstacle.position, bounds)) {
+        errors.push(`${path}.position: outside the map bounds`);
+    }
+    if (checkVector(obstacle.size, `${path}.size`, errors)) {
+        if (!(obstacle.size.x > 0 && obstacle.size.y > 0 && obstacle.size.z > 0)) {
+            errors.push(`${path}.size: all dimensions must be greater than zero`);
+        } else if (obstacle.type === 'ramp' && obstacle.size.y / obstacle.size.z > MAX_RAMP_SLOPE) {
+            errors.push(`${path}.size: ramp too steep (rise ${obstacle.size.y} over run ${obstacle.size.z}, max slope ${MAX_RAMP_SLOPE})`);
+        }
+    }
+    if (obstacle.rotationY !== undefined && !Number.isFinite(obstacle.rotationY)) {
+        errors.push(`${path}.rotationY: expected a finite number of radians`);
+    }
+    if (obstacle.material !== undefined && (typeof obstacle.material !== 'string' || !obstacle.material)) {
+        errors.push(`${path}.material: expected a non-empty string`);
+    }
+    if (obstacle.metadata !== undefined && !isPlainObject(obstacle.metadata)) {
+        errors.push(`${path}.metadata: expected an object`);
+    }
+    checkUnknownFields(obstacle, OBSTACLE_FIELDS, path, errors);
+}
+
+/**
+ * Valida os dados de um mapa já convertidos de JSON.
+ * @param {any} data
+ * @returns {Array<string>} Lista de problemas encontrados ("caminho: mensagem"); vazia se o mapa é válido.
+ */
+export function validateMapData(data) {
+    const errors = [];
+    if (!isPlainObject(data)) {
+        return ['map: expected a JSON object'];
+    }
+
+    if (data.formatVersion !== MAP_FORMAT_VERSION) {
+        errors.push(`formatVersion: unsupported version ${JSON.stringify(data.formatVersion)} (expected ${MAP_FORMAT_VERSION})`);
+    }
+    if (typeof data.id !== 'string' || !MAP_ID_PATTERN.test(data.id)) {
+        errors.push(`id: expected lowercase letters, digits, '-' or '_' (got ${JSON.stringify(data.id)})`);
+    }
+    if (data.name !== undefined && typeof data.name !== 'string') {
+        errors.push('name: expected a string');
+    }
+
+    let bounds = null;
+    if (!isPlainObject(data.bounds)) {
+        errors.push('bounds: expected an object {min, max}');
+    } else {
+        const isMinValid = checkVector(data.bounds.min, 'bounds.min', errors);
+        const isMaxValid = checkVector(data.bounds.max, 'bounds.max', errors);
+        if (isMinValid && isMaxValid) {
+            const invertedAxes = ['x', 'y', 'z'].filter(axis => data.bounds.min[axis] >= data.bounds.max[axis]);
+            if (invertedAxes.length > 0) {
+                errors.push(`bounds: min must be lower than max on ${invertedAxes.join(', ')}`);
+            } else {
+                bounds = data.bounds;
+            }
+        }
+        checkUnknownFields(data.bounds, ['min', 'max'], 'bounds', errors);
+    }
+
+    if (!Array.isArray(data.spawnPoints) || data.spawnPoints.length === 0) {
+        errors.push('spawnPoints: expected a non-empty array');
+    } else {
+        data.spawnPoints.forEach((spawnPoint, index) => validateSpawnPoint(spawnPoint, `spawnPoints[${index}]`, bounds, errors));
+    }
+
+    if (data.obstacles !== undefined && !Array.isArray(data.obstacles)) {
+        errors.push('obstacles: expected an array');
+    } else {
+        (data.obstacles ?? []).forEach((obstacle, index) => validateObstacle(obstacle, `obstacles[${index}]`, bounds, errors));
+    }
+
+    checkUnknownFields(data, MAP_FIELDS, 'map', errors);
+    return errors;
+}
+
+/**
+ * @param {{x: number, y: number, z: number}} value
+ * @returns {Vector3}
+ */
+function toVector3(value) {
+    return new Vector3(value.x, value.y, value.z);
+}
+
+/**
+ * Constrói um GameMap a partir dos dados de um arquivo de mapa.
+ * @param {any} data - Conteúdo do arquivo já convertido de JSON.
+ * @param {string} [source='map'] - Origem dos dados (ex: caminho do arquivo), usada nas mensagens de erro.
+ * @param {string | null} [hash=null] - Hash do conteúdo do arquivo (ver hashMapContent).
+ * @returns {GameMap}
+ * @throws {Error} Com todos os problemas encontrados, se os dados forem inválidos.
+ */
+export function createGameMap(data, source = 'map', hash = null) {
+    const errors = validateMapData(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid map ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const spawnPoints = data.spawnPoints.map(spawnPoint => ({
+        position: toVector3(spawnPoint.position),
+        team: spawnPoint.team ?? null,
+        tags: [...(spawnPoint.tags ?? [])],
+    }));
+    const obstacles = (data.obstacles ?? []).map(obstacle => ({
+        type: obstacle.type,
+        position: toVector3(obstacle.position),
+        size: toVector3(obstacle.size),
+        rotationY: obstacle.rotationY ?? 0,
+        material: obstacle.material ?? null,
+        metadata: { ...(obstacle.metadata ?? {}) },
+    }));
+
+    return new GameMap(toVector3(data.bounds.min), toVector3(data.bounds.max), spawnPoints, obstacles, {
+        id: data.id,
+        name: data.name,
+        hash,
+    });
+}
+
+/**
+ * Hash do conteúdo de um arquivo de mapa (FNV-1a de 32 bits sobre os bytes UTF-8, em hexadecimal).
+ * Não é criptográfico: serve apenas para detectar versões diferentes do mesmo arquivo. Calculado
+ * sem crypto.subtle, que os navegadores só oferecem em contextos seguros (HTTPS/localhost).
+ * @param {string} json - Conteúdo do arquivo.
+ * @returns {string}
+ */
+export function hashMapContent(json) {
+    let hash = 0x811c9dc5;
+    for (const byte of textEncoder.encode(json)) {
+        hash = Math.imul(hash ^ byte, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Converte o texto de um arquivo de mapa e constrói o GameMap.
+ * @param {string} json - Conteúdo do arquivo.
+ * @param {string} [source='map'] - Origem do texto, usada nas mensagens de erro.
+ * @returns {GameMap}
+ * @throws {Error} Se o texto não é JSON válido ou o mapa é inválido.
+ */
+export function parseGameMap(json, source = 'map') {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (err) {
+        throw new Error(`Invalid map ${source}: malformed JSON (${err.message})`);
+    }
+    return createGameMap(data, source, hashMapContent(json));
+}
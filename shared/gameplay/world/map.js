@@ -1,25 +1,52 @@
 import { Vector3 } from '../../physics/vector.js';
-import { log } from '../../utils/logger.js';
+import { createLogger } from '../../utils/logger.js';
+
+const { log } = createLogger('maps');
+
+/**
+ * Ponto de spawn do mapa.
+ * @typedef {object} SpawnPoint
+ * @property {Vector3} position - Posição dos pés do jogador ao nascer.
+ * @property {string | null} team - Time que usa este ponto (null = qualquer time).
+ * @property {Array<string>} tags - Marcadores livres (ex: 'north') usados por modos de jogo.
+ */
+
+/**
+ * Obstáculo estático do mapa.
+ * @typedef {object} MapObstacle
+ * @property {string} type - Tipo do obstáculo ('box', 'tree'), usado na renderização.
+ * @property {Vector3} position - Centro da base do objeto.
+ * @property {Vector3} size - Dimensões do objeto.
+ * @property {number} rotationY - Rotação em torno do eixo Y, em radianos.
+ * @property {string | null} material - Material visual (null = padrão do tipo).
+ * @property {Object<string, any>} metadata - Dados livres do editor/modo de jogo.
+ */
 
 /**
  * Define a estrutura e os limites do mapa do jogo.
  * Inclui obstáculos estáticos com tipo e rotação opcional.
+ * Os mapas são descritos em arquivos JSON e construídos por map-loader.js.
  */
 export class GameMap {
+  /** @type {string} */
+  id;
+  /** @type {string} */
+  name;
+  /**
+   * Hash do conteúdo do arquivo do mapa (ver hashMapContent), usado para o servidor e os clientes
+   * confirmarem que carregaram o mesmo mapa. null para mapas não carregados de arquivo.
+   * @type {string | null}
+   */
+  hash;
   /** @type {Vector3} */
   minBounds;
   /** @type {Vector3} */
   maxBounds;
-  /** @type {Array<Vector3>} */
+  /** @type {Array<SpawnPoint>} */
   spawnPoints;
   /**
    * Lista de obstáculos estáticos no mapa.
-   * Cada objeto deve ter:
-   * - position: Vector3 (centro da base do objeto)
-   * - size: Vector3 (dimensões do objeto)
-   * - type: string ('box', 'tree') - para renderização
-   * - rotationY: number (opcional, em radianos, para renderização) - rotação visual em torno do eixo Y
-   * @type {Array<{position: Vector3, size: Vector3, type: string, rotationY?: number}>}
+   * @type {Array<MapObstacle>}
    */
   staticObstacles;
 
@@ -27,28 +54,38 @@ export class GameMap {
    * Cria uma instância do GameMap.
    * @param {Vector3} minBounds
    * @param {Vector3} maxBounds
-   * @param {Array<Vector3>} spawnPoints
-   * @param {Array<{position: Vector3, size: Vector3, type: string, rotationY?: number}>} [staticObstacles=[]]
+   * @param {Array<{position: Vector3, team?: string | null, tags?: Array<string>}>} [spawnPoints=[]]
+   * @param {Array<{position: Vector3, size: Vector3, type: string, rotationY?: number, material?: string | null, metadata?: Object<string, any>}>} [staticObstacles=[]]
+   * @param {{id?: string, name?: string, hash?: string | null}} [info] - Identificação do mapa.
    */
-  constructor(minBounds, maxBounds, spawnPoints = [], staticObstacles = []) {
+  constructor(minBounds, maxBounds, spawnPoints = [], staticObstacles = [], { id = 'unnamed', name, hash = null } = {}) {
+    this.id = id;
+    this.name = name || id;
+    this.hash = hash;
     this.minBounds = minBounds;
     this.maxBounds = maxBounds;
-    this.spawnPoints = spawnPoints;
+    this.spawnPoints = spawnPoints.map(spawnPoint => ({
+        position: spawnPoint.position,
+        team: spawnPoint.team ?? null,
+        tags: spawnPoint.tags ?? [],
+    }));
     this.staticObstacles = staticObstacles;
 
-    // Garantir que rotationY exista com valor padrão 0 se não fornecido
+    // Garantir valores padrão para os campos opcionais dos obstáculos
     this.staticObstacles.forEach(obs => {
         obs.rotationY = obs.rotationY ?? 0;
+        obs.material = obs.material ?? null;
+        obs.metadata = obs.metadata ?? {};
     });
 
     if (spawnPoints.length === 0) {
-        this.spawnPoints.push(new Vector3(0, 0.5, 0));
-        log('Map created with default spawn point at origin.');
+        this.spawnPoints.push({ position: new Vector3(0, 0.5, 0), team: null, tags: [] });
+        log(`Map ${this.id} created with default spawn point at origin.`);
     } else {
-         log(`Map created with ${spawnPoints.length} spawn points.`);
+         log(`Map ${this.id} created with ${spawnPoints.length} spawn points.`);
     }
 
-    log(`Map created with ${this.staticObstacles.length} static obstacles.`);
+    log(`Map ${this.id} created with ${this.staticObstacles.length} static obstacles.`);
   }
 
   /** @returns {{min: Vector3, max: Vector3}} */
@@ -56,75 +93,34 @@ export class GameMap {
     return { min: this.minBounds, max: this.maxBounds };
   }
 
-  /** @returns {Vector3} */
-  getRandomSpawnPoint() {
+  /**
+   * Retorna os pontos de spawn que atendem ao filtro.
+   * Pontos sem time servem a qualquer time.
+   * @param {{team?: string | null, tag?: string}} [filter]
+   * @returns {Array<SpawnPoint>}
+   */
+  getSpawnPoints({ team = null, tag } = {}) {
+    return this.spawnPoints.filter(spawnPoint =>
+        (!team || !spawnPoint.team || spawnPoint.team === team)
+        && (!tag || spawnPoint.tags.includes(tag)));
+  }
+
+  /**
+   * Sorteia um ponto de spawn. Se nenhum ponto atende ao filtro, sorteia entre todos.
+   * @param {{team?: string | null, tag?: string}} [filter]
+   * @param {() => number} [random=Math.random] - Gerador usado no sorteio.
+   * @returns {Vector3} Uma cópia da posição sorteada.
+   */
+  getRandomSpawnPoint(filter, random = Math.random) {
     if (this.spawnPoints.length === 0) return new Vector3(0, 0.5, 0);
-    const randomIndex = Math.floor(Math.random() * this.spawnPoints.length);
-    return this.spawnPoints[randomIndex].clone();
+    const candidates = filter ? this.getSpawnPoints(filter) : this.spawnPoints;
+    const pool = candidates.length > 0 ? candidates : this.spawnPoints;
+    const randomIndex = Math.floor(random() * pool.length);
+    return pool[randomIndex].position.clone();
   }
 
-  /** @returns {Array<{position: Vector3, size: Vector3, type: string, rotationY?: number}>} */
+  /** @returns {Array<MapObstacle>} */
   getStaticObstacles() {
     return this.staticObstacles;
   }
 }
-
-// --- Instância Padrão do Mapa ---
-const mapSizeX = 100;
-const mapSizeZ = 80;
-const mapMinY = 0;
-const mapMaxY = 25;
-
-const defaultMinBounds = new Vector3(-mapSizeX / 2, mapMinY, -mapSizeZ / 2);
-const defaultMaxBounds = new Vector3(mapSizeX / 2, mapMaxY, mapSizeZ / 2);
-
-const spawnOffsetZ = mapSizeZ * 0.45;
-const spawnOffsetY = 0.5;
-const defaultSpawnPoints = [
-  new Vector3(-mapSizeX * 0.3, spawnOffsetY, spawnOffsetZ),
-  new Vector3(0, spawnOffsetY, spawnOffsetZ),
-  new Vector3(mapSizeX * 0.3, spawnOffsetY, spawnOffsetZ),
-  new Vector3(-mapSizeX * 0.3, spawnOffsetY, -spawnOffsetZ),
-  new Vector3(0, spawnOffsetY, -spawnOffsetZ),
-  new Vector3(mapSizeX * 0.3, spawnOffsetY, -spawnOffsetZ),
-];
-
-const boxHeight = 1.5;
-
-// --- REFINAMENTO DA HITBOX DA ÁRVORE ---
-const treeTrunkRadiusVisual = 0.5;
-const treeTrunkHeightVisual = 4;
-const treeCanopyRadiusVisual = 2.5; // Não usado diretamente na hitbox
-
-// Hitbox: Agora mais precisa, apenas para o tronco
-const treeCollisionWidthDepth = treeTrunkRadiusVisual * 2 * 1.2; // Tronco com margem mínima
-const treeCollisionHeight = treeTrunkHeightVisual * 0.9; // Apenas o tronco, sem parte da copa
-const treeCollisionSize = new Vector3(treeCollisionWidthDepth, treeCollisionHeight, treeCollisionWidthDepth);
-log(`Tree collision size set to: ${treeCollisionSize.toString()}`); // Log para debug
-
-const defaultStaticObstacles = [
-    // --- Área Central ---
-    { type: 'box', position: new Vector3(0, 0, 0), size: new Vector3(5, boxHeight * 2, 5) },
-    { type: 'box', position: new Vector3(6, 0, 3), size: new Vector3(3, boxHeight, 3) },
-    { type: 'box', position: new Vector3(-6, 0, -3), size: new Vector3(3, boxHeight, 3) },
-    { type: 'box', position: new Vector3(3, 0, -6), size: new Vector3(3, boxHeight, 3) },
-    { type: 'box', position: new Vector3(-3, 0, 6), size: new Vector3(3, boxHeight, 3) },
-
-    // --- Obstáculos Laterais / Cobertura ---
-    { type: 'box', position: new Vector3(-mapSizeX * 0.3, 0, 0), size: new Vector3(4, boxHeight, 8) },
-    { type: 'box', position: new Vector3(mapSizeX * 0.3, 0, 0), size: new Vector3(4, boxHeight, 8) },
-    { type: 'box', position: new Vector3(0, 0, mapSizeZ * 0.3), size: new Vector3(15, boxHeight, 3) },
-    { type: 'box', position: new Vector3(0, 0, -mapSizeZ * 0.3), size: new Vector3(15, boxHeight, 3) },
-
-    // --- Árvores (Usando a nova treeCollisionSize refinada) ---
-    { type: 'tree', position: new Vector3(-mapSizeX * 0.4, 0, mapSizeZ * 0.3), size: treeCollisionSize.clone() },
-    { type: 'tree', position: new Vector3(mapSizeX * 0.4, 0, mapSizeZ * 0.3), size: treeCollisionSize.clone() },
-    { type: 'tree', position: new Vector3(-mapSizeX * 0.4, 0, -mapSizeZ * 0.3), size: treeCollisionSize.clone() },
-    { type: 'tree', position: new Vector3(mapSizeX * 0.4, 0, -mapSizeZ * 0.3), size: treeCollisionSize.clone() },
-    { type: 'tree', position: new Vector3(mapSizeX * 0.15, 0, 0), size: treeCollisionSize.clone() },
-    { type: 'tree', position: new Vector3(-mapSizeX * 0.15, 0, 0), size: treeCollisionSize.clone() },
-];
-
-const gameMap = new GameMap(defaultMinBounds, defaultMaxBounds, defaultSpawnPoints, defaultStaticObstacles);
-
-export default gameMap;
\ No newline at end of file
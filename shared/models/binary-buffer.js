@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Leitura e escrita de dados binários compactos (varints, valores quantizados, strings)
+ *               usados pelo formato de rede (ver wire-format.js).
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Escreve valores em um buffer binário que cresce conforme necessário.
+ */
+export class BinaryWriter {
+    /** @type {Uint8Array} */
+    bytes;
+    /** @type {number} */
+    length = 0;
+
+    /**
+     * Cria uma instância do BinaryWriter.
+     * @param {number} [initialCapacity=256] - Capacidade inicial em bytes.
+     */
+    constructor(initialCapacity = 256) {
+        this.bytes = new Uint8Array(initialCapacity);
+    }
+
+    /**
+     * Garante espaço para mais `count` bytes.
+     * @param {number} count
+     * @private
+     */
+    ensureCapacity(count) {
+        if (this.length + count <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + count) capacity *= 2;
+        const grown = new Uint8Array(capacity);
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    /**
+     * @param {number} value - Inteiro entre 0 e 255.
+     */
+    writeUint8(value) {
+        this.ensureCapacity(1);
+        this.bytes[this.length++] = value;
+    }
+
+    /**
+     * @param {boolean} value
+     */
+    writeBool(value) {
+        this.writeUint8(value ? 1 : 0);
+    }
+
+    /**
+     * Escreve um inteiro não negativo como varint (7 bits por byte).
+     * Usa aritmética comum em vez de operadores bit a bit para suportar valores até 2^53 (ex: timestamps).
+     * @param {number} value
+     */
+    writeVarUint(value) {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`BinaryWriter.writeVarUint requires a non-negative safe integer (got ${value}).`);
+        }
+        this.ensureCapacity(8);
+        while (value >= 0x80) {
+            this.bytes[this.length++] = (value % 0x80) | 0x80;
+            value = Math.floor(value / 0x80);
+        }
+        this.bytes[this.length++] = value;
+    }
+
+    /**
+     * Escreve um inteiro com sinal como varint em zigzag (valores pequenos em módulo ocupam poucos bytes).
+     * @param {number} value
+     */
+    writeVarInt(value) {
+        this.writeVarUint(value >= 0 ? value * 2 : -value * 2 - 1);
+    }
+
+    /**
+     * Escreve um número real quantizado (arredondado para múltiplos de 1/scale).
+     * @param {number} value
+     * @param {number} scale - Unidades por 1.0 (ex: 1024 = precisão de ~1mm para metros).
+     */
+    writeQuantized(value, scale) {
+        this.writeVarInt(Math.round((value || 0) * scale));
+    }
+
+    /**
+     * Escreve uma string UTF-8 precedida do seu tamanho em bytes.
+     * @param {string} value
+     */
+    writeString(value) {
+        const encoded = textEncoder.encode(value ?? '');
+        this.writeVarUint(encoded.length);
+        this.ensureCapacity(encoded.length);
+        this.bytes.set(encoded, this.length);
+        this.length += encoded.length;
+    }
+
+    /**
+     * Retorna uma cópia compacta dos bytes escritos (o buffer enviado não carrega a capacidade ociosa).
+     * @returns {Uint8Array}
+     */
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Lê valores escritos por um BinaryWriter.
+ */
+export class BinaryReader {
+    /** @type {Uint8Array} */
+    bytes;
+    /** @type {number} */
+    offset = 0;
+
+    /**
+     * Cria uma instância do BinaryReader.
+     * @param {ArrayBuffer | ArrayBufferView} data - Dados recebidos (ArrayBuffer no navegador, Buffer no Node).
+     */
+    constructor(data) {
+        if (data instanceof ArrayBuffer) {
+            this.bytes = new Uint8Array(data);
+        } else if (ArrayBuffer.isView(data)) {
+            this.bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        } else {
+            throw new Error("BinaryReader requires an ArrayBuffer or a typed array.");
+        }
+    }
+
+    /**
+     * @returns {number}
+     */
+    readUint8() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error("BinaryReader: unexpected end of data.");
+        }
+        return this.bytes[this.offset++];
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    readBool() {
+        return this.readUint8() !== 0;
+    }
+
+    /**
+     * @returns {number}
+     */
+    readVarUint() {
+        let value = 0;
+        let multiplier = 1;
+        for (;;) {
+            const byte = this.readUint8();
+            value += (byte & 0x7f) * multiplier;
+            if (byte < 0x80) return value;
+            multiplier *= 0x80;
+            if (multiplier > Number.MAX_SAFE_INTEGER) {
+                throw new Error("BinaryReader: varint too long.");
+            }
+        }
+    }
+
+    /**
+     * @returns {number}
+     */
+    readVarInt() {
+        const zigzag = this.readVarUint();
+        return zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+    }
+
+    /**
+     * @param {number} scale - A mesma escala usada na escrita.
+     * @returns {number}
+     */
+    readQuantized(scale) {
+        return this.readVarInt() / scale;
+    }
+
+    /**
+     * @returns {string}
+     */
+    readString() {
+        const length = this.readVarUint();
+        if (this.offset + length > this.bytes.length) {
+            throw new Error("BinaryReader: string exceeds end of data.");
+        }
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
@@ -3,14 +3,24 @@
  *               a ser sincronizado do servidor para os clientes.
  */
 
+/**
+ * Placar de um time.
+ * @typedef {object} TeamScore
+ * @property {string} team
+ * @property {number} score - Abates do time na partida.
+ */
+
 /**
  * Representa um snapshot do estado completo do jogo em um determinado momento.
  *
  * @typedef {object} GameState
  * @property {number} timestamp - O timestamp do servidor (ms desde epoch) quando o snapshot foi criado.
+ * @property {number} tick - O número do último passo fixo simulado pelo servidor (ver PersistentGameLoop).
  * @property {Array<import('./player-state.js').PlayerState>} players - Um array contendo o estado de todos os jogadores ativos.
+ * @property {Array<object>} projectiles - Estado de todos os projéteis ativos.
+ * @property {Array<TeamScore>} teamScores - Placar de cada time (vazio fora do modo em equipe).
+ * // Na rede, o snapshot é enviado como keyframe ou delta (ver snapshot-delta.js), em formato binário (ver wire-format.js).
  * // Propriedades futuras a serem adicionadas:
- * // @property {Array<object>} projectiles - Estado de todos os projéteis ativos.
  * // @property {Array<object>} worldObjects - Estado de outros objetos do mundo (itens, etc.).
  * // @property {object} gameInfo - Informações gerais da partida (tempo restante, modo de jogo, etc.).
  */
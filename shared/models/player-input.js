@@ -3,14 +3,18 @@
  */
 
 /**
- * Representa um pacote de input do jogador para um determinado intervalo de tempo (deltaTime).
+ * Representa um pacote de input do jogador para um passo fixo da simulação (getFixedTimeStep()).
  *
  * @typedef {object} PlayerInput
  * @property {number} sequence - Um número sequencial para identificar e ordenar os pacotes de input.
- * @property {number} deltaTime - O delta time no cliente quando este input foi gerado (em segundos).
- * @property {{W: boolean, A: boolean, S: boolean, D: boolean, Shift: boolean, Space: boolean, Fire: boolean, Cast1: boolean, Cast2: boolean}} keys - O estado das teclas de ação/movimento.
+ * @property {number} deltaTime - O passo simulado pelo cliente com este input (em segundos); sempre getFixedTimeStep(),
+ *           que é o passo usado pelo servidor independentemente do valor recebido.
+ * @property {{W: boolean, A: boolean, S: boolean, D: boolean, Shift: boolean, Space: boolean, Crouch: boolean, Fire: boolean, Cast1: boolean, Cast2: boolean, Cast3: boolean}} keys - O estado das teclas de ação/movimento
+ *           (Shift corre, Space pula, Crouch agacha, CastN lança a magia do slot N).
  * @property {number} lookYaw - O ângulo de rotação horizontal (yaw) do jogador em radianos.
  * @property {number} lookPitch - O ângulo de rotação vertical (pitch) do jogador em radianos.
+ * @property {number} [viewTime] - Instante, no relógio do servidor estimado pelo cliente, em que ele exibia os jogadores
+ *           remotos (usado na compensação de latência; omitido antes do primeiro snapshot).
  */
 
 // Não há código executável neste arquivo, apenas a definição da estrutura via JSDoc.
@@ -5,23 +5,36 @@
 
 /**
  * Representa o estado serializável de um jogador.
- * Este é um objeto simples para facilitar a transmissão via JSON/Socket.IO.
+ * Este é um objeto simples; na rede é codificado no formato binário (ver wire-format.js).
  * Corresponde ao que Player.getState() retorna.
  *
  * @typedef {object} PlayerState
  * @property {string} id - O ID único do jogador.
+ * @property {number} netId - ID numérico do jogador no formato binário de rede.
  * @property {{x: number, y: number, z: number}} position - A posição atual do jogador.
+ * @property {{x: number, y: number, z: number}} velocity - A velocidade atual (usada na re-simulação de inputs).
+ * @property {boolean} isGrounded - Se o jogador está apoiado no chão ou em um obstáculo.
+ * @property {number} lastProcessedInputSequence - Sequência do último input aplicado pelo servidor.
  * @property {number} health - A vida atual do jogador.
  * @property {number} maxHealth - A vida máxima do jogador.
  * @property {string} name - O nome do jogador.
  * @property {number} score - A pontuação do jogador.
+ * @property {number} kills - Abates creditados ao jogador.
+ * @property {number} deaths - Quantidade de mortes do jogador.
+ * @property {number} assists - Assistências creditadas ao jogador.
+ * @property {number} stamina - Estamina atual (consumida ao correr).
+ * @property {number} maxStamina - Estamina máxima.
+ * @property {boolean} isCrouching - Se o jogador está agachado (altura/hitboxes reduzidas).
+ * @property {boolean} isSprinting - Se o jogador está correndo.
+ * @property {number} mana - Mana atual (consumida ao lançar magias).
+ * @property {number} maxMana - Mana máxima.
+ * @property {Array<{type: string, remaining: number}>} spellCooldowns - Recarga restante (s) de cada slot de magia.
+ * @property {Array<{type: string, remaining: number, speedMultiplier: number}>} statusEffects - Efeitos temporários ativos (ex: 'haste').
  * @property {boolean} isAlive - Se o jogador está vivo.
  * @property {number} lookYaw - Rotação horizontal em radianos.
+ * @property {string | null} team - Time do jogador (null, ou '' depois de decodificado, fora do modo em equipe).
  * // Propriedades futuras a serem adicionadas conforme necessário:
- * // @property {number} mana
- * // @property {number} maxMana
  * // @property {object} attributes - Estado do AttributeSet
- * // @property {object} cooldowns - Estado dos cooldowns de magias/habilidades
  * // @property {string | null} currentWeaponId - ID da arma equipada
  */
 
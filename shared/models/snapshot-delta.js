@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Compressão delta dos snapshots de estado enviados do servidor aos clientes.
+ *               O servidor envia apenas os campos que mudaram em relação ao último snapshot
+ *               confirmado pelo cliente (baseline); o cliente reconstrói o estado completo.
+ */
+
+/**
+ * Alterações de uma coleção de entidades (jogadores ou projéteis) em relação à baseline.
+ * Entidades novas aparecem em `changed` com todos os campos.
+ * @typedef {object} EntityCollectionDelta
+ * @property {Array<object>} changed - Entradas `{id, ...camposAlterados}`.
+ * @property {Array<string>} removed - IDs das entidades que deixaram de existir.
+ */
+
+/**
+ * Mensagem 'gameStateUpdate'. Keyframes trazem o estado completo (`players`/`projectiles` como arrays);
+ * deltas trazem `EntityCollectionDelta` e o `baseSeq` sobre o qual devem ser aplicados.
+ * @typedef {object} SnapshotMessage
+ * @property {number} seq - Número sequencial do snapshot.
+ * @property {boolean} keyframe - `true` se a mensagem contém o estado completo.
+ * @property {number} [baseSeq] - Snapshot base (apenas deltas).
+ * @property {number} timestamp - Timestamp do servidor.
+ * @property {number} tick - Último passo simulado pelo servidor.
+ * @property {Array<object> | EntityCollectionDelta} players
+ * @property {Array<object> | EntityCollectionDelta} projectiles
+ * @property {Array<import('./game-state.js').TeamScore>} teamScores - Sempre completo.
+ */
+
+/**
+ * Compara dois valores de campo de estado. Objetos simples (posição, velocidade, listas)
+ * são comparados por conteúdo.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function fieldEquals(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Campos de `current` que diferem de `base`.
+ * @param {object} base
+ * @param {object} current
+ * @returns {object | null} `{id, ...campos}` ou null se nada mudou.
+ */
+export function diffEntityState(base, current) {
+    let changes = null;
+    for (const key in current) {
+        if (key === 'id') continue;
+        if (!fieldEquals(base[key], current[key])) {
+            changes = changes ?? { id: current.id };
+            changes[key] = current[key];
+        }
+    }
+    return changes;
+}
+
+/**
+ * Calcula as alterações entre duas listas de estados de entidades (por `id`).
+ * @param {Array<object>} baseList
+ * @param {Array<object>} currentList
+ * @returns {EntityCollectionDelta}
+ */
+export function diffEntityCollection(baseList, currentList) {
+    const baseById = new Map(baseList.map(entity => [entity.id, entity]));
+    const changed = [];
+    for (const current of currentList) {
+        const base = baseById.get(current.id);
+        if (!base) {
+            changed.push(current); // Entidade nova: envia completa
+            continue;
+        }
+        baseById.delete(current.id);
+        const changes = diffEntityState(base, current);
+        if (changes) changed.push(changes);
+    }
+    return { changed, removed: Array.from(baseById.keys()) };
+}
+
+/**
+ * Aplica as alterações a uma lista de estados. Não modifica a lista nem os objetos da baseline.
+ * @param {Array<object>} baseList
+ * @param {EntityCollectionDelta} delta
+ * @returns {Array<object>}
+ */
+export function applyEntityCollectionDelta(baseList, delta) {
+    const removed = new Set(delta.removed);
+    const changesById = new Map(delta.changed.map(changes => [changes.id, changes]));
+    const result = [];
+    for (const base of baseList) {
+        if (removed.has(base.id)) continue;
+        const changes = changesById.get(base.id);
+        if (changes) {
+            result.push({ ...base, ...changes });
+            changesById.delete(base.id);
+        } else {
+            result.push(base);
+        }
+    }
+    for (const added of changesById.values()) {
+        result.push({ ...added });
+    }
+    return result;
+}
+
+/**
+ * Monta a mensagem delta entre dois snapshots completos.
+ * @param {number} seq - Sequência do snapshot atual.
+ * @param {number} baseSeq - Sequência da baseline.
+ * @param {import('./game-state.js').GameState} baseline
+ * @param {import('./game-state.js').GameState} current
+ * @returns {SnapshotMessage}
+ */
+export function createSnapshotDelta(seq, baseSeq, baseline, current) {
+    return {
+        seq,
+        keyframe: false,
+        baseSeq,
+        timestamp: current.timestamp,
+        tick: current.tick,
+        players: diffEntityCollection(baseline.players, current.players),
+        projectiles: diffEntityCollection(baseline.projectiles ?? [], current.projectiles ?? []),
+        teamScores: current.teamScores ?? [],
+    };
+}
+
+/**
+ * Monta um keyframe (estado completo).
+ * @param {number} seq
+ * @param {import('./game-state.js').GameState} current
+ * @returns {SnapshotMessage}
+ */
+export function createSnapshotKeyframe(seq, current) {
+    return {
+        seq,
+        keyframe: true,
+        timestamp: current.timestamp,
+        tick: current.tick,
+        players: current.players,
+        projectiles: current.projectiles ?? [],
+        teamScores: current.teamScores ?? [],
+    };
+}
+
+/**
+ * Reconstrói o snapshot completo a partir de uma mensagem e da baseline correspondente.
+ * @param {SnapshotMessage} message
+ * @param {import('./game-state.js').GameState | null} baseline - Snapshot `message.baseSeq` (ignorado em keyframes).
+ * @returns {import('./game-state.js').GameState}
+ */
+export function applySnapshotMessage(message, baseline) {
+    if (message.keyframe) {
+        return {
+            timestamp: message.timestamp,
+            tick: message.tick,
+            players: message.players,
+            projectiles: message.projectiles ?? [],
+            teamScores: message.teamScores ?? [],
+        };
+    }
+    if (!baseline) {
+        throw new Error(`Snapshot delta ${message.seq} requires baseline ${message.baseSeq}.`);
+    }
+    return {
+        timestamp: message.timestamp,
+        tick: message.tick,
+        players: applyEntityCollectionDelta(baseline.players, message.players),
+        projectiles: applyEntityCollectionDelta(baseline.projectiles ?? [], message.projectiles),
+        teamScores: message.teamScores ?? [],
+    };
+}
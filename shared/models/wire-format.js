@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Formato binário das mensagens de alto volume ('gameStateUpdate' e 'playerInput').
+ *               Posições e ângulos são quantizados, as teclas de ação viram um campo de bits e as
+ *               entidades são referenciadas pelo `netId` numérico (varint) em vez do ID em string.
+ *               Qualquer mudança incompatível neste arquivo exige incrementar PROTOCOL_VERSION.
+ */
+
+import { BinaryWriter, BinaryReader } from './binary-buffer.js';
+import {
+    POSITION_QUANTIZATION_SCALE,
+    ANGLE_QUANTIZATION_SCALE,
+    SCALAR_QUANTIZATION_SCALE,
+    INPUT_DELTA_TIME_SCALE,
+} from '../constants/network-settings.js';
+
+/**
+ * Codificador de um valor de campo.
+ * @typedef {object} FieldCodec
+ * @property {(writer: BinaryWriter, value: any) => void} write
+ * @property {(reader: BinaryReader) => any} read
+ */
+
+/** @type {FieldCodec} */
+const VEC3 = {
+    write(writer, value) {
+        writer.writeQuantized(value?.x, POSITION_QUANTIZATION_SCALE);
+        writer.writeQuantized(value?.y, POSITION_QUANTIZATION_SCALE);
+        writer.writeQuantized(value?.z, POSITION_QUANTIZATION_SCALE);
+    },
+    read(reader) {
+        return {
+            x: reader.readQuantized(POSITION_QUANTIZATION_SCALE),
+            y: reader.readQuantized(POSITION_QUANTIZATION_SCALE),
+            z: reader.readQuantized(POSITION_QUANTIZATION_SCALE),
+        };
+    },
+};
+
+/** @type {FieldCodec} */
+const ANGLE = {
+    write: (writer, value) => writer.writeQuantized(value, ANGLE_QUANTIZATION_SCALE),
+    read: (reader) => reader.readQuantized(ANGLE_QUANTIZATION_SCALE),
+};
+
+/** @type {FieldCodec} */
+const SCALAR = {
+    write: (writer, value) => writer.writeQuantized(value, SCALAR_QUANTIZATION_SCALE),
+    read: (reader) => reader.readQuantized(SCALAR_QUANTIZATION_SCALE),
+};
+
+/** @type {FieldCodec} */
+const INT = {
+    write: (writer, value) => writer.writeVarInt(Math.round(value || 0)),
+    read: (reader) => reader.readVarInt(),
+};
+
+/** @type {FieldCodec} */
+const BOOL = {
+    write: (writer, value) => writer.writeBool(value),
+    read: (reader) => reader.readBool(),
+};
+
+/** @type {FieldCodec} */
+const STRING = {
+    write: (writer, value) => writer.writeString(value == null ? '' : String(value)),
+    read: (reader) => reader.readString(),
+};
+
+/**
+ * Lista de objetos com campos fixos (ex: cooldowns de magias).
+ * @param {Array<[string, FieldCodec]>} itemFields
+ * @returns {FieldCodec}
+ */
+function listOf(itemFields) {
+    return {
+        write(writer, list) {
+            const items = Array.isArray(list) ? list : [];
+            writer.writeVarUint(items.length);
+            for (const item of items) {
+                for (const [key, codec] of itemFields) codec.write(writer, item[key]);
+            }
+        },
+        read(reader) {
+            const count = reader.readVarUint();
+            const items = [];
+            for (let i = 0; i < count; i++) {
+                const item = {};
+                for (const [key, codec] of itemFields) item[key] = codec.read(reader);
+                items.push(item);
+            }
+            return items;
+        },
+    };
+}
+
+/**
+ * Campos do estado de jogador, na ordem dos bits da máscara de campos.
+ * Novos campos devem ser adicionados ao final (e PROTOCOL_VERSION incrementado).
+ * @type {Array<[string, FieldCodec]>}
+ */
+const PLAYER_STATE_FIELDS = [
+    ['position', VEC3],
+    ['velocity', VEC3],
+    ['isGrounded', BOOL],
+    ['health', SCALAR],
+    ['maxHealth', SCALAR],
+    ['name', STRING],
+    ['score', INT],
+    ['kills', INT],
+    ['deaths', INT],
+    ['assists', INT],
+    ['stamina', SCALAR],
+    ['maxStamina', SCALAR],
+    ['isCrouching', BOOL],
+    ['isSprinting', BOOL],
+    ['mana', SCALAR],
+    ['maxMana', SCALAR],
+    ['spellCooldowns', listOf([['type', STRING], ['remaining', SCALAR]])],
+    ['statusEffects', listOf([['type', STRING], ['remaining', SCALAR], ['speedMultiplier', SCALAR]])],
+    ['isAlive', BOOL],
+    ['lookYaw', ANGLE],
+    ['lastProcessedInputSequence', INT],
+    ['team', STRING],
+];
+
+/**
+ * Campos do estado de projétil.
+ * @type {Array<[string, FieldCodec]>}
+ */
+const PROJECTILE_STATE_FIELDS = [
+    ['position', VEC3],
+    ['ownerId', STRING],
+    ['type', STRING],
+];
+
+/**
+ * Placar dos times, enviado completo em todo snapshot (keyframe ou delta): são poucos valores.
+ * @type {FieldCodec}
+ */
+const TEAM_SCORES = listOf([['team', STRING], ['score', INT]]);
+
+/**
+ * Ordem dos bits das teclas de ação no input (ver InputController.getActionKeysState).
+ * @type {Array<string>}
+ */
+export const INPUT_KEY_NAMES = ['W', 'A', 'S', 'D', 'Shift', 'Space', 'Crouch', 'Fire', 'Aim', 'Cast1', 'Cast2', 'Cast3'];
+
+const SNAPSHOT_FLAG_KEYFRAME = 1;
+const INPUT_FLAG_VIEW_TIME = 1;
+
+/**
+ * Escreve os campos presentes de um estado de entidade: máscara de bits dos campos seguida dos valores.
+ * Campos fora do esquema vão, em JSON, no bit seguinte ao último campo do esquema.
+ * @param {BinaryWriter} writer
+ * @param {object} state
+ * @param {Array<[string, FieldCodec]>} fields
+ */
+function writeEntityFields(writer, state, fields) {
+    let mask = 0;
+    fields.forEach(([key], index) => {
+        if (state[key] !== undefined) mask |= 1 << index;
+    });
+
+    let extras = null;
+    for (const key in state) {
+        if (key === 'id' || key === 'netId' || state[key] === undefined) continue;
+        if (!fields.some(([fieldKey]) => fieldKey === key)) {
+            extras = extras ?? {};
+            extras[key] = state[key];
+        }
+    }
+    if (extras) mask |= 1 << fields.length;
+
+    writer.writeVarUint(mask);
+    fields.forEach(([key, codec], index) => {
+        if (mask & (1 << index)) codec.write(writer, state[key]);
+    });
+    if (extras) writer.writeString(JSON.stringify(extras));
+}
+
+/**
+ * Lê os campos escritos por writeEntityFields para dentro de `target`.
+ * @param {BinaryReader} reader
+ * @param {object} target
+ * @param {Array<[string, FieldCodec]>} fields
+ */
+function readEntityFields(reader, target, fields) {
+    const mask = reader.readVarUint();
+    fields.forEach(([key, codec], index) => {
+        if (mask & (1 << index)) target[key] = codec.read(reader);
+    });
+    if (mask & (1 << fields.length)) {
+        Object.assign(target, JSON.parse(reader.readString()));
+    }
+}
+
+/**
+ * Escreve uma coleção de entidades (lista completa de um keyframe ou EntityCollectionDelta).
+ * Entradas com `netId` são completas (entidade nova para o cliente) e levam também o ID em string;
+ * as demais contêm só os campos alterados e são identificadas apenas pelo `netId`.
+ * @param {BinaryWriter} writer
+ * @param {Array<object> | import('./snapshot-delta.js').EntityCollectionDelta} collection
+ * @param {Map<string, number>} netIdsById - netId de cada entidade do snapshot atual e da baseline.
+ * @param {Array<[string, FieldCodec]>} fields
+ */
+function writeEntityCollection(writer, collection, netIdsById, fields) {
+    const changed = Array.isArray(collection) ? collection : collection.changed;
+    const removed = Array.isArray(collection) ? [] : collection.removed;
+
+    writer.writeVarUint(changed.length);
+    for (const entry of changed) {
+        const isFull = entry.netId !== undefined;
+        const netId = isFull ? entry.netId : netIdsById.get(entry.id);
+        if (netId === undefined) {
+            throw new Error(`Cannot encode entity ${entry.id}: unknown netId.`);
+        }
+        writer.writeVarUint(netId * 2 + (isFull ? 1 : 0));
+        if (isFull) writer.writeString(entry.id);
+        writeEntityFields(writer, entry, fields);
+    }
+
+    writer.writeVarUint(removed.length);
+    for (const id of removed) {
+        const netId = netIdsById.get(id);
+        if (netId === undefined) {
+            throw new Error(`Cannot encode removal of entity ${id}: unknown netId.`);
+        }
+        writer.writeVarUint(netId);
+    }
+}
+
+/**
+ * Lê uma coleção escrita por writeEntityCollection.
+ * @param {BinaryReader} reader
+ * @param {boolean} keyframe
+ * @param {Array<object>} baselineList - Entidades da baseline (resolve os netIds das entradas parciais).
+ * @param {Array<[string, FieldCodec]>} fields
+ * @returns {Array<object> | import('./snapshot-delta.js').EntityCollectionDelta}
+ */
+function readEntityCollection(reader, keyframe, baselineList, fields) {
+    let idsByNetId = null;
+    const resolveId = (netId) => {
+        idsByNetId = idsByNetId ?? new Map(baselineList.map(entity => [entity.netId, entity.id]));
+        const id = idsByNetId.get(netId);
+        if (id === undefined) throw new Error(`Unknown netId ${netId} in snapshot.`);
+        return id;
+    };
+
+    const changed = [];
+    const changedCount = reader.readVarUint();
+    for (let i = 0; i < changedCount; i++) {
+        const header = reader.readVarUint();
+        const netId = Math.floor(header / 2);
+        const entry = header % 2 === 1
+            ? { id: reader.readString(), netId }
+            : { id: resolveId(netId) };
+        readEntityFields(reader, entry, fields);
+        changed.push(entry);
+    }
+
+    const removed = [];
+    const removedCount = reader.readVarUint();
+    for (let i = 0; i < removedCount; i++) {
+        removed.push(resolveId(reader.readVarUint()));
+    }
+
+    return keyframe ? changed : { changed, removed };
+}
+
+/**
+ * Codifica uma mensagem de snapshot (keyframe ou delta) no formato binário.
+ * @param {import('./snapshot-delta.js').SnapshotMessage} message
+ * @param {import('./game-state.js').GameState} current - Snapshot completo atual (fornece os netIds).
+ * @param {import('./game-state.js').GameState | null} [baseline=null] - Baseline do delta (netIds das entidades removidas).
+ * @returns {Uint8Array}
+ */
+export function encodeSnapshotMessage(message, current, baseline = null) {
+    const writer = new BinaryWriter(1024);
+    writer.writeUint8(message.keyframe ? SNAPSHOT_FLAG_KEYFRAME : 0);
+    writer.writeVarUint(message.seq);
+    if (!message.keyframe) writer.writeVarUint(message.baseSeq);
+    writer.writeVarUint(message.timestamp);
+    writer.writeVarUint(message.tick ?? 0);
+
+    const collectNetIds = (lists) => {
+        const netIdsById = new Map();
+        for (const list of lists) {
+            for (const entity of list ?? []) netIdsById.set(entity.id, entity.netId);
+        }
+        return netIdsById;
+    };
+    writeEntityCollection(writer, message.players, collectNetIds([baseline?.players, current.players]), PLAYER_STATE_FIELDS);
+    writeEntityCollection(writer, message.projectiles, collectNetIds([baseline?.projectiles, current.projectiles]), PROJECTILE_STATE_FIELDS);
+    TEAM_SCORES.write(writer, message.teamScores);
+    return writer.toBytes();
+}
+
+/**
+ * Lê apenas o cabeçalho de um snapshot binário (para localizar a baseline antes de decodificá-lo).
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @returns {{seq: number, keyframe: boolean, baseSeq?: number, timestamp: number, tick: number}}
+ */
+export function readSnapshotHeader(data) {
+    return readHeader(new BinaryReader(data));
+}
+
+/**
+ * @param {BinaryReader} reader
+ * @returns {{seq: number, keyframe: boolean, baseSeq?: number, timestamp: number, tick: number}}
+ */
+function readHeader(reader) {
+    const keyframe = (reader.readUint8() & SNAPSHOT_FLAG_KEYFRAME) !== 0;
+    const seq = reader.readVarUint();
+    const baseSeq = keyframe ? undefined : reader.readVarUint();
+    const timestamp = reader.readVarUint();
+    const tick = reader.readVarUint();
+    return keyframe ? { seq, keyframe, timestamp, tick } : { seq, keyframe, baseSeq, timestamp, tick };
+}
+
+/**
+ * Decodifica um snapshot binário de volta para uma SnapshotMessage.
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @param {import('./game-state.js').GameState | null} baseline - Snapshot `baseSeq` reconstruído (ignorado em keyframes).
+ * @returns {import('./snapshot-delta.js').SnapshotMessage}
+ */
+export function decodeSnapshotMessage(data, baseline) {
+    const reader = new BinaryReader(data);
+    const message = readHeader(reader);
+    if (!message.keyframe && !baseline) {
+        throw new Error(`Snapshot delta ${message.seq} requires baseline ${message.baseSeq}.`);
+    }
+    message.players = readEntityCollection(reader, message.keyframe, baseline?.players ?? [], PLAYER_STATE_FIELDS);
+    message.projectiles = readEntityCollection(reader, message.keyframe, baseline?.projectiles ?? [], PROJECTILE_STATE_FIELDS);
+    message.teamScores = TEAM_SCORES.read(reader);
+    return message;
+}
+
+/**
+ * Codifica um input do jogador no formato binário.
+ * @param {import('./player-input.js').PlayerInput} input
+ * @returns {Uint8Array}
+ */
+export function encodePlayerInput(input) {
+    const writer = new BinaryWriter(32);
+    const hasViewTime = typeof input.viewTime === 'number';
+    writer.writeUint8(hasViewTime ? INPUT_FLAG_VIEW_TIME : 0);
+    writer.writeVarUint(input.sequence);
+    writer.writeVarUint(Math.max(0, Math.round(input.deltaTime * INPUT_DELTA_TIME_SCALE)));
+
+    let keyBits = 0;
+    INPUT_KEY_NAMES.forEach((keyName, index) => {
+        if (input.keys?.[keyName]) keyBits |= 1 << index;
+    });
+    writer.writeVarUint(keyBits);
+
+    ANGLE.write(writer, input.lookYaw);
+    ANGLE.write(writer, input.lookPitch);
+    if (hasViewTime) writer.writeVarUint(Math.max(0, Math.round(input.viewTime)));
+    return writer.toBytes();
+}
+
+/**
+ * Decodifica um input binário. Lança erro se os dados estiverem truncados ou malformados.
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @returns {import('./player-input.js').PlayerInput}
+ */
+export function decodePlayerInput(data) {
+    const reader = new BinaryReader(data);
+    const flags = reader.readUint8();
+    const sequence = reader.readVarUint();
+    const deltaTime = reader.readVarUint() / INPUT_DELTA_TIME_SCALE;
+
+    const keyBits = reader.readVarUint();
+    const keys = {};
+    INPUT_KEY_NAMES.forEach((keyName, index) => {
+        keys[keyName] = (keyBits & (1 << index)) !== 0;
+    });
+
+    const input = {
+        sequence,
+        deltaTime,
+        keys,
+        lookYaw: ANGLE.read(reader),
+        lookPitch: ANGLE.read(reader),
+    };
+    if (flags & INPUT_FLAG_VIEW_TIME) input.viewTime = reader.readVarUint();
+    return input;
+}
@@ -1,9 +1,73 @@
-import { log, warn } from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
 import { Vector3 } from './vector.js';
 import { clamp } from '../utils/math-utils.js';
+import { GROUND_CHECK_EPSILON, STEP_HEIGHT, STATIC_GRID_CELL_SIZE } from '../constants/game-settings.js';
+import { SpatialGrid, getCandidatesNear, getCandidatesAlong } from './spatial-grid.js';
+import { passesThroughTeammate } from '../gameplay/teams/friendly-fire.js';
+
+const { log, warn } = createLogger('collision');
+// Um log por raycast que acerta algo: limitado para não inundar a saída em combates
+const raycastLog = createLogger('collision.raycast').rateLimited(1000);
+
+/**
+ * Fornece as hitboxes a testar para um alvo (ex: compensação de latência no servidor).
+ * @callback HitboxProvider
+ * @param {import('../entities/player.js').Player} target
+ * @param {import('../entities/projectile.js').Projectile} projectile
+ * @returns {Object.<string, {min: Vector3, max: Vector3}> | null | undefined}
+ */
+
+/**
+ * Obstáculo estático (posição = centro da base).
+ * @typedef {{position: Vector3, size: Vector3, type?: string, rotationY?: number}} StaticObstacle
+ */
+
+/**
+ * Obstáculos aceitos pelas consultas: a lista completa ou uma grade (ver createObstacleGrid), que
+ * limita os testes exatos aos obstáculos próximos.
+ * @typedef {Array<StaticObstacle> | SpatialGrid<StaticObstacle>} ObstacleCollection
+ */
+
+// Temporários reaproveitados pelas consultas (chamadas várias vezes por entidade a cada tick): os
+// resultados que apontam para eles só valem até a próxima chamada do mesmo método.
+const rotation = { cos: 1, sin: 0 };
+const AXIS_X = Object.freeze(new Vector3(1, 0, 0));
+const AXIS_Y = Object.freeze(new Vector3(0, 1, 0));
+const AXIS_Z = Object.freeze(new Vector3(0, 0, 1));
+const WORLD_AXES = [AXIS_X, AXIS_Y, AXIS_Z];
+const AXIS_NAMES = ['x', 'y', 'z'];
+const localAxisX = new Vector3();
+const localAxisZ = new Vector3();
+const overlapResult = { axis: AXIS_X, depth: 0, sign: 1 };
+const scratchPoint = new Vector3();
+const scratchDirection = new Vector3();
+const scratchSegment = new Vector3();
+const scratchBoxA = { min: new Vector3(), max: new Vector3() };
+const scratchBoxB = { min: new Vector3(), max: new Vector3() };
+const scratchEntityBox = { min: new Vector3(), max: new Vector3() };
+const scratchHitboxes = {};
+const obstacleCandidates = [];
+const targetCandidates = [];
+const walls = [];
+const floorHeights = [];
+
+/**
+ * Seno e cosseno da rotação em Y de um obstáculo.
+ * @param {{rotationY?: number}} obstacle
+ * @returns {{cos: number, sin: number}} Objeto reaproveitado: desestruture antes da próxima chamada.
+ */
+function getObstacleRotation(obstacle) {
+  const rotationY = obstacle.rotationY || 0;
+  rotation.cos = rotationY ? Math.cos(rotationY) : 1;
+  rotation.sin = rotationY ? Math.sin(rotationY) : 0;
+  return rotation;
+}
 
 /**
  * Sistema responsável por detectar e resolver colisões.
+ * Obstáculos estáticos podem ter rotationY (caixas orientadas em torno do eixo Y); entidades são sempre AABBs.
+ * Rampas ('ramp') são prismas cuja superfície sobe ao longo do eixo Z local, de 0 (em -size.z/2)
+ * até size.y (em +size.z/2).
  */
 export class CollisionSystem {
 
@@ -14,6 +78,21 @@ export class CollisionSystem {
     log('CollisionSystem initialized.');
   }
 
+  /**
+   * Monta a grade de broad-phase dos obstáculos estáticos de um mapa, indexados pelas suas AABBs
+   * (envolventes, para obstáculos girados). Deve ser remontada se a lista mudar.
+   * @param {Array<StaticObstacle>} obstacles
+   * @param {number} [cellSize=STATIC_GRID_CELL_SIZE]
+   * @returns {SpatialGrid<StaticObstacle>}
+   */
+  createObstacleGrid(obstacles, cellSize = STATIC_GRID_CELL_SIZE) {
+    const grid = new SpatialGrid(cellSize);
+    for (const obstacle of obstacles) {
+        grid.insert(obstacle, this.getObstacleAABB(obstacle));
+    }
+    return grid;
+  }
+
   /**
    * Verifica se uma AABB está (parcialmente ou totalmente) fora dos limites do mapa.
    * @param {{min: Vector3, max: Vector3}} aabb - A AABB a ser verificada.
@@ -37,28 +116,28 @@ export class CollisionSystem {
    * @param {import('../base/game-object.js').GameObject} entity - A entidade colidindo.
    * @param {Vector3} potentialPosition - A posição que a entidade tentaria alcançar sem colisão.
    * @param {{min: Vector3, max: Vector3}} mapBounds - Os limites do mapa.
-   * @returns {Vector3} A posição final ajustada da entidade após a resolução da colisão.
+   * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado (pode ser o próprio potentialPosition).
+   * @returns {Vector3} A posição final ajustada da entidade após a resolução da colisão (`out`).
    */
-  resolveWorldBoundsCollision(entity, potentialPosition, mapBounds) {
+  resolveWorldBoundsCollision(entity, potentialPosition, mapBounds, out = new Vector3()) {
     // Obter a AABB da entidade *na posição potencial*
     const entityHalfWidth = (entity.width || 0.1) / 2; // Usa largura/profundidade específica se existir, senão um valor pequeno
     const entityHalfDepth = (entity.depth || entity.width || 0.1) / 2;
     const entityHeight = entity.height || 0.1; // Usa altura específica
 
-    const potentialAABB = {
-        min: new Vector3(
-            potentialPosition.x - entityHalfWidth,
-            potentialPosition.y, // Assumindo que a posição Y é a base
-            potentialPosition.z - entityHalfDepth
-        ),
-        max: new Vector3(
-            potentialPosition.x + entityHalfWidth,
-            potentialPosition.y + entityHeight,
-            potentialPosition.z + entityHalfDepth
-        ),
-    };
-
-    const finalPosition = potentialPosition.clone(); // Começa com a posição desejada
+    const potentialAABB = scratchBoxA;
+    potentialAABB.min.set(
+        potentialPosition.x - entityHalfWidth,
+        potentialPosition.y, // Assumindo que a posição Y é a base
+        potentialPosition.z - entityHalfDepth
+    );
+    potentialAABB.max.set(
+        potentialPosition.x + entityHalfWidth,
+        potentialPosition.y + entityHeight,
+        potentialPosition.z + entityHalfDepth
+    );
+
+    const finalPosition = out.copy(potentialPosition); // Começa com a posição desejada
     let collided = false;
 
     // Resolve Colisão no eixo X
@@ -141,8 +220,7 @@ export class CollisionSystem {
   checkRayAABBIntersection(rayOrigin, rayDirection, maxDistance, aabb) {
       // Se a magnitude da direção for muito pequena, trata como ponto e faz overlap check
       if (rayDirection.magnitudeSq() < 0.00001) {
-          const pointBox = { min: rayOrigin.clone(), max: rayOrigin.clone() };
-          return this.checkAABBOverlap(pointBox, aabb) ? 0 : null;
+          return this.checkAABBOverlap({ min: rayOrigin, max: rayOrigin }, aabb) ? 0 : null;
       }
 
       // --- REVISÃO DA LÓGICA SLAB TEST ---
@@ -153,7 +231,7 @@ export class CollisionSystem {
       const EPSILON = 1e-6;
 
       for (let i = 0; i < 3; i++) {
-          const axis = i === 0 ? 'x' : i === 1 ? 'y' : 'z';
+          const axis = AXIS_NAMES[i];
           const dirAxis = rayDirection[axis];
           const originAxis = rayOrigin[axis];
           const minAxis = aabb.min[axis];
@@ -170,7 +248,11 @@ export class CollisionSystem {
           let t1 = (minAxis - originAxis) * invDir;
           let t2 = (maxAxis - originAxis) * invDir;
 
-          if (t1 > t2) [t1, t2] = [t2, t1]; // Garante t1 < t2
+          if (t1 > t2) { // Garante t1 < t2
+              const swap = t1;
+              t1 = t2;
+              t2 = swap;
+          }
 
           tmin = Math.max(tmin, t1); // Queremos o *último* tempo de entrada
           tmax = Math.min(tmax, t2); // Queremos o *primeiro* tempo de saída
@@ -189,11 +271,29 @@ export class CollisionSystem {
       return null; // Não houve interseção no segmento [0, 1]
   }
 
+  /**
+   * Verifica se o segmento entre dois pontos está livre de obstáculos estáticos (linha de visão).
+   * @param {Vector3} from - Ponto de origem (ex: olhos do observador).
+   * @param {Vector3} to - Ponto de destino.
+   * @param {ObstacleCollection} obstacles - Obstáculos estáticos.
+   * @returns {boolean} true se nenhum obstáculo intercepta o segmento.
+   */
+  hasLineOfSight(from, to, obstacles) {
+      const segment = Vector3.subtract(to, from, scratchSegment);
+      const length = segment.magnitude();
+      for (const obstacle of getCandidatesAlong(obstacles, from, segment, obstacleCandidates)) {
+          if (this.checkRayObstacleIntersection(from, segment, length, obstacle) !== null) {
+              return false;
+          }
+      }
+      return true;
+  }
+
   /**
    * Verifica, usando raycasting, se um projétil colidiu com algum obstáculo estático.
    * @param {Vector3} projectilePreviousPos - A posição do projétil no início do tick.
    * @param {Vector3} projectileDeltaMove - O vetor de deslocamento do projétil neste tick.
-   * @param {Array<{position: Vector3, size: Vector3}>} obstacles - Lista de obstáculos estáticos.
+   * @param {ObstacleCollection} obstacles - Obstáculos estáticos.
    * @returns {{obstacle: object, t: number} | null} Retorna o primeiro obstáculo atingido e o tempo de impacto, ou null.
    */
   checkProjectileHitStaticObstacleRaycast(projectilePreviousPos, projectileDeltaMove, obstacles) {
@@ -208,15 +308,9 @@ export class CollisionSystem {
       let closestHit = null;
       let min_t = Infinity;
 
-      for (const obstacle of obstacles) {
-          // Calcular AABB do obstáculo
-          const obsHalfSize = obstacle.size.clone().divideScalar(2);
-          const obsMin = obstacle.position.clone().add(new Vector3(-obsHalfSize.x, 0, -obsHalfSize.z));
-          const obsMax = obstacle.position.clone().add(new Vector3(obsHalfSize.x, obstacle.size.y, obsHalfSize.z));
-          const obstacleAABB = { min: obsMin, max: obsMax };
+      for (const obstacle of getCandidatesAlong(obstacles, rayOrigin, rayDirection, obstacleCandidates)) {
+          const t_hit = this.checkRayObstacleIntersection(rayOrigin, rayDirection, maxDistance, obstacle);
 
-          const t_hit = this.checkRayAABBIntersection(rayOrigin, rayDirection, maxDistance, obstacleAABB);
-          
           if (t_hit !== null && t_hit >= 0 && t_hit < min_t) {
               min_t = t_hit;
               closestHit = obstacle;
@@ -224,7 +318,7 @@ export class CollisionSystem {
       }
 
       if (closestHit) {
-          log(`--> Raycast Static Hit: Projectile vs Obstacle of type ${closestHit.type} at t=${min_t.toFixed(3)}`);
+          raycastLog.debug(`--> Raycast Static Hit: Projectile vs Obstacle of type ${closestHit.type} at t=${min_t.toFixed(3)}`);
           return { obstacle: closestHit, t: min_t };
       }
 
@@ -236,10 +330,14 @@ export class CollisionSystem {
    * @param {import('../entities/projectile.js').Projectile} projectile - O projétil a ser verificado.
    * @param {Vector3} projectilePreviousPos - A posição do projétil no início do tick.
    * @param {Vector3} projectileDeltaMove - O vetor de deslocamento do projétil neste tick.
-   * @param {Iterable<import('../entities/player.js').Player>} targets - Coleção de alvos potenciais.
+   * @param {Iterable<import('../entities/player.js').Player> | SpatialGrid<import('../entities/player.js').Player>} targets -
+   *        Alvos potenciais; uma grade deve indexar cada jogador por todas as posições que as suas hitboxes
+   *        (inclusive as fornecidas pelo hitboxProvider) podem ocupar.
+   * @param {HitboxProvider | null} [hitboxProvider=null] - Fornece hitboxes alternativas (ex: voltadas no tempo).
+   *        Retornar `undefined` usa as hitboxes atuais; retornar `null` ignora o alvo.
    * @returns {{target: import('../entities/player.js').Player, hitboxKey: string, t: number} | null} O primeiro alvo atingido, a hitbox e o tempo de impacto, ou null.
    */
-  checkProjectileHitRaycast(projectile, projectilePreviousPos, projectileDeltaMove, targets) {
+  checkProjectileHitRaycast(projectile, projectilePreviousPos, projectileDeltaMove, targets, hitboxProvider = null) {
     if (!projectile || projectile.markForRemoval) {
         return null;
     }
@@ -257,9 +355,9 @@ export class CollisionSystem {
     let min_t = Infinity;
 
     try {
-        for (const target of targets) {
-            // Verifica se o alvo é válido e não é o próprio dono
-            if (!target || target.id === projectile.ownerId || !target.isAlive) {
+        for (const target of getCandidatesAlong(targets, rayOrigin, rayDirection, targetCandidates)) {
+            // Verifica se o alvo é válido e não é o próprio dono (nem um companheiro, sem fogo amigo)
+            if (!target || target.id === projectile.ownerId || !target.isAlive || passesThroughTeammate(projectile, target)) {
                 continue;
             }
             // Verifica se o alvo tem o método getHitboxes
@@ -268,7 +366,9 @@ export class CollisionSystem {
                 continue;
             }
 
-            const hitboxes = target.getHitboxes();
+            let hitboxes = hitboxProvider ? hitboxProvider(target, projectile) : undefined;
+            if (hitboxes === null) continue; // Alvo não atingível no instante considerado
+            if (hitboxes === undefined) hitboxes = target.getHitboxes(scratchHitboxes);
             
             for (const hitboxKey in hitboxes) {
                 if (!hitboxes.hasOwnProperty(hitboxKey)) continue;
@@ -287,7 +387,7 @@ export class CollisionSystem {
     }
 
     if (closestHitResult) {
-        log(`--> Raycast Hit: Proj ${projectile.id} vs Player ${closestHitResult.target.id} at ${closestHitResult.hitboxKey}, t=${closestHitResult.t.toFixed(3)}`);
+        raycastLog.debug(`--> Raycast Hit: Proj ${projectile.id} vs Player ${closestHitResult.target.id} at ${closestHitResult.hitboxKey}, t=${closestHitResult.t.toFixed(3)}`);
     }
 
     return closestHitResult;
@@ -296,13 +396,15 @@ export class CollisionSystem {
   /**
    * Resolve colisões entre uma entidade e obstáculos estáticos.
    * Ajusta a posição da entidade para evitar interpenetração.
+   * Obstáculos com rotationY são tratados como caixas orientadas (OBB) girando em torno do eixo Y.
    * @param {import('../base/game-object.js').GameObject & import('../base/collidable.js').Collidable} entity - A entidade móvel.
    * @param {Vector3} potentialPosition - A posição que a entidade tentaria ocupar.
-   * @param {Array<{position: Vector3, size: Vector3}>} obstacles - Lista de obstáculos estáticos.
-   * @returns {Vector3} A posição final ajustada após colisões com obstáculos.
+   * @param {ObstacleCollection} obstacles - Obstáculos estáticos.
+   * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado (pode ser o próprio potentialPosition).
+   * @returns {Vector3} A posição final ajustada após colisões com obstáculos (`out`).
    */
-  resolveStaticObstacleCollision(entity, potentialPosition, obstacles) {
-    const adjustedPosition = potentialPosition.clone();
+  resolveStaticObstacleCollision(entity, potentialPosition, obstacles, out = new Vector3()) {
+    const adjustedPosition = out.copy(potentialPosition);
     const MAX_RESOLUTION_ITERATIONS = 3; // Evitar loops infinitos
     const RESOLUTION_EPSILON = 0.001; // Pequena tolerância para evitar z-fighting ou ficar preso
 
@@ -310,52 +412,23 @@ export class CollisionSystem {
         let collisionOccurredThisIteration = false;
 
         // Calcula a AABB da entidade na posição atualmente ajustada
-        const entityAABB = entity.getBoundingBox(adjustedPosition);
-
-        for (const obstacle of obstacles) {
-            // Calcular AABB do obstáculo
-            const obsHalfSize = obstacle.size.clone().divideScalar(2);
-            const obsMin = obstacle.position.clone().add(new Vector3(-obsHalfSize.x, 0, -obsHalfSize.z));
-            const obsMax = obstacle.position.clone().add(new Vector3(obsHalfSize.x, obstacle.size.y, obsHalfSize.z));
-            const obstacleAABB = { min: obsMin, max: obsMax };
-
-            if (this.checkAABBOverlap(entityAABB, obstacleAABB)) {
-                collisionOccurredThisIteration = true;
-
-                // Calcula sobreposição
-                const overlapX = Math.min(entityAABB.max.x, obstacleAABB.max.x) - Math.max(entityAABB.min.x, obstacleAABB.min.x);
-                const overlapY = Math.min(entityAABB.max.y, obstacleAABB.max.y) - Math.max(entityAABB.min.y, obstacleAABB.min.y);
-                const overlapZ = Math.min(entityAABB.max.z, obstacleAABB.max.z) - Math.max(entityAABB.min.z, obstacleAABB.min.z);
-
-                // Determina o eixo de menor penetração para resolução
-                if (overlapX <= overlapY && overlapX <= overlapZ) {
-                    // Resolve em X
-                    const entityCenterX = entityAABB.min.x + (entityAABB.max.x - entityAABB.min.x) / 2;
-                    const obstacleCenterX = obstacleAABB.min.x + (obstacleAABB.max.x - obstacleAABB.min.x) / 2;
-                    const pushDirectionX = entityCenterX < obstacleCenterX ? -(overlapX + RESOLUTION_EPSILON) : (overlapX + RESOLUTION_EPSILON);
-                    adjustedPosition.x += pushDirectionX;
-                    if (Math.sign(entity.velocity.x) * Math.sign(pushDirectionX) < 0) entity.velocity.x = 0;
-                    entityAABB.min.x += pushDirectionX;
-                    entityAABB.max.x += pushDirectionX;
-                } else if (overlapY <= overlapX && overlapY <= overlapZ) {
-                    // Resolve em Y
-                    const entityCenterY = entityAABB.min.y + (entityAABB.max.y - entityAABB.min.y) / 2;
-                    const obstacleCenterY = obstacleAABB.min.y + (obstacleAABB.max.y - obstacleAABB.min.y) / 2;
-                    const pushDirectionY = entityCenterY < obstacleCenterY ? -(overlapY + RESOLUTION_EPSILON) : (overlapY + RESOLUTION_EPSILON);
-                    adjustedPosition.y += pushDirectionY;
-                    if (Math.sign(entity.velocity.y) * Math.sign(pushDirectionY) < 0) entity.velocity.y = 0;
-                    entityAABB.min.y += pushDirectionY;
-                    entityAABB.max.y += pushDirectionY;
-                } else {
-                    // Resolve em Z
-                    const entityCenterZ = entityAABB.min.z + (entityAABB.max.z - entityAABB.min.z) / 2;
-                    const obstacleCenterZ = obstacleAABB.min.z + (obstacleAABB.max.z - obstacleAABB.min.z) / 2;
-                    const pushDirectionZ = entityCenterZ < obstacleCenterZ ? -(overlapZ + RESOLUTION_EPSILON) : (overlapZ + RESOLUTION_EPSILON);
-                    adjustedPosition.z += pushDirectionZ;
-                    if (Math.sign(entity.velocity.z) * Math.sign(pushDirectionZ) < 0) entity.velocity.z = 0;
-                    entityAABB.min.z += pushDirectionZ;
-                    entityAABB.max.z += pushDirectionZ;
-                }
+        const entityAABB = entity.getBoundingBox(adjustedPosition, scratchEntityBox);
+
+        for (const obstacle of getCandidatesNear(obstacles, entityAABB, obstacleCandidates)) {
+            const overlap = this.getObstacleOverlap(entityAABB, obstacle);
+            if (!overlap) continue;
+            collisionOccurredThisIteration = true;
+
+            // Empurra a entidade para fora pelo eixo de menor penetração
+            const push = overlap.sign * (overlap.depth + RESOLUTION_EPSILON);
+            adjustedPosition.addScaled(overlap.axis, push);
+            entityAABB.min.addScaled(overlap.axis, push);
+            entityAABB.max.addScaled(overlap.axis, push);
+
+            // Remove a componente da velocidade que aponta contra o obstáculo
+            const velocityAlongAxis = entity.velocity.x * overlap.axis.x + entity.velocity.y * overlap.axis.y + entity.velocity.z * overlap.axis.z;
+            if (velocityAlongAxis * overlap.sign < 0) {
+                entity.velocity.addScaled(overlap.axis, -velocityAlongAxis);
             }
         }
 
@@ -367,4 +440,367 @@ export class CollisionSystem {
 
     return adjustedPosition;
   }
+
+  /**
+   * Calcula a AABB de um obstáculo estático (posição = centro da base).
+   * Para obstáculos girados, é a menor AABB que contém a caixa orientada.
+   * @param {{position: Vector3, size: Vector3, rotationY?: number}} obstacle
+   * @param {{min: Vector3, max: Vector3}} [out] - AABB que recebe o resultado.
+   * @returns {{min: Vector3, max: Vector3}}
+   */
+  getObstacleAABB(obstacle, out = { min: new Vector3(), max: new Vector3() }) {
+    const { cos, sin } = getObstacleRotation(obstacle);
+    const halfX = (obstacle.size.x / 2) * Math.abs(cos) + (obstacle.size.z / 2) * Math.abs(sin);
+    const halfZ = (obstacle.size.x / 2) * Math.abs(sin) + (obstacle.size.z / 2) * Math.abs(cos);
+    out.min.set(obstacle.position.x - halfX, obstacle.position.y, obstacle.position.z - halfZ);
+    out.max.set(obstacle.position.x + halfX, obstacle.position.y + obstacle.size.y, obstacle.position.z + halfZ);
+    return out;
+  }
+
+  /**
+   * Converte um ponto do mundo para o espaço local do obstáculo: X/Z relativos ao centro da base,
+   * desfazendo a rotação em Y; Y permanece no espaço do mundo.
+   * @param {Vector3} point
+   * @param {{position: Vector3, rotationY?: number}} obstacle
+   * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado.
+   * @returns {Vector3}
+   */
+  toObstacleLocal(point, obstacle, out = new Vector3()) {
+    const { cos, sin } = getObstacleRotation(obstacle);
+    const dx = point.x - obstacle.position.x;
+    const dz = point.z - obstacle.position.z;
+    return out.set(dx * cos - dz * sin, point.y, dx * sin + dz * cos);
+  }
+
+  /**
+   * Verifica se um raio (segmento) intersecta um obstáculo, respeitando a sua rotação em Y:
+   * o raio é levado ao espaço local do obstáculo, onde ele é uma AABB. A rotação não altera
+   * o parâmetro t, então o resultado é o mesmo de checkRayAABBIntersection.
+   * @param {Vector3} rayOrigin - Ponto inicial do raio.
+   * @param {Vector3} rayDirection - Deslocamento total do raio.
+   * @param {number} maxDistance - Magnitude de rayDirection.
+   * @param {{position: Vector3, size: Vector3, rotationY?: number}} obstacle
+   * @returns {number | null} O tempo de interseção (0 a 1) ou null.
+   */
+  checkRayObstacleIntersection(rayOrigin, rayDirection, maxDistance, obstacle) {
+    if (obstacle.type === 'ramp') {
+        return this.checkRayRampIntersection(rayOrigin, rayDirection, obstacle);
+    }
+    if (!obstacle.rotationY) {
+        return this.checkRayAABBIntersection(rayOrigin, rayDirection, maxDistance, this.getObstacleAABB(obstacle, scratchBoxA));
+    }
+    const localOrigin = this.toObstacleLocal(rayOrigin, obstacle, scratchPoint);
+    const { cos, sin } = getObstacleRotation(obstacle);
+    const localDirection = scratchDirection.set(
+        rayDirection.x * cos - rayDirection.z * sin,
+        rayDirection.y,
+        rayDirection.x * sin + rayDirection.z * cos
+    );
+    const halfX = obstacle.size.x / 2;
+    const halfZ = obstacle.size.z / 2;
+    const localAABB = scratchBoxA;
+    localAABB.min.set(-halfX, obstacle.position.y, -halfZ);
+    localAABB.max.set(halfX, obstacle.position.y + obstacle.size.y, halfZ);
+    return this.checkRayAABBIntersection(localOrigin, localDirection, maxDistance, localAABB);
+  }
+
+  /**
+   * Verifica se um raio (segmento) intersecta o prisma de uma rampa, recortando o segmento contra
+   * os seus planos no espaço local (Cyrus-Beck): quatro laterais, a base e o plano inclinado.
+   * @param {Vector3} rayOrigin - Ponto inicial do raio.
+   * @param {Vector3} rayDirection - Deslocamento total do raio.
+   * @param {{position: Vector3, size: Vector3, rotationY?: number}} obstacle - A rampa.
+   * @returns {number | null} O tempo de interseção (0 a 1) ou null.
+   */
+  checkRayRampIntersection(rayOrigin, rayDirection, obstacle) {
+    const origin = this.toObstacleLocal(rayOrigin, obstacle, scratchPoint);
+    const { cos, sin } = getObstacleRotation(obstacle);
+    const direction = scratchDirection.set(
+        rayDirection.x * cos - rayDirection.z * sin,
+        rayDirection.y,
+        rayDirection.x * sin + rayDirection.z * cos
+    );
+    const halfX = obstacle.size.x / 2;
+    const halfZ = obstacle.size.z / 2;
+    const baseY = obstacle.position.y;
+    const slope = obstacle.size.y / obstacle.size.z;
+
+    // Semiespaços n·p <= c que formam o prisma (o último é y <= base + slope * (z + halfZ))
+    let tEnter = 0;
+    let tExit = 1;
+    for (let plane = 0; plane < 6; plane++) {
+        let denominator;
+        let distance;
+        switch (plane) {
+            case 0: denominator = direction.x; distance = halfX - origin.x; break;
+            case 1: denominator = -direction.x; distance = halfX + origin.x; break;
+            case 2: denominator = direction.z; distance = halfZ - origin.z; break;
+            case 3: denominator = -direction.z; distance = halfZ + origin.z; break;
+            case 4: denominator = -direction.y; distance = origin.y - baseY; break;
+            default:
+                denominator = direction.y - slope * direction.z;
+                distance = baseY + slope * halfZ - (origin.y - slope * origin.z);
+        }
+        if (Math.abs(denominator) < 1e-9) {
+            if (distance < 0) return null; // Paralelo e fora
+            continue;
+        }
+        const t = distance / denominator;
+        if (denominator < 0) {
+            tEnter = Math.max(tEnter, t);
+        } else {
+            tExit = Math.min(tExit, t);
+        }
+        if (tEnter > tExit) return null;
+    }
+    return tEnter;
+  }
+
+  /**
+   * Verifica se a projeção da AABB no plano XZ sobrepõe a base do obstáculo (considerando rotationY).
+   * @param {{min: Vector3, max: Vector3}} aabb
+   * @param {{position: Vector3, size: Vector3, rotationY?: number}} obstacle
+   * @returns {boolean}
+   */
+  overlapsObstacleFootprint(aabb, obstacle) {
+    const { cos, sin } = getObstacleRotation(obstacle);
+    const entityHalfX = (aabb.max.x - aabb.min.x) / 2;
+    const entityHalfZ = (aabb.max.z - aabb.min.z) / 2;
+    const obstacleHalfX = obstacle.size.x / 2;
+    const obstacleHalfZ = obstacle.size.z / 2;
+    const offsetX = aabb.min.x + entityHalfX - obstacle.position.x;
+    const offsetZ = aabb.min.z + entityHalfZ - obstacle.position.z;
+
+    // Eixos separadores em 2D: X e Z do mundo e X/Z locais do obstáculo, (cos, -sin) e (sin, cos)
+    const axisCount = obstacle.rotationY ? 4 : 2;
+    for (let i = 0; i < axisCount; i++) {
+        const x = i === 0 ? 1 : i === 1 ? 0 : i === 2 ? cos : sin;
+        const z = i === 0 ? 0 : i === 1 ? 1 : i === 2 ? -sin : cos;
+        const entityRadius = entityHalfX * Math.abs(x) + entityHalfZ * Math.abs(z);
+        const obstacleRadius = obstacleHalfX * Math.abs(x * cos - z * sin) + obstacleHalfZ * Math.abs(x * sin + z * cos);
+        if (Math.abs(offsetX * x + offsetZ * z) >= entityRadius + obstacleRadius) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Altura da superfície sólida do obstáculo sob a projeção XZ da AABB: o topo, para caixas, ou o
+   * ponto mais alto da rampa sob a AABB.
+   * @param {{position: Vector3, size: Vector3, type?: string, rotationY?: number}} obstacle
+   * @param {{min: Vector3, max: Vector3}} aabb
+   * @returns {number | null} A altura, ou null se a AABB não está sobre o obstáculo.
+   */
+  getObstacleSurfaceHeight(obstacle, aabb) {
+    if (!this.overlapsObstacleFootprint(aabb, obstacle)) return null;
+    if (obstacle.type !== 'ramp') {
+        return obstacle.position.y + obstacle.size.y;
+    }
+
+    // Z local = dx * sin + dz * cos, máximo em um dos cantos da AABB
+    const { cos, sin } = getObstacleRotation(obstacle);
+    const halfZ = obstacle.size.z / 2;
+    const dxMin = aabb.min.x - obstacle.position.x;
+    const dxMax = aabb.max.x - obstacle.position.x;
+    const dzMin = aabb.min.z - obstacle.position.z;
+    const dzMax = aabb.max.z - obstacle.position.z;
+    const highestCornerZ = Math.max(dxMin * sin, dxMax * sin) + Math.max(dzMin * cos, dzMax * cos);
+    const highestLocalZ = clamp(highestCornerZ, -halfZ, halfZ);
+    return obstacle.position.y + obstacle.size.y * (highestLocalZ + halfZ) / obstacle.size.z;
+  }
+
+  /**
+   * Resolve as colisões de um jogador com obstáculos, tratando topos de obstáculos e rampas como chão.
+   * Cada obstáculo sob o jogador é classificado como:
+   * - piso: a superfície está no máximo `maxRise` acima dos pés antes do movimento (STEP_HEIGHT se
+   *   estava no chão, permitindo subir degraus e rampas; GROUND_CHECK_EPSILON no ar, para pousar);
+   * - parede: qualquer outro caso, resolvido por resolveStaticObstacleCollision.
+   * Os pés sobem até o piso mais alto. Quem estava no chão e não sobe "gruda" na superfície mais alta
+   * até STEP_HEIGHT abaixo, para descer degraus e rampas sem sair voando.
+   * @param {import('../entities/player.js').Player} entity - O jogador (posição Y = pés).
+   * @param {Vector3} previousPosition - Posição antes do movimento deste passo.
+   * @param {Vector3} potentialPosition - Posição desejada (já limitada ao mapa).
+   * @param {{min: Vector3, max: Vector3}} mapBounds - Os limites do mapa (o chão é min.y).
+   * @param {ObstacleCollection} obstacles - Obstáculos estáticos.
+   * @param {boolean} wasGrounded - Se o jogador estava apoiado antes do movimento.
+   * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado (pode ser o próprio potentialPosition).
+   * @returns {Vector3} A posição final ajustada (`out`).
+   */
+  resolveWalkableObstacleCollision(entity, previousPosition, potentialPosition, mapBounds, obstacles, wasGrounded, out = new Vector3()) {
+    const maxSurfaceY = previousPosition.y + (wasGrounded ? STEP_HEIGHT : GROUND_CHECK_EPSILON);
+    const position = out.copy(potentialPosition);
+    const entityAABB = entity.getBoundingBox(position, scratchEntityBox);
+
+    walls.length = 0;
+    floorHeights.length = 0;
+    floorHeights.push(mapBounds.min.y);
+    let groundY = -Infinity;
+    for (const obstacle of getCandidatesNear(obstacles, entityAABB, obstacleCandidates)) {
+        const surfaceY = this.getObstacleSurfaceHeight(obstacle, entityAABB);
+        if (surfaceY === null) continue;
+        if (surfaceY <= maxSurfaceY) {
+            groundY = Math.max(groundY, surfaceY);
+            floorHeights.push(surfaceY);
+        } else {
+            walls.push(obstacle);
+        }
+    }
+
+    if (groundY > position.y) {
+        // Pousou ou subiu um degrau/rampa
+        position.y = groundY;
+        if (entity.velocity.y < 0) entity.velocity.y = 0;
+    } else if (wasGrounded && entity.velocity.y <= 0) {
+        // Descendo: acompanha a superfície mais alta logo abaixo
+        let snapY = -Infinity;
+        for (const height of floorHeights) {
+            if (height <= position.y && height >= position.y - STEP_HEIGHT) snapY = Math.max(snapY, height);
+        }
+        if (snapY > -Infinity) {
+            position.y = snapY;
+            entity.velocity.y = 0;
+        }
+    }
+
+    return walls.length > 0 ? this.resolveStaticObstacleCollision(entity, position, walls, position) : position;
+  }
+
+  /**
+   * Calcula a sobreposição entre duas AABBs no formato de getObstacleOverlap: o eixo de menor
+   * sobreposição (desempate na ordem X, Y, Z) e o sentido do centro de B para o centro de A.
+   * @param {{min: Vector3, max: Vector3}} aabb - AABB da entidade.
+   * @param {{min: Vector3, max: Vector3}} obstacleAABB
+   * @returns {{axis: Vector3, depth: number, sign: number} | null} Objeto reaproveitado (válido até a próxima chamada).
+   */
+  getAABBOverlap(aabb, obstacleAABB) {
+    if (!this.checkAABBOverlap(aabb, obstacleAABB)) return null;
+
+    const best = overlapResult;
+    best.depth = Infinity;
+    for (let i = 0; i < 3; i++) {
+        const axisName = AXIS_NAMES[i];
+        const depth = Math.min(aabb.max[axisName], obstacleAABB.max[axisName]) - Math.max(aabb.min[axisName], obstacleAABB.min[axisName]);
+        if (depth < best.depth) {
+            const entityCenter = aabb.min[axisName] + (aabb.max[axisName] - aabb.min[axisName]) / 2;
+            const obstacleCenter = obstacleAABB.min[axisName] + (obstacleAABB.max[axisName] - obstacleAABB.min[axisName]) / 2;
+            best.axis = WORLD_AXES[i];
+            best.depth = depth;
+            best.sign = entityCenter < obstacleCenter ? -1 : 1;
+        }
+    }
+    return best;
+  }
+
+  /**
+   * Calcula a penetração entre a AABB de uma entidade e um obstáculo. Obstáculos sem rotação usam
+   * getAABBOverlap; os girados usam o teorema dos eixos separadores (eixos X, Y e Z do mundo e X/Z
+   * locais do obstáculo), com a profundidade igual à distância necessária para separá-los.
+   * @param {{min: Vector3, max: Vector3}} aabb - AABB da entidade.
+   * @param {{position: Vector3, size: Vector3, rotationY?: number}} obstacle
+   * @returns {{axis: Vector3, depth: number, sign: number} | null} O eixo (unitário) de menor penetração,
+   *          a profundidade e o sentido (1 ou -1) em que a entidade deve ser empurrada; null se não há sobreposição.
+   *          O objeto e o eixo são reaproveitados: valem até a próxima chamada.
+   */
+  getObstacleOverlap(aabb, obstacle) {
+    if (!obstacle.rotationY) {
+        return this.getAABBOverlap(aabb, this.getObstacleAABB(obstacle, scratchBoxB));
+    }
+    const overlapY = Math.min(aabb.max.y, obstacle.position.y + obstacle.size.y) - Math.max(aabb.min.y, obstacle.position.y);
+    if (overlapY <= 0) return null;
+
+    const { cos, sin } = getObstacleRotation(obstacle);
+    const entityHalfX = (aabb.max.x - aabb.min.x) / 2;
+    const entityHalfZ = (aabb.max.z - aabb.min.z) / 2;
+    const obstacleHalfX = obstacle.size.x / 2;
+    const obstacleHalfZ = obstacle.size.z / 2;
+    const offsetX = aabb.min.x + entityHalfX - obstacle.position.x;
+    const offsetZ = aabb.min.z + entityHalfZ - obstacle.position.z;
+    const offsetY = (aabb.min.y + aabb.max.y) / 2 - (obstacle.position.y + obstacle.size.y / 2);
+
+    // Eixos candidatos: X, Y e Z do mundo e os eixos X/Z locais do obstáculo
+    localAxisX.set(cos, 0, -sin);
+    localAxisZ.set(sin, 0, cos);
+
+    const best = overlapResult;
+    best.depth = Infinity;
+    for (let i = 0; i < 5; i++) {
+        const axis = i < 3 ? WORLD_AXES[i] : i === 3 ? localAxisX : localAxisZ;
+        const offset = i === 0 ? offsetX : i === 1 ? offsetY : i === 2 ? offsetZ
+            : offsetX * axis.x + offsetZ * axis.z;
+        let depth = overlapY;
+        if (i !== 1) {
+            const { x, z } = axis;
+            const entityRadius = entityHalfX * Math.abs(x) + entityHalfZ * Math.abs(z);
+            // Projeção dos eixos locais do obstáculo (cos, -sin) e (sin, cos) no eixo candidato
+            const obstacleRadius = obstacleHalfX * Math.abs(x * cos - z * sin) + obstacleHalfZ * Math.abs(x * sin + z * cos);
+            depth = entityRadius + obstacleRadius - Math.abs(offset);
+        }
+        if (depth <= 0) return null; // Eixo separador encontrado
+        if (depth < best.depth) {
+            best.axis = axis;
+            best.depth = depth;
+            best.sign = offset < 0 ? -1 : 1;
+        }
+    }
+    return best;
+  }
+
+  /**
+   * Verifica se a entidade está apoiada no chão do mapa, no topo de algum obstáculo ou em uma rampa.
+   * @param {import('../base/game-object.js').GameObject & {width?: number, depth?: number}} entity - A entidade (posição Y = pés).
+   * @param {Vector3} position - Posição (pés) a ser testada.
+   * @param {{min: Vector3, max: Vector3}} mapBounds - Os limites do mapa.
+   * @param {ObstacleCollection} obstacles - Obstáculos estáticos.
+   * @returns {boolean} `true` se houver superfície sob os pés dentro da tolerância.
+   */
+  isGrounded(entity, position, mapBounds, obstacles) {
+    if (position.y <= mapBounds.min.y + GROUND_CHECK_EPSILON) {
+        return true;
+    }
+
+    const halfWidth = (entity.width || 0.1) / 2;
+    const halfDepth = (entity.depth || entity.width || 0.1) / 2;
+
+    const footprintAABB = scratchBoxA;
+    footprintAABB.min.set(position.x - halfWidth, position.y, position.z - halfDepth);
+    footprintAABB.max.set(position.x + halfWidth, position.y, position.z + halfDepth);
+    for (const obstacle of getCandidatesNear(obstacles, footprintAABB, obstacleCandidates)) {
+        const surfaceY = this.getObstacleSurfaceHeight(obstacle, footprintAABB);
+        if (surfaceY !== null && Math.abs(position.y - surfaceY) <= GROUND_CHECK_EPSILON) {
+            return true;
+        }
+    }
+    return false;
+  }
+
+  /**
+   * Verifica se a entidade caberia na posição com a altura informada sem atravessar
+   * obstáculos nem o teto do mapa (ex: levantar de um agachamento).
+   * @param {import('../base/game-object.js').GameObject & {width?: number, depth?: number}} entity
+   * @param {Vector3} position - Posição (pés) a ser testada.
+   * @param {number} height - Altura a ser testada.
+   * @param {{min: Vector3, max: Vector3}} mapBounds - Os limites do mapa.
+   * @param {ObstacleCollection} obstacles - Obstáculos estáticos.
+   * @returns {boolean} `true` se o espaço estiver livre.
+   */
+  hasHeadroom(entity, position, height, mapBounds, obstacles) {
+    if (position.y + height > mapBounds.max.y) {
+        return false;
+    }
+
+    const halfWidth = (entity.width || 0.1) / 2;
+    const halfDepth = (entity.depth || entity.width || 0.1) / 2;
+    const testAABB = scratchBoxA;
+    // Começa levemente acima dos pés para não contar o obstáculo em que está apoiado
+    testAABB.min.set(position.x - halfWidth, position.y + GROUND_CHECK_EPSILON, position.z - halfDepth);
+    testAABB.max.set(position.x + halfWidth, position.y + height, position.z + halfDepth);
+
+    for (const obstacle of getCandidatesNear(obstacles, testAABB, obstacleCandidates)) {
+        // O obstáculo é sólido da base até a superfície (topo da caixa ou da rampa sob o jogador)
+        const surfaceY = this.getObstacleSurfaceHeight(obstacle, testAABB);
+        if (surfaceY !== null && testAABB.min.y < surfaceY && testAABB.max.y > obstacle.position.y) {
+            return false;
+        }
+    }
+    return true;
+  }
 }
\ No newline at end of file
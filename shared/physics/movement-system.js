@@ -1,61 +1,115 @@
 // shared/physics/movement-system.js
 
-import { log, warn } from '../utils/logger.js';
-import { Vector3 } from './vector.js';
+import { createLogger } from '../utils/logger.js';
+import { Vector3, Vector3Pool } from './vector.js';
 import { Projectile } from '../entities/projectile.js';
 import { Player } from '../entities/player.js';
-import { GRAVITY } from '../constants/game-settings.js'; 
+import { gameConfig } from '../config/game-config.js';
+import { BLINK_WALL_MARGIN } from '../constants/spell-stats.js';
+import { PLAYER_HEIGHT } from '../base/collidable.js';
+import { getCandidatesNear } from './spatial-grid.js';
+import { areTeammates } from '../gameplay/teams/friendly-fire.js';
+
+const { log, warn, debug } = createLogger('movement');
+// Um log por impacto de projétil: limitado para não inundar a saída em combates
+const impactLog = createLogger('movement.impacts').rateLimited(1000);
+
+// Temporários de applySplashDamage
+const splashBounds = { min: new Vector3(), max: new Vector3() };
+const playerBounds = { min: new Vector3(), max: new Vector3() };
 
 export class MovementSystem {
     /** @type {import('./collision-system.js').CollisionSystem} */
     collisionSystem;
     /** @type {{min: Vector3, max: Vector3}} */
     mapBounds;
-    /** @type {Array<{position: Vector3, size: Vector3}>} */
+    /**
+     * Grade de broad-phase dos obstáculos estáticos (montada a partir da lista recebida).
+     * @type {import('./spatial-grid.js').SpatialGrid<import('./collision-system.js').StaticObstacle>}
+     */
     obstacles;
+    /**
+     * Fornecedor opcional de hitboxes para o raycast de projéteis (compensação de latência).
+     * @type {import('./collision-system.js').HitboxProvider | null}
+     */
+    hitboxProvider = null;
+    /**
+     * Localiza um jogador pelo ID; usado para devolver ao atirador o fogo amigo refletido.
+     * @type {((playerId: string) => Player | undefined) | null}
+     */
+    playerResolver = null;
+    /**
+     * Vetores temporários de update(), reaproveitados de uma entidade para a outra.
+     * @type {Vector3Pool}
+     */
+    vectorPool = new Vector3Pool();
+    /**
+     * Barramento do mundo que recebe os eventos 'impact' (o cliente, que só prevê o movimento, não tem um).
+     * @type {import('../events/event-bus.js').EventBus | null}
+     */
+    eventBus = null;
 
     /**
      * Cria uma instância do MovementSystem.
      * @param {import('./collision-system.js').CollisionSystem} collisionSystem
      * @param {{min: Vector3, max: Vector3}} mapBounds
      * @param {Array<{position: Vector3, size: Vector3}>} staticObstacles
+     * @param {import('../events/event-bus.js').EventBus | null} [eventBus=null]
      */
-    constructor(collisionSystem, mapBounds, staticObstacles) {
+    constructor(collisionSystem, mapBounds, staticObstacles, eventBus = null) {
         if (!collisionSystem) throw new Error("MovementSystem requires a CollisionSystem instance.");
         if (!mapBounds) throw new Error("MovementSystem requires mapBounds.");
         if (!staticObstacles) throw new Error("MovementSystem requires staticObstacles array.");
         
         this.collisionSystem = collisionSystem;
         this.mapBounds = mapBounds;
-        this.obstacles = staticObstacles;
+        this.obstacles = collisionSystem.createObstacleGrid(staticObstacles);
+        this.eventBus = eventBus;
         log(`MovementSystem initialized with CollisionSystem, MapBounds, and ${staticObstacles.length} obstacles.`);
     }
 
+    /**
+     * Avança a simulação das entidades: gravidade, integração, acertos de projéteis e colisões.
+     * @param {Array<import('../base/game-object.js').GameObject>} entities - Entidades a mover.
+     * @param {number} deltaTime - Passo da simulação (segundos).
+     * @param {Array<Player> | import('./spatial-grid.js').SpatialGrid<Player>} players - Alvos dos projéteis
+     *        (lista ou grade de broad-phase).
+     */
     update(entities, deltaTime, players) {
         if (deltaTime <= 0) return;
 
         const GROUND_Y = this.mapBounds.min.y; // Cache ground level
+        const poolMark = this.vectorPool.mark();
 
         for (const entity of entities) {
             if (!(entity.position instanceof Vector3) || !(entity.velocity instanceof Vector3) || typeof entity.getBoundingBox !== 'function') {
                  continue;
             }
 
+            // --- POSTURA: Levantar só se houver espaço acima ---
+            if (entity instanceof Player && entity.isCrouching && !entity.wantsToCrouch) {
+                if (this.collisionSystem.hasHeadroom(entity, entity.position, PLAYER_HEIGHT, this.mapBounds, this.obstacles)) {
+                    entity.setCrouching(false);
+                }
+            }
+
             // --- APLICAR GRAVIDADE ---
             if (!entity.ignoreGravity) {
-                entity.velocity.y -= GRAVITY * deltaTime;
+                entity.velocity.y -= gameConfig.movement.gravity * deltaTime;
             }
            
-            // Guarda a posição *antes* de mover
-            const previousPosition = entity.position.clone();
+            // Guarda a posição *antes* de mover (vetores do pool, reaproveitados pela próxima entidade)
+            this.vectorPool.release(poolMark);
+            const previousPosition = this.vectorPool.acquireCopy(entity.position);
 
             // Calcula deslocamento e posição potencial
-            const deltaPosition = entity.velocity.clone().multiplyScalar(deltaTime);
-            const potentialPosition = previousPosition.clone().add(deltaPosition);
+            const deltaPosition = Vector3.multiplyScalar(entity.velocity, deltaTime, this.vectorPool.acquire());
+            const potentialPosition = Vector3.add(previousPosition, deltaPosition, this.vectorPool.acquire());
 
             let finalPosition = potentialPosition; // Posição final padrão
             let projectileStoppedByHit = false; // Flag para hit com objeto/jogador
             let projectileStoppedByGround = false; // Flag para hit com chão
+            let directHitTarget = null; // Jogador atingido diretamente (não recebe dano em área)
 
             // --- LÓGICA ESPECÍFICA PARA PROJÉTEIS ---
             if (entity instanceof Projectile && !entity.markForRemoval) {
@@ -72,7 +126,8 @@ export class MovementSystem {
                     entity,
                     previousPosition,
                     deltaPosition,
-                    players
+                    players,
+                    this.hitboxProvider
                 );
                 
                 // Determinar qual hit ocorreu primeiro (menor tempo t)
@@ -88,9 +143,7 @@ export class MovementSystem {
                 
                 if (finalHitResult && finalHitResult.t >= 0 && finalHitResult.t <= 1) {
                     // Calcula o ponto exato de impacto
-                    const impactPoint = previousPosition.clone().add(
-                        deltaPosition.clone().multiplyScalar(finalHitResult.t)
-                    );
+                    const impactPoint = Vector3.addScaled(previousPosition, deltaPosition, finalHitResult.t, this.vectorPool.acquire());
                     
                     // Define a posição final como o ponto de impacto
                     finalPosition = impactPoint;
@@ -99,26 +152,31 @@ export class MovementSystem {
                     entity.velocity.zero(); // Zera a velocidade explicitamente
                     
                     // Emitir evento para broadcast
-                    if (global.eventEmitter) {
-                        global.eventEmitter.emit('broadcastImpactEffect', {
-                            projectileId: entity.id,
-                            position: [impactPoint.x, impactPoint.y, impactPoint.z],
-                            surfaceType: finalHitResult.target ? 'player' : 'static',
-                            obstacleType: finalHitResult.obstacle ? finalHitResult.obstacle.type : null
-                        });
-                    }
+                    this.eventBus?.emit('impact', {
+                        projectileId: entity.id,
+                        position: [impactPoint.x, impactPoint.y, impactPoint.z],
+                        surfaceType: finalHitResult.target ? 'player' : 'static',
+                        obstacleType: finalHitResult.obstacle ? finalHitResult.obstacle.type : null
+                    });
                     
                     // Verifica o tipo de colisão e processa
                     if (finalHitResult.target) { // Hit em jogador
-                        log(`Collision resolved: Proj ${entity.id} hit Player ${finalHitResult.target.id} at exact impact point`);
+                        directHitTarget = finalHitResult.target;
+                        impactLog.debug(`Collision resolved: Proj ${entity.id} hit Player ${finalHitResult.target.id} at exact impact point`);
                         try {
                             const hitboxKey = finalHitResult.hitboxKey || 'default';
-                            finalHitResult.target.takeDamage(entity.damage, hitboxKey);
+                            // Origem do dano para atribuição de abates/assistências
+                            const damageSource = {
+                                attackerId: entity.ownerId ?? null,
+                                weaponType: entity.projectileType,
+                                distance: entity.origin ? impactPoint.distanceTo(entity.origin) : null,
+                            };
+                            this.applyProjectileDamage(entity, finalHitResult.target, entity.damage, hitboxKey, damageSource);
                         } catch(e) {
                             warn(`Error applying damage:`, e);
                         }
                     } else if (finalHitResult.obstacle) { // Hit em obstáculo
-                        log(`Collision resolved: Proj ${entity.id} hit Obstacle ${finalHitResult.obstacle.type} at exact impact point`);
+                        impactLog.debug(`Collision resolved: Proj ${entity.id} hit Obstacle ${finalHitResult.obstacle.type} at exact impact point`);
                     }
                 }
                 
@@ -131,25 +189,21 @@ export class MovementSystem {
                         
                         // Garante que a interseção ocorra dentro do segmento de movimento deste frame
                         if (t_ground >= 0 && t_ground <= 1) {
-                            const groundImpactPoint = previousPosition.clone().add(
-                                deltaPosition.clone().multiplyScalar(t_ground)
-                            );
+                            const groundImpactPoint = Vector3.addScaled(previousPosition, deltaPosition, t_ground, this.vectorPool.acquire());
                             finalPosition = groundImpactPoint;
                             projectileStoppedByGround = true; // Marca como parado pelo chão
                             entity.markForRemoval = true;
                             entity.velocity.zero(); // Para o movimento
                             
-                            log(`Collision resolved: Proj ${entity.id} hit GROUND at ${groundImpactPoint.toString()}`);
+                            impactLog.debug(`Collision resolved: Proj ${entity.id} hit GROUND at ${groundImpactPoint.toString()}`);
                             
                             // Emite evento de impacto para o hit no chão
-                            if (global.eventEmitter) {
-                                global.eventEmitter.emit('broadcastImpactEffect', {
-                                    projectileId: entity.id,
-                                    position: [groundImpactPoint.x, groundImpactPoint.y, groundImpactPoint.z],
-                                    surfaceType: 'static', // Chão é estático
-                                    obstacleType: 'ground' // Tipo específico para chão
-                                });
-                            }
+                            this.eventBus?.emit('impact', {
+                                projectileId: entity.id,
+                                position: [groundImpactPoint.x, groundImpactPoint.y, groundImpactPoint.z],
+                                surfaceType: 'static', // Chão é estático
+                                obstacleType: 'ground' // Tipo específico para chão
+                            });
                         }
                     }
                 }
@@ -159,27 +213,53 @@ export class MovementSystem {
             // Combina flags de parada
             const projectileStopped = projectileStoppedByHit || projectileStoppedByGround;
 
+            // --- DANO EM ÁREA (ex: bola de fogo) ---
+            if (projectileStopped && entity.splashRadius > 0) {
+                this.applySplashDamage(entity, finalPosition, players, directHitTarget);
+            }
+
             // --- Resolução de Colisão com Limites (Se o projétil não foi parado por colisão) ---
             if (!projectileStopped) {
                 finalPosition = this.collisionSystem.resolveWorldBoundsCollision(
                     entity,
                     potentialPosition, // Posição potencial calculada
-                    this.mapBounds
+                    this.mapBounds,
+                    this.vectorPool.acquire()
                 );
                 
                 // --- Resolve Colisão com Obstáculos Estáticos ---
-                finalPosition = this.collisionSystem.resolveStaticObstacleCollision(
-                    entity,
-                    finalPosition, // Posição após ajuste de limites
-                    this.obstacles
-                );
+                if (entity instanceof Player) {
+                    // Jogadores pisam em topos de obstáculos e rampas e sobem degraus baixos
+                    finalPosition = this.collisionSystem.resolveWalkableObstacleCollision(
+                        entity,
+                        previousPosition,
+                        finalPosition,
+                        this.mapBounds,
+                        this.obstacles,
+                        entity.isGrounded,
+                        finalPosition
+                    );
+                } else {
+                    finalPosition = this.collisionSystem.resolveStaticObstacleCollision(
+                        entity,
+                        finalPosition, // Posição após ajuste de limites
+                        this.obstacles,
+                        finalPosition
+                    );
+                }
             }
 
             // Aplica a posição final calculada
             entity.position.copy(finalPosition);
 
             // Zera velocidade Y se colidiu com o chão
-            const IS_ON_GROUND = finalPosition.y <= GROUND_Y + 0.01;
+            let IS_ON_GROUND = finalPosition.y <= GROUND_Y + 0.01;
+            if (entity instanceof Player) {
+                // Jogadores também podem estar apoiados no topo de obstáculos
+                entity.isGrounded = entity.velocity.y <= 0 &&
+                    this.collisionSystem.isGrounded(entity, finalPosition, this.mapBounds, this.obstacles);
+                IS_ON_GROUND = IS_ON_GROUND || entity.isGrounded;
+            }
             if (IS_ON_GROUND && entity.velocity.y < 0) {
                  entity.velocity.y = 0;
             }
@@ -189,5 +269,139 @@ export class MovementSystem {
                 entity.velocity.zero();
             }
         }
+        this.vectorPool.release(poolMark);
+    }
+
+    /**
+     * Troca os limites e obstáculos usados na simulação (ex: troca de mapa).
+     * @param {{min: Vector3, max: Vector3}} mapBounds
+     * @param {Array<{position: Vector3, size: Vector3}>} staticObstacles
+     */
+    setMap(mapBounds, staticObstacles) {
+        if (!mapBounds || !staticObstacles) throw new Error("MovementSystem.setMap requires mapBounds and staticObstacles.");
+        this.mapBounds = mapBounds;
+        this.obstacles = this.collisionSystem.createObstacleGrid(staticObstacles);
+    }
+
+    /**
+     * Define (ou remove, com null) o fornecedor de hitboxes usado no raycast de projéteis contra jogadores.
+     * @param {import('./collision-system.js').HitboxProvider | null} provider
+     */
+    setHitboxProvider(provider) {
+        this.hitboxProvider = provider;
+    }
+
+    /**
+     * Define (ou remove, com null) a busca de jogadores por ID usada no fogo amigo refletido.
+     * @param {((playerId: string) => Player | undefined) | null} resolver
+     */
+    setPlayerResolver(resolver) {
+        this.playerResolver = resolver;
+    }
+
+    /**
+     * Aplica o dano de um projétil a um jogador. Se o alvo é companheiro de time do atirador, segue a
+     * regra de fogo amigo (gameConfig.combat.friendlyFire): 'off' não causa dano, 'reduced' multiplica o dano
+     * e 'reflect' aplica o dano multiplicado ao próprio atirador (sem atribuição de abate).
+     * @param {Projectile} projectile
+     * @param {Player} target
+     * @param {number} amount - Dano base.
+     * @param {string} hitboxKey
+     * @param {import('../entities/player.js').DamageSource} source
+     * @returns {number} Dano efetivamente aplicado ao alvo.
+     */
+    applyProjectileDamage(projectile, target, amount, hitboxKey, source) {
+        if (target.id === projectile.ownerId || !areTeammates(projectile.team, target.team)) {
+            return target.takeDamage(amount, hitboxKey, source);
+        }
+        const { friendlyFire, friendlyFireScale } = gameConfig.combat;
+        switch (friendlyFire) {
+            case 'reduced':
+                return target.takeDamage(amount * friendlyFireScale, hitboxKey, source);
+            case 'reflect': {
+                const shooter = this.playerResolver?.(projectile.ownerId);
+                // Dano do atirador nele mesmo: se o matar, a morte é um suicídio (ver Player.takeDamage)
+                shooter?.takeDamage(amount * friendlyFireScale, 'default', { ...source, attackerId: shooter.id });
+                return 0;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Aplica dano em área a partir do ponto de impacto de um projétil.
+     * O dano cai linearmente com a distância até a AABB de cada jogador; o dono do projétil
+     * e o alvo do acerto direto não recebem dano em área; companheiros seguem a regra de fogo amigo.
+     * @param {Projectile} projectile - Projétil que explodiu (splashRadius > 0).
+     * @param {Vector3} center - Ponto de impacto.
+     * @param {Array<Player> | import('./spatial-grid.js').SpatialGrid<Player>} players - Jogadores candidatos.
+     * @param {Player | null} [directHitTarget=null] - Jogador já atingido diretamente.
+     */
+    applySplashDamage(projectile, center, players, directHitTarget = null) {
+        if (!players) return;
+        const radius = projectile.splashRadius;
+        splashBounds.min.set(center.x - radius, center.y - radius, center.z - radius);
+        splashBounds.max.set(center.x + radius, center.y + radius, center.z + radius);
+        for (const player of getCandidatesNear(players, splashBounds)) {
+            if (!player.isAlive || player === directHitTarget || player.id === projectile.ownerId) continue;
+
+            // Distância do centro da explosão ao ponto mais próximo da AABB do jogador
+            const box = player.getBoundingBox(player.position, playerBounds);
+            const dx = Math.max(box.min.x - center.x, 0, center.x - box.max.x);
+            const dy = Math.max(box.min.y - center.y, 0, center.y - box.max.y);
+            const dz = Math.max(box.min.z - center.z, 0, center.z - box.max.z);
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance > projectile.splashRadius) continue;
+
+            const damage = projectile.splashDamage * (1 - distance / projectile.splashRadius);
+            try {
+                this.applyProjectileDamage(projectile, player, damage, 'splash', {
+                    attackerId: projectile.ownerId ?? null,
+                    weaponType: projectile.projectileType,
+                    distance: projectile.origin ? center.distanceTo(projectile.origin) : null,
+                });
+            } catch (e) {
+                warn(`Error applying splash damage:`, e);
+            }
+        }
+    }
+
+    /**
+     * Teleporta o jogador na direção horizontal informada, parando antes de obstáculos
+     * e dentro dos limites do mapa. Usa três raios (pés, meio e cabeça) para não atravessar
+     * obstáculos mais baixos que o jogador.
+     * @param {Player} entity - Jogador a teleportar.
+     * @param {Vector3} direction - Direção horizontal normalizada.
+     * @param {number} maxDistance - Distância máxima do teleporte.
+     * @returns {boolean} `true` se a posição foi alterada.
+     */
+    blink(entity, direction, maxDistance) {
+        const flatDirection = new Vector3(direction.x, 0, direction.z);
+        if (flatDirection.magnitude() < 1e-6 || maxDistance <= 0) return false;
+        flatDirection.normalize();
+
+        const displacement = flatDirection.clone().multiplyScalar(maxDistance);
+        const margin = Math.max(entity.width, entity.depth) / 2 + BLINK_WALL_MARGIN;
+        let allowedDistance = maxDistance;
+
+        for (const heightOffset of [0.1, entity.height / 2, entity.height - 0.1]) {
+            const rayOrigin = entity.position.clone().add(new Vector3(0, heightOffset, 0));
+            const hit = this.collisionSystem.checkProjectileHitStaticObstacleRaycast(rayOrigin, displacement, this.obstacles);
+            if (hit && hit.t >= 0 && hit.t <= 1) {
+                allowedDistance = Math.min(allowedDistance, hit.t * maxDistance - margin);
+            }
+        }
+        allowedDistance = Math.max(0, allowedDistance);
+
+        let targetPosition = entity.position.clone().add(flatDirection.multiplyScalar(allowedDistance));
+        targetPosition = this.collisionSystem.resolveWorldBoundsCollision(entity, targetPosition, this.mapBounds);
+        targetPosition = this.collisionSystem.resolveWalkableObstacleCollision(
+            entity, entity.position, targetPosition, this.mapBounds, this.obstacles, entity.isGrounded
+        );
+
+        debug(`Player ${entity.id} blinked ${allowedDistance.toFixed(2)}m to ${targetPosition.toString()}`);
+        entity.position.copy(targetPosition);
+        return true;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Grade uniforme no plano XZ usada como broad-phase das consultas de colisão:
+ * em vez de testar todos os obstáculos ou jogadores, o CollisionSystem testa apenas os itens
+ * registrados nas células tocadas pela AABB ou pelo segmento consultado.
+ */
+
+/** Deslocamento que torna os índices de célula positivos ao compor a chave. */
+const CELL_INDEX_OFFSET = 32768;
+
+/**
+ * @param {{index: number}} a
+ * @param {{index: number}} b
+ * @returns {number}
+ */
+function compareEntryIndex(a, b) {
+    return a.index - b.index;
+}
+
+/**
+ * Item registrado na grade, com a marca da última consulta que o retornou (evita duplicatas
+ * quando o item ocupa várias células).
+ * @template T
+ * @typedef {object} GridEntry
+ * @property {T} item
+ * @property {number} index - Ordem de inserção.
+ * @property {number} queryStamp
+ */
+
+/**
+ * Grade uniforme de itens indexados pela projeção XZ das suas AABBs. A altura (Y) é ignorada:
+ * os resultados são candidatos, e o teste exato continua a cargo de quem consulta.
+ * Serve tanto para conteúdo estático (obstáculos, montada uma vez por mapa) quanto dinâmico
+ * (jogadores, limpa e remontada a cada tick).
+ * @template T
+ */
+export class SpatialGrid {
+    /** @type {number} */
+    cellSize;
+    /**
+     * Entradas de cada célula, por chave (ver getCellKey).
+     * @type {Map<number, Array<GridEntry<T>>>}
+     */
+    cells;
+    /**
+     * Todos os itens registrados, na ordem de inserção.
+     * @type {Array<T>}
+     */
+    items;
+    /**
+     * Entradas já criadas, reaproveitadas quando a grade é remontada (ver clear()).
+     * @type {Array<GridEntry<T>>}
+     */
+    entries = [];
+    /**
+     * Entradas coletadas pela consulta em andamento.
+     * @type {Array<GridEntry<T>>}
+     */
+    collectedEntries = [];
+    /** @type {number} */
+    queryStamp = 0;
+
+    /**
+     * Cria uma grade vazia.
+     * @param {number} cellSize - Lado de cada célula (unidades do mundo).
+     */
+    constructor(cellSize) {
+        if (!(cellSize > 0)) {
+            throw new Error("SpatialGrid requires a positive cell size.");
+        }
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.items = [];
+    }
+
+    /**
+     * @param {number} cellX
+     * @param {number} cellZ
+     * @returns {number}
+     * @private
+     */
+    getCellKey(cellX, cellZ) {
+        return (cellX + CELL_INDEX_OFFSET) * 65536 + (cellZ + CELL_INDEX_OFFSET);
+    }
+
+    /**
+     * @param {number} coordinate
+     * @returns {number} Índice da célula que contém a coordenada.
+     * @private
+     */
+    toCell(coordinate) {
+        return Math.floor(coordinate / this.cellSize);
+    }
+
+    /**
+     * Remove todos os itens (a grade de jogadores é remontada a cada tick). As listas das células e
+     * as entradas são mantidas para serem reaproveitadas, sem gerar lixo a cada tick.
+     */
+    clear() {
+        for (const cell of this.cells.values()) {
+            cell.length = 0;
+        }
+        this.items.length = 0;
+    }
+
+    /**
+     * Registra um item em todas as células tocadas pela sua AABB.
+     * @param {T} item
+     * @param {{min: {x: number, z: number}, max: {x: number, z: number}}} aabb - Limites do item (Y é ignorado).
+     */
+    insert(item, aabb) {
+        const index = this.items.length;
+        const entry = this.entries[index] ?? (this.entries[index] = { item: null, index, queryStamp: 0 });
+        entry.item = item;
+        entry.queryStamp = 0;
+        const maxCellX = this.toCell(aabb.max.x);
+        const maxCellZ = this.toCell(aabb.max.z);
+        for (let cellX = this.toCell(aabb.min.x); cellX <= maxCellX; cellX++) {
+            for (let cellZ = this.toCell(aabb.min.z); cellZ <= maxCellZ; cellZ++) {
+                const key = this.getCellKey(cellX, cellZ);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(entry);
+            }
+        }
+        this.items.push(item);
+    }
+
+    /**
+     * Acrescenta ao resultado as entradas ainda não vistas nesta consulta.
+     * @param {number} cellX
+     * @param {number} cellZ
+     * @param {Array<GridEntry<T>>} collected
+     * @private
+     */
+    collectCell(cellX, cellZ, collected) {
+        const cell = this.cells.get(this.getCellKey(cellX, cellZ));
+        if (!cell) return;
+        for (const entry of cell) {
+            if (entry.queryStamp === this.queryStamp) continue;
+            entry.queryStamp = this.queryStamp;
+            collected.push(entry);
+        }
+    }
+
+    /**
+     * Copia os itens das entradas coletadas para o resultado, na ordem de inserção: a resolução de
+     * colisões empurra a entidade obstáculo a obstáculo, então a ordem precisa ser a de uma lista completa.
+     * @param {Array<T>} results
+     * @returns {Array<T>} `results`.
+     * @private
+     */
+    flushCollected(results) {
+        const entries = this.collectedEntries;
+        if (entries.length > 1) entries.sort(compareEntryIndex);
+        results.length = entries.length;
+        for (let i = 0; i < entries.length; i++) {
+            results[i] = entries[i].item;
+        }
+        entries.length = 0;
+        return results;
+    }
+
+    /**
+     * Itens cujas células se sobrepõem à projeção XZ da AABB.
+     * @param {{min: {x: number, z: number}, max: {x: number, z: number}}} aabb
+     * @param {Array<T>} [results=[]] - Lista reaproveitada que recebe o resultado (o conteúdo anterior é descartado).
+     * @returns {Array<T>} Candidatos, sem repetição, na ordem de inserção.
+     */
+    queryAABB(aabb, results = []) {
+        this.queryStamp++;
+        const collected = this.collectedEntries;
+        const maxCellX = this.toCell(aabb.max.x);
+        const maxCellZ = this.toCell(aabb.max.z);
+        for (let cellX = this.toCell(aabb.min.x); cellX <= maxCellX; cellX++) {
+            for (let cellZ = this.toCell(aabb.min.z); cellZ <= maxCellZ; cellZ++) {
+                this.collectCell(cellX, cellZ, collected);
+            }
+        }
+        return this.flushCollected(results);
+    }
+
+    /**
+     * Itens das células atravessadas pela projeção XZ de um segmento, percorridas na ordem do
+     * segmento (DDA de Amanatides-Woo). Um item cuja AABB o segmento cruza está sempre entre eles.
+     * @param {{x: number, z: number}} origin - Início do segmento.
+     * @param {{x: number, z: number}} delta - Deslocamento até o fim do segmento.
+     * @param {Array<T>} [results=[]] - Lista reaproveitada que recebe o resultado (o conteúdo anterior é descartado).
+     * @returns {Array<T>} Candidatos, sem repetição, na ordem de inserção.
+     */
+    querySegment(origin, delta, results = []) {
+        this.queryStamp++;
+        const collected = this.collectedEntries;
+        let cellX = this.toCell(origin.x);
+        let cellZ = this.toCell(origin.z);
+        const endCellX = this.toCell(origin.x + delta.x);
+        const endCellZ = this.toCell(origin.z + delta.z);
+
+        const stepX = Math.sign(delta.x);
+        const stepZ = Math.sign(delta.z);
+        // Fração do segmento até a próxima fronteira de célula em cada eixo, e entre fronteiras
+        const tDeltaX = stepX !== 0 ? this.cellSize / Math.abs(delta.x) : Infinity;
+        const tDeltaZ = stepZ !== 0 ? this.cellSize / Math.abs(delta.z) : Infinity;
+        let tMaxX = stepX > 0 ? ((cellX + 1) * this.cellSize - origin.x) / delta.x
+            : stepX < 0 ? (cellX * this.cellSize - origin.x) / delta.x : Infinity;
+        let tMaxZ = stepZ > 0 ? ((cellZ + 1) * this.cellSize - origin.z) / delta.z
+            : stepZ < 0 ? (cellZ * this.cellSize - origin.z) / delta.z : Infinity;
+
+        // Limite de passos para não depender só da comparação de ponto flutuante
+        let remainingSteps = Math.abs(endCellX - cellX) + Math.abs(endCellZ - cellZ);
+        this.collectCell(cellX, cellZ, collected);
+        while (remainingSteps-- > 0) {
+            if (cellX !== endCellX && (tMaxX < tMaxZ || cellZ === endCellZ)) {
+                cellX += stepX;
+                tMaxX += tDeltaX;
+            } else {
+                cellZ += stepZ;
+                tMaxZ += tDeltaZ;
+            }
+            this.collectCell(cellX, cellZ, collected);
+        }
+        return this.flushCollected(results);
+    }
+}
+
+/**
+ * Candidatos de uma coleção (lista ou SpatialGrid) que podem tocar a AABB.
+ * @template T
+ * @param {Iterable<T> | SpatialGrid<T>} collection
+ * @param {{min: {x: number, z: number}, max: {x: number, z: number}}} aabb
+ * @param {Array<T>} [results] - Lista reaproveitada para o resultado de uma grade.
+ * @returns {Iterable<T>}
+ */
+export function getCandidatesNear(collection, aabb, results) {
+    return collection instanceof SpatialGrid ? collection.queryAABB(aabb, results) : collection;
+}
+
+/**
+ * Candidatos de uma coleção (lista ou SpatialGrid) que podem ser cruzados pelo segmento.
+ * @template T
+ * @param {Iterable<T> | SpatialGrid<T>} collection
+ * @param {{x: number, z: number}} origin
+ * @param {{x: number, z: number}} delta
+ * @param {Array<T>} [results] - Lista reaproveitada para o resultado de uma grade.
+ * @returns {Iterable<T>}
+ */
+export function getCandidatesAlong(collection, origin, delta, results) {
+    return collection instanceof SpatialGrid ? collection.querySegment(origin, delta, results) : collection;
+}
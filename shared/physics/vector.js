@@ -1,5 +1,9 @@
 /**
  * Representa um vetor 3D e fornece operações comuns.
+ *
+ * No loop do servidor (e na predição do cliente) prefira as operações que não alocam: os métodos de
+ * instância modificam o próprio vetor, os métodos estáticos aceitam um vetor de saída (`out`) e
+ * temporários podem vir de um Vector3Pool em vez de `clone()`/`new Vector3()`.
  */
 export class Vector3 {
     /** @type {number} */
@@ -21,46 +25,51 @@ export class Vector3 {
       this.z = z;
     }
   
-    // --- Métodos Estáticos (Retornam novos vetores) ---
+    // --- Métodos Estáticos (Escrevem em `out`; sem `out`, retornam novos vetores) ---
+    // `out` pode ser um dos próprios operandos.
   
     /**
      * Adiciona dois vetores.
      * @param {Vector3} v1 - O primeiro vetor.
      * @param {Vector3} v2 - O segundo vetor.
-     * @returns {Vector3} Um novo vetor resultante da adição.
+     * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado.
+     * @returns {Vector3} `out`, com o resultado da adição.
      */
-    static add(v1, v2) {
-      return new Vector3(v1.x + v2.x, v1.y + v2.y, v1.z + v2.z);
+    static add(v1, v2, out = new Vector3()) {
+      return out.set(v1.x + v2.x, v1.y + v2.y, v1.z + v2.z);
     }
   
     /**
      * Subtrai o segundo vetor do primeiro.
      * @param {Vector3} v1 - O primeiro vetor.
      * @param {Vector3} v2 - O segundo vetor (a ser subtraído).
-     * @returns {Vector3} Um novo vetor resultante da subtração.
+     * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado.
+     * @returns {Vector3} `out`, com o resultado da subtração.
      */
-    static subtract(v1, v2) {
-      return new Vector3(v1.x - v2.x, v1.y - v2.y, v1.z - v2.z);
+    static subtract(v1, v2, out = new Vector3()) {
+      return out.set(v1.x - v2.x, v1.y - v2.y, v1.z - v2.z);
     }
   
     /**
      * Multiplica um vetor por um escalar.
      * @param {Vector3} v - O vetor.
      * @param {number} s - O escalar.
-     * @returns {Vector3} Um novo vetor resultante da multiplicação.
+     * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado.
+     * @returns {Vector3} `out`, com o resultado da multiplicação.
      */
-    static multiplyScalar(v, s) {
-      return new Vector3(v.x * s, v.y * s, v.z * s);
+    static multiplyScalar(v, s, out = new Vector3()) {
+      return out.set(v.x * s, v.y * s, v.z * s);
     }
   
     /**
      * Divide um vetor por um escalar.
      * @param {Vector3} v - O vetor.
      * @param {number} s - O escalar.
-     * @returns {Vector3} Um novo vetor resultante da divisão.
+     * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado.
+     * @returns {Vector3} `out`, com o resultado da divisão (zero se s = 0).
      */
-    static divideScalar(v, s) {
-      return s !== 0 ? new Vector3(v.x / s, v.y / s, v.z / s) : new Vector3(); // Evita divisão por zero
+    static divideScalar(v, s, out = new Vector3()) {
+      return s !== 0 ? out.set(v.x / s, v.y / s, v.z / s) : out.zero(); // Evita divisão por zero
     }
   
     /**
@@ -68,17 +77,30 @@ export class Vector3 {
      * @param {Vector3} v1 - O vetor inicial.
      * @param {Vector3} v2 - O vetor final.
      * @param {number} alpha - O fator de interpolação (0 a 1).
-     * @returns {Vector3} Um novo vetor resultante da interpolação.
+     * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado.
+     * @returns {Vector3} `out`, com o resultado da interpolação.
      */
-    static lerp(v1, v2, alpha) {
+    static lerp(v1, v2, alpha, out = new Vector3()) {
        // Clamp alpha to the [0, 1] range
        const t = Math.max(0, Math.min(1, alpha));
-       return new Vector3(
+       return out.set(
           v1.x + (v2.x - v1.x) * t,
           v1.y + (v2.y - v1.y) * t,
           v1.z + (v2.z - v1.z) * t
        );
     }
+
+    /**
+     * Soma a um ponto um vetor multiplicado por um escalar (ex: posição + direção * distância).
+     * @param {Vector3} v - O ponto inicial.
+     * @param {Vector3} direction - O vetor a ser escalado.
+     * @param {number} s - O escalar.
+     * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado.
+     * @returns {Vector3} `out`, com v + direction * s.
+     */
+    static addScaled(v, direction, s, out = new Vector3()) {
+      return out.set(v.x + direction.x * s, v.y + direction.y * s, v.z + direction.z * s);
+    }
   
     // --- Métodos de Instância (Modificam o vetor atual ou retornam valores) ---
   
@@ -94,6 +116,19 @@ export class Vector3 {
       return this;
     }
   
+    /**
+     * Adiciona outro vetor multiplicado por um escalar a este vetor (this += v * s), sem criar temporários.
+     * @param {Vector3} v - O vetor a ser escalado e adicionado.
+     * @param {number} s - O escalar.
+     * @returns {Vector3} A instância atual do vetor (para encadeamento).
+     */
+    addScaled(v, s) {
+      this.x += v.x * s;
+      this.y += v.y * s;
+      this.z += v.z * s;
+      return this;
+    }
+
     /**
      * Subtrai outro vetor deste vetor.
      * @param {Vector3} v - O vetor a ser subtraído.
@@ -136,6 +171,30 @@ export class Vector3 {
       return this;
     }
   
+    /**
+     * Calcula o produto escalar (dot product) entre este vetor e outro vetor.
+     * @param {Vector3} v - O outro vetor.
+     * @returns {number}
+     */
+    dot(v) {
+      return this.x * v.x + this.y * v.y + this.z * v.z;
+    }
+
+    /**
+     * Gira este vetor em torno do eixo Y (mesma convenção do lookYaw dos jogadores e do rotation.y do
+     * three.js: yaw positivo leva -Z para -X).
+     * @param {number} yaw - O ângulo em radianos.
+     * @returns {Vector3} A instância atual do vetor (para encadeamento).
+     */
+    applyYaw(yaw) {
+      const cos = Math.cos(yaw);
+      const sin = Math.sin(yaw);
+      const x = this.x;
+      this.x = x * cos + this.z * sin;
+      this.z = -x * sin + this.z * cos;
+      return this;
+    }
+
     /**
      * Calcula a magnitude (comprimento) deste vetor.
      * @returns {number} A magnitude do vetor.
@@ -297,9 +356,10 @@ export class Vector3 {
      * Calcula o produto vetorial (cross product) entre dois vetores.
      * @param {Vector3} a - O primeiro vetor.
      * @param {Vector3} b - O segundo vetor.
-     * @returns {Vector3} Um novo vetor resultante do produto vetorial (a x b).
+     * @param {Vector3} [out=new Vector3()] - Vetor que recebe o resultado.
+     * @returns {Vector3} `out`, com o resultado do produto vetorial (a x b).
      */
-    static crossVectors(a, b) {
+    static crossVectors(a, b, out = new Vector3()) {
       const ax = a.x, ay = a.y, az = a.z;
       const bx = b.x, by = b.y, bz = b.z;
 
@@ -307,7 +367,7 @@ export class Vector3 {
       const y = az * bx - ax * bz;
       const z = ax * by - ay * bx;
 
-      return new Vector3(x, y, z);
+      return out.set(x, y, z);
     }
 
      
@@ -343,4 +403,57 @@ export class Vector3 {
        static get UNIT_Z() {
            return new Vector3(0, 0, 1);
        }
-  }
\ No newline at end of file
+  }
+
+/**
+ * Pilha de vetores temporários reutilizáveis, para cálculos intermediários sem alocar a cada tick.
+ * Uso: guarde `mark()` antes de pedir vetores com `acquire()` e devolva todos com `release(marca)`
+ * ao terminar. Os vetores obtidos não podem ser guardados depois do release (serão reutilizados).
+ */
+export class Vector3Pool {
+    /** @type {Array<Vector3>} */
+    vectors = [];
+    /**
+     * Quantidade de vetores em uso (topo da pilha).
+     * @type {number}
+     */
+    used = 0;
+
+    /**
+     * Obtém um vetor temporário com os valores informados.
+     * @param {number} [x=0]
+     * @param {number} [y=0]
+     * @param {number} [z=0]
+     * @returns {Vector3}
+     */
+    acquire(x = 0, y = 0, z = 0) {
+      if (this.used === this.vectors.length) {
+        this.vectors.push(new Vector3());
+      }
+      return this.vectors[this.used++].set(x, y, z);
+    }
+
+    /**
+     * Obtém um vetor temporário com os valores de outro vetor (substitui `clone()`).
+     * @param {Vector3} v
+     * @returns {Vector3}
+     */
+    acquireCopy(v) {
+      return this.acquire(v.x, v.y, v.z);
+    }
+
+    /**
+     * @returns {number} Marca a ser passada para release().
+     */
+    mark() {
+      return this.used;
+    }
+
+    /**
+     * Devolve todos os vetores obtidos desde a marca.
+     * @param {number} mark - Valor retornado por mark().
+     */
+    release(mark) {
+      this.used = mark;
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Relógio da simulação: timestamps (ms) usados em cooldowns, respawn, assistências,
+ * compensação de latência e snapshots. Por padrão é o relógio do sistema (Date.now()); o harness de
+ * simulação headless o substitui por um relógio controlado (ManualClock) para que as execuções sejam
+ * reproduzíveis. O código de gameplay deve usar getCurrentTime() em vez de Date.now().
+ * No cliente, ServerClockEstimate converte o relógio local para o do servidor.
+ */
+
+import { SERVER_CLOCK_OFFSET_SMOOTHING } from '../constants/network-settings.js';
+
+/** @type {() => number} */
+let clockSource = () => Date.now();
+
+/**
+ * @returns {number} Instante atual da simulação, em milissegundos.
+ */
+export function getCurrentTime() {
+    return clockSource();
+}
+
+/**
+ * Substitui a fonte do relógio da simulação (afeta todo o processo).
+ * @param {(() => number) | null} source - Função que retorna o instante atual em ms; null restaura Date.now().
+ */
+export function setClockSource(source) {
+    if (source !== null && typeof source !== 'function') {
+        throw new Error("setClockSource requires a function or null.");
+    }
+    clockSource = source ?? (() => Date.now());
+}
+
+/**
+ * Estimativa do relógio do servidor no cliente, a partir dos timestamps dos snapshots recebidos.
+ * Os relógios das duas máquinas não são sincronizados: o cliente guarda a diferença entre o timestamp
+ * de cada snapshot e o seu relógio local na chegada. Essa diferença é a do relógio menos a latência de ida,
+ * então a amostra maior (o snapshot que chegou mais rápido) é a melhor; amostras menores (jitter) só
+ * puxam a estimativa aos poucos, o que também acompanha a deriva entre os relógios.
+ */
+export class ServerClockEstimate {
+    /**
+     * Relógio do servidor menos relógio local (ms); null antes do primeiro snapshot.
+     * @type {number | null}
+     */
+    offsetMs = null;
+
+    /**
+     * Registra a chegada de um snapshot.
+     * @param {number} serverTimestamp - Timestamp do snapshot (relógio do servidor).
+     * @param {number} localTime - Relógio local na chegada.
+     */
+    addSample(serverTimestamp, localTime) {
+        const sample = serverTimestamp - localTime;
+        if (this.offsetMs === null || sample > this.offsetMs) {
+            this.offsetMs = sample;
+        } else {
+            this.offsetMs += (sample - this.offsetMs) * SERVER_CLOCK_OFFSET_SMOOTHING;
+        }
+    }
+
+    /**
+     * @param {number} localTime
+     * @returns {number | null} O instante correspondente no relógio do servidor (atrás dele pela latência de ida),
+     *          ou null se nenhum snapshot chegou ainda.
+     */
+    toServerTime(localTime) {
+        return this.offsetMs === null ? null : localTime + this.offsetMs;
+    }
+
+    /**
+     * Descarta a estimativa (ex: troca de sala ou de servidor).
+     */
+    reset() {
+        this.offsetMs = null;
+    }
+}
+
+/**
+ * Relógio que só avança quando solicitado (ver SimulationHarness).
+ */
+export class ManualClock {
+    /**
+     * Instante atual, em milissegundos.
+     * @type {number}
+     */
+    time;
+
+    /**
+     * @param {number} [startTime=0] - Instante inicial, em milissegundos.
+     */
+    constructor(startTime = 0) {
+        if (!Number.isFinite(startTime)) {
+            throw new Error("ManualClock requires a finite start time.");
+        }
+        this.time = startTime;
+    }
+
+    /**
+     * @returns {number} Instante atual em milissegundos inteiros, como Date.now() (o tempo interno
+     *          pode ser fracionário, ex: avançado por intervalos de tick de 33,3 ms).
+     */
+    now() {
+        return Math.floor(this.time);
+    }
+
+    /**
+     * Avança o relógio.
+     * @param {number} ms - Tempo a avançar (não negativo).
+     * @returns {number} O novo instante (ver now()).
+     */
+    advance(ms) {
+        if (!(ms >= 0)) {
+            throw new Error("ManualClock.advance requires a non-negative duration.");
+        }
+        this.time += ms;
+        return this.now();
+    }
+}
@@ -1,32 +1,261 @@
 /**
- * Utilitário simples para logging com prefixos.
+ * @fileoverview Logging com níveis e namespaces, usado pelo servidor e pelo cliente.
+ *
+ * Cada módulo cria o seu logger com createLogger('namespace') (ex: 'collision', 'session', 'network').
+ * O nível mínimo é configurável por namespace com uma especificação como `info,collision=warn,session=debug`
+ * (um nível sem namespace vale para todos os demais). Um namespace com pontos herda o nível do seu
+ * prefixo: 'network=debug' vale também para 'network.sync'.
+ *
+ * - Servidor: variáveis de ambiente LOG_LEVEL (especificação acima) e LOG_FORMAT ('json', o padrão,
+ *   uma linha JSON por mensagem; ou 'text').
+ * - Cliente: parâmetro `log` da URL da página (ex: `?log=debug,render=warn`), sempre em texto.
+ *
+ * Mensagens frequentes (ex: um log por acerto) devem usar um logger limitado, ver Logger.rateLimited().
  */
 
-const PREFIX_INFO = "[INFO]";
-const PREFIX_WARN = "[WARN]";
-const PREFIX_ERROR = "[ERROR]";
+/**
+ * Níveis em ordem crescente de severidade; 'silent' desativa o namespace.
+ * @type {ReadonlyArray<string>}
+ */
+export const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error', 'silent']);
+
+/** @type {ReadonlyArray<string>} */
+export const LOG_FORMATS = Object.freeze(['text', 'json']);
+
+const DEFAULT_LEVEL = 'info';
+const LEVEL_PREFIXES = { debug: '[DEBUG]', info: '[INFO]', warn: '[WARN]', error: '[ERROR]' };
+const LEVEL_CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+/**
+ * Níveis configurados (ver parseLogLevels).
+ * @typedef {object} LogLevelConfig
+ * @property {string} defaultLevel - Nível dos namespaces não listados.
+ * @property {Map<string, string>} namespaceLevels - Nível de cada namespace listado.
+ */
+
+/**
+ * @typedef {object} Logger
+ * @property {(...args: any[]) => void} debug - Detalhes úteis apenas ao investigar um problema.
+ * @property {(...args: any[]) => void} log - Mensagem informativa (nível 'info').
+ * @property {(...args: any[]) => void} warn - Situação inesperada, mas recuperável.
+ * @property {(...args: any[]) => void} error - Falha.
+ * @property {(intervalMs: number) => Logger} rateLimited - Logger do mesmo namespace que emite no máximo
+ *           uma mensagem por intervalo; a próxima mensagem emitida informa quantas foram suprimidas.
+ */
+
+/** @type {LogLevelConfig} */
+let levelConfig = { defaultLevel: DEFAULT_LEVEL, namespaceLevels: new Map() };
+/** @type {'text' | 'json'} */
+let outputFormat = 'text';
+/**
+ * Índice (em LOG_LEVELS) do nível efetivo de cada namespace já consultado; limpo a cada configuração.
+ * @type {Map<string, number>}
+ */
+const levelIndexCache = new Map();
+
+/**
+ * Interpreta uma especificação de níveis como `warn` ou `info,collision=warn,session=debug`.
+ * @param {string} spec
+ * @returns {LogLevelConfig}
+ * @throws {Error} Se algum nível ou item da especificação é inválido.
+ */
+export function parseLogLevels(spec) {
+  const config = { defaultLevel: DEFAULT_LEVEL, namespaceLevels: new Map() };
+  for (const item of String(spec).split(',').map(part => part.trim()).filter(Boolean)) {
+    const [namespace, level, extra] = item.includes('=') ? item.split('=').map(part => part.trim()) : [null, item];
+    if (extra !== undefined || namespace === '' || !LOG_LEVELS.includes(level)) {
+      throw new Error(`Invalid log level setting '${item}' (expected [namespace=]level with level one of ${LOG_LEVELS.join(', ')}).`);
+    }
+    if (namespace === null || namespace === '*') {
+      config.defaultLevel = level;
+    } else {
+      config.namespaceLevels.set(namespace, level);
+    }
+  }
+  return config;
+}
+
+/**
+ * Altera a configuração de logging (afeta também os loggers já criados).
+ * @param {{levels?: string | LogLevelConfig, format?: string}} options - Níveis (especificação em texto
+ *        ou já interpretada) e formato de saída; o que for omitido é mantido.
+ * @throws {Error} Se os níveis ou o formato forem inválidos.
+ */
+export function configureLogging({ levels, format } = {}) {
+  if (format !== undefined && !LOG_FORMATS.includes(format)) {
+    throw new Error(`Invalid log format '${format}' (expected one of ${LOG_FORMATS.join(', ')}).`);
+  }
+  if (levels !== undefined) {
+    levelConfig = typeof levels === 'string' ? parseLogLevels(levels) : levels;
+  }
+  if (format !== undefined) {
+    outputFormat = format;
+  }
+  levelIndexCache.clear();
+}
+
+/**
+ * @param {string | null} namespace
+ * @returns {number} Índice em LOG_LEVELS do nível mínimo efetivo do namespace.
+ */
+function getLevelIndex(namespace) {
+  const key = namespace ?? '';
+  let index = levelIndexCache.get(key);
+  if (index === undefined) {
+    let level = levelConfig.defaultLevel;
+    // Procura o próprio namespace e depois os seus prefixos ('a.b.c', 'a.b', 'a')
+    for (let candidate = namespace; candidate; candidate = candidate.includes('.') ? candidate.slice(0, candidate.lastIndexOf('.')) : null) {
+      if (levelConfig.namespaceLevels.has(candidate)) {
+        level = levelConfig.namespaceLevels.get(candidate);
+        break;
+      }
+    }
+    index = LOG_LEVELS.indexOf(level);
+    levelIndexCache.set(key, index);
+  }
+  return index;
+}
+
+/**
+ * @param {string | null} namespace
+ * @param {string} level
+ * @returns {boolean} true se mensagens do nível seriam emitidas para o namespace.
+ */
+export function isLogLevelEnabled(namespace, level) {
+  return LOG_LEVELS.indexOf(level) >= getLevelIndex(namespace);
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`; // A pilha vai no campo 'error'
+
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value); // Ex: estrutura circular
+  }
+}
+
+/**
+ * Escreve uma mensagem no formato configurado.
+ * @param {string} level
+ * @param {string | null} namespace
+ * @param {Array<any>} args
+ */
+function write(level, namespace, args) {
+  const consoleMethod = LEVEL_CONSOLE_METHODS[level];
+  if (outputFormat === 'json') {
+    const entry = { time: new Date().toISOString(), level };
+    if (namespace) entry.namespace = namespace;
+    entry.message = args.map(formatValue).join(' ');
+    const err = args.find(arg => arg instanceof Error);
+    if (err) entry.error = { name: err.name, message: err.message, stack: err.stack };
+    console[consoleMethod](JSON.stringify(entry));
+    return;
+  }
+  if (namespace) {
+    console[consoleMethod](LEVEL_PREFIXES[level], `[${namespace}]`, ...args);
+  } else {
+    console[consoleMethod](LEVEL_PREFIXES[level], ...args);
+  }
+}
+
+/**
+ * @param {string | null} namespace
+ * @param {{intervalMs: number, nextAllowedTime: number, suppressedCount: number} | null} rateLimit
+ * @returns {Logger}
+ */
+function buildLogger(namespace, rateLimit) {
+  const emit = (level, args) => {
+    if (!isLogLevelEnabled(namespace, level)) return;
+    if (rateLimit) {
+      const now = Date.now();
+      if (now < rateLimit.nextAllowedTime) {
+        rateLimit.suppressedCount++;
+        return;
+      }
+      rateLimit.nextAllowedTime = now + rateLimit.intervalMs;
+      if (rateLimit.suppressedCount > 0) {
+        args = [...args, `(${rateLimit.suppressedCount} similar messages suppressed)`];
+        rateLimit.suppressedCount = 0;
+      }
+    }
+    write(level, namespace, args);
+  };
+
+  // Funções (e não métodos) para que o logger possa ser desestruturado: const { log, warn } = createLogger(...)
+  return {
+    debug: (...args) => emit('debug', args),
+    log: (...args) => emit('info', args),
+    warn: (...args) => emit('warn', args),
+    error: (...args) => emit('error', args),
+    rateLimited: (intervalMs) => {
+      if (!(intervalMs > 0)) {
+        throw new Error("Logger.rateLimited requires a positive interval.");
+      }
+      return buildLogger(namespace, { intervalMs, nextAllowedTime: 0, suppressedCount: 0 });
+    },
+  };
+}
+
+/**
+ * Cria o logger de um namespace.
+ * @param {string} namespace - Nome curto do módulo ou subsistema (ex: 'collision'); '.' separa sub-namespaces.
+ * @returns {Logger}
+ */
+export function createLogger(namespace) {
+  if (typeof namespace !== 'string' || !namespace) {
+    throw new Error("createLogger requires a non-empty namespace.");
+  }
+  return buildLogger(namespace, null);
+}
+
+/**
+ * Lê a configuração inicial do ambiente: parâmetro `log` da URL no navegador, LOG_LEVEL/LOG_FORMAT no Node.
+ * Uma configuração inválida é relatada e ignorada (os padrões são mantidos).
+ */
+function configureFromEnvironment() {
+  let options;
+  if (typeof window !== 'undefined' && window.location) {
+    options = { levels: new URLSearchParams(window.location.search).get('log') ?? undefined, format: 'text' };
+  } else if (typeof process !== 'undefined' && process.env) {
+    options = { levels: process.env.LOG_LEVEL || undefined, format: process.env.LOG_FORMAT || 'json' };
+  } else {
+    return;
+  }
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+    try {
+      configureLogging({ [key]: value });
+    } catch (err) {
+      console.warn(LEVEL_PREFIXES.warn, `Ignoring logging configuration: ${err.message}`);
+    }
+  }
+}
+
+configureFromEnvironment();
+
+// Logger sem namespace (segue o nível padrão), para código que ainda não declara o seu
+const defaultLogger = buildLogger(null, null);
 
 /**
  * Loga uma mensagem informativa.
  * @param {...any} args Argumentos para logar.
  */
-export function log(...args) {
-  console.log(PREFIX_INFO, ...args);
-}
+export const log = defaultLogger.log;
 
 /**
  * Loga uma mensagem de aviso.
  * @param {...any} args Argumentos para logar.
  */
-export function warn(...args) {
-  console.warn(PREFIX_WARN, ...args);
-}
+export const warn = defaultLogger.warn;
 
 /**
  * Loga uma mensagem de erro.
  * @param {...any} args Argumentos para logar.
  */
-export function error(...args) {
-  console.error(PREFIX_ERROR, ...args);
-}
-
+export const error = defaultLogger.error;
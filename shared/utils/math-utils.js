@@ -30,17 +30,35 @@ export function clamp(value, min, max) {
   /**
    * Gera um UUID (Universally Unique Identifier) v4 simples.
    * Não é criptograficamente seguro, mas suficiente para IDs únicos no jogo.
+   * @param {() => number} [random=Math.random] - Gerador usado (ex: com semente, para IDs reproduzíveis).
    * @returns {string} Um UUID v4.
    */
-  export function generateUUID() {
+  export function generateUUID(random = Math.random) {
     // Fonte: https://stackoverflow.com/a/2117523/1168342
     return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
+      const r = random() * 16 | 0;
       const v = c === 'x' ? r : (r & 0x3 | 0x8);
       return v.toString(16);
     });
   }
   
+  /**
+   * Cria um gerador pseudoaleatório determinístico (mulberry32), com a mesma interface de Math.random.
+   * Usado onde uma execução precisa ser reproduzível (ex: sorteio de spawn no harness de simulação).
+   * @param {number} seed Semente inteira.
+   * @returns {() => number} Função que retorna valores em [0, 1).
+   */
+  export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  
   /**
    * Converte graus para radianos.
    * @param {number} degrees Ângulo em graus.
@@ -57,4 +75,12 @@ export function clamp(value, min, max) {
    */
   export function radiansToDegrees(radians) {
       return radians * (180 / Math.PI);
-  }
\ No newline at end of file
+  }
+  /**
+   * Leva um ângulo ao intervalo [-PI, PI] (ex: diferença entre dois yaws).
+   * @param {number} angle Ângulo em radianos.
+   * @returns {number} Ângulo equivalente em [-PI, PI].
+   */
+  export function normalizeAngle(angle) {
+      return angle - 2 * Math.PI * Math.round(angle / (2 * Math.PI));
+  }